@@ -2,7 +2,7 @@
 require('dotenv').config();
 const axios = require('axios');
 
-const PRINTIFY_API_BASE = 'https://api.printify.com/v1';
+const PRINTIFY_API_BASE = process.env.PRINTIFY_API_URL || 'https://api.printify.com/v1';
 const PRINTIFY_API_TOKEN = process.env.PRINTIFY_API_TOKEN;
 
 async function testPrintifyConnection() {
@@ -4,32 +4,21 @@
  */
 
 const { PublicKey } = require('@solana/web3.js');
+const { getMintRegistry } = require('../../../src/services/mintRegistry');
 
 /**
  * Validation schema definitions
  */
 const validationSchemas = {
     payment: {
+        // Prices and totals come from the server-side cart, never from the request
         createPayment: {
-            required: ['items', 'total'],
+            required: ['cartId'],
             fields: {
-                items: {
-                    type: 'array',
-                    minLength: 1,
-                    maxLength: 50,
-                    itemSchema: {
-                        required: ['id', 'name', 'price', 'quantity'],
-                        fields: {
-                            id: { type: 'number', min: 1 },
-                            name: { type: 'string', minLength: 1, maxLength: 100 },
-                            price: { type: 'number', min: 0.01, max: 10000 },
-                            quantity: { type: 'number', min: 1, max: 100 }
-                        }
-                    }
-                },
-                total: { type: 'number', min: 0.01, max: 50000 },
+                cartId: { type: 'string', pattern: /^cart_[a-f0-9]+$/, maxLength: 100 },
                 currency: { type: 'string', enum: ['USD', 'SOL'], default: 'USD' },
-                paymentToken: { type: 'string', enum: ['SOL', 'USDC', 'USDT'], default: 'SOL' },
+                paymentToken: { type: 'string', validator: 'paymentToken', default: 'SOL' },
+                customerEmail: { type: 'string', maxLength: 254, optional: true },
                 recipient: { type: 'string', validator: 'solanaAddress', optional: true },
                 memo: { type: 'string', maxLength: 280, optional: true }
             }
@@ -68,6 +57,9 @@ const customValidators = {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(value);
     },
+    paymentToken: (value) => {
+        return getMintRegistry().isEnabled(value);
+    },
     uuid: (value) => {
         const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
         return uuidRegex.test(value);
@@ -9,6 +9,8 @@ const OrderManagementService = require('../services/orderManagement');
 const EmailService = require('../services/emailService');
 const InventoryService = require('../services/inventoryService');
 const AnalyticsService = require('../services/analyticsService');
+const { OrderTransitionError } = require('../../../src/services/orderStateMachine');
+const adminAuth = require('../../../src/middleware/adminAuth');
 
 const router = express.Router();
 
@@ -29,7 +31,8 @@ router.post('/',
         body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
         body('items.*.id').notEmpty().withMessage('Item ID is required'),
         body('items.*.name').notEmpty().withMessage('Item name is required'),
-        body('items.*.price').isFloat({ min: 0 }).withMessage('Valid item price is required'),
+        // Accepted for older clients; lines are priced from the catalog
+        body('items.*.price').optional().isFloat({ min: 0 }).withMessage('Valid item price is required'),
         body('items.*.quantity').isInt({ min: 1 }).withMessage('Valid item quantity is required'),
         body('paymentToken').optional().isIn(['SOL', 'USDC', 'USDT']).withMessage('Invalid payment token'),
         body('shippingAddress').optional().isObject()
@@ -89,6 +92,15 @@ router.post('/',
             });
 
         } catch (error) {
+            // Unknown products, bad quantities and addresses shipping can't be quoted for
+            if (error.message.startsWith('Product not found') || error.message.startsWith('Quantity must') ||
+                (error.name === 'ShippingQuoteError' && error.status < 500)) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
             console.error('Error creating order:', error);
             res.status(500).json({
                 success: false,
@@ -102,21 +114,19 @@ router.post('/',
  * Get order by ID
  * GET /api/orders/:orderId
  */
-router.get('/:orderId', (req, res) => {
+router.get('/:orderId', async (req, res) => {
     try {
-        const { orderId } = req.params;
-        const order = orders.get(orderId);
+        const order = await orderService.getOrder(req.params.orderId);
+        res.json(order);
 
-        if (!order) {
+    } catch (error) {
+        if (error.message === 'Order not found') {
             return res.status(404).json({
                 error: 'Order not found',
                 message: 'Invalid order ID'
             });
         }
 
-        res.json(order);
-
-    } catch (error) {
         console.error('Error fetching order:', error);
         res.status(500).json({
             error: 'Failed to fetch order',
@@ -129,23 +139,19 @@ router.get('/:orderId', (req, res) => {
  * Get order by order number
  * GET /api/orders/lookup/:orderNumber
  */
-router.get('/lookup/:orderNumber', (req, res) => {
+router.get('/lookup/:orderNumber', async (req, res) => {
     try {
-        const { orderNumber } = req.params;
-        const order = Array.from(orders.values()).find(o => 
-            o.orderNumber.toLowerCase() === orderNumber.toLowerCase()
-        );
+        const order = await orderService.getOrderByNumber(req.params.orderNumber.toUpperCase());
+        res.json(order);
 
-        if (!order) {
+    } catch (error) {
+        if (error.message === 'Order not found') {
             return res.status(404).json({
                 error: 'Order not found',
                 message: 'Invalid order number'
             });
         }
 
-        res.json(order);
-
-    } catch (error) {
         console.error('Error looking up order:', error);
         res.status(500).json({
             error: 'Failed to lookup order',
@@ -155,65 +161,46 @@ router.get('/lookup/:orderNumber', (req, res) => {
 });
 
 /**
- * Update order status
+ * Update order status; admin token required
  * PUT /api/orders/:orderId/status
  */
-router.put('/:orderId/status', (req, res) => {
+router.put('/:orderId/status', adminAuth, async (req, res) => {
     try {
         const { orderId } = req.params;
-        const { status, paymentStatus, shippingStatus, notes } = req.body;
-
-        const order = orders.get(orderId);
+        const { status, notes } = req.body;
 
-        if (!order) {
-            return res.status(404).json({
-                error: 'Order not found',
-                message: 'Invalid order ID'
-            });
-        }
-
-        // Valid status values
-        const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-        const validPaymentStatuses = ['pending', 'paid', 'failed', 'refunded'];
-        const validShippingStatuses = ['not_shipped', 'processing', 'shipped', 'delivered'];
-
-        // Update status fields if provided and valid
-        if (status && validStatuses.includes(status)) {
-            order.status = status;
-        }
-
-        if (paymentStatus && validPaymentStatuses.includes(paymentStatus)) {
-            order.paymentStatus = paymentStatus;
-        }
-
-        if (shippingStatus && validShippingStatuses.includes(shippingStatus)) {
-            order.shippingStatus = shippingStatus;
-        }
-
-        if (notes) {
-            if (!order.notes) order.notes = [];
-            order.notes.push({
-                note: notes,
-                timestamp: new Date().toISOString()
+        if (!Object.values(orderService.ORDER_STATUS).includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid order status',
+                message: `Status must be one of: ${Object.values(orderService.ORDER_STATUS).join(', ')}`
             });
         }
 
-        order.updatedAt = new Date().toISOString();
-
-        // Store updated order
-        orders.set(orderId, order);
+        const order = await orderService.updateOrderStatus(orderId, status, notes, req.actor);
 
         res.json({
-            orderId,
+            orderId: order.id,
             orderNumber: order.orderNumber,
             status: order.status,
-            paymentStatus: order.paymentStatus,
-            shippingStatus: order.shippingStatus,
             updatedAt: order.updatedAt,
             message: 'Order status updated successfully'
         });
 
     } catch (error) {
+        if (error.message === 'Order not found') {
+            return res.status(404).json({
+                error: 'Order not found',
+                message: 'Invalid order ID'
+            });
+        }
+
+        if (error instanceof OrderTransitionError) {
+            return res.status(409).json({
+                error: 'Invalid status change',
+                message: error.message
+            });
+        }
+
         console.error('Error updating order status:', error);
         res.status(500).json({
             error: 'Failed to update order status',
@@ -226,65 +213,29 @@ router.put('/:orderId/status', (req, res) => {
  * Get all orders (with pagination and filtering)
  * GET /api/orders
  */
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
     try {
         const { 
             page = 1, 
             limit = 10, 
             status, 
-            paymentStatus, 
             customerEmail,
             sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
 
-        let allOrders = Array.from(orders.values());
-
-        // Apply filters
-        if (status) {
-            allOrders = allOrders.filter(order => order.status === status);
-        }
-
-        if (paymentStatus) {
-            allOrders = allOrders.filter(order => order.paymentStatus === paymentStatus);
-        }
-
-        if (customerEmail) {
-            allOrders = allOrders.filter(order => 
-                order.customerInfo.email.toLowerCase().includes(customerEmail.toLowerCase())
-            );
-        }
-
-        // Sort orders
-        allOrders.sort((a, b) => {
-            let aValue = a[sortBy];
-            let bValue = b[sortBy];
-
-            if (sortBy === 'createdAt' || sortBy === 'updatedAt') {
-                aValue = new Date(aValue);
-                bValue = new Date(bValue);
-            }
-
-            if (sortOrder === 'desc') {
-                return bValue > aValue ? 1 : -1;
-            } else {
-                return aValue > bValue ? 1 : -1;
-            }
-        });
-
-        // Pagination
-        const startIndex = (page - 1) * limit;
-        const endIndex = startIndex + parseInt(limit);
-        const paginatedOrders = allOrders.slice(startIndex, endIndex);
+        const options = { limit: parseInt(limit), offset: (page - 1) * limit, status, sortBy, sortOrder };
+        const { orders, pagination } = customerEmail
+            ? await orderService.getCustomerOrders(customerEmail, options)
+            : await orderService.getAllOrders(options);
 
         // Remove sensitive customer info for list view
-        const publicOrders = paginatedOrders.map(order => ({
+        const publicOrders = orders.map(order => ({
             id: order.id,
             orderNumber: order.orderNumber,
             status: order.status,
-            paymentStatus: order.paymentStatus,
-            shippingStatus: order.shippingStatus,
-            pricing: order.pricing,
+            total: order.total,
+            currency: order.currency,
             itemCount: order.items.length,
             customerEmail: order.customerInfo.email,
             createdAt: order.createdAt,
@@ -296,10 +247,10 @@ router.get('/', (req, res) => {
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
-                total: allOrders.length,
-                totalPages: Math.ceil(allOrders.length / limit),
-                hasNext: endIndex < allOrders.length,
-                hasPrev: startIndex > 0
+                total: pagination.total,
+                totalPages: Math.ceil(pagination.total / limit),
+                hasNext: pagination.hasMore,
+                hasPrev: page > 1
             }
         });
 
@@ -316,29 +267,22 @@ router.get('/', (req, res) => {
  * Cancel an order
  * POST /api/orders/:orderId/cancel
  */
-router.post('/:orderId/cancel', (req, res) => {
+router.post('/:orderId/cancel', async (req, res) => {
     try {
         const { orderId } = req.params;
-        const { reason } = req.body;
-
-        const order = orders.get(orderId);
+        const reason = req.body.reason || 'Customer request';
 
-        if (!order) {
-            return res.status(404).json({
-                error: 'Order not found',
-                message: 'Invalid order ID'
-            });
-        }
+        const current = await orderService.getOrder(orderId);
 
         // Check if order can be cancelled
-        if (order.status === 'delivered') {
+        if (current.status === 'delivered') {
             return res.status(400).json({
                 error: 'Cannot cancel order',
                 message: 'Order has already been delivered'
             });
         }
 
-        if (order.status === 'cancelled') {
+        if (current.status === 'cancelled') {
             return res.status(400).json({
                 error: 'Order already cancelled',
                 message: 'This order has already been cancelled'
@@ -346,30 +290,32 @@ router.post('/:orderId/cancel', (req, res) => {
         }
 
         // Cancel the order
-        order.status = 'cancelled';
-        order.cancelledAt = new Date().toISOString();
-        order.cancellationReason = reason || 'Customer request';
-        order.updatedAt = new Date().toISOString();
-
-        // Add cancellation note
-        if (!order.notes) order.notes = [];
-        order.notes.push({
-            note: `Order cancelled: ${order.cancellationReason}`,
-            timestamp: order.cancelledAt
-        });
-
-        orders.set(orderId, order);
+        const order = await orderService.updateOrderStatus(orderId, 'cancelled', `Order cancelled: ${reason}`);
 
         res.json({
-            orderId,
+            orderId: order.id,
             orderNumber: order.orderNumber,
             status: order.status,
-            cancelledAt: order.cancelledAt,
-            reason: order.cancellationReason,
+            cancelledAt: order.updatedAt,
+            reason,
             message: 'Order cancelled successfully'
         });
 
     } catch (error) {
+        if (error.message === 'Order not found') {
+            return res.status(404).json({
+                error: 'Order not found',
+                message: 'Invalid order ID'
+            });
+        }
+
+        if (error instanceof OrderTransitionError) {
+            return res.status(409).json({
+                error: 'Cannot cancel order',
+                message: error.message
+            });
+        }
+
         console.error('Error cancelling order:', error);
         res.status(500).json({
             error: 'Failed to cancel order',
@@ -382,29 +328,22 @@ router.post('/:orderId/cancel', (req, res) => {
  * Get order statistics
  * GET /api/orders/stats/summary
  */
-router.get('/stats/summary', (req, res) => {
+router.get('/stats/summary', async (req, res) => {
     try {
-        const allOrders = Array.from(orders.values());
+        const { timeframe = 'all' } = req.query;
+        const statistics = await orderService.getOrderStatistics(timeframe);
 
         const stats = {
-            totalOrders: allOrders.length,
-            pendingOrders: allOrders.filter(o => o.status === 'pending').length,
-            confirmedOrders: allOrders.filter(o => o.status === 'confirmed').length,
-            shippedOrders: allOrders.filter(o => o.status === 'shipped').length,
-            deliveredOrders: allOrders.filter(o => o.status === 'delivered').length,
-            cancelledOrders: allOrders.filter(o => o.status === 'cancelled').length,
-            totalRevenue: allOrders
-                .filter(o => o.paymentStatus === 'paid')
-                .reduce((sum, o) => sum + o.pricing.total, 0),
-            averageOrderValue: allOrders.length > 0 
-                ? allOrders.reduce((sum, o) => sum + o.pricing.total, 0) / allOrders.length 
-                : 0
+            totalOrders: statistics.totalOrders,
+            pendingOrders: statistics.statusBreakdown.pending + statistics.statusBreakdown.payment_pending,
+            paidOrders: statistics.statusBreakdown.paid,
+            shippedOrders: statistics.statusBreakdown.shipped,
+            deliveredOrders: statistics.statusBreakdown.delivered,
+            cancelledOrders: statistics.statusBreakdown.cancelled,
+            totalRevenue: Number(statistics.totalRevenue.toFixed(2)),
+            averageOrderValue: Number(statistics.averageOrderValue.toFixed(2))
         };
 
-        // Round monetary values
-        stats.totalRevenue = Number(stats.totalRevenue.toFixed(2));
-        stats.averageOrderValue = Number(stats.averageOrderValue.toFixed(2));
-
         res.json(stats);
 
     } catch (error) {
@@ -1,22 +1,116 @@
 const express = require('express');
 const router = express.Router();
-const { Connection, PublicKey, clusterApiUrl } = require('@solana/web3.js');
-const { encodeURL, createQR } = require('@solana/pay');
-const QRCode = require('qrcode');
-const { v4: uuidv4 } = require('uuid');
-const PrintifyApiService = require('../services/printifyApi');
 const SPLTokenService = require('../services/splTokenService');
 const { validators } = require('../middleware/validation');
-
-// Solana connection
-const connection = new Connection(clusterApiUrl('mainnet-beta'), 'confirmed');
+const { Payment, OrderItem } = require('../../../src/models');
+const { getCheckoutService } = require('../../../src/services/checkoutService');
+const { PaymentVerificationError } = require('../../../src/services/paymentVerifier');
+const adminAuth = require('../../../src/middleware/adminAuth');
 
 // Initialize services
-const printifyApi = new PrintifyApiService();
 const splTokenService = new SPLTokenService();
 
-// In-memory storage for payment requests (use database in production)
-const paymentRequests = new Map();
+// Payment requests are cart payments: the cart is checked out into an order
+// and paid, verified and fulfilled like every other order
+const checkoutService = getCheckoutService();
+
+// Payment statuses the shop frontend knows
+const LEGACY_STATUSES = {
+    confirmed: 'completed',
+    finalized: 'completed',
+    expired: 'expired',
+    failed: 'cancelled',
+    cancelled: 'cancelled'
+};
+
+const legacyStatus = (status) => LEGACY_STATUSES[status] || 'pending';
+
+const getPublicBaseUrl = (req) => process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+
+async function findPayment(paymentId) {
+    const payment = await Payment.findOne({ where: { payment_id: paymentId } });
+    return payment && payment.metadata?.created_via === 'cart' ? payment : null;
+}
+
+function paymentNotFound(res) {
+    return res.status(404).json({
+        error: 'Payment not found',
+        message: 'Invalid payment ID'
+    });
+}
+
+/**
+ * Check a cart out into an order and open a payment for it in `paymentToken`
+ */
+async function createCartPayment(req, paymentToken) {
+    return checkoutService.createCartPayment({
+        cartId: req.body.cartId,
+        sessionId: req.get('X-Session-Id'),
+        customerEmail: req.body.customerEmail,
+        token: paymentToken
+    });
+}
+
+/**
+ * Bind a submitted signature to the payment and settle it
+ */
+async function verifyTransaction(req, res, paymentId, signature) {
+    if (!paymentId) {
+        return res.status(400).json({
+            error: 'Missing payment ID',
+            message: 'Payment ID is required'
+        });
+    }
+    if (!signature) {
+        return res.status(400).json({
+            error: 'Missing signature',
+            message: 'Transaction signature is required'
+        });
+    }
+    if (!await findPayment(paymentId)) {
+        return paymentNotFound(res);
+    }
+
+    try {
+        const payment = await checkoutService.verifyTransaction(paymentId, signature, {
+            baseUrl: getPublicBaseUrl(req)
+        });
+        const status = legacyStatus(payment.status);
+
+        if (status !== 'completed') {
+            return res.status(402).json({
+                error: 'Payment incomplete',
+                message: payment.top_up
+                    ? `Payment is ${payment.top_up.amount} short, send the balance to the top-up URL`
+                    : `Payment is ${payment.status}`,
+                paymentId,
+                status: payment.status,
+                topUp: payment.top_up
+            });
+        }
+
+        res.json({
+            paymentId,
+            status,
+            signature,
+            orderId: payment.order_id,
+            message: 'Payment verified successfully'
+        });
+    } catch (error) {
+        if (error instanceof PaymentVerificationError) {
+            return res.status(error.status).json({
+                error: 'Verification failed',
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('Error verifying transaction:', error);
+        res.status(error.status || 500).json({
+            error: 'Payment verification failed',
+            message: error.message
+        });
+    }
+}
 
 /**
  * Get supported payment tokens
@@ -56,7 +150,7 @@ router.post('/calculate', async (req, res) => {
             });
         }
         
-        const calculation = splTokenService.calculateTokenAmount(usdAmount, tokenSymbol);
+        const calculation = await splTokenService.calculateTokenAmount(usdAmount, tokenSymbol);
         
         res.json({
             success: true,
@@ -64,7 +158,7 @@ router.post('/calculate', async (req, res) => {
         });
     } catch (error) {
         console.error('Error calculating payment amount:', error);
-        res.status(400).json({
+        res.status(error.status || 400).json({
             error: 'Calculation failed',
             message: error.message
         });
@@ -72,91 +166,36 @@ router.post('/calculate', async (req, res) => {
 });
 
 /**
- * Create a new payment request
+ * Create a new payment request for a cart of the session (X-Session-Id)
  * POST /api/payment/create-payment
  */
 router.post('/create-payment', validators.payment.createPayment, async (req, res) => {
     try {
-        const { items, total, currency = 'USD', paymentToken = 'SOL' } = req.body;
-
-        if (!items || !Array.isArray(items) || items.length === 0) {
-            return res.status(400).json({
-                error: 'Invalid items',
-                message: 'Items array is required and cannot be empty'
-            });
-        }
-
-        if (!total || total <= 0) {
-            return res.status(400).json({
-                error: 'Invalid total',
-                message: 'Total must be greater than 0'
-            });
-        }
-
-        // Generate unique payment ID and reference
-        const paymentId = uuidv4();
-        const reference = uuidv4();
-
-        // Merchant wallet (replace with your actual wallet address)
-        const recipient = new PublicKey(process.env.MERCHANT_WALLET || 'YourSolanaWalletAddressHere');
-
-        // Calculate payment amount in the selected token
-        const tokenCalculation = splTokenService.calculateTokenAmount(total, paymentToken);
-        
-        console.log(`💰 Payment calculation for ${paymentToken}:`, tokenCalculation);
-
-        // Create payment URL with SPL token support
-        const paymentUrl = splTokenService.createTokenPaymentURL(
-            recipient.toString(),
-            tokenCalculation.amount,
-            paymentToken,
-            reference,
-            `Payment for order ${paymentId.slice(0, 8)}`
-        );
-
-        // Generate QR code
-        const qrCode = await QRCode.toDataURL(paymentUrl);
-
-        // Store payment request
-        const paymentRequest = {
-            id: paymentId,
-            reference: reference,
-            items,
-            total,
-            currency,
-            paymentToken,
-            tokenAmount: tokenCalculation.amount,
-            tokenDisplayAmount: tokenCalculation.displayAmount,
-            recipient: recipient.toString(),
-            url: paymentUrl,
-            qrCode,
-            status: 'pending',
-            createdAt: new Date().toISOString(),
-            expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString() // 15 minutes
-        };
-
-        paymentRequests.set(paymentId, paymentRequest);
+        const { paymentToken = 'SOL' } = req.body;
+        const payment = await createCartPayment(req, paymentToken);
 
         res.json({
             success: true,
-            paymentId,
-            reference,
-            url: paymentUrl,
-            qrCode,
-            amount: tokenCalculation.displayAmount,
-            tokenAmount: tokenCalculation.amount,
-            paymentToken,
-            currency: paymentToken,
-            usdTotal: total,
-            recipient: recipient.toString(),
-            expiresAt: paymentRequest.expiresAt,
+            paymentId: payment.payment_id,
+            orderId: payment.order_id,
+            orderNumber: payment.order_number,
+            reference: payment.reference,
+            url: payment.payment_url,
+            qrCode: payment.qr_code,
+            amount: payment.amount.token,
+            tokenAmount: payment.amount.token,
+            paymentToken: payment.amount.currency,
+            currency: payment.amount.currency,
+            usdTotal: payment.amount.usd,
+            recipient: checkoutService.solanaPayService.merchantWallet,
+            expiresAt: payment.expires_at,
             status: 'pending',
-            memo: `Payment for order ${paymentId.slice(0, 8)}`
+            memo: `SSPAY Order #${payment.order_number}`
         });
 
     } catch (error) {
         console.error('Error creating payment request:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: 'Payment creation failed',
             message: error.message
         });
@@ -164,79 +203,28 @@ router.post('/create-payment', validators.payment.createPayment, async (req, res
 });
 
 /**
- * Create a new payment request (legacy endpoint)
+ * Create a new SOL payment request for a cart (legacy endpoint)
  * POST /api/payment/create
  */
 router.post('/create', async (req, res) => {
     try {
-        const { items, total, currency = 'USD' } = req.body;
-
-        if (!items || !Array.isArray(items) || items.length === 0) {
-            return res.status(400).json({
-                error: 'Invalid items',
-                message: 'Items array is required and cannot be empty'
-            });
-        }
-
-        if (!total || total <= 0) {
-            return res.status(400).json({
-                error: 'Invalid total',
-                message: 'Total must be greater than 0'
-            });
-        }
-
-        // Generate unique payment ID
-        const paymentId = uuidv4();
-
-        // Merchant wallet (replace with your actual wallet address)
-        const recipient = new PublicKey(process.env.MERCHANT_WALLET || 'YourSolanaWalletAddressHere');
-
-        // Convert USD to SOL (mock conversion rate - use real API in production)
-        const solPrice = 20; // $20 per SOL (example rate)
-        const amount = total / solPrice;
-
-        // Create payment URL
-        const url = encodeURL({
-            recipient,
-            amount,
-            label: 'Solana Pay Shop',
-            message: `Payment for order ${paymentId.slice(0, 8)}`,
-            memo: paymentId,
-        });
-
-        // Generate QR code
-        const qrCode = await QRCode.toDataURL(url.toString());
-
-        // Store payment request
-        const paymentRequest = {
-            id: paymentId,
-            items,
-            total,
-            currency,
-            amount,
-            recipient: recipient.toString(),
-            url: url.toString(),
-            qrCode,
-            status: 'pending',
-            createdAt: new Date().toISOString(),
-            expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString() // 15 minutes
-        };
-
-        paymentRequests.set(paymentId, paymentRequest);
+        const payment = await createCartPayment(req, 'SOL');
 
         res.json({
-            paymentId,
-            url: url.toString(),
-            qrCode,
-            amount,
+            paymentId: payment.payment_id,
+            orderId: payment.order_id,
+            reference: payment.reference,
+            url: payment.payment_url,
+            qrCode: payment.qr_code,
+            amount: payment.amount.token,
             currency: 'SOL',
-            expiresAt: paymentRequest.expiresAt,
+            expiresAt: payment.expires_at,
             status: 'pending'
         });
 
     } catch (error) {
         console.error('Error creating payment request:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: 'Payment creation failed',
             message: error.message
         });
@@ -250,65 +238,51 @@ router.post('/create', async (req, res) => {
 router.get('/order-status/:paymentId', async (req, res) => {
     try {
         const { paymentId } = req.params;
-        const paymentRequest = paymentRequests.get(paymentId);
+        const payment = await findPayment(paymentId);
 
-        if (!paymentRequest) {
+        if (!payment) {
             return res.status(404).json({
                 error: 'Order not found',
                 message: 'Invalid payment/order ID'
             });
         }
 
-        // Check if payment has expired
-        if (new Date() > new Date(paymentRequest.expiresAt) && paymentRequest.status === 'pending') {
-            paymentRequest.status = 'expired';
-            paymentRequests.set(paymentId, paymentRequest);
-        }
-
-        // Determine order status based on payment status
-        let orderStatus = 'pending';
-        let orderMessage = 'Order is pending payment';
-
-        switch (paymentRequest.status) {
-            case 'pending':
-                orderStatus = 'awaiting_payment';
-                orderMessage = 'Waiting for payment confirmation';
-                break;
-            case 'completed':
-                orderStatus = 'processing';
-                orderMessage = 'Payment confirmed, order is being processed';
-                break;
-            case 'expired':
-                orderStatus = 'expired';
-                orderMessage = 'Payment expired, order cancelled';
-                break;
-            case 'cancelled':
-                orderStatus = 'cancelled';
-                orderMessage = 'Order has been cancelled';
-                break;
-        }
+        const status = await checkoutService.describePayment(payment);
+        const items = await OrderItem.findAll({ where: { order_id: payment.order_id } });
+        const paymentStatus = legacyStatus(status.status);
+        const orderMessages = {
+            pending: ['awaiting_payment', 'Waiting for payment confirmation'],
+            completed: ['processing', 'Payment confirmed, order is being processed'],
+            expired: ['expired', 'Payment expired, order cancelled'],
+            cancelled: ['cancelled', 'Order has been cancelled']
+        };
+        let [orderStatus, orderMessage] = orderMessages[paymentStatus];
 
-        // If we have a Printify order ID, we could check its status
-        if (paymentRequest.printifyOrderId) {
+        if (status.printify_order_id) {
             orderStatus = 'fulfillment';
             orderMessage = 'Order sent to fulfillment center';
         }
 
         res.json({
             paymentId,
-            orderNumber: `SOL-${paymentId.slice(0, 8).toUpperCase()}`,
+            orderId: status.order_id,
+            orderNumber: payment.metadata.order_number,
             orderStatus,
             orderMessage,
-            paymentStatus: paymentRequest.status,
-            items: paymentRequest.items,
-            total: paymentRequest.total,
-            amount: paymentRequest.amount,
-            currency: 'SOL',
-            createdAt: paymentRequest.createdAt,
-            expiresAt: paymentRequest.expiresAt,
-            completedAt: paymentRequest.completedAt || null,
-            signature: paymentRequest.signature || null,
-            printifyOrderId: paymentRequest.printifyOrderId || null
+            paymentStatus,
+            items: items.map(item => ({
+                id: item.product_id,
+                name: item.product_title,
+                price: Number(item.unit_price),
+                quantity: item.quantity
+            })),
+            total: Number(payment.usd_amount),
+            amount: Number(payment.amount),
+            currency: payment.currency,
+            createdAt: payment.created_at,
+            expiresAt: status.expires_at,
+            signature: payment.transaction_signature || null,
+            printifyOrderId: status.printify_order_id || null
         });
 
     } catch (error) {
@@ -321,329 +295,136 @@ router.get('/order-status/:paymentId', async (req, res) => {
 });
 
 /**
- * Check payment status (legacy endpoint)
- * GET /api/payment/status/:paymentId
+ * Stream payment status as Server-Sent Events
+ * GET /api/payment/events/:paymentId
  */
-router.get('/status/:paymentId', async (req, res) => {
+router.get('/events/:paymentId', async (req, res) => {
     try {
-        const { paymentId } = req.params;
-        const paymentRequest = paymentRequests.get(paymentId);
+        const payment = await findPayment(req.params.paymentId);
 
-        if (!paymentRequest) {
-            return res.status(404).json({
-                error: 'Payment not found',
-                message: 'Invalid payment ID'
-            });
+        if (!payment) {
+            return paymentNotFound(res);
         }
 
-        // Check if payment has expired
-        if (new Date() > new Date(paymentRequest.expiresAt)) {
-            paymentRequest.status = 'expired';
-            paymentRequests.set(paymentId, paymentRequest);
-        }
+        const status = await checkoutService.describePayment(payment);
+        const stage = { on_hold: 'flagged', cancelled: 'failed' }[status.status] || status.status;
 
-        // In a real implementation, you would check the Solana blockchain
-        // for the actual transaction status here
-        // For now, we'll return the stored status
-
-        res.json({
-            paymentId,
-            status: paymentRequest.status,
-            amount: paymentRequest.amount,
-            currency: 'SOL',
-            createdAt: paymentRequest.createdAt,
-            expiresAt: paymentRequest.expiresAt
+        checkoutService.paymentEvents.stream(req, res, payment.reference_key, {
+            initial: {
+                status: stage,
+                data: {
+                    paymentId: payment.payment_id,
+                    signature: payment.transaction_signature || null,
+                    expiresAt: status.expires_at
+                }
+            },
+            // Look for the transfer on-chain without the buyer posting a signature
+            refresh: ['pending', 'partially_paid', 'confirmed', 'finalized'].includes(stage)
+                ? () => checkoutService.verifyPayment(payment.reference_key)
+                : null
         });
-
     } catch (error) {
-        console.error('Error checking payment status:', error);
+        console.error('Error streaming payment events:', error);
         res.status(500).json({
-            error: 'Status check failed',
+            error: 'Payment events failed',
             message: error.message
         });
     }
 });
 
 /**
- * Verify payment (webhook endpoint for Solana Pay)
- * POST /api/payment/verify-payment
+ * Check payment status (legacy endpoint)
+ * GET /api/payment/status/:paymentId
  */
-router.post('/verify-payment', validators.payment.verifyPayment, async (req, res) => {
+router.get('/status/:paymentId', async (req, res) => {
     try {
-        const { paymentId, signature } = req.body;
+        const { paymentId } = req.params;
+        const payment = await findPayment(paymentId);
 
-        if (!paymentId) {
-            return res.status(400).json({
-                error: 'Missing payment ID',
-                message: 'Payment ID is required'
-            });
+        if (!payment) {
+            return paymentNotFound(res);
         }
 
-        const paymentRequest = paymentRequests.get(paymentId);
-
-        if (!paymentRequest) {
-            return res.status(404).json({
-                error: 'Payment not found',
-                message: 'Invalid payment ID'
-            });
-        }
-
-        if (!signature) {
-            return res.status(400).json({
-                error: 'Missing signature',
-                message: 'Transaction signature is required'
-            });
-        }
+        // Checks the chain, settling a transfer on the payment's reference
+        const status = await checkoutService.verifyPayment(payment.reference_key);
 
-        // Verify the transaction on Solana blockchain
-        try {
-            const paymentToken = paymentRequest.paymentToken || 'SOL';
-            const expectedAmount = paymentRequest.tokenAmount;
-            const recipient = paymentRequest.recipient;
-
-            console.log(`🔍 Verifying ${paymentToken} payment:`, {
-                paymentId,
-                signature,
-                expectedAmount,
-                recipient
-            });
-
-            // Use SPL token service for validation
-            const validationResult = await splTokenService.validateTokenTransaction(
-                signature,
-                expectedAmount,
-                paymentToken,
-                recipient
-            );
-
-            if (validationResult.valid) {
-                // Payment verified successfully
-                paymentRequest.status = 'completed';
-                paymentRequest.signature = signature;
-                paymentRequest.completedAt = new Date().toISOString();
-                paymentRequest.validationResult = validationResult;
-                
-                console.log(`✅ ${paymentToken} payment verified successfully`);
-                
-                // Create Printify order if payment is verified
-                try {
-                    console.log('🛍️  Creating Printify order for completed payment...');
-                    
-                    // Get associated order data (you'll need to link this with your order system)
-                    const orderData = {
-                        id: paymentId,
-                        orderNumber: `SOL-${paymentId.slice(0, 8).toUpperCase()}`,
-                        items: paymentRequest.items || [],
-                        customerInfo: {
-                            email: 'customer@example.com', // You'll need to collect this from frontend
-                            name: 'Crypto Customer'
-                        },
-                        shippingAddress: {
-                            firstName: 'Crypto',
-                            lastName: 'Customer',
-                            country: 'US',
-                            address1: '123 Blockchain Ave',
-                            city: 'Crypto City',
-                            state: 'CA',
-                            zip: '90210'
-                        }
-                    };
-                    
-                    // Commented out for now to avoid API calls during testing
-                    // const printifyOrder = await printifyApi.createOrder(orderData);
-                    // paymentRequest.printifyOrderId = printifyOrder.id;
-                    
-                    console.log('✅ Order processing initiated for payment:', paymentId);
-                    
-                } catch (printifyError) {
-                    console.error('❌ Failed to create Printify order:', printifyError.message);
-                    // Don't fail the payment verification, just log the error
-                    paymentRequest.printifyError = printifyError.message;
-                }
-                
-                paymentRequests.set(paymentId, paymentRequest);
-
-                res.json({
-                    paymentId,
-                    status: 'completed',
-                    signature,
-                    message: 'Payment verified successfully',
-                    printifyOrderId: paymentRequest.printifyOrderId || null
-                });
-            } else {
-                res.status(400).json({
-                    error: 'Transaction failed',
-                    message: 'Transaction was not successful'
-                });
-            }
-        } catch (verifyError) {
-            console.error('Error verifying transaction:', verifyError);
-            res.status(400).json({
-                error: 'Verification failed',
-                message: 'Could not verify transaction on blockchain'
-            });
-        }
+        res.json({
+            paymentId,
+            status: legacyStatus(status.status),
+            signature: status.transaction_signature || null,
+            amount: Number(payment.amount),
+            currency: payment.currency,
+            expiresAt: status.expires_at
+        });
 
     } catch (error) {
-        console.error('Error verifying payment:', error);
+        console.error('Error checking payment status:', error);
         res.status(500).json({
-            error: 'Payment verification failed',
+            error: 'Status check failed',
             message: error.message
         });
     }
 });
 
+/**
+ * Verify payment (webhook endpoint for Solana Pay)
+ * POST /api/payment/verify-payment
+ */
+router.post('/verify-payment', validators.payment.verifyPayment, (req, res) => {
+    return verifyTransaction(req, res, req.body.paymentId, req.body.signature);
+});
+
 /**
  * Verify payment (webhook endpoint for Solana Pay) - Legacy endpoint
  * POST /api/payment/verify/:paymentId
  */
-router.post('/verify/:paymentId', async (req, res) => {
-    try {
-        const { paymentId } = req.params;
-        const { signature } = req.body;
-
-        const paymentRequest = paymentRequests.get(paymentId);
-
-        if (!paymentRequest) {
-            return res.status(404).json({
-                error: 'Payment not found',
-                message: 'Invalid payment ID'
-            });
-        }
-
-        if (!signature) {
-            return res.status(400).json({
-                error: 'Missing signature',
-                message: 'Transaction signature is required'
-            });
-        }
-
-        // Verify the transaction on Solana blockchain
-        try {
-            const transaction = await connection.getTransaction(signature, {
-                commitment: 'confirmed'
-            });
+router.post('/verify/:paymentId', (req, res) => {
+    return verifyTransaction(req, res, req.params.paymentId, req.body.signature);
+});
 
-            if (transaction && transaction.meta && !transaction.meta.err) {
-                // Payment verified successfully
-                paymentRequest.status = 'completed';
-                paymentRequest.signature = signature;
-                paymentRequest.completedAt = new Date().toISOString();
-                
-                // Create Printify order if payment is verified
-                try {
-                    console.log('🛍️  Creating Printify order for completed payment...');
-                    
-                    // Get associated order data (you'll need to link this with your order system)
-                    const orderData = {
-                        id: paymentId,
-                        orderNumber: `SOL-${paymentId.slice(0, 8).toUpperCase()}`,
-                        items: paymentRequest.items || [],
-                        customerInfo: {
-                            email: 'customer@example.com', // You'll need to collect this from frontend
-                            name: 'Crypto Customer'
-                        },
-                        shippingAddress: {
-                            firstName: 'Crypto',
-                            lastName: 'Customer',
-                            country: 'US',
-                            address1: '123 Blockchain Ave',
-                            city: 'Crypto City',
-                            state: 'CA',
-                            zip: '90210'
-                        }
-                    };
-                    
-                    const printifyOrder = await printifyApi.createOrder(orderData);
-                    paymentRequest.printifyOrderId = printifyOrder.id;
-                    
-                    console.log('✅ Printify order created:', printifyOrder.id);
-                    
-                } catch (printifyError) {
-                    console.error('❌ Failed to create Printify order:', printifyError.message);
-                    // Don't fail the payment verification, just log the error
-                    paymentRequest.printifyError = printifyError.message;
-                }
-                
-                paymentRequests.set(paymentId, paymentRequest);
-
-                res.json({
-                    paymentId,
-                    status: 'completed',
-                    signature,
-                    message: 'Payment verified successfully',
-                    printifyOrderId: paymentRequest.printifyOrderId || null
-                });
-            } else {
-                res.status(400).json({
-                    error: 'Transaction failed',
-                    message: 'Transaction was not successful'
-                });
-            }
-        } catch (verifyError) {
-            console.error('Error verifying transaction:', verifyError);
-            res.status(400).json({
-                error: 'Verification failed',
-                message: 'Could not verify transaction on blockchain'
-            });
-        }
+/**
+ * Get all payment requests (for admin/debugging)
+ * GET /api/payment/all
+ */
+router.get('/all', adminAuth, async (req, res) => {
+    try {
+        const rows = await Payment.findAll({
+            order: [['created_at', 'DESC']],
+            limit: 100
+        });
+        const payments = rows
+            .filter(payment => payment.metadata?.created_via === 'cart')
+            .map(payment => ({
+                id: payment.payment_id,
+                orderId: payment.order_id,
+                total: Number(payment.usd_amount),
+                currency: payment.currency,
+                amount: Number(payment.amount),
+                status: legacyStatus(payment.status),
+                createdAt: payment.created_at
+            }));
 
+        res.json({
+            payments,
+            count: payments.length
+        });
     } catch (error) {
-        console.error('Error verifying payment:', error);
+        console.error('Error listing payments:', error);
         res.status(500).json({
-            error: 'Payment verification failed',
+            error: 'Payment listing failed',
             message: error.message
         });
     }
 });
 
 /**
- * Get all payment requests (for admin/debugging)
- * GET /api/payment/all
- */
-router.get('/all', (req, res) => {
-    const payments = Array.from(paymentRequests.values()).map(payment => ({
-        id: payment.id,
-        total: payment.total,
-        currency: payment.currency,
-        amount: payment.amount,
-        status: payment.status,
-        createdAt: payment.createdAt,
-        expiresAt: payment.expiresAt
-    }));
-
-    res.json({
-        payments,
-        count: payments.length
-    });
-});
-
-/**
- * Cancel a payment request
+ * Cancel a payment request of the session's cart (X-Session-Id)
  * POST /api/payment/cancel/:paymentId
  */
-router.post('/cancel/:paymentId', (req, res) => {
+router.post('/cancel/:paymentId', async (req, res) => {
     try {
         const { paymentId } = req.params;
-        const paymentRequest = paymentRequests.get(paymentId);
-
-        if (!paymentRequest) {
-            return res.status(404).json({
-                error: 'Payment not found',
-                message: 'Invalid payment ID'
-            });
-        }
-
-        if (paymentRequest.status === 'completed') {
-            return res.status(400).json({
-                error: 'Cannot cancel',
-                message: 'Payment has already been completed'
-            });
-        }
-
-        paymentRequest.status = 'cancelled';
-        paymentRequest.cancelledAt = new Date().toISOString();
-        paymentRequests.set(paymentId, paymentRequest);
+        await checkoutService.cancelCartPayment(paymentId, req.get('X-Session-Id'));
 
         res.json({
             paymentId,
@@ -653,7 +434,7 @@ router.post('/cancel/:paymentId', (req, res) => {
 
     } catch (error) {
         console.error('Error cancelling payment:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: 'Payment cancellation failed',
             message: error.message
         });
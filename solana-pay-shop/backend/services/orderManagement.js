@@ -1,17 +1,35 @@
 /**
  * Order Management Service for Solana Pay Shop
  * Handles order creation, tracking, and history management
+ *
+ * Orders, their line items and status history live in the shared SSPAY
+ * database (src/models), so they survive restarts and are the same orders
+ * the rest of the server fulfils. Items must name a catalog product, by id
+ * or Printify product id. Status changes go through the order state machine,
+ * whose `order_events` are the status history. Lines are priced from the
+ * catalog, shipping from the server-side shipping quote and tax from the
+ * shipping address; prices and totals are never taken from the client.
  */
 
-const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const {
+    sequelize,
+    Customer,
+    Order,
+    OrderEvent,
+    OrderItem,
+    Product
+} = require('../../../src/models');
+const { getOrderStateMachine } = require('../../../src/services/orderStateMachine');
+const { getTaxService } = require('../../../src/services/taxService');
+const { getShippingQuoteService } = require('../../../src/services/shippingQuotes');
 
 class OrderManagementService {
-    constructor() {
-        // In-memory storage (use database in production)
-        this.orders = new Map();
-        this.ordersByCustomer = new Map();
-        this.ordersByStatus = new Map();
-        
+    constructor(options = {}) {
+        this.stateMachine = options.stateMachine || getOrderStateMachine();
+        this.taxService = options.taxService || getTaxService();
+        this.shippingQuotes = options.shippingQuotes || getShippingQuoteService();
+
         // Order statuses
         this.ORDER_STATUS = {
             PENDING: 'pending',
@@ -24,10 +42,13 @@ class OrderManagementService {
             REFUNDED: 'refunded'
         };
 
-        // Initialize status tracking
-        Object.values(this.ORDER_STATUS).forEach(status => {
-            this.ordersByStatus.set(status, new Set());
-        });
+        // Statuses whose orders count towards revenue
+        this.PAID_STATUSES = [
+            this.ORDER_STATUS.PAID,
+            this.ORDER_STATUS.PROCESSING,
+            this.ORDER_STATUS.SHIPPED,
+            this.ORDER_STATUS.DELIVERED
+        ];
     }
 
     /**
@@ -35,51 +56,102 @@ class OrderManagementService {
      */
     async createOrder(orderData) {
         try {
-            const orderId = uuidv4();
-            const orderNumber = this.generateOrderNumber();
-            
-            const order = {
-                id: orderId,
-                orderNumber,
-                customerId: orderData.customerId || 'anonymous',
-                customerInfo: {
-                    email: orderData.customerEmail || '',
-                    name: orderData.customerName || '',
-                    phone: orderData.customerPhone || '',
-                    shippingAddress: orderData.shippingAddress || {}
-                },
-                items: orderData.items || [],
-                subtotal: orderData.subtotal || 0,
-                tax: orderData.tax || 0,
-                shipping: orderData.shipping || 0,
-                total: orderData.total || 0,
-                currency: orderData.currency || 'USD',
-                paymentToken: orderData.paymentToken || 'SOL',
-                paymentId: orderData.paymentId || null,
-                status: this.ORDER_STATUS.PENDING,
-                statusHistory: [{
+            const customerInfo = orderData.customerInfo || {};
+            const email = orderData.customerEmail || customerInfo.email;
+            const name = orderData.customerName || customerInfo.name || '';
+            const phone = orderData.customerPhone || customerInfo.phone || '';
+            const shippingAddress = orderData.shippingAddress || customerInfo.shippingAddress || {};
+
+            if (!email) {
+                throw new Error('Customer email is required');
+            }
+
+            const items = await this.resolveItems(orderData.items || []);
+            const lines = items.map(({ quantity, product }) => ({
+                amount: (Number(product.base_price) * quantity).toFixed(2),
+                category: product.tax_category
+            }));
+            // Throws for an address or method the quote does not cover
+            const shipping = await this.shippingQuotes.selectOption(
+                items.map(({ item, quantity, product }) => ({
+                    product_id: product.id,
+                    variant_id: item.variantId || null,
+                    quantity
+                })),
+                shippingAddress,
+                orderData.shippingMethod || undefined
+            );
+            const tax = await this.taxService.calculate(lines, shippingAddress);
+            const subtotal = lines.reduce((sum, line) => sum + Number(line.amount), 0);
+            const total = Number((subtotal + shipping.cost + Number(tax.added_amount)).toFixed(2));
+
+            // Order, items, customer and first history entry are stored together or not at all
+            const order = await sequelize.transaction(async transaction => {
+                const [firstName, ...lastName] = name.trim().split(/\s+/);
+
+                await Customer.findOrCreate({
+                    where: { email },
+                    defaults: {
+                        first_name: firstName || 'Guest',
+                        last_name: lastName.join(' ') || 'Customer',
+                        phone: phone || null,
+                        shipping_address: shippingAddress
+                    },
+                    transaction
+                });
+
+                const order = await Order.create({
+                    order_number: this.generateOrderNumber(),
+                    customer_email: email,
                     status: this.ORDER_STATUS.PENDING,
-                    timestamp: new Date().toISOString(),
-                    note: 'Order created'
-                }],
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString(),
-                metadata: orderData.metadata || {}
-            };
-
-            // Store order
-            this.orders.set(orderId, order);
-            
-            // Index by customer
-            const customerOrders = this.ordersByCustomer.get(order.customerId) || new Set();
-            customerOrders.add(orderId);
-            this.ordersByCustomer.set(order.customerId, customerOrders);
-            
-            // Index by status
-            this.ordersByStatus.get(order.status).add(orderId);
-
-            console.log(`📦 Order created: ${orderNumber} (${orderId})`);
-            return order;
+                    payment_status: 'pending',
+                    payment_method: 'solana',
+                    subtotal: subtotal.toFixed(2),
+                    tax_amount: tax.tax_amount,
+                    shipping_cost: shipping.cost,
+                    total_amount: total,
+                    balance_due: total,
+                    shipping_address: shippingAddress,
+                    billing_address: shippingAddress,
+                    metadata: {
+                        ...orderData.metadata,
+                        source: 'solana_pay_shop',
+                        customer_id: orderData.customerId || null,
+                        customer_name: name,
+                        customer_phone: phone,
+                        currency: orderData.currency || 'USD',
+                        payment_token: orderData.paymentToken || 'SOL',
+                        payment_id: orderData.paymentId || null,
+                        shipping,
+                        tax: { provider: tax.provider, jurisdiction: tax.jurisdiction, inclusive: tax.inclusive }
+                    }
+                }, { transaction });
+
+                await OrderItem.bulkCreate(items.map(({ item, quantity, product }, index) => ({
+                    order_id: order.id,
+                    product_id: product.id,
+                    printify_product_id: product.printify_product_id,
+                    variant_id: item.variantId ? String(item.variantId) : null,
+                    quantity,
+                    unit_price: product.base_price,
+                    total_price: lines[index].amount,
+                    tax_rate: tax.lines[index].tax_rate,
+                    tax_amount: tax.lines[index].tax_amount,
+                    product_title: item.name || product.title
+                })), { transaction });
+
+                await OrderEvent.create({
+                    order_id: order.id,
+                    to_status: order.status,
+                    actor: 'shop',
+                    reason: 'Order created'
+                }, { transaction });
+
+                return order;
+            });
+
+            console.log(`📦 Order created: ${order.order_number} (${order.id})`);
+            return this.getOrder(order.id);
         } catch (error) {
             console.error('Error creating order:', error);
             throw error;
@@ -87,50 +159,71 @@ class OrderManagementService {
     }
 
     /**
-     * Update order status
+     * Catalog product and quantity of each order item; throws on items we do
+     * not sell or quantities that are not whole
      */
-    async updateOrderStatus(orderId, newStatus, note = '') {
-        try {
-            const order = this.orders.get(orderId);
-            if (!order) {
-                throw new Error('Order not found');
-            }
+    async resolveItems(items) {
+        const resolved = [];
+
+        for (const item of items) {
+            const product = await Product.findOne({
+                where: {
+                    [Op.or]: [
+                        { id: item.id },
+                        { printify_product_id: String(item.id) }
+                    ]
+                }
+            });
 
-            if (!Object.values(this.ORDER_STATUS).includes(newStatus)) {
-                throw new Error('Invalid order status');
+            if (!product) {
+                throw new Error(`Product not found: ${item.id}`);
             }
 
-            // Remove from old status index
-            this.ordersByStatus.get(order.status).delete(orderId);
-            
-            // Update order
-            const oldStatus = order.status;
-            order.status = newStatus;
-            order.updatedAt = new Date().toISOString();
-            
-            // Add status history entry
-            order.statusHistory.push({
-                status: newStatus,
-                timestamp: new Date().toISOString(),
-                note: note || `Status changed from ${oldStatus} to ${newStatus}`
-            });
+            const quantity = Number(item.quantity);
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw new Error(`Quantity must be a positive whole number: ${item.id}`);
+            }
+            resolved.push({ item, quantity, product });
+        }
 
-            // Add to new status index
-            this.ordersByStatus.get(newStatus).add(orderId);
+        return resolved;
+    }
 
-            console.log(`📋 Order ${order.orderNumber} status updated: ${oldStatus} → ${newStatus}`);
-            return order;
+    /**
+     * Update order status
+     */
+    async updateOrderStatus(orderId, newStatus, note = '', actor = 'shop') {
+        try {
+            return await this.changeStatus(orderId, newStatus, note, () => ({}), actor);
         } catch (error) {
             console.error('Error updating order status:', error);
             throw error;
         }
     }
 
+    /**
+     * Move an order to `newStatus` through the state machine, applying
+     * `changes(order)` to it in the same transaction as the status and its event
+     */
+    async changeStatus(orderId, newStatus, note = '', changes = () => ({}), actor = 'shop') {
+        if (!Object.values(this.ORDER_STATUS).includes(newStatus)) {
+            throw new Error('Invalid order status');
+        }
+
+        const order = await this.stateMachine.transition(orderId, newStatus, {
+            actor,
+            reason: note || null,
+            changes
+        });
+
+        return this.getOrder(order.id);
+    }
+
     /**
      * Get order by ID
      */
     async getOrder(orderId) {
-        const order = this.orders.get(orderId);
+        const [order] = await this.loadOrders({ id: orderId });
         if (!order) {
             throw new Error('Order not found');
         }
@@ -141,105 +234,62 @@ class OrderManagementService {
      * Get order by order number
      */
     async getOrderByNumber(orderNumber) {
-        for (const order of this.orders.values()) {
-            if (order.orderNumber === orderNumber) {
-                return order;
-            }
+        const [order] = await this.loadOrders({ order_number: orderNumber });
+        if (!order) {
+            throw new Error('Order not found');
         }
-        throw new Error('Order not found');
+        return order;
     }
 
     /**
-     * Get orders by customer
+     * Get orders by customer, who is known by email or the customerId the
+     * order was created with
      */
     async getCustomerOrders(customerId, options = {}) {
-        const { limit = 50, offset = 0, status = null } = options;
-        const customerOrderIds = this.ordersByCustomer.get(customerId) || new Set();
-        
-        let orders = Array.from(customerOrderIds)
-            .map(id => this.orders.get(id))
-            .filter(order => order && (status ? order.status === status : true))
-            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-        // Apply pagination
-        const total = orders.length;
-        orders = orders.slice(offset, offset + limit);
-
-        return {
-            orders,
-            pagination: {
-                total,
-                limit,
-                offset,
-                hasMore: offset + limit < total
-            }
+        const { status = null } = options;
+        const where = {
+            [Op.or]: [
+                { customer_email: customerId },
+                { metadata: { customer_id: customerId } }
+            ]
         };
+        if (status) {
+            where.status = status;
+        }
+
+        return this.paginate(where, options);
     }
 
     /**
      * Get orders by status
      */
     async getOrdersByStatus(status, options = {}) {
-        const { limit = 50, offset = 0 } = options;
-        
         if (!Object.values(this.ORDER_STATUS).includes(status)) {
             throw new Error('Invalid order status');
         }
 
-        const orderIds = this.ordersByStatus.get(status) || new Set();
-        let orders = Array.from(orderIds)
-            .map(id => this.orders.get(id))
-            .filter(order => order)
-            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-        // Apply pagination
-        const total = orders.length;
-        orders = orders.slice(offset, offset + limit);
-
-        return {
-            orders,
-            pagination: {
-                total,
-                limit,
-                offset,
-                hasMore: offset + limit < total
-            }
-        };
+        return this.paginate({ status }, options);
     }
 
     /**
-     * Search orders
+     * Search orders by order number, customer email or name, or item name
      */
     async searchOrders(query, options = {}) {
-        const { limit = 50, offset = 0 } = options;
-        const searchTerm = query.toLowerCase();
-
-        let orders = Array.from(this.orders.values())
-            .filter(order => {
-                return (
-                    order.orderNumber.toLowerCase().includes(searchTerm) ||
-                    order.customerInfo.email.toLowerCase().includes(searchTerm) ||
-                    order.customerInfo.name.toLowerCase().includes(searchTerm) ||
-                    order.items.some(item => 
-                        item.name.toLowerCase().includes(searchTerm)
-                    )
-                );
-            })
-            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-        // Apply pagination
-        const total = orders.length;
-        orders = orders.slice(offset, offset + limit);
+        const term = `%${query.trim()}%`;
+        const matchingItems = await OrderItem.findAll({
+            attributes: ['order_id'],
+            where: { product_title: { [Op.like]: term } },
+            raw: true
+        });
 
-        return {
-            orders,
-            pagination: {
-                total,
-                limit,
-                offset,
-                hasMore: offset + limit < total
-            }
-        };
+        return this.paginate({
+            [Op.or]: [
+                { order_number: { [Op.like]: term } },
+                { customer_email: { [Op.like]: term } },
+                { id: matchingItems.map(item => item.order_id) },
+                { metadata: { customer_name: { [Op.like]: term } } }
+            ]
+        }, options);
     }
 
     /**
@@ -247,21 +297,10 @@ class OrderManagementService {
      */
     async linkPaymentToOrder(orderId, paymentId, signature = null) {
         try {
-            const order = this.orders.get(orderId);
-            if (!order) {
-                throw new Error('Order not found');
-            }
-
-            order.paymentId = paymentId;
-            if (signature) {
-                order.paymentSignature = signature;
-            }
-            order.updatedAt = new Date().toISOString();
-
-            // Update status to payment pending
-            await this.updateOrderStatus(orderId, this.ORDER_STATUS.PAYMENT_PENDING, 'Payment initiated');
-
-            return order;
+            return await this.changeStatus(orderId, this.ORDER_STATUS.PAYMENT_PENDING, 'Payment initiated', order => ({
+                ...(signature && { transaction_signature: signature }),
+                metadata: { ...order.metadata, payment_id: paymentId }
+            }));
         } catch (error) {
             console.error('Error linking payment to order:', error);
             throw error;
@@ -273,16 +312,16 @@ class OrderManagementService {
      */
     async markOrderAsPaid(orderId, paymentSignature) {
         try {
-            const order = await this.updateOrderStatus(
-                orderId, 
-                this.ORDER_STATUS.PAID, 
-                `Payment confirmed with signature: ${paymentSignature}`
+            return await this.changeStatus(
+                orderId,
+                this.ORDER_STATUS.PAID,
+                `Payment confirmed with signature: ${paymentSignature}`,
+                order => ({
+                    payment_status: 'completed',
+                    transaction_signature: paymentSignature,
+                    metadata: { ...order.metadata, paid_at: new Date().toISOString() }
+                })
             );
-            
-            order.paymentSignature = paymentSignature;
-            order.paidAt = new Date().toISOString();
-            
-            return order;
         } catch (error) {
             console.error('Error marking order as paid:', error);
             throw error;
@@ -299,35 +338,29 @@ class OrderManagementService {
     }
 
     /**
-     * Get order statistics
+     * Get order statistics over the last `timeframe` days ('30d'), or 'all'
      */
     async getOrderStatistics(timeframe = '30d') {
-        const now = new Date();
-        const timeframeDays = parseInt(timeframe.replace('d', ''));
-        const startDate = new Date(now.getTime() - (timeframeDays * 24 * 60 * 60 * 1000));
+        const where = {};
+        if (timeframe !== 'all') {
+            const timeframeDays = parseInt(timeframe.replace('d', ''));
+            where.created_at = { [Op.gte]: new Date(Date.now() - (timeframeDays * 24 * 60 * 60 * 1000)) };
+        }
 
-        const orders = Array.from(this.orders.values())
-            .filter(order => new Date(order.createdAt) >= startDate);
+        const orders = await this.loadOrders(where);
+        const paidOrders = orders.filter(order => this.PAID_STATUSES.includes(order.status));
 
         const stats = {
             totalOrders: orders.length,
-            totalRevenue: orders
-                .filter(order => order.status === this.ORDER_STATUS.PAID || order.status === this.ORDER_STATUS.PROCESSING || order.status === this.ORDER_STATUS.SHIPPED || order.status === this.ORDER_STATUS.DELIVERED)
-                .reduce((sum, order) => sum + order.total, 0),
+            totalRevenue: paidOrders.reduce((sum, order) => sum + order.total, 0),
             averageOrderValue: 0,
             statusBreakdown: {},
             paymentTokenBreakdown: {},
             topProducts: {},
-            recentOrders: orders
-                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-                .slice(0, 10)
+            recentOrders: orders.slice(0, 10)
         };
 
         // Calculate average order value
-        const paidOrders = orders.filter(order => 
-            [this.ORDER_STATUS.PAID, this.ORDER_STATUS.PROCESSING, this.ORDER_STATUS.SHIPPED, this.ORDER_STATUS.DELIVERED]
-            .includes(order.status)
-        );
         stats.averageOrderValue = paidOrders.length > 0 ? stats.totalRevenue / paidOrders.length : 0;
 
         // Status breakdown
@@ -390,26 +423,38 @@ class OrderManagementService {
      * Get all orders (admin function)
      */
     async getAllOrders(options = {}) {
-        const { limit = 100, offset = 0, status = null, sortBy = 'createdAt', sortOrder = 'desc' } = options;
-        
-        let orders = Array.from(this.orders.values())
-            .filter(order => status ? order.status === status : true);
-
-        // Sort orders
-        orders.sort((a, b) => {
-            const aValue = a[sortBy];
-            const bValue = b[sortBy];
-            
-            if (sortOrder === 'desc') {
-                return aValue > bValue ? -1 : aValue < bValue ? 1 : 0;
-            } else {
-                return aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
-            }
+        const { status = null, sortBy = 'createdAt', sortOrder = 'desc' } = options;
+        const columns = {
+            createdAt: 'created_at',
+            updatedAt: 'updated_at',
+            orderNumber: 'order_number',
+            status: 'status',
+            total: 'total_amount'
+        };
+
+        return this.paginate(status ? { status } : {}, {
+            ...options,
+            limit: options.limit || 100,
+            order: [[columns[sortBy] || 'created_at', sortOrder === 'asc' ? 'ASC' : 'DESC']]
         });
+    }
 
-        // Apply pagination
-        const total = orders.length;
-        orders = orders.slice(offset, offset + limit);
+    /**
+     * One page of the orders matching `where`, newest first unless `order` says otherwise
+     */
+    async paginate(where, options = {}) {
+        const limit = parseInt(options.limit) || 50;
+        const offset = parseInt(options.offset) || 0;
+        const order = options.order || [['created_at', 'DESC']];
+
+        const { rows, count: total } = await Order.findAndCountAll({
+            attributes: ['id'],
+            where,
+            order,
+            limit,
+            offset
+        });
+        const orders = await this.loadOrders({ id: rows.map(row => row.id) }, order);
 
         return {
             orders,
@@ -421,6 +466,69 @@ class OrderManagementService {
             }
         };
     }
+
+    /**
+     * Orders matching `where` with their items and status history, in the
+     * shape the shop's routes and emails use
+     */
+    async loadOrders(where, order = [['created_at', 'DESC']]) {
+        const orders = await Order.findAll({
+            where,
+            include: [
+                { model: OrderItem, as: 'items' },
+                { model: OrderEvent, as: 'events' }
+            ],
+            order: [
+                ...order,
+                [{ model: OrderEvent, as: 'events' }, 'id', 'ASC']
+            ]
+        });
+
+        return orders.map(order => this.toShopOrder(order));
+    }
+
+    toShopOrder(order) {
+        const metadata = order.metadata || {};
+
+        return {
+            id: order.id,
+            orderNumber: order.order_number,
+            customerId: metadata.customer_id || order.customer_email,
+            customerInfo: {
+                email: order.customer_email,
+                name: metadata.customer_name || '',
+                phone: metadata.customer_phone || '',
+                shippingAddress: order.shipping_address || {}
+            },
+            items: (order.items || []).map(item => ({
+                id: item.product_id,
+                name: item.product_title,
+                price: Number(item.unit_price),
+                quantity: item.quantity,
+                tax: Number(item.tax_amount),
+                ...(item.variant_id && { variantId: item.variant_id })
+            })),
+            subtotal: Number(order.subtotal),
+            tax: Number(order.tax_amount),
+            taxInclusive: Boolean(metadata.tax?.inclusive),
+            shipping: Number(order.shipping_cost),
+            total: Number(order.total_amount),
+            currency: metadata.currency || 'USD',
+            paymentToken: metadata.payment_token || 'SOL',
+            paymentId: metadata.payment_id || null,
+            paymentSignature: order.transaction_signature || null,
+            paidAt: metadata.paid_at || null,
+            status: order.status,
+            statusHistory: (order.events || []).map(event => ({
+                status: event.to_status,
+                timestamp: event.createdAt.toISOString(),
+                note: event.reason || `Status changed from ${event.from_status} to ${event.to_status}`
+            })),
+            createdAt: order.createdAt.toISOString(),
+            updatedAt: order.updatedAt.toISOString(),
+            metadata
+        };
+    }
 }
 
 module.exports = OrderManagementService;
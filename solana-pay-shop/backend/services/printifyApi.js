@@ -2,7 +2,7 @@ const axios = require('axios');
 
 class PrintifyApiService {
     constructor() {
-        this.baseURL = 'https://api.printify.com/v1';
+        this.baseURL = process.env.PRINTIFY_API_URL || 'https://api.printify.com/v1';
         this.token = process.env.PRINTIFY_TOKEN;
         this.shopId = process.env.PRINTIFY_SHOP_ID;
         
@@ -0,0 +1,208 @@
+/**
+ * SPL Token Service for Solana Pay Shop
+ * Handles the payment token registry, USD conversion and token transfer validation
+ */
+
+const { Connection, PublicKey, clusterApiUrl } = require('@solana/web3.js');
+const { encodeURL, findReference, FindReferenceError, validateTransfer } = require('@solana/pay');
+const BigNumber = require('bignumber.js');
+const { getPriceOracle } = require('../../../src/services/priceOracle');
+const { MintRegistry, getMintRegistry } = require('../../../src/services/mintRegistry');
+
+class SPLTokenService {
+    constructor(options = {}) {
+        // Shared registry: mints follow the cluster and the store's enabled tokens
+        this.registry = options.registry || (options.network ? new MintRegistry({ network: options.network }) : getMintRegistry());
+        this.network = this.registry.network;
+        this.connection = options.connection || new Connection(
+            process.env.SOLANA_RPC_URL || (this.network === 'localnet' ? 'http://127.0.0.1:8899' : clusterApiUrl(this.network)),
+            'confirmed'
+        );
+        this.priceOracle = options.priceOracle || getPriceOracle();
+        this.label = process.env.STORE_NAME || 'Solana Pay Shop';
+    }
+
+    /**
+     * Check whether a token is enabled on the current network
+     */
+    isTokenEnabled(symbol) {
+        return this.registry.isEnabled(symbol);
+    }
+
+    /**
+     * Get a token's registry entry for the current network
+     * Throws if the store does not accept it
+     */
+    getToken(symbol, options = {}) {
+        const token = this.registry.get(symbol, this.network, options);
+        if (!token) {
+            const error = new Error(`Payment token ${symbol} is not enabled on ${this.network}`);
+            error.status = 400;
+            throw error;
+        }
+
+        return {
+            symbol: token.symbol,
+            name: token.name,
+            decimals: token.decimals,
+            icon: token.icon,
+            isNative: token.native,
+            mint: token.mint
+        };
+    }
+
+    /**
+     * Get all tokens the store accepts on the current network
+     */
+    getSupportedTokens() {
+        return this.registry.list().map(token => this.getToken(token.symbol));
+    }
+
+    /**
+     * Get current USD prices for the supported tokens
+     * Tokens without a fresh price are left out
+     */
+    async getCurrentPrices() {
+        const symbols = this.getSupportedTokens().map(token => token.symbol);
+        const quotes = await this.priceOracle.getPrices(symbols);
+        const prices = {};
+        const sources = {};
+        let lastUpdated = null;
+
+        Object.values(quotes).forEach(quote => {
+            prices[quote.symbol] = quote.price;
+            sources[quote.symbol] = quote.source;
+
+            if (!lastUpdated || quote.timestamp < lastUpdated) {
+                lastUpdated = quote.timestamp;
+            }
+        });
+
+        return {
+            ...prices,
+            sources,
+            lastUpdated: (lastUpdated || new Date()).toISOString()
+        };
+    }
+
+    /**
+     * Convert a USD amount to token base units (lamports for SOL)
+     * Rounds up so the store never receives less than the USD total
+     */
+    async calculateTokenAmount(usdAmount, tokenSymbol) {
+        const usd = new BigNumber(usdAmount);
+        if (!usd.isFinite() || usd.isLessThanOrEqualTo(0)) {
+            const error = new Error('usdAmount must be a positive number');
+            error.status = 400;
+            throw error;
+        }
+
+        const token = this.getToken(tokenSymbol);
+        const quote = await this.priceOracle.getPrice(token.symbol);
+
+        const amount = usd
+            .dividedBy(quote.price)
+            .shiftedBy(token.decimals)
+            .integerValue(BigNumber.ROUND_CEIL);
+
+        return {
+            amount: amount.toFixed(),
+            displayAmount: amount.shiftedBy(-token.decimals).toFixed(token.decimals),
+            decimals: token.decimals,
+            usdAmount: usd.toFixed(2),
+            price: quote.price,
+            priceSource: quote.source,
+            priceTimestamp: quote.timestamp.toISOString(),
+            token
+        };
+    }
+
+    /**
+     * Build a Solana Pay transfer URL
+     * `amount` is in base units, as returned by calculateTokenAmount
+     */
+    createTokenPaymentURL(recipient, amount, tokenSymbol, reference, message) {
+        const token = this.getToken(tokenSymbol);
+
+        const url = encodeURL({
+            recipient: new PublicKey(recipient),
+            amount: new BigNumber(amount).shiftedBy(-token.decimals),
+            splToken: token.isNative ? undefined : new PublicKey(token.mint),
+            reference: reference ? new PublicKey(reference) : undefined,
+            label: this.label,
+            message
+        });
+
+        return url.toString();
+    }
+
+    /**
+     * Validate that a transaction paid at least `expectedAmount` base units
+     * of the token to the recipient
+     */
+    async validateTokenTransaction(signature, expectedAmount, tokenSymbol, recipient, options = {}) {
+        try {
+            // Requests created before a token was disabled must still verify
+            const token = this.getToken(tokenSymbol, { includeDisabled: true });
+
+            const response = await validateTransfer(
+                this.connection,
+                signature,
+                {
+                    recipient: new PublicKey(recipient),
+                    amount: new BigNumber(expectedAmount).shiftedBy(-token.decimals),
+                    splToken: token.isNative ? undefined : new PublicKey(token.mint),
+                    reference: options.reference ? new PublicKey(options.reference) : undefined
+                },
+                { commitment: 'confirmed' }
+            );
+
+            return {
+                valid: true,
+                signature,
+                slot: response.slot,
+                blockTime: response.blockTime,
+                payer: response.transaction.message.accountKeys[0].toString(),
+                amount: new BigNumber(expectedAmount).toFixed(),
+                token: token.symbol
+            };
+        } catch (error) {
+            console.error(`❌ ${tokenSymbol} transfer validation failed:`, error.message);
+            return {
+                valid: false,
+                signature,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Look up the transfer for a Solana Pay reference and validate it.
+     * Resolves to `{ found: false }` while nothing has landed yet.
+     */
+    async findTokenPayment(reference, expectedAmount, tokenSymbol, recipient) {
+        let signatureInfo;
+        try {
+            signatureInfo = await findReference(this.connection, new PublicKey(reference), {
+                finality: 'confirmed'
+            });
+        } catch (error) {
+            if (error instanceof FindReferenceError) {
+                return { found: false };
+            }
+            throw error;
+        }
+
+        const result = await this.validateTokenTransaction(
+            signatureInfo.signature,
+            expectedAmount,
+            tokenSymbol,
+            recipient,
+            { reference }
+        );
+
+        return { found: true, ...result };
+    }
+}
+
+module.exports = SPLTokenService;
@@ -4,6 +4,7 @@ class ApiService {
         this.baseUrl = baseUrl;
         this.requestTimeout = 10000; // 10 seconds
         this.mockMode = false; // Will be set to true if server is unreachable
+        this.sessionId = null; // Carts belong to this session, sent as X-Session-Id
         this.mockData = {
             products: [
                 {
@@ -68,6 +69,7 @@ class ApiService {
         const config = {
             headers: {
                 'Content-Type': 'application/json',
+                ...(this.sessionId && { 'X-Session-Id': this.sessionId }),
                 ...options.headers
             },
             timeout: this.requestTimeout,
@@ -161,11 +163,45 @@ class ApiService {
         return this.request(`/products/search?q=${encodeURIComponent(query)}`);
     }
 
-    // Payment endpoints
-    async createPayment(items, total, currency = 'USD', paymentToken = 'SOL') {
+    // Cart endpoints - prices are looked up by the server
+    async createCart() {
+        return this.request('/cart', { method: 'POST' });
+    }
+
+    async getCart(cartId) {
+        return this.request(`/cart/${cartId}`);
+    }
+
+    async addCartItem(cartId, productId, quantity = 1, variantId = null) {
+        return this.request(`/cart/${cartId}/items`, {
+            method: 'POST',
+            body: JSON.stringify({ product_id: productId, variant_id: variantId, quantity })
+        });
+    }
+
+    async removeCartItem(cartId, itemId) {
+        return this.request(`/cart/${cartId}/items/${itemId}`, { method: 'DELETE' });
+    }
+
+    async applyCoupon(cartId, code) {
+        return this.request(`/cart/${cartId}/coupon`, {
+            method: 'PUT',
+            body: JSON.stringify({ code })
+        });
+    }
+
+    async setCartShipping(cartId, shippingAddress, shippingMethod = null) {
+        return this.request(`/cart/${cartId}/shipping`, {
+            method: 'PUT',
+            body: JSON.stringify({ shipping_address: shippingAddress, shipping_method: shippingMethod })
+        });
+    }
+
+    // Payment endpoints - the cart is checked out into an order for its server-side total
+    async createPayment(cartId, currency = 'USD', paymentToken = 'SOL', customerEmail = null) {
         return this.request('/payment/create-payment', {
             method: 'POST',
-            body: JSON.stringify({ items, total, currency, paymentToken })
+            body: JSON.stringify({ cartId, currency, paymentToken, customerEmail })
         });
     }
 
@@ -224,6 +260,11 @@ ApiService.prototype.handleMockRequest = function(endpoint, options = {}) {
                     success: true,
                     products: this.mockData.products
                 });
+            } else if (endpoint.startsWith('/cart')) {
+                resolve({
+                    success: true,
+                    data: { cart_id: 'mock_cart', items: [], total: 0 }
+                });
             } else if (endpoint.startsWith('/payment/create')) {
                 const requestBody = options.body ? JSON.parse(options.body) : {};
                 const paymentToken = requestBody.paymentToken || 'SOL';
@@ -550,6 +591,11 @@ ApiService.prototype.handleMockRequest = function(endpoint, options = {}) {
                     success: true,
                     products: this.mockData.products
                 });
+            } else if (endpoint.startsWith('/cart')) {
+                resolve({
+                    success: true,
+                    data: { cart_id: 'mock_cart', items: [], total: 0 }
+                });
             } else if (endpoint.startsWith('/payment/create')) {
                 const requestBody = options.body ? JSON.parse(options.body) : {};
                 const paymentToken = requestBody.paymentToken || 'SOL';
@@ -9,6 +9,13 @@
     // Widget configuration defaults
     const defaultConfig = {
         apiBaseUrl: 'http://localhost:3003/api/crypto',
+        cartBaseUrl: 'http://localhost:3003/api/cart',
+        // Carts are only reachable from the session that created them
+        sessionId: null,
+        cartId: null,
+        // Paying checks the cart out, so the order needs who it is for and where it ships
+        customerEmail: null,
+        shippingAddress: null,
         currency: 'SOL',
         onSuccess: (result) => console.log('Payment successful:', result),
         onError: (error) => console.error('Payment error:', error),
@@ -21,6 +28,7 @@
     class CryptoPaymentWidget {
         constructor(config = {}) {
             this.config = { ...defaultConfig, ...config };
+            this.config.sessionId = this.config.sessionId || `sess_${Date.now()}_${Math.random().toString(36).slice(2)}`;
             this.isLoading = false;
             this.paymentModal = null;
             this.qrCodeElement = null;
@@ -246,18 +254,23 @@
 
         async handlePaymentClick(button) {
             const productId = button.dataset.productId;
-            const amount = button.dataset.amount;
             const description = button.dataset.description || 'Crypto Payment';
+            let cartId = button.dataset.cartId || this.config.cartId;
 
-            if (!productId || !amount) {
-                this.config.onError(new Error('Missing product ID or amount'));
+            if (!cartId && !productId) {
+                this.config.onError(new Error('Missing cart or product ID'));
                 return;
             }
 
             try {
+                // The server prices the cart; a lone product is paid through a cart of its own
+                if (!cartId) {
+                    cartId = await this.createCart(productId);
+                }
+
                 await this.createPayment({
-                    productId,
-                    amount: parseFloat(amount),
+                    cartId,
+                    customerEmail: button.dataset.customerEmail || this.config.customerEmail,
                     description
                 });
             } catch (error) {
@@ -265,6 +278,32 @@
             }
         }
 
+        async cartRequest(path, body, method = 'POST') {
+            const response = await fetch(`${this.config.cartBaseUrl}${path}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Session-Id': this.config.sessionId
+                },
+                body: JSON.stringify(body || {})
+            });
+
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `Cart request failed: ${response.statusText}`);
+            }
+            return result.data;
+        }
+
+        async createCart(productId) {
+            const cart = await this.cartRequest('');
+            await this.cartRequest(`/${cart.cart_id}/items`, { product_id: productId, quantity: 1 });
+            if (this.config.shippingAddress) {
+                await this.cartRequest(`/${cart.cart_id}/shipping`, { shipping_address: this.config.shippingAddress }, 'PUT');
+            }
+            return cart.cart_id;
+        }
+
         async createPayment(paymentData) {
             if (this.isLoading) return;
             
@@ -277,19 +316,20 @@
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
+                        'X-Session-Id': this.config.sessionId
                     },
                     body: JSON.stringify(paymentData)
                 });
 
+                const result = await response.json();
                 if (!response.ok) {
-                    throw new Error(`Payment creation failed: ${response.statusText}`);
+                    throw new Error(result.error || `Payment creation failed: ${response.statusText}`);
                 }
 
-                const result = await response.json();
                 this.currentTransaction = result;
                 
                 this.displayPayment(result);
-                this.startPaymentMonitoring(result.reference);
+                this.startPaymentMonitoring((result.data && result.data.reference) || result.reference);
                 
             } catch (error) {
                 this.updateStatus('Payment creation failed', 'error');
@@ -308,11 +348,11 @@
             const currencyElement = this.paymentModal.querySelector('.crypto-payment-amount-currency');
             
             if (amountElement) {
-                amountElement.textContent = `${paymentData.amount} ${this.config.currency}`;
+                amountElement.textContent = `${paymentData.paymentAmount} ${paymentData.token || this.config.currency}`;
             }
             
             if (currencyElement) {
-                currencyElement.textContent = `≈ $${paymentData.usdAmount?.toFixed(2) || '0.00'} USD`;
+                currencyElement.textContent = `≈ $${paymentData.amount?.toFixed(2) || '0.00'} USD`;
             }
 
             // Generate QR code
@@ -350,22 +390,34 @@
             }
         }
 
-        async startPaymentMonitoring(reference) {
+        startPaymentMonitoring(reference) {
+            let done = false;
+
+            const succeed = (result) => {
+                done = true;
+                this.updateStatus('Payment successful!', 'success');
+                this.config.onSuccess(result);
+                setTimeout(() => this.hideModal(), 3000);
+            };
+
+            const fail = (message) => {
+                done = true;
+                this.updateStatus(message, 'error');
+                this.config.onError(new Error(message));
+                setTimeout(() => this.hideModal(), 3000);
+            };
+
             const checkPayment = async () => {
+                if (done) return;
                 try {
                     const response = await fetch(`${this.config.apiBaseUrl}/verify-payment/${reference}`);
-                    const result = await response.json();
+                    const body = await response.json();
+                    const result = body.data || body;
 
-                    if (result.status === 'completed') {
-                        this.updateStatus('Payment successful!', 'success');
-                        this.config.onSuccess(result);
-                        setTimeout(() => this.hideModal(), 3000);
-                        return;
-                    } else if (result.status === 'failed') {
-                        this.updateStatus('Payment failed', 'error');
-                        this.config.onError(new Error('Payment verification failed'));
-                        setTimeout(() => this.hideModal(), 3000);
-                        return;
+                    if (result.status === 'confirmed' || result.status === 'completed') {
+                        return succeed(result);
+                    } else if (result.status === 'failed' || result.status === 'expired') {
+                        return fail('Payment verification failed');
                     }
 
                     // Continue monitoring
@@ -376,7 +428,48 @@
                 }
             };
 
-            checkPayment();
+            if (!window.EventSource) {
+                return checkPayment();
+            }
+
+            // Prefer pushed updates; fall back to polling if the stream is unavailable
+            let received = false;
+            const source = new EventSource(`${this.config.apiBaseUrl}/payment-events/${reference}`);
+
+            source.onmessage = (message) => {
+                received = true;
+                const event = JSON.parse(message.data);
+
+                switch (event.status) {
+                    case 'detected':
+                        this.updateStatus('Payment detected, confirming...', 'pending');
+                        break;
+                    case 'confirmed':
+                    case 'finalized':
+                        this.updateStatus('Payment confirmed, creating your order...', 'pending');
+                        break;
+                    case 'order_created':
+                        source.close();
+                        succeed({ status: 'confirmed', reference, ...event.data });
+                        break;
+                    case 'flagged':
+                        source.close();
+                        fail('Payment amount did not match, please contact support');
+                        break;
+                    case 'failed':
+                    case 'expired':
+                        source.close();
+                        fail(event.status === 'expired' ? 'Payment expired' : 'Payment failed');
+                        break;
+                }
+            };
+
+            source.onerror = () => {
+                if (!received && !done) {
+                    source.close();
+                    checkPayment();
+                }
+            };
         }
 
         showModal() {
@@ -477,7 +570,6 @@
             const cryptoButton = document.createElement('button');
             cryptoButton.className = 'crypto-pay-btn crypto-payment-button';
             cryptoButton.dataset.productId = productData.id;
-            cryptoButton.dataset.amount = (productData.price / 200).toFixed(4); // Convert USD to approximate SOL
             cryptoButton.dataset.description = productData.title;
             cryptoButton.innerHTML = `
                 <i class="fab fa-solana"></i>
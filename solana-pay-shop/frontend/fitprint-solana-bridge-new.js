@@ -236,28 +236,15 @@ class FitPrintSolanaPayBridge {
         this.generateQRCode(orderData);
     }
 
-    async generateQRCode(orderData) {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/crypto/generate-qr`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    orderId: orderData.id,
-                    amount: orderData.amount,
-                    token: orderData.token
-                })
-            });
-
-            const qrData = await response.json();
-            this.displayQRCode(qrData);
-            this.startPaymentMonitoring(orderData.id);
-
-        } catch (error) {
-            console.error('❌ QR code generation failed:', error);
+    generateQRCode(orderData) {
+        // The payment request already carries its QR code
+        if (!orderData.qrCode) {
             this.updatePaymentStatus('❌ Failed to generate payment QR code');
+            return;
         }
+
+        this.displayQRCode(orderData);
+        this.startPaymentMonitoring(orderData.reference);
     }
 
     displayQRCode(qrData) {
@@ -272,18 +259,19 @@ class FitPrintSolanaPayBridge {
         }
     }
 
-    startPaymentMonitoring(orderId) {
-        console.log(`👀 Monitoring payment for order: ${orderId}`);
+    startPaymentMonitoring(reference) {
+        console.log(`👀 Monitoring payment: ${reference}`);
         
         const checkPayment = async () => {
             try {
-                const response = await fetch(`${this.apiBaseUrl}/crypto/check-payment/${orderId}`);
+                const response = await fetch(`${this.apiBaseUrl}/crypto/payment-status/${reference}`);
                 const result = await response.json();
+                const status = result.data && result.data.status;
                 
-                if (result.status === 'completed') {
-                    this.handlePaymentSuccess(result);
-                } else if (result.status === 'failed') {
-                    this.handlePaymentFailure(result);
+                if (['confirmed', 'finalized'].includes(status)) {
+                    this.handlePaymentSuccess(result.data);
+                } else if (['failed', 'cancelled', 'expired'].includes(status)) {
+                    this.handlePaymentFailure(result.data);
                 } else {
                     // Continue monitoring
                     setTimeout(checkPayment, 3000);
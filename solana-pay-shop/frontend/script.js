@@ -27,6 +27,7 @@ class SolanaPayShop {
     async init() {
         // Generate or get session ID for analytics
         this.sessionId = this.getOrCreateSessionId();
+        this.api.sessionId = this.sessionId;
         
         // Initialize store mode
         this.initializeStoreMode();
@@ -636,19 +637,12 @@ class SolanaPayShop {
             document.getElementById('qrLoading').style.display = 'flex';
             document.getElementById('qrCode').style.display = 'none';
 
-            // Create order first
-            const orderData = await this.createOrder();
-            if (!orderData.success) {
-                throw new Error('Failed to create order');
-            }
-
-            this.currentOrderId = orderData.order.id;
-
-            // Create payment request
+            // Checking the cart out creates the order the payment is for
             const paymentResponse = await this.createPaymentRequest();
             
             if (paymentResponse.success) {
                 this.currentPaymentRequest = paymentResponse;
+                this.currentOrderId = paymentResponse.orderId;
                 
                 // Generate QR code
                 await this.generateQRCode(paymentResponse.url);
@@ -674,32 +668,6 @@ class SolanaPayShop {
         }
     }
 
-    async createOrder() {
-        try {
-            const orderData = {
-                customerInfo: {
-                    email: this.getCustomerEmail(),
-                    name: this.getCustomerName() || 'Guest Customer'
-                },
-                items: this.cart.map(item => ({
-                    id: item.id,
-                    name: item.name,
-                    price: item.price,
-                    quantity: item.quantity
-                })),
-                paymentToken: this.getSelectedPaymentToken() || 'SOL',
-                sessionId: this.sessionId
-            };
-
-            const response = await this.api.createOrder(orderData);
-            console.log('Order created:', response);
-            return response;
-        } catch (error) {
-            console.error('Order creation failed:', error);
-            return { success: false, message: error.message };
-        }
-    }
-
     getCustomerEmail() {
         // Try to get from form, localStorage, or use default
         return localStorage.getItem('customer_email') || 
@@ -713,6 +681,11 @@ class SolanaPayShop {
                'Guest Customer';
     }
 
+    getShippingAddress() {
+        const stored = localStorage.getItem('shipping_address');
+        return stored ? JSON.parse(stored) : null;
+    }
+
     getSelectedPaymentToken() {
         const selectedToken = document.querySelector('input[name="paymentToken"]:checked');
         return selectedToken ? selectedToken.value : 'SOL';
@@ -722,15 +695,25 @@ class SolanaPayShop {
         try {
             this.loading.show('paymentLoader', 'Creating payment request...');
             
-            const cartItems = this.cart.map(item => ({
-                id: item.id,
-                name: item.name,
-                price: item.price,
-                quantity: item.quantity,
-                printifyId: item.printifyId || item.id // For Printify integration
-            }));
-
-            const paymentData = await this.api.createPayment(cartItems, this.total, 'USD');
+            // The server prices the cart from its catalog; only product ids and quantities are sent
+            const cart = await this.api.createCart();
+            const cartId = cart.data.cart_id;
+            for (const item of this.cart) {
+                await this.api.addCartItem(cartId, item.id, item.quantity, item.variantId || null);
+            }
+
+            const shippingAddress = this.getShippingAddress();
+            if (!shippingAddress) {
+                throw new Error('A shipping address is required to check out');
+            }
+            await this.api.setCartShipping(cartId, shippingAddress);
+
+            const paymentData = await this.api.createPayment(
+                cartId,
+                'USD',
+                this.getSelectedPaymentToken(),
+                this.getCustomerEmail()
+            );
             
             console.log('Payment request created:', paymentData);
             return { success: true, ...paymentData };
@@ -770,32 +753,78 @@ class SolanaPayShop {
         }
     }
 
-    // Monitor transaction status with polling
-    async monitorTransaction(paymentId) {
+    // Monitor transaction status, pushed over Server-Sent Events when available
+    monitorTransaction(paymentId) {
         this.showPaymentStep(2);
-        
-        const pollInterval = setInterval(async () => {
-            try {
-                const response = await fetch(`${this.apiBaseUrl}/payment/status/${paymentId}`);
-                const data = await response.json();
-                
-                if (data.status === 'completed') {
-                    clearInterval(pollInterval);
-                    this.handlePaymentSuccess(data);
-                } else if (data.status === 'expired' || data.status === 'failed') {
-                    clearInterval(pollInterval);
-                    this.handlePaymentFailure(data);
+        this.stopMonitoring();
+
+        const monitor = { done: false, source: null, pollInterval: null, timeout: null };
+        this.paymentMonitor = monitor;
+
+        const finish = (handler, data) => {
+            if (monitor.done) return;
+            this.stopMonitoring();
+            handler.call(this, data);
+        };
+
+        const startPolling = () => {
+            if (monitor.done || monitor.pollInterval) return;
+
+            monitor.pollInterval = setInterval(async () => {
+                try {
+                    const response = await fetch(`${this.api.baseUrl}/payment/status/${paymentId}`);
+                    const data = await response.json();
+
+                    if (data.status === 'completed') {
+                        finish(this.handlePaymentSuccess, data);
+                    } else if (data.status === 'expired' || data.status === 'failed' || data.status === 'cancelled') {
+                        finish(this.handlePaymentFailure, data);
+                    }
+                } catch (error) {
+                    console.error('Error monitoring transaction:', error);
                 }
-            } catch (error) {
-                console.error('Error monitoring transaction:', error);
-            }
-        }, 2000); // Poll every 2 seconds
-        
-        // Stop polling after 5 minutes
-        setTimeout(() => {
-            clearInterval(pollInterval);
-            this.handlePaymentTimeout();
-        }, 300000);
+            }, 2000); // Poll every 2 seconds
+        };
+
+        if (window.EventSource) {
+            let received = false;
+            monitor.source = new EventSource(`${this.api.baseUrl}/payment/events/${paymentId}`);
+
+            monitor.source.onmessage = (message) => {
+                received = true;
+                const event = JSON.parse(message.data);
+
+                if (event.status === 'confirmed' || event.status === 'finalized' || event.status === 'order_created') {
+                    finish(this.handlePaymentSuccess, { paymentId, signature: event.data.signature || event.data.transaction_signature });
+                } else if (['failed', 'expired', 'flagged'].includes(event.status)) {
+                    finish(this.handlePaymentFailure, { paymentId, status: event.status });
+                }
+            };
+
+            monitor.source.onerror = () => {
+                // Before the first event this means no stream support; fall back to polling
+                if (!received && !monitor.done) {
+                    monitor.source.close();
+                    startPolling();
+                }
+            };
+        } else {
+            startPolling();
+        }
+
+        // Give up after 5 minutes
+        monitor.timeout = setTimeout(() => finish(this.handlePaymentTimeout), 300000);
+    }
+
+    stopMonitoring() {
+        const monitor = this.paymentMonitor;
+        if (!monitor) return;
+
+        monitor.done = true;
+        if (monitor.source) monitor.source.close();
+        clearInterval(monitor.pollInterval);
+        clearTimeout(monitor.timeout);
+        this.paymentMonitor = null;
     }
 
     handlePaymentSuccess(paymentData) {
@@ -871,6 +900,7 @@ class SolanaPayShop {
         document.getElementById('paymentModal').classList.remove('active');
         document.body.style.overflow = '';
         this.currentPaymentRequest = null;
+        this.stopMonitoring();
     }
 
     openWalletModal() {
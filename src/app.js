@@ -0,0 +1,137 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const path = require('path');
+
+const config = require('./config');
+const errorHandler = require('./middleware/errorHandler');
+const logger = require('./middleware/logger');
+
+/**
+ * The SSPAY server: shared middleware, then every feature module's routes,
+ * then the legacy aliases and the shop and admin frontends.
+ *
+ * `modules` defaults to src/modules; tests can pass a subset.
+ */
+function createApp({ modules = require('./modules') } = {}) {
+    const app = express();
+
+    // Security middleware
+    app.use(helmet({
+        contentSecurityPolicy: {
+            directives: {
+                defaultSrc: ["'self'"],
+                styleSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
+                scriptSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
+                imgSrc: ["'self'", "data:", "https:", "blob:"],
+                connectSrc: ["'self'", "https://api.devnet.solana.com", "https://api.mainnet-beta.solana.com"]
+            }
+        }
+    }));
+
+    // Rate limiting
+    app.use(rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 100, // limit each IP to 100 requests per windowMs
+        message: 'Too many requests from this IP, please try again later.'
+    }));
+
+    // Middleware setup; the raw body is kept for webhook signature checks
+    app.use(cors(config.CORS));
+    app.use(express.json({
+        limit: '10mb',
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    app.use(logger);
+
+    // Health check endpoint
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            version: process.env.npm_package_version || '1.0.0',
+            environment: config.NODE_ENV,
+            modules: modules.map(module => module.name),
+            services: {
+                printify: !!config.PRINTIFY.API_KEY,
+                solana: config.SOLANA.NETWORK,
+                database: true
+            }
+        });
+    });
+
+    // API Health endpoint
+    app.get('/api/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            services: {
+                printify: !!config.PRINTIFY.API_KEY,
+                solana: config.SOLANA.NETWORK,
+                database: true
+            }
+        });
+    });
+
+    // API Routes, then the legacy aliases behind them
+    modules.forEach(module => {
+        module.routes.forEach(({ path: prefix, router }) => app.use(prefix, router));
+    });
+    modules.forEach(module => {
+        (module.aliases || []).forEach(({ path: prefix, router }) => app.use(prefix, router));
+    });
+
+    // Serve static files
+    app.use('/public', express.static(path.join(__dirname, '../public')));
+
+    // Serve frontend applications
+    const shopPage = path.join(__dirname, '../solana-pay-shop/frontend/index.html');
+    app.get(['/shop', '/crypto-shop'], (req, res) => {
+        res.sendFile(shopPage);
+    });
+    app.use('/crypto-shop-static', express.static(path.join(__dirname, '../solana-pay-shop/frontend')));
+
+    app.get('/admin', (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/admin/index.html'));
+    });
+
+    // Default route
+    app.get('/', (req, res) => {
+        res.json({
+            name: 'SSPAY API',
+            version: '1.0.0',
+            description: 'Cryptocurrency e-commerce platform with Printify integration',
+            endpoints: {
+                health: '/health',
+                shop: '/shop',
+                admin: '/admin',
+                api: Object.fromEntries(modules.map(module => [
+                    module.name,
+                    module.routes.map(route => route.path)
+                ])),
+                legacy: [...new Set(modules.flatMap(module => (module.aliases || []).map(alias => alias.path)))]
+            }
+        });
+    });
+
+    // Error handling middleware
+    app.use(errorHandler);
+
+    // 404 handler
+    app.use('*', (req, res) => {
+        res.status(404).json({
+            error: 'Route not found',
+            message: `Cannot ${req.method} ${req.originalUrl}`,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
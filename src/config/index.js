@@ -1,15 +1,27 @@
 require('dotenv').config();
+const path = require('path');
+
+// Basis points from the environment; 0 is a setting, only unset or invalid values take the default
+function parseBps(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
 
 module.exports = {
   // Server Configuration
   PORT: process.env.PORT || 3000,
   NODE_ENV: process.env.NODE_ENV || 'development',
   
-  // Printify API Configuration
+  // Printify API Configuration - PRINTIFY_API_URL=http://127.0.0.1:3900/v1 for `npm run mock:printify`
   PRINTIFY: {
-    BASE_URL: 'https://api.printify.com/v1',
+    BASE_URL: process.env.PRINTIFY_API_URL || 'https://api.printify.com/v1',
     API_KEY: process.env.PRINTIFY_API_KEY,
-    SHOP_ID: process.env.PRINTIFY_SHOP_ID || '15002088'
+    SHOP_ID: process.env.PRINTIFY_SHOP_ID || '15002088',
+    // Webhooks are signed with this secret; unsigned ones are only taken with WEBHOOK_ALLOW_UNSIGNED
+    WEBHOOK_SECRET: process.env.PRINTIFY_WEBHOOK_SECRET,
+    WEBHOOK_ALLOW_UNSIGNED: process.env.PRINTIFY_WEBHOOK_ALLOW_UNSIGNED === 'true',
+    // Public URL of /api/webhooks/printify that `npm run register-webhooks` subscribes
+    WEBHOOK_URL: process.env.PRINTIFY_WEBHOOK_URL
   },
   
   // Solana Configuration
@@ -19,6 +31,95 @@ module.exports = {
     RPC_URL: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com'
   },
   
+  // Price oracle - providers are queried in parallel and the median fresh quote wins
+  PRICING: {
+    PROVIDERS: (process.env.PRICE_PROVIDERS || 'coingecko,jupiter,pyth').split(','),
+    CACHE_TTL_MS: parseInt(process.env.PRICE_CACHE_TTL_MS) || 30 * 1000,
+    MAX_STALENESS_MS: parseInt(process.env.PRICE_MAX_STALENESS_MS) || 2 * 60 * 1000,
+    MIN_SOURCES: parseInt(process.env.PRICE_MIN_SOURCES) || 1,
+    // e.g. FIXED_PRICES=SOL=150,USDC=1 for local development
+    FIXED_PRICES: Object.fromEntries(
+      (process.env.FIXED_PRICES || '')
+        .split(',')
+        .filter(Boolean)
+        .map(pair => pair.split('='))
+        .map(([symbol, price]) => [symbol.trim().toUpperCase(), parseFloat(price)])
+    )
+  },
+  
+  // Locked price quotes for crypto checkouts
+  QUOTES: {
+    TTL_MS: parseInt(process.env.QUOTE_TTL_MS) || 15 * 60 * 1000,
+    // 100 bps = payments up to 1% short of the quoted amount are accepted
+    SLIPPAGE_BPS: parseBps(process.env.QUOTE_SLIPPAGE_BPS, 100),
+    // What to do with a late payment that no longer covers the order: top_up or refund
+    LATE_PAYMENT_POLICY: process.env.QUOTE_LATE_PAYMENT_POLICY || 'top_up',
+    // 100 bps = payments up to 1% over the quoted amount are taken as exact
+    OVERPAYMENT_TOLERANCE_BPS: parseBps(process.env.QUOTE_OVERPAYMENT_TOLERANCE_BPS, 100),
+    // What to do with the excess of an overpayment: store_credit or refund
+    OVERPAYMENT_POLICY: process.env.QUOTE_OVERPAYMENT_POLICY || 'store_credit'
+  },
+  
+  // Background payment watcher - confirms pending payments without the browser
+  PAYMENT_WATCHER: {
+    ENABLED: process.env.PAYMENT_WATCHER_ENABLED !== 'false',
+    INTERVAL_MS: parseInt(process.env.PAYMENT_WATCHER_INTERVAL_MS) || 15 * 1000,
+    BATCH_SIZE: parseInt(process.env.PAYMENT_WATCHER_BATCH_SIZE) || 100
+  },
+
+  // Printify fulfillment queue - submits released orders, retrying throttling and outages
+  FULFILLMENT: {
+    ENABLED: process.env.FULFILLMENT_QUEUE_ENABLED !== 'false',
+    INTERVAL_MS: parseInt(process.env.FULFILLMENT_QUEUE_INTERVAL_MS) || 30 * 1000,
+    MAX_ATTEMPTS: parseInt(process.env.FULFILLMENT_MAX_ATTEMPTS) || 8,
+    RETRY_BASE_MS: parseInt(process.env.FULFILLMENT_RETRY_BASE_MS) || 60 * 1000,
+    RETRY_MAX_MS: parseInt(process.env.FULFILLMENT_RETRY_MAX_MS) || 60 * 60 * 1000,
+    // Start production right away instead of leaving orders on hold in Printify
+    SEND_TO_PRODUCTION: process.env.PRINTIFY_SEND_TO_PRODUCTION === 'true'
+  },
+
+  // Shipping quotes - Printify rates for a cart and destination, reused for the same cart
+  SHIPPING: {
+    QUOTE_TTL_MS: parseInt(process.env.SHIPPING_QUOTE_TTL_MS) || 15 * 60 * 1000,
+    DEFAULT_METHOD: process.env.SHIPPING_DEFAULT_METHOD || 'standard'
+  },
+
+  // Sales tax and VAT - computed from the shipping address by the named provider
+  TAX: {
+    PROVIDER: process.env.TAX_PROVIDER || 'rules',
+    // Per-country and per-US-state rates for the rules provider
+    RULES_PATH: process.env.TAX_RULES_PATH || path.join(__dirname, 'tax-rules.json')
+  },
+
+  // Printify order tracking - polls Printify for the shipments of orders in fulfillment
+  PRINTIFY_TRACKING: {
+    ENABLED: process.env.PRINTIFY_TRACKING_ENABLED !== 'false',
+    INTERVAL_MS: parseInt(process.env.PRINTIFY_TRACKING_INTERVAL_MS) || 15 * 60 * 1000
+  },
+  
+  // Commitment a payment needs before the order is released for fulfillment.
+  // COMMITMENT_TIERS=500:finalized waits for finalization from $500 up
+  COMMITMENT: {
+    DEFAULT: process.env.COMMITMENT_DEFAULT || 'confirmed',
+    TIERS: (process.env.COMMITMENT_TIERS || '500:finalized')
+      .split(',')
+      .filter(Boolean)
+      .map(pair => pair.split(':'))
+      .map(([minUsd, commitment]) => ({ min_usd: parseFloat(minUsd), commitment: commitment.trim() }))
+  },
+  
+  // Bearer token every /api/admin request must carry; admin routes are closed without it
+  ADMIN: {
+    TOKEN: process.env.ADMIN_TOKEN
+  },
+  
+  // Refunds - 'transaction_request' hands the merchant a Solana Pay link to sign,
+  // 'keypair' signs with REFUND_KEYPAIR_PATH (a solana-keygen JSON file)
+  REFUNDS: {
+    SIGNER: process.env.REFUND_SIGNER || 'transaction_request',
+    KEYPAIR_PATH: process.env.REFUND_KEYPAIR_PATH
+  },
+  
   // CORS Configuration
   CORS: {
     ORIGIN: process.env.CORS_ORIGIN || ['http://localhost:3001', 'http://localhost:8080', 'http://127.0.0.1:8080'],
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// Admin routes take `Authorization: Bearer <ADMIN_TOKEN>` and nothing else;
+// without a configured token they refuse every request. Authenticated
+// requests carry who made them in `req.actor`, the actor order events record.
+const adminAuth = (req, res, next) => {
+    const adminToken = config.ADMIN.TOKEN;
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (!adminToken) {
+        console.error('❌ ADMIN_TOKEN is not set - admin routes are disabled');
+        return res.status(503).json({
+            success: false,
+            error: 'Admin access is not configured'
+        });
+    }
+
+    if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(digest(token), digest(adminToken))) {
+        return res.status(401).json({
+            success: false,
+            error: 'Unauthorized - Admin access required'
+        });
+    }
+
+    // One shared token, so every holder is the same admin
+    req.actor = 'admin';
+    next();
+};
+
+module.exports = adminAuth;
@@ -43,6 +43,8 @@ const errorHandler = (err, req, res, next) => {
     if (err.status && err.message) {
         error.message = err.message;
         error.status = err.status;
+        error.code = err.code;
+        error.details = err.details || error.details;
     }
 
     // API specific errors
@@ -61,6 +63,7 @@ const errorHandler = (err, req, res, next) => {
 
     res.status(error.status).json({
         error: error.message,
+        ...(error.code && { code: error.code }),
         ...(error.details && { details: error.details }),
         ...(error.stack && { stack: error.stack }),
         timestamp: new Date().toISOString()
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+
+// Orders keep their status history in order_status_history instead of the
+// Solana Pay shop's memory. Orders placed before it start with one entry for
+// the status they are in.
+module.exports = {
+    async up({ queryInterface, sequelize, transaction }) {
+        const tables = await queryInterface.showAllTables({ transaction });
+
+        if (!tables.includes('order_status_history')) {
+            await queryInterface.createTable('order_status_history', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                order_id: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: { model: 'orders', key: 'id' }
+                },
+                status: {
+                    type: DataTypes.STRING,
+                    allowNull: false
+                },
+                previous_status: {
+                    type: DataTypes.STRING,
+                    allowNull: true
+                },
+                note: {
+                    type: DataTypes.TEXT,
+                    allowNull: true
+                },
+                created_at: {
+                    type: DataTypes.DATE,
+                    allowNull: false
+                }
+            }, { transaction });
+            await queryInterface.addIndex('order_status_history', ['order_id'], { transaction });
+        }
+
+        await sequelize.query(`
+            INSERT INTO order_status_history (order_id, status, note, created_at)
+            SELECT id, status, 'Status when history was first recorded', updated_at
+            FROM orders
+            WHERE id NOT IN (SELECT order_id FROM order_status_history)
+        `, { transaction });
+    }
+};
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+
+// Status changes are recorded in the append-only order_events table together
+// with who made them. The order_status_history rows of orders without events
+// move over as system events, and orders that still have none get one for
+// their status.
+module.exports = {
+    async up({ queryInterface, sequelize, transaction }) {
+        const tables = await queryInterface.showAllTables({ transaction });
+
+        if (!tables.includes('order_events')) {
+            await queryInterface.createTable('order_events', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                order_id: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: { model: 'orders', key: 'id' }
+                },
+                from_status: {
+                    type: DataTypes.STRING,
+                    allowNull: true
+                },
+                to_status: {
+                    type: DataTypes.STRING,
+                    allowNull: false
+                },
+                actor: {
+                    type: DataTypes.STRING,
+                    allowNull: false,
+                    defaultValue: 'system'
+                },
+                reason: {
+                    type: DataTypes.TEXT,
+                    allowNull: true
+                },
+                metadata: {
+                    type: DataTypes.JSON,
+                    allowNull: true
+                },
+                created_at: {
+                    type: DataTypes.DATE,
+                    allowNull: false
+                }
+            }, { transaction });
+            await queryInterface.addIndex('order_events', ['order_id'], { transaction });
+        }
+
+        if (tables.includes('order_status_history')) {
+            await sequelize.query(`
+                INSERT INTO order_events (order_id, from_status, to_status, actor, reason, created_at)
+                SELECT order_id, previous_status, status, 'system', note, created_at
+                FROM order_status_history
+                WHERE order_id NOT IN (SELECT order_id FROM order_events)
+                ORDER BY id
+            `, { transaction });
+            await queryInterface.dropTable('order_status_history', { transaction });
+        }
+
+        await sequelize.query(`
+            INSERT INTO order_events (order_id, to_status, actor, reason, created_at)
+            SELECT id, status, 'system', 'Status when events were first recorded', updated_at
+            FROM orders
+            WHERE id NOT IN (SELECT order_id FROM order_events)
+        `, { transaction });
+    }
+};
@@ -0,0 +1,29 @@
+// Transfers counted toward a payment move from its metadata.transfers to the
+// payment_transfers table, whose unique signature stops a top-up from being
+// claimed twice. A signature already recorded for another payment is kept
+// on the first one.
+module.exports = {
+    async up({ queryInterface, sequelize, transaction }) {
+        const [payments] = await sequelize.query(
+            'SELECT id, metadata, created_at FROM payments WHERE metadata IS NOT NULL ORDER BY id',
+            { transaction }
+        );
+
+        const rows = payments.flatMap(payment => {
+            const metadata = typeof payment.metadata === 'string' ? JSON.parse(payment.metadata) : payment.metadata;
+
+            return ((metadata && metadata.transfers) || []).map(transfer => ({
+                payment_id: payment.id,
+                signature: transfer.signature,
+                amount: transfer.amount,
+                payer: transfer.payer || null,
+                slot: transfer.slot || null,
+                created_at: payment.created_at
+            }));
+        });
+
+        if (rows.length) {
+            await queryInterface.bulkInsert('payment_transfers', rows, { transaction, ignoreDuplicates: true });
+        }
+    }
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const { DataTypes } = require('sequelize');
+
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+/**
+ * Schema migrations, run after the models are synced.
+ *
+ * Each file in this directory exports `up({ queryInterface, sequelize,
+ * transaction })` and runs once, in file name order, inside a transaction
+ * together with its `schema_migrations` row. Sync creates new tables and
+ * columns, so migrations carry what sync cannot: backfills and data moves.
+ */
+async function runMigrations(sequelize, { directory = __dirname } = {}) {
+    const queryInterface = sequelize.getQueryInterface();
+
+    await queryInterface.createTable(MIGRATIONS_TABLE, {
+        name: {
+            type: DataTypes.STRING,
+            primaryKey: true
+        },
+        applied_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        }
+    });
+
+    const [rows] = await sequelize.query(`SELECT name FROM ${MIGRATIONS_TABLE}`);
+    const applied = new Set(rows.map(row => row.name));
+    const pending = fs.readdirSync(directory)
+        .filter(file => /^\d+-.+\.js$/.test(file) && !applied.has(file))
+        .sort();
+
+    for (const file of pending) {
+        const migration = require(path.join(directory, file));
+
+        await sequelize.transaction(async transaction => {
+            await migration.up({ queryInterface, sequelize, transaction });
+            await queryInterface.bulkInsert(MIGRATIONS_TABLE, [{ name: file, applied_at: new Date() }], { transaction });
+        });
+        console.log(`🗄️ Applied migration ${file}`);
+    }
+
+    return pending;
+}
+
+module.exports = {
+    runMigrations
+};
@@ -0,0 +1,709 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const defaultFixtures = require('./fixtures.json');
+
+// Topics Printify lets a shop subscribe to
+const WEBHOOK_TOPICS = [
+    'order:created',
+    'order:updated',
+    'order:sent-to-production',
+    'order:shipment:created',
+    'order:shipment:delivered',
+    'product:deleted',
+    'product:publish:started',
+    'shop:disconnected'
+];
+
+// Rates quoted by calculate_shipping, as a multiple of the standard rate
+const SHIPPING_RATES = { standard: 1, priority: 1.5, express: 2 };
+// Printify's `shipping_method` ids
+const SHIPPING_METHODS = { 1: 'standard', 2: 'priority', 3: 'express' };
+
+const REQUIRED_ADDRESS_FIELDS = ['first_name', 'last_name', 'country', 'address1', 'city', 'zip'];
+
+const TRACKING_URLS = {
+    usps: number => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${number}`,
+    ups: number => `https://www.ups.com/track?tracknum=${number}`,
+    fedex: number => `https://www.fedex.com/fedextrack/?trknbr=${number}`,
+    dhl: number => `https://www.dhl.com/en/express/tracking.html?AWB=${number}`
+};
+
+class MockPrintifyError extends Error {
+    constructor(status, message, reason) {
+        super(message);
+        this.name = 'MockPrintifyError';
+        this.status = status;
+        this.reason = reason || message;
+    }
+}
+
+/**
+ * Local stand-in for the Printify REST API, for development and tests
+ * without a Printify account.
+ *
+ * Serves shops, the catalog, products, orders and webhooks under `/v1`
+ * from `fixtures.json`, keeping whatever clients create in memory. Orders
+ * move on-hold -> in-production -> fulfilled; Printify ships them on its
+ * own, here `POST /__mock/shops/:shopId/orders/:orderId/ship` (and
+ * `/deliver`) do. Subscribed webhooks are delivered like Printify's, signed
+ * with `X-Pfy-Signature: sha256=<hmac of the body>` when registered with a
+ * secret.
+ */
+class MockPrintifyServer {
+    constructor(options = {}) {
+        this.fixtures = options.fixtures || defaultFixtures;
+        // Only this bearer token is accepted when set, any token otherwise
+        this.token = options.token || null;
+        this.webhookTimeoutMs = options.webhookTimeoutMs || 5000;
+        this.server = null;
+
+        this.reset();
+        this.app = this.createApp();
+    }
+
+    /**
+     * Back to the fixtures, dropping orders, webhooks and deliveries
+     */
+    reset() {
+        const fixtures = JSON.parse(JSON.stringify(this.fixtures));
+
+        this.shops = fixtures.shops || [];
+        this.printProviders = fixtures.print_providers || [];
+        this.blueprints = fixtures.blueprints || [];
+        this.products = new Map();
+        this.orders = new Map();
+        this.webhooks = new Map();
+        this.deliveries = [];
+        this.pending = new Set();
+
+        for (const product of fixtures.products || []) {
+            this.products.set(product.id, this.buildProduct(product.shop_id, product));
+        }
+    }
+
+    createApp() {
+        const app = express();
+        app.use(express.json());
+
+        const api = express.Router();
+        api.use((req, res, next) => this.authenticate(req, res, next));
+        const loadShop = (req, res, next, shopId) => {
+            req.shop = this.shops.find(shop => String(shop.id) === shopId);
+            if (!req.shop) {
+                return this.fail(res, new MockPrintifyError(404, 'Shop not found.'));
+            }
+            next();
+        };
+        api.param('shopId', loadShop);
+
+        // Shops
+        api.get('/shops.json', this.route(() => this.shops));
+        api.get('/shops/:shopId.json', this.route(req => req.shop));
+
+        // Catalog
+        api.get('/catalog/blueprints.json', this.route(() => this.blueprints.map(publicBlueprint)));
+        api.get('/catalog/blueprints/:blueprintId.json', this.route(req => publicBlueprint(this.getBlueprint(req.params.blueprintId))));
+        api.get('/catalog/blueprints/:blueprintId/print_providers.json', this.route(req =>
+            this.getBlueprint(req.params.blueprintId).print_providers.map(({ id }) => this.getPrintProvider(id))
+        ));
+        api.get('/catalog/blueprints/:blueprintId/print_providers/:providerId/variants.json', this.route(req => {
+            const provider = this.getCatalogProvider(req.params.blueprintId, req.params.providerId);
+            return {
+                id: provider.id,
+                title: this.getPrintProvider(provider.id).title,
+                variants: provider.variants.map(({ id, title, options }) => ({ id, title, options }))
+            };
+        }));
+        api.get('/catalog/blueprints/:blueprintId/print_providers/:providerId/shipping.json', this.route(req =>
+            this.getCatalogProvider(req.params.blueprintId, req.params.providerId).shipping
+        ));
+        api.get('/catalog/print_providers.json', this.route(() => this.printProviders));
+        api.get('/catalog/print_providers/:providerId.json', this.route(req => ({
+            ...this.getPrintProvider(req.params.providerId),
+            blueprints: this.blueprints
+                .filter(blueprint => blueprint.print_providers.some(provider => String(provider.id) === req.params.providerId))
+                .map(publicBlueprint)
+        })));
+
+        // Products
+        api.get('/shops/:shopId/products.json', this.route(req => paginate(this.shopRecords(this.products, req.shop), req.query, 10)));
+        api.get('/shops/:shopId/products/:productId.json', this.route(req => this.getProduct(req.shop, req.params.productId)));
+        api.post('/shops/:shopId/products.json', this.route(req => {
+            const product = this.buildProduct(req.shop.id, { ...req.body, id: undefined });
+            this.products.set(product.id, product);
+            return product;
+        }));
+        api.put('/shops/:shopId/products/:productId.json', this.route(req => {
+            const existing = this.getProduct(req.shop, req.params.productId);
+            const product = this.buildProduct(req.shop.id, { ...existing, ...req.body, id: existing.id });
+            product.created_at = existing.created_at;
+            this.products.set(product.id, product);
+            return product;
+        }));
+        api.delete('/shops/:shopId/products/:productId.json', this.route(req => {
+            const product = this.getProduct(req.shop, req.params.productId);
+            this.products.delete(product.id);
+            this.emit(req.shop.id, 'product:deleted', { id: product.id, type: 'product', data: { shop_id: req.shop.id } });
+            return {};
+        }));
+        api.post('/shops/:shopId/products/:productId/publish.json', this.route(req => {
+            const product = this.getProduct(req.shop, req.params.productId);
+            this.emit(req.shop.id, 'product:publish:started', {
+                id: product.id,
+                type: 'product',
+                data: { shop_id: req.shop.id, publish_details: req.body || {}, action: 'create' }
+            });
+            return {};
+        }));
+
+        // Orders
+        api.post('/shops/:shopId/orders/shipping.json', this.route(req => {
+            const country = req.body.address_to?.country;
+            if (!country) {
+                throw new MockPrintifyError(400, 'Validation failed.', 'address_to.country is required');
+            }
+            return this.quoteShipping(this.resolveLineItems(req.shop, req.body.line_items), country);
+        }));
+        api.get('/shops/:shopId/orders.json', this.route(req => {
+            const orders = this.shopRecords(this.orders, req.shop)
+                .filter(order => !req.query.status || order.status === req.query.status);
+            return paginate(orders, req.query, 10);
+        }));
+        api.get('/shops/:shopId/orders/:orderId.json', this.route(req => this.getOrder(req.shop, req.params.orderId)));
+        api.post('/shops/:shopId/orders.json', this.route(req => ({ id: this.createOrder(req.shop, req.body).id })));
+        api.post('/shops/:shopId/orders/:orderId/send_to_production.json', this.route(req => {
+            const order = this.getOrder(req.shop, req.params.orderId);
+            if (order.status !== 'on-hold') {
+                throw new MockPrintifyError(400, 'Operation failed.', `Order is ${order.status}, only on-hold orders can be sent to production`);
+            }
+
+            const now = timestamp();
+            order.status = 'in-production';
+            order.sent_to_production_at = now;
+            for (const item of order.line_items) {
+                item.status = 'in-production';
+                item.sent_to_production_at = now;
+            }
+            this.emitOrder(order, 'order:sent-to-production');
+            return order;
+        }));
+        api.post('/shops/:shopId/orders/:orderId/cancel.json', this.route(req => {
+            const order = this.getOrder(req.shop, req.params.orderId);
+            if (!['on-hold', 'payment-not-received'].includes(order.status)) {
+                throw new MockPrintifyError(400, 'Operation failed.', `Order is ${order.status} and can no longer be canceled`);
+            }
+
+            order.status = 'canceled';
+            for (const item of order.line_items) {
+                item.status = 'canceled';
+            }
+            this.emitOrder(order, 'order:updated');
+            return order;
+        }));
+
+        // Webhooks
+        api.get('/shops/:shopId/webhooks.json', this.route(req => this.shopRecords(this.webhooks, req.shop).map(publicWebhook)));
+        api.post('/shops/:shopId/webhooks.json', this.route(req => {
+            const { topic, url, secret } = req.body;
+            if (!WEBHOOK_TOPICS.includes(topic)) {
+                throw new MockPrintifyError(400, 'Validation failed.', `Unknown topic ${topic}`);
+            }
+            if (!/^https?:\/\//.test(url || '')) {
+                throw new MockPrintifyError(400, 'Validation failed.', 'url must be an http(s) URL');
+            }
+
+            const webhook = { id: newId(), shop_id: req.shop.id, topic, url, secret: secret || null };
+            this.webhooks.set(webhook.id, webhook);
+            return publicWebhook(webhook);
+        }));
+        api.put('/shops/:shopId/webhooks/:webhookId.json', this.route(req => {
+            const webhook = this.getWebhook(req.shop, req.params.webhookId);
+            if (req.body.url) {
+                webhook.url = req.body.url;
+            }
+            return publicWebhook(webhook);
+        }));
+        api.delete('/shops/:shopId/webhooks/:webhookId.json', this.route(req => {
+            const webhook = this.getWebhook(req.shop, req.params.webhookId);
+            this.webhooks.delete(webhook.id);
+            return { id: webhook.id };
+        }));
+
+        api.use((req, res) => this.fail(res, new MockPrintifyError(404, 'Not found.')));
+        app.use('/v1', api);
+
+        // What Printify does on its own, triggered by hand
+        const control = express.Router();
+        control.param('shopId', loadShop);
+        control.post('/shops/:shopId/orders/:orderId/ship', this.route(req => {
+            const order = this.getOrder(req.shop, req.params.orderId);
+            if (order.status !== 'in-production') {
+                throw new MockPrintifyError(400, 'Operation failed.', `Order is ${order.status}, only orders in production can ship`);
+            }
+            return this.shipOrder(order, req.body);
+        }));
+        control.post('/shops/:shopId/orders/:orderId/deliver', this.route(req => {
+            const order = this.getOrder(req.shop, req.params.orderId);
+            if (!order.shipments.length) {
+                throw new MockPrintifyError(400, 'Operation failed.', 'Order has not shipped');
+            }
+            return this.deliverOrder(order);
+        }));
+        control.get('/deliveries', this.route(() => this.deliveries));
+        control.post('/reset', this.route(() => {
+            this.reset();
+            return { success: true };
+        }));
+        app.use('/__mock', control);
+
+        return app;
+    }
+
+    /**
+     * Start listening; resolves to the base URL clients should use
+     */
+    listen(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, host, () => {
+                resolve(`http://${host}:${this.server.address().port}/v1`);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    async close() {
+        await this.drain();
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    /**
+     * Wait for webhook deliveries still in flight
+     */
+    async drain() {
+        await Promise.all([...this.pending]);
+    }
+
+    authenticate(req, res, next) {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token || (this.token && token !== this.token)) {
+            return res.status(401).json({ code: 401, message: 'Unauthenticated.' });
+        }
+        next();
+    }
+
+    route(handler) {
+        return (req, res) => {
+            try {
+                res.json(handler(req));
+            } catch (error) {
+                this.fail(res, error);
+            }
+        };
+    }
+
+    fail(res, error) {
+        const status = error instanceof MockPrintifyError ? error.status : 500;
+        const reason = error instanceof MockPrintifyError ? error.reason : error.message;
+        res.status(status).json({
+            status: 'error',
+            code: status,
+            message: status === 500 ? 'Internal server error.' : error.message,
+            errors: { reason, code: status }
+        });
+    }
+
+    shopRecords(records, shop) {
+        return [...records.values()].filter(record => record.shop_id === shop.id);
+    }
+
+    getBlueprint(blueprintId) {
+        const blueprint = this.blueprints.find(candidate => String(candidate.id) === String(blueprintId));
+        if (!blueprint) {
+            throw new MockPrintifyError(404, 'Blueprint not found.');
+        }
+        return blueprint;
+    }
+
+    getPrintProvider(providerId) {
+        const provider = this.printProviders.find(candidate => String(candidate.id) === String(providerId));
+        if (!provider) {
+            throw new MockPrintifyError(404, 'Print provider not found.');
+        }
+        return provider;
+    }
+
+    // A print provider's variants and shipping for one blueprint
+    getCatalogProvider(blueprintId, providerId) {
+        const provider = this.getBlueprint(blueprintId).print_providers
+            .find(candidate => String(candidate.id) === String(providerId));
+        if (!provider) {
+            throw new MockPrintifyError(404, `Print provider ${providerId} does not print blueprint ${blueprintId}.`);
+        }
+        return provider;
+    }
+
+    getProduct(shop, productId) {
+        const product = this.products.get(productId);
+        if (!product || product.shop_id !== shop.id) {
+            throw new MockPrintifyError(404, 'Product not found.');
+        }
+        return product;
+    }
+
+    getOrder(shop, orderId) {
+        const order = this.orders.get(orderId);
+        if (!order || order.shop_id !== shop.id) {
+            throw new MockPrintifyError(404, 'Order not found.');
+        }
+        return order;
+    }
+
+    getWebhook(shop, webhookId) {
+        const webhook = this.webhooks.get(webhookId);
+        if (!webhook || webhook.shop_id !== shop.id) {
+            throw new MockPrintifyError(404, 'Webhook not found.');
+        }
+        return webhook;
+    }
+
+    buildProduct(shopId, input) {
+        if (!input.title) {
+            throw new MockPrintifyError(400, 'Validation failed.', 'title is required');
+        }
+
+        let provider;
+        try {
+            provider = this.getCatalogProvider(input.blueprint_id, input.print_provider_id);
+        } catch (error) {
+            throw new MockPrintifyError(400, 'Validation failed.', error.message);
+        }
+
+        const variants = (input.variants || []).map((variant, index) => {
+            const catalogVariant = provider.variants.find(candidate => candidate.id === Number(variant.id));
+            if (!catalogVariant) {
+                throw new MockPrintifyError(400, 'Validation failed.', `Variant ${variant.id} is not available`);
+            }
+
+            return {
+                id: catalogVariant.id,
+                sku: `${input.blueprint_id}-${provider.id}-${catalogVariant.id}`,
+                cost: catalogVariant.cost,
+                price: variant.price,
+                title: catalogVariant.title,
+                grams: catalogVariant.grams,
+                is_enabled: variant.is_enabled !== false,
+                is_default: index === 0,
+                is_available: true,
+                options: catalogVariant.options
+            };
+        });
+        if (!variants.length) {
+            throw new MockPrintifyError(400, 'Validation failed.', 'At least one variant is required');
+        }
+
+        const id = input.id || newId();
+        const now = timestamp();
+        return {
+            id,
+            title: input.title,
+            description: input.description || '',
+            tags: input.tags || [],
+            options: [],
+            variants,
+            images: [{
+                src: `https://images-api.printify.com/mockup/${id}/${variants[0].id}/front.jpg`,
+                variant_ids: variants.map(variant => variant.id),
+                position: 'front',
+                is_default: true
+            }],
+            created_at: now,
+            updated_at: now,
+            visible: true,
+            is_locked: false,
+            blueprint_id: Number(input.blueprint_id),
+            print_provider_id: provider.id,
+            shop_id: shopId,
+            print_areas: input.print_areas || [],
+            sales_channel_properties: []
+        };
+    }
+
+    /**
+     * Line items by product and variant, or by blueprint, print provider and
+     * variant, resolved against the catalog
+     */
+    resolveLineItems(shop, lineItems) {
+        if (!Array.isArray(lineItems) || !lineItems.length) {
+            throw new MockPrintifyError(400, 'Validation failed.', 'line_items must not be empty');
+        }
+
+        return lineItems.map(item => {
+            const quantity = parseInt(item.quantity);
+            if (!(quantity > 0)) {
+                throw new MockPrintifyError(400, 'Validation failed.', 'line_items.quantity must be at least 1');
+            }
+
+            let product = null;
+            let blueprintId = item.blueprint_id;
+            let providerId = item.print_provider_id;
+            if (item.product_id) {
+                product = this.products.get(item.product_id);
+                if (!product || product.shop_id !== shop.id) {
+                    throw new MockPrintifyError(400, 'Validation failed.', `Product ${item.product_id} not found`);
+                }
+                blueprintId = product.blueprint_id;
+                providerId = product.print_provider_id;
+            }
+
+            let provider;
+            try {
+                provider = this.getCatalogProvider(blueprintId, providerId);
+            } catch (error) {
+                throw new MockPrintifyError(400, 'Validation failed.', error.message);
+            }
+
+            const variant = provider.variants.find(candidate => candidate.id === Number(item.variant_id));
+            const productVariant = product?.variants.find(candidate => candidate.id === Number(item.variant_id));
+            if (!variant || (product && !productVariant)) {
+                throw new MockPrintifyError(400, 'Validation failed.', `Variant ${item.variant_id} is not available`);
+            }
+
+            return { product, blueprintId: Number(blueprintId), provider, variant, productVariant, quantity };
+        });
+    }
+
+    /**
+     * Shipping in cents per method. Each print provider charges its first
+     * item at the first-item rate and every other at the additional rate.
+     */
+    quoteShipping(items, country) {
+        const providers = new Set();
+        let standard = 0;
+
+        for (const item of items) {
+            const profiles = item.provider.shipping.profiles
+                .filter(profile => profile.variant_ids.includes(item.variant.id));
+            const profile = profiles.find(candidate => candidate.countries.includes(country))
+                || profiles.find(candidate => candidate.countries.includes('REST_OF_THE_WORLD'));
+            if (!profile) {
+                throw new MockPrintifyError(400, 'Validation failed.', `Variant ${item.variant.id} does not ship to ${country}`);
+            }
+
+            for (let unit = 0; unit < item.quantity; unit++) {
+                standard += providers.has(item.provider.id) ? profile.additional_items.cost : profile.first_item.cost;
+                providers.add(item.provider.id);
+            }
+        }
+
+        return Object.fromEntries(
+            Object.entries(SHIPPING_RATES).map(([method, multiplier]) => [method, Math.round(standard * multiplier)])
+        );
+    }
+
+    createOrder(shop, body) {
+        const address = body.address_to || {};
+        const missing = REQUIRED_ADDRESS_FIELDS.filter(field => !address[field]);
+        if (missing.length) {
+            throw new MockPrintifyError(400, 'Validation failed.', `address_to.${missing.join(', address_to.')} required`);
+        }
+
+        const shippingMethod = body.shipping_method || 1;
+        if (!SHIPPING_METHODS[shippingMethod]) {
+            throw new MockPrintifyError(400, 'Validation failed.', `Unknown shipping_method ${shippingMethod}`);
+        }
+
+        const externalId = body.external_id ? String(body.external_id) : null;
+        if (externalId && this.shopRecords(this.orders, shop).some(order => order.external_id === externalId)) {
+            throw new MockPrintifyError(400, 'Validation failed.', `external_id ${externalId} is already used`);
+        }
+
+        const items = this.resolveLineItems(shop, body.line_items);
+        const shipping = this.quoteShipping(items, address.country);
+        const order = {
+            id: newId(),
+            shop_id: shop.id,
+            external_id: externalId,
+            label: body.label || null,
+            address_to: address,
+            line_items: items.map(item => ({
+                product_id: item.product?.id || null,
+                quantity: item.quantity,
+                variant_id: item.variant.id,
+                blueprint_id: item.blueprintId,
+                print_provider_id: item.provider.id,
+                cost: item.variant.cost,
+                status: 'on-hold',
+                metadata: {
+                    title: item.product?.title || this.getBlueprint(item.blueprintId).title,
+                    price: item.productVariant?.price ?? item.variant.cost,
+                    variant_label: item.variant.title,
+                    sku: item.productVariant?.sku || `${item.blueprintId}-${item.provider.id}-${item.variant.id}`,
+                    country: this.getPrintProvider(item.provider.id).location?.country || null
+                },
+                sent_to_production_at: null,
+                fulfilled_at: null
+            })),
+            metadata: {
+                order_type: 'external',
+                shop_order_id: externalId,
+                shop_order_label: body.label || null,
+                shop_fulfilled_at: null
+            },
+            total_price: items.reduce((total, item) => total + item.variant.cost * item.quantity, 0),
+            total_shipping: shipping[SHIPPING_METHODS[shippingMethod]],
+            total_tax: 0,
+            status: 'on-hold',
+            shipping_method: shippingMethod,
+            is_printify_express: false,
+            send_shipping_notification: Boolean(body.send_shipping_notification),
+            shipments: [],
+            created_at: timestamp(),
+            sent_to_production_at: null,
+            fulfilled_at: null
+        };
+
+        this.orders.set(order.id, order);
+        this.emitOrder(order, 'order:created');
+        return order;
+    }
+
+    shipOrder(order, { carrier = 'usps', tracking_number: trackingNumber } = {}) {
+        const code = carrier.toLowerCase();
+        const number = trackingNumber || `9400${crypto.randomInt(1e9, 1e10)}${crypto.randomInt(1e9, 1e10)}`;
+        const now = timestamp();
+
+        const shipment = {
+            carrier: code,
+            number,
+            url: TRACKING_URLS[code] ? TRACKING_URLS[code](number) : null,
+            delivered_at: null
+        };
+        order.shipments.push(shipment);
+        order.status = 'fulfilled';
+        order.fulfilled_at = now;
+        for (const item of order.line_items) {
+            item.status = 'fulfilled';
+            item.fulfilled_at = now;
+        }
+
+        this.emit(order.shop_id, 'order:shipment:created', {
+            id: order.id,
+            type: 'order',
+            data: {
+                shop_id: order.shop_id,
+                shipped_at: now,
+                carrier: { code, tracking_number: number },
+                skus: order.line_items.map(item => item.metadata.sku)
+            }
+        });
+        this.emitOrder(order, 'order:updated');
+        return order;
+    }
+
+    deliverOrder(order) {
+        const now = timestamp();
+        for (const shipment of order.shipments) {
+            shipment.delivered_at = shipment.delivered_at || now;
+        }
+
+        const [shipment] = order.shipments.slice(-1);
+        this.emit(order.shop_id, 'order:shipment:delivered', {
+            id: order.id,
+            type: 'order',
+            data: {
+                shop_id: order.shop_id,
+                delivered_at: now,
+                carrier: { code: shipment.carrier, tracking_number: shipment.number },
+                skus: order.line_items.map(item => item.metadata.sku)
+            }
+        });
+        return order;
+    }
+
+    emitOrder(order, topic) {
+        this.emit(order.shop_id, topic, {
+            id: order.id,
+            type: 'order',
+            data: { shop_id: order.shop_id, status: order.status }
+        });
+    }
+
+    /**
+     * POST an event to every webhook of the shop subscribed to `topic`
+     */
+    emit(shopId, topic, resource) {
+        const webhooks = [...this.webhooks.values()].filter(webhook => webhook.shop_id === shopId && webhook.topic === topic);
+
+        for (const webhook of webhooks) {
+            const event = { id: crypto.randomUUID(), type: topic, created_at: timestamp(), resource };
+            const body = JSON.stringify(event);
+            const headers = { 'Content-Type': 'application/json' };
+            if (webhook.secret) {
+                headers['X-Pfy-Signature'] = `sha256=${crypto.createHmac('sha256', webhook.secret).update(body).digest('hex')}`;
+            }
+
+            const delivery = axios.post(webhook.url, body, {
+                headers,
+                timeout: this.webhookTimeoutMs,
+                transformRequest: [data => data]
+            })
+                .then(
+                    response => ({ status: response.status, error: null }),
+                    error => ({ status: error.response?.status || null, error: error.message })
+                )
+                .then(outcome => {
+                    this.deliveries.push({ webhook_id: webhook.id, topic, url: webhook.url, event, ...outcome });
+                })
+                .finally(() => this.pending.delete(delivery));
+            this.pending.add(delivery);
+        }
+    }
+}
+
+function publicBlueprint({ print_providers: printProviders, ...blueprint }) {
+    return blueprint;
+}
+
+function publicWebhook({ secret, ...webhook }) {
+    return webhook;
+}
+
+// Laravel-style page of `items`, the way Printify lists products and orders
+function paginate(items, query, defaultLimit) {
+    const limit = Math.min(parseInt(query.limit) || defaultLimit, 100);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const lastPage = Math.max(Math.ceil(items.length / limit), 1);
+    const data = items.slice((page - 1) * limit, page * limit);
+
+    return {
+        current_page: page,
+        data,
+        from: data.length ? (page - 1) * limit + 1 : null,
+        to: data.length ? (page - 1) * limit + data.length : null,
+        last_page: lastPage,
+        per_page: limit,
+        total: items.length,
+        next_page_url: page < lastPage ? `/?page=${page + 1}` : null,
+        prev_page_url: page > 1 ? `/?page=${page - 1}` : null
+    };
+}
+
+// Printify ids are 24 hex characters
+function newId() {
+    return crypto.randomBytes(12).toString('hex');
+}
+
+// e.g. 2024-05-17 15:00:00+00:00
+function timestamp() {
+    return new Date().toISOString().replace('T', ' ').replace(/\.\d+Z$/, '+00:00');
+}
+
+module.exports = {
+    MockPrintifyServer,
+    MockPrintifyError,
+    WEBHOOK_TOPICS
+};
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A shopper's cart, found by its cart id together with the session that
+// created it. Prices are not stored; they are read from the products each
+// time the cart is totalled.
+const Cart = sequelize.define('Cart', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    cart_id: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    session_id: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'active',
+        validate: {
+            isIn: [['active', 'checked_out']]
+        }
+    },
+    coupon_code: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    shipping_address: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    shipping_method: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // The order the cart was checked out into
+    order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'orders',
+            key: 'id'
+        }
+    }
+}, {
+    tableName: 'carts',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['session_id']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+module.exports = Cart;
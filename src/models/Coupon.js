@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A discount code: `percent` off the subtotal or a `fixed` USD amount off it
+const Coupon = sequelize.define('Coupon', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    code: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        set(value) {
+            this.setDataValue('code', String(value).trim().toUpperCase());
+        }
+    },
+    discount_type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+            isIn: [['percent', 'fixed']]
+        }
+    },
+    value: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0
+        }
+    },
+    min_subtotal: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    // Orders the coupon can be used on; null for no limit
+    usage_limit: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    times_used: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'coupons',
+    timestamps: true
+});
+
+module.exports = Coupon;
@@ -55,6 +55,12 @@ const Customer = sequelize.define('Customer', {
         type: DataTypes.DECIMAL(10, 2),
         defaultValue: 0.00
     },
+    // USD credited from overpaid orders
+    store_credit: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
     is_active: {
         type: DataTypes.BOOLEAN,
         defaultValue: true
@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per order handed to Printify: pending until Printify has the order
+// (and, with send_to_production, has started it), processing while an attempt
+// runs, failed once it gives up
+const FulfillmentJob = sequelize.define('FulfillmentJob', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+            model: 'orders',
+            key: 'id'
+        }
+    },
+    status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'pending',
+        validate: {
+            isIn: [['pending', 'processing', 'completed', 'failed']]
+        }
+    },
+    send_to_production: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    next_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    last_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    // HTTP status Printify answered the last failed attempt with, null for network errors
+    last_error_status: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    printify_order_id: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    sent_to_production_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    failed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'fulfillment_jobs',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['status', 'next_attempt_at']
+        }
+    ]
+});
+
+module.exports = FulfillmentJob;
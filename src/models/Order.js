@@ -25,7 +25,7 @@ const Order = sequelize.define('Order', {
         allowNull: false,
         defaultValue: 'pending',
         validate: {
-            isIn: [['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded']]
+            isIn: [['pending', 'payment_pending', 'paid', 'processing', 'on_hold', 'shipped', 'delivered', 'cancelled', 'refunded']]
         }
     },
     payment_status: {
@@ -33,7 +33,7 @@ const Order = sequelize.define('Order', {
         allowNull: false,
         defaultValue: 'pending',
         validate: {
-            isIn: [['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded']]
+            isIn: [['pending', 'processing', 'partially_paid', 'completed', 'failed', 'cancelled', 'partially_refunded', 'refunded']]
         }
     },
     payment_method: {
@@ -58,11 +58,40 @@ const Order = sequelize.define('Order', {
         allowNull: false,
         defaultValue: 0.00
     },
+    // Coupon discount taken off the subtotal
+    discount_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
     total_amount: {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: false,
         defaultValue: 0.00
     },
+    refunded_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    // USD received so far and still owed; an underpaid order waits for a top-up
+    amount_paid: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    balance_due: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    // USD paid beyond the total, credited or refunded per OVERPAYMENT_POLICY
+    overpaid_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    // Single-payment fields; each payment of a split order is its own row in payments
     crypto_amount: {
         type: DataTypes.DECIMAL(18, 9),
         allowNull: true
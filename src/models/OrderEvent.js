@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+function appendOnly() {
+    throw new Error('Order events are append-only');
+}
+
+// One row per status an order entered, oldest first, with who moved it and why.
+// Rows are never updated or deleted.
+const OrderEvent = sequelize.define('OrderEvent', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'orders',
+            key: 'id'
+        }
+    },
+    // Null for the event that created the order
+    from_status: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    to_status: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    // Who made the change: admin, shop, payments, refunds, printify or system
+    actor: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'system'
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    metadata: {
+        type: DataTypes.JSON,
+        allowNull: true
+    }
+}, {
+    tableName: 'order_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        {
+            fields: ['order_id']
+        }
+    ],
+    hooks: {
+        beforeUpdate: appendOnly,
+        beforeBulkUpdate: appendOnly,
+        beforeDestroy: appendOnly,
+        beforeBulkDestroy: appendOnly
+    }
+});
+
+module.exports = OrderEvent;
@@ -47,6 +47,17 @@ const OrderItem = sequelize.define('OrderItem', {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: false
     },
+    // Tax on total_price; part of it where the order's prices include tax
+    tax_rate: {
+        type: DataTypes.DECIMAL(8, 5),
+        allowNull: false,
+        defaultValue: 0
+    },
+    tax_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
     crypto_unit_price: {
         type: DataTypes.DECIMAL(18, 9),
         allowNull: true
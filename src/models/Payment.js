@@ -22,12 +22,12 @@ const Payment = sequelize.define('Payment', {
     },
     transaction_signature: {
         type: DataTypes.STRING,
-        allowNull: false,
+        allowNull: true,
         unique: true
     },
     wallet_address: {
         type: DataTypes.STRING,
-        allowNull: false
+        allowNull: true
     },
     amount: {
         type: DataTypes.DECIMAL(18, 9),
@@ -37,7 +37,8 @@ const Payment = sequelize.define('Payment', {
         type: DataTypes.STRING,
         allowNull: false,
         validate: {
-            isIn: [['SOL', 'USDC']]
+            // Any symbol from the payment token registry, including custom mints
+            is: /^[A-Z0-9]{2,10}$/
         }
     },
     usd_amount: {
@@ -49,7 +50,7 @@ const Payment = sequelize.define('Payment', {
         allowNull: false,
         defaultValue: 'pending',
         validate: {
-            isIn: [['pending', 'processing', 'confirmed', 'failed', 'cancelled']]
+            isIn: [['pending', 'processing', 'partially_paid', 'confirmed', 'finalized', 'on_hold', 'failed', 'cancelled', 'expired', 'partially_refunded', 'refunded']]
         }
     },
     confirmation_count: {
@@ -68,6 +69,22 @@ const Payment = sequelize.define('Payment', {
         type: DataTypes.DECIMAL(18, 9),
         allowNull: true
     },
+    price_source: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    price_timestamp: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    quote_id: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        references: {
+            model: 'quotes',
+            key: 'quote_id'
+        }
+    },
     payment_method: {
         type: DataTypes.STRING,
         allowNull: false,
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Store-specific payment tokens: overrides for built-in tokens and custom SPL mints
+const PaymentMint = sequelize.define('PaymentMint', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    symbol: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    network: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+            isIn: [['devnet', 'testnet', 'mainnet-beta', 'localnet']]
+        }
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    mint: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    decimals: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+            min: 0,
+            max: 18
+        }
+    },
+    icon: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    is_custom: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'payment_mints',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['symbol', 'network']
+        }
+    ]
+});
+
+module.exports = PaymentMint;
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per on-chain transfer counted toward a payment: its first transfer
+// and any top-ups. The unique signature keeps a transfer from paying twice.
+const PaymentTransfer = sequelize.define('PaymentTransfer', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    payment_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'payments',
+            key: 'id'
+        }
+    },
+    signature: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    amount: {
+        type: DataTypes.DECIMAL(18, 9),
+        allowNull: false
+    },
+    payer: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    slot: {
+        type: DataTypes.BIGINT,
+        allowNull: true
+    }
+}, {
+    tableName: 'payment_transfers',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        {
+            fields: ['payment_id']
+        }
+    ]
+});
+
+module.exports = PaymentTransfer;
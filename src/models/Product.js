@@ -74,6 +74,15 @@ module.exports = (sequelize) => {
       allowNull: true,
       index: true
     },
+    // Some jurisdictions tax digital goods at their own rate
+    tax_category: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'physical',
+      validate: {
+        isIn: [['physical', 'digital']]
+      }
+    },
     status: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Quote = sequelize.define('Quote', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    quote_id: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    usd_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    token: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    token_amount: {
+        type: DataTypes.DECIMAL(18, 9),
+        allowNull: false
+    },
+    rate: {
+        type: DataTypes.DECIMAL(18, 9),
+        allowNull: false
+    },
+    price_source: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    price_timestamp: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    slippage_bps: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    reference_key: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'active',
+        validate: {
+            isIn: [['active', 'accepted', 'flagged', 'expired']]
+        }
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    metadata: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: {}
+    }
+}, {
+    tableName: 'quotes',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['quote_id']
+        },
+        {
+            fields: ['reference_key']
+        },
+        {
+            fields: ['status']
+        },
+        {
+            fields: ['expires_at']
+        }
+    ]
+});
+
+Quote.prototype.isExpired = function(at = new Date()) {
+    return new Date(at) > new Date(this.expires_at);
+};
+
+module.exports = Quote;
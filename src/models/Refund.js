@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per refund sent back to a payer; a payment can have several partial refunds
+const Refund = sequelize.define('Refund', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    refund_id: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    payment_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'payments',
+            key: 'id'
+        }
+    },
+    order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'orders',
+            key: 'id'
+        }
+    },
+    amount: {
+        type: DataTypes.DECIMAL(18, 9),
+        allowNull: false
+    },
+    currency: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    usd_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    recipient_wallet: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    sender_wallet: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'pending_signature',
+        validate: {
+            isIn: [['pending_signature', 'confirmed', 'failed', 'cancelled']]
+        }
+    },
+    signer: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    transaction_signature: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        unique: true
+    },
+    reference_key: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    reason: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // 'overpayment' refunds return the excess of an overpaid payment and leave order totals alone
+    kind: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'refund',
+        validate: {
+            isIn: [['refund', 'overpayment']]
+        }
+    },
+    confirmed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    metadata: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: {}
+    }
+}, {
+    tableName: 'refunds',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['refund_id']
+        },
+        {
+            fields: ['payment_id']
+        },
+        {
+            fields: ['order_id']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+module.exports = Refund;
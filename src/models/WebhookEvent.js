@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Every webhook event we received, once per provider event id, with the
+// outcome of its last processing so failed events can be replayed
+const WebhookEvent = sequelize.define('WebhookEvent', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    provider: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'printify'
+    },
+    // The provider's id of the event, or a hash of the body for events without one
+    event_id: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    type: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'received',
+        validate: {
+            isIn: [['received', 'processed', 'failed']]
+        }
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    processed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'webhook_events',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['provider', 'event_id']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+module.exports = WebhookEvent;
@@ -6,6 +6,17 @@ const Product = require('./Product')(sequelize);
 const Order = require('./Order');
 const Payment = require('./Payment');
 const OrderItem = require('./OrderItem');
+const Quote = require('./Quote');
+const PaymentMint = require('./PaymentMint');
+const Refund = require('./Refund');
+const PaymentTransfer = require('./PaymentTransfer');
+const OrderEvent = require('./OrderEvent');
+const FulfillmentJob = require('./FulfillmentJob');
+const WebhookEvent = require('./WebhookEvent');
+const Cart = require('./Cart');
+const CartItem = require('./CartItem');
+const Coupon = require('./Coupon');
+const { runMigrations } = require('../migrations');
 
 // Define associations
 // Customer associations
@@ -42,6 +53,50 @@ Payment.belongsTo(Order, {
     as: 'order'
 });
 
+// Refund associations
+Payment.hasMany(Refund, {
+    foreignKey: 'payment_id',
+    as: 'refunds'
+});
+
+Refund.belongsTo(Payment, {
+    foreignKey: 'payment_id',
+    as: 'payment'
+});
+
+Payment.hasMany(PaymentTransfer, {
+    foreignKey: 'payment_id',
+    as: 'transfers'
+});
+
+PaymentTransfer.belongsTo(Payment, {
+    foreignKey: 'payment_id',
+    as: 'payment'
+});
+
+Order.hasMany(Refund, {
+    foreignKey: 'order_id',
+    as: 'refunds'
+});
+
+Refund.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order'
+});
+
+// Quote associations
+Quote.hasMany(Payment, {
+    foreignKey: 'quote_id',
+    sourceKey: 'quote_id',
+    as: 'payments'
+});
+
+Payment.belongsTo(Quote, {
+    foreignKey: 'quote_id',
+    targetKey: 'quote_id',
+    as: 'quote'
+});
+
 // Product associations
 Product.hasMany(OrderItem, {
     foreignKey: 'product_id',
@@ -53,6 +108,49 @@ OrderItem.belongsTo(Product, {
     as: 'product'
 });
 
+// Order event associations
+Order.hasMany(OrderEvent, {
+    foreignKey: 'order_id',
+    as: 'events'
+});
+
+OrderEvent.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order'
+});
+
+// Fulfillment queue associations
+Order.hasOne(FulfillmentJob, {
+    foreignKey: 'order_id',
+    as: 'fulfillmentJob'
+});
+
+FulfillmentJob.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order'
+});
+
+// Cart associations
+Cart.hasMany(CartItem, {
+    foreignKey: 'cart_id',
+    as: 'items'
+});
+
+CartItem.belongsTo(Cart, {
+    foreignKey: 'cart_id',
+    as: 'cart'
+});
+
+CartItem.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+Cart.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order'
+});
+
 // Database sync functions
 async function syncDatabase() {
     try {
@@ -71,6 +169,7 @@ async function initializeDatabase() {
         console.log('✅ Database connection established');
         
         await syncDatabase();
+        await runMigrations(sequelize);
         console.log('✅ Database initialized successfully');
         
         return true;
@@ -87,6 +186,16 @@ module.exports = {
     Order,
     Payment,
     OrderItem,
+    Quote,
+    PaymentMint,
+    Refund,
+    PaymentTransfer,
+    OrderEvent,
+    FulfillmentJob,
+    WebhookEvent,
+    Cart,
+    CartItem,
+    Coupon,
     syncDatabase,
     initializeDatabase
 };
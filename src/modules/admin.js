@@ -0,0 +1,10 @@
+/**
+ * Admin: dashboard, Printify sync, payment tokens and the payment watcher
+ */
+module.exports = {
+    name: 'admin',
+    routes: [
+        { path: '/api/admin', router: require('../routes/admin') }
+    ],
+    aliases: []
+};
@@ -0,0 +1,13 @@
+/**
+ * Analytics: storefront tracking and sales reporting
+ */
+module.exports = {
+    name: 'analytics',
+    routes: [
+        { path: '/api/analytics', router: require('../routes/analytics') }
+    ],
+    aliases: [
+        // Solana Pay shop dashboard, revenue and funnel reports
+        { path: '/api/analytics', router: require('../../solana-pay-shop/backend/routes/analytics') }
+    ]
+};
@@ -0,0 +1,14 @@
+/**
+ * Catalog: the products we sell and the Printify catalog behind them
+ */
+module.exports = {
+    name: 'catalog',
+    routes: [
+        { path: '/api/products', router: require('../routes/products') },
+        { path: '/api/printify', router: require('../routes/printify') }
+    ],
+    aliases: [
+        // Shop-level Printify proxy of the crypto-dropship backend
+        { path: '/api/printify', router: require('../routes/printifyShops') }
+    ]
+};
@@ -0,0 +1,29 @@
+const express = require('express');
+
+// Order processing is matched before the order CRUD routes so `/analytics`
+// and `/tracking/:orderId` are not taken for order ids
+const orders = express.Router();
+orders.use(require('../routes/orderProcessing'));
+orders.use(require('../routes/orders'));
+
+// The widget checkout answers first and hands cart payments on to crypto.js
+const crypto = express.Router();
+crypto.use(require('../routes/cryptoCheckout'));
+crypto.use(require('../routes/crypto'));
+
+/**
+ * Checkout: carts, the orders and SOL checkouts made from them and their shipping quotes
+ */
+module.exports = {
+    name: 'checkout',
+    routes: [
+        { path: '/api/cart', router: require('../routes/cart') },
+        { path: '/api/orders', router: orders },
+        { path: '/api/crypto', router: crypto },
+        { path: '/api/shipping', router: require('../routes/shipping') }
+    ],
+    aliases: [
+        // Solana Pay shop orders: lookup, cancel and stats by order id
+        { path: '/api/orders', router: require('../../solana-pay-shop/backend/routes/orders') }
+    ]
+};
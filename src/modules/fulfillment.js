@@ -0,0 +1,11 @@
+/**
+ * Fulfillment: Printify webhooks moving orders through production and shipping
+ */
+module.exports = {
+    name: 'fulfillment',
+    routes: [
+        { path: '/api/webhooks', router: require('../routes/webhooks') },
+        { path: '/api/suppliers', router: require('../routes/suppliers') }
+    ],
+    aliases: []
+};
@@ -0,0 +1,16 @@
+/**
+ * Feature modules of the server, in mount order.
+ *
+ * A module serves its `routes` under their canonical prefixes. `aliases`
+ * keep the routers of the former crypto-dropship and Solana Pay shop
+ * backends reachable for existing frontends; they are mounted after every
+ * canonical route, so they only answer what no module handles.
+ */
+module.exports = [
+    require('./catalog'),
+    require('./checkout'),
+    require('./payments'),
+    require('./fulfillment'),
+    require('./admin'),
+    require('./analytics')
+];
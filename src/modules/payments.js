@@ -0,0 +1,19 @@
+const express = require('express');
+const { rateLimiters } = require('../../solana-pay-shop/backend/middleware/rateLimiter');
+
+/**
+ * Payments: Solana Pay payments, their verification and refunds
+ */
+module.exports = {
+    name: 'payments',
+    routes: [
+        { path: '/api/payments', router: require('../routes/payments') }
+    ],
+    aliases: [
+        // Solana Pay shop payment API, with its own tighter rate limit
+        {
+            path: '/api/payment',
+            router: express.Router().use(rateLimiters.payment, require('../../solana-pay-shop/backend/routes/payment'))
+        }
+    ]
+};
@@ -1,7 +1,26 @@
 const express = require('express');
 const router = express.Router();
-const { Product, Order, Payment, Customer } = require('../models');
+const { Op } = require('sequelize');
+const { Connection, clusterApiUrl } = require('@solana/web3.js');
+const { Product, Order, OrderEvent, Payment, Customer, Refund, FulfillmentJob, WebhookEvent, Coupon } = require('../models');
 const printifyService = require('../services/printifyService');
+const printifyWebhookHandler = require('../services/printifyWebhooks');
+const { getMintRegistry, normalizeCluster } = require('../services/mintRegistry');
+const { getPaymentWatcher } = require('../services/paymentWatcher');
+const { getOrderStateMachine } = require('../services/orderStateMachine');
+const { getFulfillmentService } = require('../services/fulfillmentService');
+const config = require('../config');
+const adminAuth = require('../middleware/adminAuth');
+
+// RPC endpoint used to check custom mints on a cluster
+const getClusterConnection = (cluster) => {
+    if (cluster === normalizeCluster(config.SOLANA.NETWORK)) {
+        return new Connection(config.SOLANA.RPC_URL, 'confirmed');
+    }
+    return new Connection(cluster === 'localnet' ? 'http://127.0.0.1:8899' : clusterApiUrl(cluster), 'confirmed');
+};
+
+router.use(adminAuth);
 
 // GET /api/admin/dashboard - Get dashboard stats
 router.get('/dashboard', async (req, res, next) => {
@@ -9,10 +28,10 @@ router.get('/dashboard', async (req, res, next) => {
         const stats = await Promise.all([
             Product.count(),
             Order.count(),
-            Payment.count({ where: { status: 'confirmed' } }),
+            Payment.count({ where: { status: ['confirmed', 'finalized'] } }),
             Customer.count(),
             Order.sum('total_amount'),
-            Payment.sum('usd_amount', { where: { status: 'confirmed' } })
+            Payment.sum('usd_amount', { where: { status: ['confirmed', 'finalized'] } })
         ]);
 
         const [
@@ -39,7 +58,11 @@ router.get('/dashboard', async (req, res, next) => {
                 },
                 payments: {
                     confirmed: confirmedPayments,
-                    total_value: totalPaymentValue || 0
+                    total_value: totalPaymentValue || 0,
+                    partially_paid: await Order.count({ where: { payment_status: 'partially_paid' } }),
+                    balance_due: await Order.sum('balance_due', { where: { payment_status: 'partially_paid' } }) || 0,
+                    overpaid: await Order.count({ where: { overpaid_amount: { [Op.gt]: 0 } } }),
+                    overpaid_value: await Order.sum('overpaid_amount') || 0
                 },
                 customers: {
                     total: totalCustomers
@@ -136,8 +159,6 @@ router.post('/sync-printify', async (req, res, next) => {
 // GET /api/admin/system-info - Get system information
 router.get('/system-info', async (req, res, next) => {
     try {
-        const config = require('../config');
-        
         res.json({
             success: true,
             data: {
@@ -245,4 +266,381 @@ router.post('/populate-products', async (req, res, next) => {
     }
 });
 
+// GET /api/admin/tokens - List payment tokens for a cluster, including disabled ones
+router.get('/tokens', (req, res, next) => {
+    try {
+        const registry = getMintRegistry();
+        const network = normalizeCluster(req.query.network || registry.network);
+
+        res.json({
+            success: true,
+            data: {
+                network,
+                tokens: registry.list(network, { includeDisabled: true })
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/admin/tokens - Add a custom SPL mint, e.g. a store token
+router.post('/tokens', async (req, res, next) => {
+    try {
+        const registry = getMintRegistry();
+        const { symbol, name, mint, decimals, icon, verify = true } = req.body;
+        const network = normalizeCluster(req.body.network || registry.network);
+
+        const token = await registry.addCustomMint(
+            { symbol, name, mint, decimals, icon, network },
+            verify ? getClusterConnection(network) : null
+        );
+
+        res.status(201).json({
+            success: true,
+            data: token,
+            message: `${token.symbol} added on ${network}`
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/admin/tokens/:symbol - Enable or disable a payment token
+router.put('/tokens/:symbol', async (req, res, next) => {
+    try {
+        const registry = getMintRegistry();
+        const { enabled } = req.body;
+        const network = normalizeCluster(req.body.network || registry.network);
+
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'enabled must be true or false'
+            });
+        }
+
+        const token = await registry.setEnabled(req.params.symbol, enabled, network);
+
+        res.json({
+            success: true,
+            data: token,
+            message: `${token.symbol} ${enabled ? 'enabled' : 'disabled'} on ${network}`
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/admin/tokens/:symbol - Remove a custom payment token
+router.delete('/tokens/:symbol', async (req, res, next) => {
+    try {
+        const registry = getMintRegistry();
+        const network = normalizeCluster(req.query.network || registry.network);
+
+        await registry.removeCustomMint(req.params.symbol, network);
+
+        res.json({
+            success: true,
+            message: `${req.params.symbol.toUpperCase()} removed from ${network}`
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/admin/payment-watcher - Background payment watcher state
+router.get('/payment-watcher', async (req, res, next) => {
+    try {
+        const pending = await Payment.count({ where: { status: 'pending' } });
+
+        res.json({
+            success: true,
+            data: {
+                ...getPaymentWatcher().getState(),
+                pending_payments: pending
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/admin/payment-watcher/run - Scan pending payments now
+router.post('/payment-watcher/run', async (req, res, next) => {
+    try {
+        const run = await getPaymentWatcher().runOnce();
+
+        res.json({
+            success: true,
+            data: run
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/admin/payment-adjustments - Orders waiting for a top-up and overpaid orders
+router.get('/payment-adjustments', async (req, res, next) => {
+    try {
+        const include = [
+            { model: Customer, as: 'customer' },
+            { model: Payment, as: 'payments' }
+        ];
+
+        const [partiallyPaid, overpaid] = await Promise.all([
+            Order.findAll({
+                where: { payment_status: 'partially_paid' },
+                include,
+                order: [['created_at', 'DESC']]
+            }),
+            Order.findAll({
+                where: { overpaid_amount: { [Op.gt]: 0 } },
+                include: [...include, { model: Refund, as: 'refunds', where: { kind: 'overpayment' }, required: false }],
+                order: [['created_at', 'DESC']]
+            })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                partially_paid: partiallyPaid.map(order => ({
+                    order,
+                    amount_paid: order.amount_paid,
+                    balance_due: order.balance_due,
+                    top_up: order.payments
+                        .map(payment => payment.metadata && payment.metadata.top_up)
+                        .find(Boolean) || null
+                })),
+                overpaid: overpaid.map(order => ({
+                    order,
+                    overpaid_amount: order.overpaid_amount,
+                    overpayment: order.metadata && order.metadata.overpayment,
+                    refunds: order.refunds
+                }))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/admin/fulfillment - Printify submissions waiting for a retry or given up on
+router.get('/fulfillment', async (req, res, next) => {
+    try {
+        const status = req.query.status ? req.query.status.split(',') : ['pending', 'failed'];
+        const jobs = await FulfillmentJob.findAll({
+            where: { status },
+            include: [{ model: Order, as: 'order', attributes: ['id', 'order_number', 'status', 'payment_status', 'total_amount'] }],
+            order: [['updatedAt', 'DESC']]
+        });
+
+        res.json({
+            success: true,
+            data: {
+                jobs,
+                failed: jobs.filter(job => job.status === 'failed').length,
+                pending: jobs.filter(job => job.status === 'pending').length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/admin/fulfillment/:orderId/retry - Submit a paid order to Printify again now
+router.post('/fulfillment/:orderId/retry', async (req, res, next) => {
+    try {
+        const order = await Order.findByPk(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.payment_status !== 'completed' || !['paid', 'processing'].includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Only paid orders can be submitted to Printify'
+            });
+        }
+
+        const job = await getFulfillmentService().resubmit(order);
+
+        res.json({
+            success: true,
+            data: job,
+            message: job.status === 'completed'
+                ? 'Order submitted to Printify'
+                : job.last_error ? `Submission failed: ${job.last_error}` : 'Order queued for Printify'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/admin/webhooks/events?status=failed - Stored Printify webhook events, newest first
+router.get('/webhooks/events', async (req, res, next) => {
+    try {
+        const { status, limit = 50 } = req.query;
+
+        const events = await WebhookEvent.findAll({
+            where: status ? { status: status.split(',') } : {},
+            order: [['id', 'DESC']],
+            limit: Math.min(parseInt(limit) || 50, 500)
+        });
+
+        res.json({
+            success: true,
+            data: events
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/admin/webhooks/events/:id/replay - Process a stored webhook event again
+router.post('/webhooks/events/:id/replay', async (req, res, next) => {
+    try {
+        const event = await printifyWebhookHandler.replayEvent(req.params.id);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook event not found'
+            });
+        }
+
+        res.json({
+            success: event.status === 'processed',
+            data: event,
+            message: event.status === 'processed' ? 'Webhook event processed' : `Webhook event failed: ${event.error}`
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/admin/webhooks/register - Subscribe our webhook URL to the Printify topics we handle
+router.post('/webhooks/register', async (req, res, next) => {
+    try {
+        const url = req.body.url || config.PRINTIFY.WEBHOOK_URL;
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                message: 'Set PRINTIFY_WEBHOOK_URL or pass the public webhook url'
+            });
+        }
+
+        const result = await printifyWebhookHandler.registerWebhooks(url, printifyService);
+
+        res.json({
+            success: true,
+            data: result,
+            message: `Subscribed to ${result.created.length} new topic(s)`
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PATCH /api/admin/orders/:orderId/status - Move an order to another status
+router.patch('/orders/:orderId/status', async (req, res, next) => {
+    try {
+        const { status, reason, notes } = req.body;
+
+        const order = await getOrderStateMachine().transition(req.params.orderId, status, {
+            actor: req.actor,
+            reason: reason || notes || null,
+            changes: notes ? { notes } : {}
+        });
+
+        res.json({
+            success: true,
+            data: order,
+            message: 'Order status updated successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/admin/orders/:orderId/events - Every status change of an order, oldest first
+router.get('/orders/:orderId/events', async (req, res, next) => {
+    try {
+        const events = await OrderEvent.findAll({
+            where: { order_id: req.params.orderId },
+            order: [['id', 'ASC']]
+        });
+
+        res.json({
+            success: true,
+            data: events
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/admin/coupons - Every coupon with how often it was used
+router.get('/coupons', async (req, res, next) => {
+    try {
+        const coupons = await Coupon.findAll({ order: [['code', 'ASC']] });
+
+        res.json({
+            success: true,
+            data: coupons
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/admin/coupons - Create a coupon (`code`, `discount_type`, `value`, optional `min_subtotal`, `usage_limit`, `expires_at`)
+router.post('/coupons', async (req, res, next) => {
+    try {
+        const { code, discount_type, value, min_subtotal, usage_limit, expires_at } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'code is required'
+            });
+        }
+
+        const coupon = await Coupon.create({ code, discount_type, value, min_subtotal, usage_limit, expires_at });
+
+        res.status(201).json({
+            success: true,
+            data: coupon,
+            message: `Coupon ${coupon.code} created`
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/admin/coupons/:code - Turn a coupon on or off (`{ "active": false }`)
+router.put('/coupons/:code', async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findOne({ where: { code: req.params.code.toUpperCase() } });
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        await coupon.update({ active: Boolean(req.body.active) });
+
+        res.json({
+            success: true,
+            data: coupon
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { getCartService, CartError } = require('../services/cartService');
+
+// Carts are only reachable from the session that created them
+function sessionOf(req) {
+    const sessionId = req.get('X-Session-Id');
+    if (!sessionId) {
+        throw new CartError('X-Session-Id header is required');
+    }
+    return sessionId;
+}
+
+// POST /api/cart - Start an empty cart for the session
+router.post('/', async (req, res, next) => {
+    try {
+        const cart = await getCartService().createCart(sessionOf(req));
+
+        res.status(201).json({
+            success: true,
+            data: cart
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/cart/:cartId - Items and totals, priced from the catalog now
+router.get('/:cartId', async (req, res, next) => {
+    try {
+        const cart = await getCartService().getTotals(req.params.cartId, sessionOf(req));
+
+        res.json({
+            success: true,
+            data: cart
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/cart/:cartId/items - Add a product (`product_id`, `variant_id`, `quantity`)
+router.post('/:cartId/items', async (req, res, next) => {
+    try {
+        const cart = await getCartService().addItem(req.params.cartId, sessionOf(req), req.body);
+
+        res.status(201).json({
+            success: true,
+            data: cart
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/cart/:cartId/items/:itemId - Remove a line
+router.delete('/:cartId/items/:itemId', async (req, res, next) => {
+    try {
+        const cart = await getCartService().removeItem(req.params.cartId, sessionOf(req), req.params.itemId);
+
+        res.json({
+            success: true,
+            data: cart
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/cart/:cartId/coupon - Apply a coupon (`code`)
+router.put('/:cartId/coupon', async (req, res, next) => {
+    try {
+        const cart = await getCartService().applyCoupon(req.params.cartId, sessionOf(req), req.body.code);
+
+        res.json({
+            success: true,
+            data: cart
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/cart/:cartId/coupon - Take the coupon off
+router.delete('/:cartId/coupon', async (req, res, next) => {
+    try {
+        const cart = await getCartService().removeCoupon(req.params.cartId, sessionOf(req));
+
+        res.json({
+            success: true,
+            data: cart
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/cart/:cartId/shipping - Where to ship (`shipping_address`) and how (`shipping_method`)
+router.put('/:cartId/shipping', async (req, res, next) => {
+    try {
+        const cart = await getCartService().setShipping(req.params.cartId, sessionOf(req), req.body);
+
+        res.json({
+            success: true,
+            data: cart
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/cart/:cartId/checkout - Turn the cart into a pending order (`customer_email`)
+router.post('/:cartId/checkout', async (req, res, next) => {
+    try {
+        const order = await getCartService().checkout(req.params.cartId, sessionOf(req), req.body);
+
+        res.status(201).json({
+            success: true,
+            data: order,
+            message: 'Order created from cart'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,72 +1,51 @@
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
 const SolanaPayService = require('../services/solanaPayService');
+const { Payment } = require('../models');
+const { getCheckoutService } = require('../services/checkoutService');
+const { PaymentVerificationError } = require('../services/paymentVerifier');
 
 // Initialize Solana Pay service
 const solanaPayService = new SolanaPayService();
+const checkoutService = getCheckoutService();
 
 // Crypto payment routes for Solana Pay integration
 // Note: Variable names may reference various integration sources
 
-// Generate payment request
+// Absolute base URL wallets use to reach this server
+const getPublicBaseUrl = (req) => process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+
+// Generate payment request for a cart (`cartId`, `customerEmail`, session in `X-Session-Id`)
 router.post('/payment/create', async (req, res) => {
     try {
-        const { amount, currency = 'SOL', productId, memo } = req.body;
-        
-        if (!amount || amount <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Valid amount is required'
-            });
-        }
-        
-        // Generate unique payment ID and reference
-        const paymentId = crypto.randomBytes(16).toString('hex');
-        const reference = crypto.randomBytes(32).toString('hex');
-        
-        // Convert USD to SOL if needed
-        let paymentAmount = amount;
-        let conversionRate = null;
-        
-        if (currency === 'SOL') {
-            const conversion = await solanaPayService.convertUSDToSOL(amount);
-            if (conversion.success) {
-                paymentAmount = conversion.solAmount;
-                conversionRate = conversion.rate;
-            }
-        }
-        
-        // Generate Solana Pay URL
-        const paymentURL = solanaPayService.generatePaymentURL(
-            paymentAmount,
-            currency,
-            memo || `Payment for product ${productId}`,
-            reference
-        );
+        const { cartId, customerEmail, currency = 'SOL' } = req.body;
         
-        if (!paymentURL.success) {
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to generate payment URL'
-            });
-        }
+        const payment = await checkoutService.createCartPayment({
+            cartId,
+            sessionId: req.get('X-Session-Id'),
+            customerEmail,
+            token: currency
+        });
         
-        // Create enhanced payment request
         const paymentRequest = {
-            id: paymentId,
-            reference,
-            amount: paymentAmount,
-            originalAmount: amount,
-            currency,
-            conversionRate,
-            productId,
-            memo: memo || `Payment for product ${productId}`,
+            id: payment.payment_id,
+            reference: payment.reference,
+            amount: payment.amount.token,
+            originalAmount: payment.amount.usd,
+            currency: payment.amount.currency,
+            quoteId: payment.quote_id,
+            conversionRate: payment.price.rate,
+            priceSource: payment.price.source,
+            priceTimestamp: payment.price.timestamp,
+            cartId,
+            orderId: payment.order_id,
+            orderNumber: payment.order_number,
             status: 'pending',
             created: new Date().toISOString(),
-            expiresAt: new Date(Date.now() + (30 * 60 * 1000)).toISOString(), // 30 minutes
-            paymentUrl: paymentURL.url,
-            qrCode: paymentURL.qrCode,
+            expiresAt: payment.expires_at.toISOString(),
+            paymentUrl: payment.payment_url,
+            qrCode: payment.qr_code,
             merchantWallet: solanaPayService.merchantWallet
         };
         
@@ -78,6 +57,12 @@ router.post('/payment/create', async (req, res) => {
         });
         
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
         console.error('❌ Crypto payment creation error:', error);
         res.status(500).json({
             success: false,
@@ -144,33 +129,21 @@ router.post('/payment/:paymentId/confirm', async (req, res) => {
     }
 });
 
-// Get supported currencies
+// Get supported currencies for the configured cluster
 router.get('/currencies', (req, res) => {
+    const registry = solanaPayService.tokenRegistry;
+    
     res.json({
         success: true,
-        data: [
-            {
-                symbol: 'SOL',
-                name: 'Solana',
-                decimals: 9,
-                supported: true,
-                native: true
-            },
-            {
-                symbol: 'USDC',
-                name: 'USD Coin',
-                decimals: 6,
-                supported: true,
-                mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
-            },
-            {
-                symbol: 'USDT',
-                name: 'Tether USD',
-                decimals: 6,
-                supported: true,
-                mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
-            }
-        ]
+        network: registry.network,
+        data: registry.list().map(token => ({
+            symbol: token.symbol,
+            name: token.name,
+            decimals: token.decimals,
+            supported: true,
+            ...(token.native ? { native: true } : { mint: token.mint }),
+            ...(token.custom && { custom: true })
+        }))
     });
 });
 
@@ -178,7 +151,7 @@ router.get('/currencies', (req, res) => {
 router.get('/price/sol', async (req, res) => {
     try {
         const priceData = await solanaPayService.getSOLPrice();
-        res.json(priceData);
+        res.status(priceData.success ? 200 : 503).json(priceData);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -200,7 +173,7 @@ router.post('/convert/usd-to-sol', async (req, res) => {
         }
         
         const conversion = await solanaPayService.convertUSDToSOL(amount);
-        res.json(conversion);
+        res.status(conversion.success ? 200 : 503).json(conversion);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -209,27 +182,37 @@ router.post('/convert/usd-to-sol', async (req, res) => {
     }
 });
 
-// Verify transaction
+// Verify a transaction against the payment it pays. The payment's own
+// reference, recipient and token are checked, then the transfer is settled.
 router.post('/transaction/verify', async (req, res) => {
     try {
-        const { signature, expectedAmount, currency = 'SOL' } = req.body;
-        
-        if (!signature) {
+        const { signature, paymentId } = req.body;
+
+        if (!signature || !paymentId) {
             return res.status(400).json({
                 success: false,
-                error: 'Transaction signature is required'
+                error: 'Transaction signature and payment ID are required'
             });
         }
-        
-        const verification = await solanaPayService.verifyTransaction(
-            signature,
-            expectedAmount,
-            solanaPayService.merchantWallet,
-            currency
-        );
-        
-        res.json(verification);
+
+        const payment = await checkoutService.verifyTransaction(paymentId, signature, {
+            baseUrl: getPublicBaseUrl(req)
+        });
+
+        res.json({
+            success: true,
+            payer: payment.payer,
+            data: payment
+        });
     } catch (error) {
+        if (error instanceof PaymentVerificationError || error.name === 'CheckoutError') {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                ...(error.code && { code: error.code })
+            });
+        }
+        console.error('❌ Transaction verification error:', error);
         res.status(500).json({
             success: false,
             error: 'Failed to verify transaction'
@@ -241,7 +224,7 @@ router.post('/transaction/verify', async (req, res) => {
 router.get('/payment/:reference/monitor', async (req, res) => {
     try {
         const { reference } = req.params;
-        const { amount, currency = 'SOL' } = req.query;
+        const { amount, currency = 'SOL', memo } = req.query;
         
         if (!reference) {
             return res.status(400).json({
@@ -250,12 +233,21 @@ router.get('/payment/:reference/monitor', async (req, res) => {
             });
         }
         
-        // Start monitoring (in production, this would use WebSockets)
+        const expectedAmount = parseFloat(amount);
+        if (!expectedAmount || expectedAmount <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Valid expected amount is required'
+            });
+        }
+        
+        // Poll the reference on-chain until a valid transfer shows up
         const monitoringResult = await solanaPayService.monitorPayment(
             reference,
-            parseFloat(amount),
+            expectedAmount,
             currency,
-            60000 // 1 minute timeout for demo
+            60000, // keep the HTTP request bounded to 1 minute
+            { memo }
         );
         
         res.json(monitoringResult);
@@ -285,60 +277,49 @@ router.get('/wallet/:address/balance', async (req, res) => {
 
 // Crypto Payment Integration Endpoints
 
-// Create payment for orders
+// Create payment for a cart (`cartId`, `customerEmail`, session in `X-Session-Id`)
 router.post('/create-payment', async (req, res) => {
     try {
-        const { amount, token = 'SOL', source = 'shop', products } = req.body;
-        
-        if (!amount || amount <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Valid amount is required'
-            });
-        }
-        
-        // Generate unique order ID
-        const orderId = crypto.randomBytes(16).toString('hex');
-        const reference = crypto.randomBytes(32).toString('hex');
-        
-        // Convert USD to selected token if needed
-        let paymentAmount = amount;
-        let conversionRate = null;
-        
-        if (token === 'SOL') {
-            const conversion = await solanaPayService.convertUSDToSOL(amount);
-            if (conversion.success) {
-                paymentAmount = conversion.solAmount;
-                conversionRate = conversion.rate;
-            }
-        }
-        
-        // Store order in memory (you might want to use database)
-        global.fitprintOrders = global.fitprintOrders || new Map();
-        global.fitprintOrders.set(orderId, {
-            id: orderId,
-            amount: amount,
-            paymentAmount: paymentAmount,
-            token: token,
-            source: source,
-            products: products,
-            reference: reference,
-            status: 'pending',
-            createdAt: new Date(),
-            conversionRate: conversionRate
+        const { cartId, customerEmail, token = 'SOL' } = req.body;
+        
+        // Checks the cart out and charges its order, never an amount sent by the client
+        const payment = await checkoutService.createCartPayment({
+            cartId,
+            sessionId: req.get('X-Session-Id'),
+            customerEmail,
+            token
         });
         
+        const transactionRequest = solanaPayService.generateTransactionRequestURL(
+            `${getPublicBaseUrl(req)}${req.baseUrl}/transaction-request/${payment.payment_id}`
+        );
+        
         res.json({
             success: true,
-            id: orderId,
-            amount: amount,
-            paymentAmount: paymentAmount,
-            token: token,
-            reference: reference,
-            conversionRate: conversionRate
+            id: payment.payment_id,
+            orderId: payment.order_id,
+            orderNumber: payment.order_number,
+            amount: payment.amount.usd,
+            paymentAmount: payment.amount.token,
+            token: payment.amount.currency,
+            reference: payment.reference,
+            paymentUrl: payment.payment_url,
+            qrCode: payment.qr_code,
+            quoteId: payment.quote_id,
+            expiresAt: payment.expires_at,
+            conversionRate: payment.price.rate,
+            priceSource: payment.price.source,
+            priceTimestamp: payment.price.timestamp,
+            transactionRequestUrl: transactionRequest.url
         });
         
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
         console.error('❌ Create payment error:', error);
         res.status(500).json({
             success: false,
@@ -347,21 +328,45 @@ router.post('/create-payment', async (req, res) => {
     }
 });
 
-// Generate QR code for payment
-router.post('/generate-qr', async (req, res) => {
+// Solana Pay transaction request - wallet asks for the merchant label and icon
+router.get('/transaction-request/:orderId', (req, res) => {
+    res.json({
+        label: solanaPayService.label,
+        icon: solanaPayService.icon || `${getPublicBaseUrl(req)}/public/sspay-icon.png`
+    });
+});
+
+// What a transaction request pays: a payment by its payment id
+async function findTransactionRequestOrder(id) {
+    const payment = await Payment.findOne({ where: { payment_id: id } });
+    if (!payment) {
+        return null;
+    }
+    return {
+        status: payment.status,
+        paymentAmount: Number(payment.amount),
+        token: payment.currency,
+        reference: payment.reference_key
+    };
+}
+
+// Solana Pay transaction request - wallet posts its account and gets a transaction to sign
+router.post('/transaction-request/:orderId', async (req, res) => {
     try {
-        const { orderId, amount, token = 'SOL' } = req.body;
+        const { orderId } = req.params;
+        const { account } = req.body || {};
         
-        if (!orderId) {
+        let payer;
+        try {
+            payer = new PublicKey(account);
+        } catch (error) {
             return res.status(400).json({
                 success: false,
-                error: 'Order ID is required'
+                error: 'Valid account is required'
             });
         }
         
-        // Get order details
-        const orders = global.fitprintOrders || new Map();
-        const order = orders.get(orderId);
+        const order = await findTransactionRequestOrder(orderId);
         
         if (!order) {
             return res.status(404).json({
@@ -370,98 +375,40 @@ router.post('/generate-qr', async (req, res) => {
             });
         }
         
-        // Generate Solana Pay URL
-        const paymentURL = solanaPayService.generatePaymentURL(
+        if (order.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                error: `Order is already ${order.status}`
+            });
+        }
+        
+        const result = await solanaPayService.createTransaction(
+            payer,
+            solanaPayService.merchantWallet,
             order.paymentAmount,
             order.token,
             `FitPrint Order #${orderId}`,
-            order.reference
+            order.reference,
+            { feePayer: solanaPayService.feePayer }
         );
         
-        if (!paymentURL.success) {
-            return res.status(500).json({
+        if (!result.success) {
+            return res.status(400).json({
                 success: false,
-                error: 'Failed to generate payment URL'
+                error: result.error
             });
         }
         
-        // Generate QR code
-        const QRCode = require('qrcode');
-        const qrCodeDataURL = await QRCode.toDataURL(paymentURL.url, {
-            width: 256,
-            margin: 2,
-            color: {
-                dark: '#000000',
-                light: '#FFFFFF'
-            }
-        });
-        
         res.json({
-            success: true,
-            qrCodeUrl: qrCodeDataURL,
-            paymentUrl: paymentURL.url,
-            orderId: orderId,
-            amount: order.paymentAmount,
-            token: order.token
+            transaction: result.transaction.toString('base64'),
+            message: `${solanaPayService.label} - Order #${orderId}`
         });
         
     } catch (error) {
-        console.error('❌ Generate QR error:', error);
+        console.error('❌ Transaction request error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to generate QR code'
-        });
-    }
-});
-
-// Check payment status
-router.get('/payment-status/:orderId', async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        
-        // Get order details
-        const orders = global.fitprintOrders || new Map();
-        const order = orders.get(orderId);
-        
-        if (!order) {
-            return res.status(404).json({
-                success: false,
-                error: 'Order not found'
-            });
-        }
-        
-        // Check if payment has been confirmed
-        // This would typically involve checking the blockchain
-        const paymentStatus = await solanaPayService.verifyTransaction(order.reference);
-        
-        if (paymentStatus.success && paymentStatus.verified) {
-            // Update order status
-            order.status = 'paid';
-            order.paidAt = new Date();
-            order.transactionSignature = paymentStatus.signature;
-            orders.set(orderId, order);
-            
-            res.json({
-                success: true,
-                paid: true,
-                orderId: orderId,
-                transactionSignature: paymentStatus.signature,
-                order: order
-            });
-        } else {
-            res.json({
-                success: true,
-                paid: false,
-                orderId: orderId,
-                status: order.status
-            });
-        }
-        
-    } catch (error) {
-        console.error('❌ Payment status check error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to check payment status'
+            error: 'Failed to create transaction'
         });
     }
 });
@@ -1,7 +1,6 @@
 /**
- * Crypto Payment Routes - Enhanced API endpoints for Solana Pay integration
- * 
- * These routes handle the complete crypto payment flow:
+ * Crypto checkout routes for the embeddable payment widget, mounted on
+ * /api/crypto ahead of the Solana Pay routes in crypto.js:
  * - Product pricing in SOL
  * - Payment creation and QR generation
  * - Payment verification and blockchain monitoring
@@ -10,10 +9,9 @@
 
 const express = require('express');
 const router = express.Router();
-const CryptoPaymentService = require('../services/cryptoPaymentService');
+const { getCheckoutService } = require('../services/checkoutService');
 
-// Initialize crypto payment service
-const cryptoService = new CryptoPaymentService();
+const cryptoService = getCheckoutService();
 
 /**
  * GET /api/crypto/products
@@ -45,19 +43,20 @@ router.get('/products', async (req, res) => {
  */
 router.get('/sol-price', async (req, res) => {
     try {
-        const solPrice = await cryptoService.getSolPrice();
+        const quote = await cryptoService.getSolQuote();
         
         res.json({
             success: true,
             data: {
-                sol_price_usd: solPrice,
-                updated_at: new Date().toISOString()
+                sol_price_usd: quote.price,
+                source: quote.source,
+                updated_at: quote.timestamp.toISOString()
             }
         });
 
     } catch (error) {
         console.error('❌ Error fetching SOL price:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to fetch SOL price',
             message: error.message
@@ -67,7 +66,8 @@ router.get('/sol-price', async (req, res) => {
 
 /**
  * POST /api/crypto/create-payment
- * Create a new crypto payment with QR code
+ * Create a new crypto payment with QR code. Bodies without a productId are
+ * cart payments and go on to crypto.js.
  * 
  * Body: {
  *   productId: number,
@@ -85,17 +85,21 @@ router.get('/sol-price', async (req, res) => {
  *     country: string,
  *     phone?: string
  *   },
- *   customAmount?: number (for custom pricing)
+ *   shippingMethod?: 'standard' | 'priority' | 'express' (from POST /api/shipping/quote)
  * }
  */
-router.post('/create-payment', async (req, res) => {
+router.post('/create-payment', async (req, res, next) => {
     try {
         const paymentData = req.body;
         
         // Validate required fields
         const { productId, customerEmail, shippingAddress } = paymentData;
         
-        if (!productId || !customerEmail || !shippingAddress) {
+        if (!productId) {
+            return next();
+        }
+
+        if (!customerEmail || !shippingAddress) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required fields',
@@ -126,7 +130,7 @@ router.post('/create-payment', async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error creating crypto payment:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to create crypto payment',
             message: error.message
@@ -159,7 +163,7 @@ router.get('/verify-payment/:reference', async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error verifying payment:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to verify payment',
             message: error.message
@@ -177,6 +181,13 @@ router.get('/payment-status/:reference', async (req, res) => {
         
         const status = await cryptoService.getPaymentStatus(reference);
         
+        if (status.status === 'not_found') {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found'
+            });
+        }
+        
         res.json({
             success: true,
             data: status,
@@ -193,6 +204,56 @@ router.get('/payment-status/:reference', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/crypto/payment-events/:reference
+ * Server-Sent Events stream of one payment's status:
+ * pending → detected → confirmed → finalized → order_created, or flagged / failed / expired.
+ * A short payment sits at partially_paid, with its top-up request, until the balance lands.
+ */
+router.get('/payment-events/:reference', async (req, res) => {
+    try {
+        const { reference } = req.params;
+        const status = await cryptoService.getPaymentStatus(reference);
+
+        if (status.status === 'not_found') {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found'
+            });
+        }
+
+        // Payments settled before this process started have no events yet
+        const stage = ['confirmed', 'finalized'].includes(status.status) && status.printify_order_id
+            ? 'order_created'
+            : status.status === 'on_hold' ? 'flagged' : status.status;
+
+        cryptoService.paymentEvents.stream(req, res, reference, {
+            initial: {
+                status: stage,
+                data: {
+                    transaction_signature: status.transaction_signature,
+                    expires_at: status.expires_at,
+                    order_id: status.order_id,
+                    printify_order_id: status.printify_order_id,
+                    ...(status.top_up && { top_up: status.top_up })
+                }
+            },
+            // Check the chain while someone is watching instead of waiting for the background watcher
+            refresh: ['pending', 'partially_paid', 'confirmed', 'finalized'].includes(stage)
+                ? () => cryptoService.verifyPayment(reference)
+                : null
+        });
+
+    } catch (error) {
+        console.error('❌ Error streaming payment events:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stream payment events',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /api/crypto/stats
  * Get payment statistics
@@ -260,7 +321,7 @@ router.post('/test-payment', async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error creating test payment:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to create test payment',
             message: error.message
@@ -274,16 +335,16 @@ router.post('/test-payment', async (req, res) => {
  */
 router.get('/health', async (req, res) => {
     try {
-        const solPrice = await cryptoService.getSolPrice();
+        const quote = await cryptoService.getSolQuote();
         
         res.json({
             success: true,
             data: {
                 service: 'Crypto Payment Service',
                 status: 'healthy',
-                solana_network: cryptoService.solanaNetwork,
-                merchant_wallet: cryptoService.merchantWallet.toString(),
-                sol_price_usd: solPrice,
+                solana_network: cryptoService.network,
+                merchant_wallet: cryptoService.solanaPayService.merchantWallet,
+                sol_price_usd: quote.price,
                 timestamp: new Date().toISOString()
             }
         });
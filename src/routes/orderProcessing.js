@@ -1,46 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
+const { Order } = require('../models');
+const adminAuth = require('../middleware/adminAuth');
+const { getFulfillmentService } = require('../services/fulfillmentService');
+const { getOrderTracking } = require('../services/orderTracking');
 
 // Real-time order processing and status management
 
-// GET /api/orders/tracking/:orderId - Track order status
+// GET /api/orders/tracking/:orderId - Track order status, by order id or number
 router.get('/tracking/:orderId', async (req, res) => {
     try {
-        const { orderId } = req.params;
-        
-        // Enhanced order tracking with detailed status history
-        const trackingInfo = {
-            orderId,
-            status: 'processing',
-            statusHistory: [
-                {
-                    status: 'pending',
-                    timestamp: new Date(Date.now() - 3600000).toISOString(),
-                    message: 'Order received and payment processing'
-                },
-                {
-                    status: 'confirmed',
-                    timestamp: new Date(Date.now() - 1800000).toISOString(),
-                    message: 'Payment confirmed, order being prepared'
-                },
-                {
-                    status: 'processing',
-                    timestamp: new Date().toISOString(),
-                    message: 'Order is being prepared for shipment'
-                }
-            ],
-            estimatedDelivery: new Date(Date.now() + (7 * 24 * 60 * 60 * 1000)).toISOString(),
-            trackingNumber: `SSPAY${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
-            carrier: 'Standard Shipping'
-        };
-        
+        const trackingInfo = await getOrderTracking().getTracking(req.params.orderId);
+
         res.json({
             success: true,
             data: trackingInfo
         });
-        
+
     } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
         console.error('❌ Order tracking error:', error);
         res.status(500).json({
             success: false,
@@ -49,126 +34,50 @@ router.get('/tracking/:orderId', async (req, res) => {
     }
 });
 
-// POST /api/orders/process - Enhanced order processing
-router.post('/process', async (req, res) => {
+// POST /api/orders/process - Queue a paid order for Printify and submit it now; admin token required.
+// Confirmed payments queue their order on their own; this covers orders paid outside checkout.
+router.post('/process', adminAuth, async (req, res) => {
     try {
-        const { orderData, paymentData } = req.body;
-        
-        console.log('🔄 Processing order with enhanced workflow...');
-        
-        // Generate order ID
-        const orderId = crypto.randomBytes(8).toString('hex').toUpperCase();
-        
-        // Enhanced order processing workflow
-        const processedOrder = {
-            id: orderId,
-            status: 'confirmed',
-            timestamp: new Date().toISOString(),
-            customer: orderData.customer,
-            items: orderData.items,
-            totals: {
-                subtotal: orderData.subtotal,
-                shipping: orderData.shipping || 0,
-                tax: orderData.tax || 0,
-                total: orderData.total
-            },
-            payment: {
-                method: paymentData.method || 'SOL',
-                status: 'confirmed',
-                transactionId: paymentData.transactionId || `tx_${crypto.randomBytes(16).toString('hex')}`,
-                amount: paymentData.amount,
-                currency: paymentData.currency || 'SOL'
-            },
-            fulfillment: {
-                status: 'pending',
-                provider: 'printify',
-                estimatedShipping: new Date(Date.now() + (3 * 24 * 60 * 60 * 1000)).toISOString()
-            },
-            notifications: {
-                customerNotified: true,
-                adminNotified: true,
-                webhookSent: true
-            }
-        };
-        
-        // Simulate inventory updates
-        console.log('📦 Updating inventory for ordered items...');
-        for (const item of orderData.items) {
-            console.log(`✅ Updated inventory for product ${item.productId} - quantity: ${item.quantity}`);
+        const order = await Order.findByPk(req.body.order_id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
         }
-        
-        // Simulate Printify order creation
-        console.log('🏭 Creating Printify fulfillment order...');
-        processedOrder.fulfillment.printifyOrderId = `printify_${crypto.randomBytes(8).toString('hex')}`;
-        
-        // Log analytics
-        console.log('📊 Recording order analytics...');
-        
-        res.json({
-            success: true,
-            data: processedOrder,
-            message: 'Order processed successfully'
-        });
-        
-    } catch (error) {
-        console.error('❌ Order processing error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to process order'
-        });
-    }
-});
 
-// POST /api/orders/webhook/payment - Payment confirmation webhook
-router.post('/webhook/payment', async (req, res) => {
-    try {
-        const { signature, orderId, paymentStatus, transactionHash } = req.body;
-        
-        console.log('🔔 Payment webhook received:', {
-            orderId,
-            paymentStatus,
-            transactionHash: transactionHash?.substring(0, 20) + '...'
-        });
-        
-        // Verify webhook signature (in production)
-        const isValid = true; // Simplified for demo
-        
-        if (!isValid) {
-            return res.status(400).json({
+        // Cancelled, refunded or held orders must not reach Printify
+        if (order.payment_status !== 'completed' || !['paid', 'processing'].includes(order.status)) {
+            return res.status(409).json({
                 success: false,
-                error: 'Invalid webhook signature'
+                error: 'Only paid orders can be fulfilled'
             });
         }
-        
-        // Update order status based on payment
-        const statusUpdate = {
-            orderId,
-            oldStatus: 'pending_payment',
-            newStatus: paymentStatus === 'confirmed' ? 'confirmed' : 'failed',
-            timestamp: new Date().toISOString(),
-            transactionHash,
-            webhookProcessed: true
-        };
-        
-        if (paymentStatus === 'confirmed') {
-            console.log('✅ Payment confirmed, triggering fulfillment...');
-            // Trigger fulfillment process
-        } else {
-            console.log('❌ Payment failed, marking order for review...');
-            // Handle failed payment
-        }
-        
-        res.json({
+
+        const job = await getFulfillmentService().resubmit(order);
+
+        res.status(job.status === 'completed' ? 200 : 202).json({
             success: true,
-            data: statusUpdate,
-            message: 'Webhook processed successfully'
+            data: {
+                orderId: order.id,
+                orderNumber: order.order_number,
+                fulfillment: {
+                    provider: 'printify',
+                    status: job.status,
+                    printifyOrderId: job.printify_order_id,
+                    attempts: job.attempts,
+                    nextAttemptAt: job.next_attempt_at,
+                    lastError: job.last_error
+                }
+            },
+            message: job.status === 'completed' ? 'Order submitted to Printify' : 'Order queued for Printify'
         });
-        
+
     } catch (error) {
-        console.error('❌ Webhook processing error:', error);
+        console.error('❌ Order processing error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to process webhook'
+            error: 'Failed to process order'
         });
     }
 });
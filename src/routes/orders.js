@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { Order, Customer, OrderItem, Product, Payment } = require('../models');
+const { summarizeBalance } = require('../services/orderBalance');
+const { getOrderStateMachine } = require('../services/orderStateMachine');
+const { getShippingQuoteService } = require('../services/shippingQuotes');
+const { getTaxService } = require('../services/taxService');
+const adminAuth = require('../middleware/adminAuth');
 
 // GET /api/orders - Get all orders
 router.get('/', async (req, res, next) => {
@@ -50,11 +55,17 @@ router.get('/', async (req, res, next) => {
 // POST /api/orders - Create new order
 router.post('/', async (req, res, next) => {
     try {
+        // Solana Pay shop checkouts (`customerInfo`, `items[].id`) belong to the legacy orders router
+        if (req.body.customerInfo) {
+            return next();
+        }
+
         const {
             customer_email,
             items,
             shipping_address,
             billing_address,
+            shipping_method,
             payment_method = 'solana'
         } = req.body;
 
@@ -70,6 +81,14 @@ router.post('/', async (req, res, next) => {
         const orderItems = [];
 
         for (const item of items) {
+            const quantity = Number(item.quantity ?? 1);
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Quantity must be a positive whole number'
+                });
+            }
+
             const product = await Product.findByPk(item.product_id);
             if (!product) {
                 return res.status(400).json({
@@ -77,8 +96,13 @@ router.post('/', async (req, res, next) => {
                     message: `Product with ID ${item.product_id} not found`
                 });
             }
+            if (product.status !== 'active') {
+                return res.status(409).json({
+                    success: false,
+                    message: `${product.title} is not available`
+                });
+            }
 
-            const quantity = parseInt(item.quantity) || 1;
             const unitPrice = parseFloat(product.base_price);
             const totalPrice = unitPrice * quantity;
             
@@ -94,13 +118,22 @@ router.post('/', async (req, res, next) => {
                 product_image: product.images && product.images.length > 0 ? product.images[0].src : null,
                 variant_id: item.variant_id,
                 variant_title: item.variant_title,
-                product_options: item.options || {}
+                product_options: item.options || {},
+                tax_category: product.tax_category
             });
         }
 
-        const shippingCost = 0; // Calculate shipping
-        const taxAmount = 0; // Calculate tax
-        const totalAmount = subtotal + shippingCost + taxAmount;
+        // Charge the option picked from the cart's shipping quote; without an address there is nothing to quote yet
+        const shipping = shipping_address
+            ? await getShippingQuoteService().selectOption(items, shipping_address, shipping_method)
+            : null;
+        const shippingCost = shipping ? shipping.cost : 0;
+        const tax = await getTaxService().calculate(
+            orderItems.map(item => ({ amount: item.total_price, category: item.tax_category })),
+            shipping_address
+        );
+        const taxAmount = Number(tax.tax_amount);
+        const totalAmount = Number((subtotal + shippingCost + Number(tax.added_amount)).toFixed(2));
 
         // Generate order number
         const orderNumber = `SSPAY-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
@@ -114,16 +147,23 @@ router.post('/', async (req, res, next) => {
             shipping_cost: shippingCost,
             tax_amount: taxAmount,
             total_amount: totalAmount,
+            balance_due: totalAmount,
             shipping_address: shipping_address || {},
             billing_address: billing_address || shipping_address || {},
             status: 'pending',
-            payment_status: 'pending'
+            payment_status: 'pending',
+            metadata: {
+                ...(shipping && { shipping }),
+                tax: { provider: tax.provider, jurisdiction: tax.jurisdiction, inclusive: tax.inclusive }
+            }
         });
 
         // Create order items
-        for (const itemData of orderItems) {
+        for (const [index, { tax_category, ...itemData }] of orderItems.entries()) {
             await OrderItem.create({
                 ...itemData,
+                tax_rate: tax.lines[index].tax_rate,
+                tax_amount: tax.lines[index].tax_amount,
                 order_id: order.id
             });
         }
@@ -146,8 +186,8 @@ router.post('/', async (req, res, next) => {
     }
 });
 
-// GET /api/orders/:id - Get single order
-router.get('/:id', async (req, res, next) => {
+// GET /api/orders/:id - Get single order (other ids are left to the legacy orders alias)
+router.get('/:id(\\d+)', async (req, res, next) => {
     try {
         const { id } = req.params;
         
@@ -168,33 +208,38 @@ router.get('/:id', async (req, res, next) => {
 
         res.json({
             success: true,
-            data: order
+            data: order,
+            // USD paid and still owed across all of the order's payments
+            balance: summarizeBalance(order, order.payments)
         });
     } catch (error) {
         next(error);
     }
 });
 
-// PUT /api/orders/:id/status - Update order status
-router.put('/:id/status', async (req, res, next) => {
+// PUT /api/orders/:id/status - Update order status; admin token required
+router.put('/:id(\\d+)/status', adminAuth, async (req, res, next) => {
     try {
         const { id } = req.params;
         const { status, tracking_number, notes } = req.body;
 
-        const order = await Order.findByPk(id);
-
-        if (!order) {
+        if (!await Order.findByPk(id)) {
             return res.status(404).json({
                 success: false,
                 message: 'Order not found'
             });
         }
 
-        const updateData = { status };
-        if (tracking_number) updateData.tracking_number = tracking_number;
-        if (notes) updateData.notes = notes;
+        // The state machine refuses transitions the order's state does not allow
+        const changes = {};
+        if (tracking_number) changes.tracking_number = tracking_number;
+        if (notes) changes.notes = notes;
 
-        await order.update(updateData);
+        const order = await getOrderStateMachine().transition(id, status, {
+            actor: req.actor,
+            reason: notes || null,
+            changes
+        });
 
         res.json({
             success: true,
@@ -1,7 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const { Order, Payment, OrderItem, Product, Customer } = require('../models');
+const { PublicKey } = require('@solana/web3.js');
+const { sequelize, Order, Payment, OrderItem, Product, Customer, Quote, Refund } = require('../models');
 const solanaService = require('../services/solanaService');
+const SolanaPayService = require('../services/solanaPayService');
+const { getQuoteService } = require('../services/quoteService');
+const { RefundService } = require('../services/refundService');
+const { getCommitmentTracker } = require('../services/commitmentTracker');
+const { SettlementService } = require('../services/settlementService');
+const { getOrderBalance } = require('../services/orderBalance');
+const { PaymentVerifier, PaymentVerificationError, findSignatureClaim } = require('../services/paymentVerifier');
+const { getCheckoutService } = require('../services/checkoutService');
+const { getPaymentWatcher } = require('../services/paymentWatcher');
+const adminAuth = require('../middleware/adminAuth');
+
+// Payment URLs must name the wallet payments are verified against
+const solanaPayService = new SolanaPayService({ merchantWallet: solanaService.merchantWallet.toBase58() });
+const quoteService = getQuoteService();
+const refundService = new RefundService({ solanaPayService });
+const commitmentTracker = getCommitmentTracker();
+const settlementService = new SettlementService({ solanaPayService, quoteService, refundService, commitmentTracker });
+const paymentVerifier = new PaymentVerifier({
+    connection: solanaService.connection,
+    findClaim: findSignatureClaim
+});
+
+const getPublicBaseUrl = (req) => process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
 
 // GET /api/payments - Get all payments
 router.get('/', async (req, res, next) => {
@@ -52,15 +76,15 @@ router.get('/', async (req, res, next) => {
     }
 });
 
-// POST /api/payments/create - Create payment request
+// POST /api/payments/create - Create payment request for all or part (`amount_usd`) of a cart's order
 router.post('/create', async (req, res, next) => {
     try {
-        const { order_id, amount, currency = 'SOL' } = req.body;
+        const { order_id, currency = 'SOL', amount_usd } = req.body;
 
-        if (!order_id || !amount) {
+        if (!order_id) {
             return res.status(400).json({
                 success: false,
-                message: 'Order ID and amount are required'
+                message: 'Order ID is required'
             });
         }
 
@@ -76,16 +100,70 @@ router.post('/create', async (req, res, next) => {
             });
         }
 
+        // Only cart checkouts are priced by the server from start to finish
+        if (order.metadata?.source !== 'cart') {
+            return res.status(409).json({
+                success: false,
+                message: 'Only orders checked out from a cart can be paid here'
+            });
+        }
+
+        const token = currency.toUpperCase();
+        if (!solanaPayService.tokenRegistry.isEnabled(token)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unsupported currency: ${currency}`
+            });
+        }
+
+        // An order can be split over several payments, each in its own token
+        const balance = await getOrderBalance(order);
+        const outstanding = Number(balance.outstanding_usd);
+
+        if (outstanding === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Order is already paid',
+                data: { balance }
+            });
+        }
+
+        const usdAmount = amount_usd === undefined ? outstanding : Number(amount_usd);
+        if (!(usdAmount > 0) || usdAmount > outstanding) {
+            return res.status(400).json({
+                success: false,
+                message: `amount_usd must be more than 0 and at most the outstanding $${balance.outstanding_usd}`
+            });
+        }
+
         // Generate unique reference
         const reference = solanaService.generateReference();
+
+        // Lock this payment's share, and its share of the tax, at the current rate; the oracle throws rather than guess
+        const taxAmount = Number(order.tax_amount);
+        const quote = await quoteService.createQuote(usdAmount, token, {
+            reference,
+            ...(taxAmount > 0 && {
+                tax: {
+                    usd: (taxAmount * usdAmount / Number(order.total_amount)).toFixed(2),
+                    inclusive: Boolean(order.metadata?.tax?.inclusive)
+                }
+            }),
+            metadata: { order_id: order.id }
+        });
+        const amount = quote.token_amount;
         
         // Create payment record
         const payment = await Payment.create({
             payment_id: `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             order_id: order.id,
             amount: amount,
-            currency: currency.toUpperCase(),
-            usd_amount: order.total_amount,
+            currency: token,
+            usd_amount: usdAmount,
+            exchange_rate: quote.rate,
+            price_source: quote.price_source,
+            price_timestamp: quote.price_timestamp,
+            quote_id: quote.quote_id,
             status: 'pending',
             reference_key: reference,
             wallet_address: order.wallet_address,
@@ -95,13 +173,16 @@ router.post('/create', async (req, res, next) => {
             }
         });
 
-        // Create Solana Pay URL
-        const paymentRequest = await solanaService.createPaymentRequest(
+        // Create Solana Pay URL, with the token's mint for SPL payments
+        const paymentRequest = solanaPayService.generatePaymentURL(
             amount,
-            reference,
-            `SSPAY Order #${order.order_number}`,
-            `Payment for order ${order.order_number}`
+            token,
+            `Payment for order ${order.order_number}`,
+            reference
         );
+        if (!paymentRequest.success) {
+            throw new Error(`Could not create a payment request: ${paymentRequest.error}`);
+        }
 
         res.json({
             success: true,
@@ -110,7 +191,9 @@ router.post('/create', async (req, res, next) => {
                 payment_url: paymentRequest.url,
                 qr_code: paymentRequest.qrCode,
                 reference: reference,
-                expires_at: new Date(Date.now() + 15 * 60 * 1000) // 15 minutes
+                quote,
+                expires_at: quote.expires_at,
+                balance
             }
         });
     } catch (error) {
@@ -143,41 +226,252 @@ router.post('/verify', async (req, res, next) => {
             });
         }
 
-        // Verify the transaction on Solana
-        const verification = await solanaService.validateTransaction(transaction_signature);
+        // A partially paid payment takes top-ups on its reference
+        if (payment.transaction_signature && payment.transaction_signature !== transaction_signature &&
+            payment.status !== 'partially_paid') {
+            throw new PaymentVerificationError('PAYMENT_ALREADY_PAID', 'Payment is already bound to another transaction');
+        }
 
-        if (!verification.valid) {
-            return res.status(400).json({
+        const mint = payment.currency === 'SOL'
+            ? null
+            : solanaPayService.getMintAddress(payment.currency, { includeDisabled: true });
+
+        // Binds the signature to this payment: unused elsewhere, referencing it and paying the merchant
+        const verification = await paymentVerifier.verify(transaction_signature, {
+            paymentId: payment.payment_id,
+            reference: payment.reference_key,
+            recipient: solanaService.merchantWallet,
+            splToken: mint
+        });
+
+        // Add the transfer to what the payment received and settle it against the locked quote
+        const result = await settlementService.settle(payment, [{
+            signature: transaction_signature,
+            receivedAmount: verification.receivedAmount,
+            payer: verification.payer,
+            slot: verification.slot,
+            blockTime: verification.blockTime
+        }], { baseUrl: getPublicBaseUrl(req) });
+        // A re-submitted signature changes nothing; report where the payment stands
+        const status = result.status === 'unchanged' ? payment.status : result.status;
+
+        if (status === 'partially_paid') {
+            const topUp = payment.metadata.top_up;
+
+            return res.status(402).json({
                 success: false,
-                message: 'Invalid transaction',
-                details: verification.error
+                message: `Payment is ${topUp.amount} ${payment.currency} short, send the balance to the top-up URL`,
+                data: { payment, settlement: payment.metadata.settlement, top_up: topUp }
             });
         }
 
-        // Update payment status
-        await payment.update({
-            transaction_signature,
-            status: 'confirmed',
-            confirmation_count: 1,
-            block_height: verification.transaction.slot,
-            metadata: {
-                ...payment.metadata,
-                verified_at: new Date().toISOString(),
-                block_time: verification.transaction.blockTime
+        if (['flagged', 'processing'].includes(status)) {
+            return res.status(402).json({
+                success: false,
+                message: 'Late payment does not cover the order and is flagged for refund',
+                data: { payment, settlement: payment.metadata.settlement }
+            });
+        }
+
+        // Releases the order once its payments cover the total at the commitment it needs
+        const outcome = result.outcome || await commitmentTracker.trackPayment(payment);
+        const balance = result.balance || await getOrderBalance(payment.order);
+        const messages = {
+            pending: Number(balance.outstanding_usd) > 0
+                ? `Payment verified, $${balance.outstanding_usd} is still due on the order`
+                : `Payment verified, order is released once the transaction is ${payment.metadata.required_commitment}`,
+            held: 'Payment transaction is no longer on-chain, order on hold'
+        };
+        const overpaid = {
+            credited: 'the excess was added to store credit',
+            refund_pending: 'the excess is queued for refund',
+            refunded: 'the excess was refunded',
+            refund_failed: 'the excess is waiting for a manual refund',
+            credit_failed: 'the excess is waiting for a manual credit'
+        };
+
+        res.json({
+            success: true,
+            data: payment,
+            balance,
+            message: [
+                messages[outcome] || 'Payment verified successfully',
+                ...(result.overpayment ? [overpaid[result.overpayment.status]] : [])
+            ].join('; ')
+        });
+    } catch (error) {
+        // Another request bound the same signature first
+        next(error.name === 'SequelizeUniqueConstraintError'
+            ? new PaymentVerificationError('SIGNATURE_ALREADY_USED', 'Transaction already used for another payment')
+            : error);
+    }
+});
+
+// Routes of the former crypto-dropship-backend payments API, answered from
+// the payments above. Its `POST /create-payment` is now
+// `POST /api/crypto/create-payment`.
+
+// Settle a transfer the buyer reports for the payment with this reference
+async function confirmByReference(req, reference, signature) {
+    const payment = await Payment.findOne({ where: { reference_key: reference } });
+
+    if (!payment) {
+        return null;
+    }
+    return getCheckoutService().verifyTransaction(payment.payment_id, signature, {
+        baseUrl: getPublicBaseUrl(req)
+    });
+}
+
+// GET /api/payments/pending - Payments waiting for their transfer; admin token required
+router.get('/pending', adminAuth, async (req, res, next) => {
+    try {
+        const payments = await Payment.findAll({
+            where: { status: 'pending' },
+            order: [['created_at', 'DESC']]
+        });
+
+        res.json({
+            success: true,
+            payments,
+            count: payments.length
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/payments/analytics - Payment counts by status and currency; admin token required
+router.get('/analytics', adminAuth, async (req, res, next) => {
+    try {
+        const statusCounts = await Payment.findAll({
+            attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+            group: ['status'],
+            raw: true
+        });
+        const currencyCounts = await Payment.findAll({
+            attributes: [
+                'currency',
+                [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+                [sequelize.fn('SUM', sequelize.col('amount')), 'total_amount']
+            ],
+            group: ['currency'],
+            raw: true
+        });
+        const totalValue = await Payment.sum('usd_amount', {
+            where: { status: ['confirmed', 'finalized'] }
+        });
+
+        res.json({
+            success: true,
+            analytics: {
+                statusCounts: Object.fromEntries(statusCounts.map(row => [row.status, Number(row.count)])),
+                currencyCounts: Object.fromEntries(currencyCounts.map(row => [row.currency, {
+                    count: Number(row.count),
+                    total_amount: Number(row.total_amount || 0)
+                }])),
+                totalValue: totalValue || 0
             }
         });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/payments/cleanup-expired - Scan pending payments now, so payments that
+// landed just before expiry are confirmed rather than expired; admin token required
+router.post('/cleanup-expired', adminAuth, async (req, res, next) => {
+    try {
+        const run = await getPaymentWatcher().runOnce();
 
-        // Update order status
-        await payment.order.update({
-            payment_status: 'completed',
-            status: 'processing',
-            transaction_signature
+        res.json({
+            success: true,
+            message: `Marked ${run.expired} payments as expired`,
+            count: run.expired,
+            confirmed: run.confirmed,
+            partially_paid: run.partially_paid,
+            flagged: run.flagged
         });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/payments/:reference/status - Payment status by reference, without checking the chain
+router.get('/:reference/status', async (req, res, next) => {
+    try {
+        const { reference } = req.params;
+        const status = await getCheckoutService().getPaymentStatus(reference);
+
+        if (status.status === 'not_found') {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found'
+            });
+        }
 
         res.json({
             success: true,
-            data: payment,
-            message: 'Payment verified successfully'
+            payment: { reference, ...status }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/payments/:reference/confirm - Confirm a payment with the signature of its transfer
+router.post('/:reference/confirm', async (req, res, next) => {
+    try {
+        const { reference } = req.params;
+        const { signature } = req.body;
+
+        if (!signature) {
+            return res.status(400).json({
+                success: false,
+                error: 'Transaction signature is required'
+            });
+        }
+
+        const payment = await confirmByReference(req, reference, signature);
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            payment: { reference, ...payment },
+            message: 'Payment confirmed successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/payments/webhook - Same as confirm, with `reference` and `signature` in the body
+router.post('/webhook', async (req, res, next) => {
+    try {
+        const { signature, reference } = req.body;
+
+        if (!signature || !reference) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing signature or reference'
+            });
+        }
+
+        if (!await confirmByReference(req, reference, signature)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Webhook processed'
         });
     } catch (error) {
         next(error);
@@ -218,15 +512,13 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
-// POST /api/payments/:id/refund - Process refund
-router.post('/:id/refund', async (req, res, next) => {
+// POST /api/payments/:id/refund - Refund all or part of a payment to the payer's wallet (admin)
+router.post('/:id/refund', adminAuth, async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { reason } = req.body;
+        const { amount, reason } = req.body;
 
-        const payment = await Payment.findByPk(id, {
-            include: [{ model: Order, as: 'order' }]
-        });
+        const payment = await Payment.findByPk(id);
 
         if (!payment) {
             return res.status(404).json({
@@ -235,32 +527,110 @@ router.post('/:id/refund', async (req, res, next) => {
             });
         }
 
-        if (payment.status !== 'confirmed') {
-            return res.status(400).json({
+        const { refund, url } = await refundService.createRefund(payment, {
+            amount,
+            reason,
+            baseUrl: getPublicBaseUrl(req)
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                refund,
+                signing_url: url,
+                qr_code: url ? solanaPayService.generateQRCodeURL(url) : null
+            },
+            message: refund.status === 'confirmed'
+                ? 'Refund sent'
+                : 'Refund created, waiting for the merchant wallet to sign'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/payments/refunds/:refundId - Refund status, confirming it once it lands on-chain
+router.get('/refunds/:refundId', async (req, res, next) => {
+    try {
+        const refund = await Refund.findOne({ where: { refund_id: req.params.refundId } });
+
+        if (!refund) {
+            return res.status(404).json({
                 success: false,
-                message: 'Can only refund confirmed payments'
+                message: 'Refund not found'
             });
         }
 
-        // Update payment and order status
-        await payment.update({
-            status: 'refunded',
-            metadata: {
-                ...payment.metadata,
-                refunded_at: new Date().toISOString(),
-                refund_reason: reason
-            }
-        });
+        await refundService.checkRefund(refund);
 
-        await payment.order.update({
-            payment_status: 'refunded',
-            status: 'cancelled'
+        res.json({
+            success: true,
+            data: refund
         });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/payments/refunds/:refundId/cancel - Drop a refund that was never signed (admin)
+router.post('/refunds/:refundId/cancel', adminAuth, async (req, res, next) => {
+    try {
+        const refund = await Refund.findOne({ where: { refund_id: req.params.refundId } });
+
+        if (!refund) {
+            return res.status(404).json({
+                success: false,
+                message: 'Refund not found'
+            });
+        }
+
+        await refundService.cancelRefund(refund);
 
         res.json({
             success: true,
-            data: payment,
-            message: 'Payment refunded successfully'
+            data: refund,
+            message: 'Refund cancelled'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Solana Pay transaction request for a refund - merchant wallet asks for the label and icon
+router.get('/refunds/:refundId/transaction-request', (req, res) => {
+    res.json({
+        label: solanaPayService.label,
+        icon: solanaPayService.icon || `${getPublicBaseUrl(req)}/public/sspay-icon.png`
+    });
+});
+
+// Solana Pay transaction request for a refund - merchant wallet posts its account and signs the refund
+router.post('/refunds/:refundId/transaction-request', async (req, res, next) => {
+    try {
+        let sender;
+        try {
+            sender = new PublicKey(req.body && req.body.account);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Valid account is required'
+            });
+        }
+
+        const refund = await Refund.findOne({ where: { refund_id: req.params.refundId } });
+
+        if (!refund) {
+            return res.status(404).json({
+                success: false,
+                error: 'Refund not found'
+            });
+        }
+
+        const { serialized } = await refundService.buildTransactionRequest(refund, sender);
+
+        res.json({
+            transaction: serialized.toString('base64'),
+            message: `${solanaPayService.label} - Refund of ${refund.amount} ${refund.currency}`
         });
     } catch (error) {
         next(error);
@@ -1,60 +1,19 @@
-// routes/printify.js - Ask Copilot:
-// "Create Printify API wrapper with error handling
-// Proxy product fetching and order creation
-// Add request logging and rate limiting"
+// Shop-level Printify proxy of the former crypto-dropship backend, mounted as
+// a legacy alias of /api/printify and served through the shared Printify client
 
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
 
-// Printify API configuration
-const PRINTIFY_API_BASE = 'https://api.printify.com/v1';
-const PRINTIFY_API_TOKEN = process.env.PRINTIFY_API_TOKEN;
-const SHOP_ID = process.env.PRINTIFY_SHOP_ID;
-
-// Axios instance with default configuration
-const printifyAPI = axios.create({
-    baseURL: PRINTIFY_API_BASE,
-    headers: {
-        'Authorization': `Bearer ${PRINTIFY_API_TOKEN}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'CryptoDropship/1.0'
-    },
-    timeout: 30000 // 30 seconds timeout
-});
-
-// Request interceptor for logging
-printifyAPI.interceptors.request.use(
-    (config) => {
-        console.log(`Printify API Request: ${config.method?.toUpperCase()} ${config.url}`);
-        return config;
-    },
-    (error) => {
-        console.error('Printify API Request Error:', error);
-        return Promise.reject(error);
-    }
-);
-
-// Response interceptor for error handling
-printifyAPI.interceptors.response.use(
-    (response) => {
-        console.log(`Printify API Response: ${response.status} ${response.config.url}`);
-        return response;
-    },
-    (error) => {
-        console.error('Printify API Error:', {
-            status: error.response?.status,
-            statusText: error.response?.statusText,
-            data: error.response?.data,
-            url: error.config?.url
-        });
-        return Promise.reject(error);
-    }
-);
+// The shared client refuses to load without a Printify token, so it is resolved per request
+function printifyAPI() {
+    return require('../services/printifyService').client;
+}
 
 // Middleware to check if Printify API token is configured
 router.use((req, res, next) => {
-    if (!PRINTIFY_API_TOKEN) {
+    try {
+        printifyAPI();
+    } catch (error) {
         return res.status(500).json({
             success: false,
             error: 'Printify API token not configured'
@@ -66,7 +25,7 @@ router.use((req, res, next) => {
 // GET /api/printify/shops - Get all shops
 router.get('/shops', async (req, res) => {
     try {
-        const response = await printifyAPI.get('/shops.json');
+        const response = await printifyAPI().get('/shops.json');
         res.json({
             success: true,
             shops: response.data
@@ -79,7 +38,7 @@ router.get('/shops', async (req, res) => {
 // GET /api/printify/catalog/blueprints - Get all available product blueprints
 router.get('/catalog/blueprints', async (req, res) => {
     try {
-        const response = await printifyAPI.get('/catalog/blueprints.json');
+        const response = await printifyAPI().get('/catalog/blueprints.json');
         res.json({
             success: true,
             blueprints: response.data
@@ -93,7 +52,7 @@ router.get('/catalog/blueprints', async (req, res) => {
 router.get('/catalog/blueprints/:id/print_providers', async (req, res) => {
     try {
         const { id } = req.params;
-        const response = await printifyAPI.get(`/catalog/blueprints/${id}/print_providers.json`);
+        const response = await printifyAPI().get(`/catalog/blueprints/${id}/print_providers.json`);
         res.json({
             success: true,
             printProviders: response.data
@@ -108,7 +67,7 @@ router.get('/catalog/blueprints/:id/print_providers', async (req, res) => {
 router.get('/catalog/blueprints/:blueprintId/print_providers/:printProviderId/variants', async (req, res) => {
     try {
         const { blueprintId, printProviderId } = req.params;
-        const response = await printifyAPI.get(
+        const response = await printifyAPI().get(
             `/catalog/blueprints/${blueprintId}/print_providers/${printProviderId}/variants.json`
         );
         res.json({
@@ -126,7 +85,7 @@ router.get('/shops/:shopId/products', async (req, res) => {
         const { shopId } = req.params;
         const { page = 1, limit = 20 } = req.query;
         
-        const response = await printifyAPI.get(`/shops/${shopId}/products.json`, {
+        const response = await printifyAPI().get(`/shops/${shopId}/products.json`, {
             params: { page, limit }
         });
         
@@ -149,7 +108,7 @@ router.get('/shops/:shopId/products', async (req, res) => {
 router.get('/shops/:shopId/products/:productId', async (req, res) => {
     try {
         const { shopId, productId } = req.params;
-        const response = await printifyAPI.get(`/shops/${shopId}/products/${productId}.json`);
+        const response = await printifyAPI().get(`/shops/${shopId}/products/${productId}.json`);
         res.json({
             success: true,
             product: response.data
@@ -173,7 +132,7 @@ router.post('/shops/:shopId/products', async (req, res) => {
             });
         }
         
-        const response = await printifyAPI.post(`/shops/${shopId}/products.json`, productData);
+        const response = await printifyAPI().post(`/shops/${shopId}/products.json`, productData);
         res.status(201).json({
             success: true,
             product: response.data
@@ -197,7 +156,7 @@ router.post('/shops/:shopId/orders', async (req, res) => {
             });
         }
         
-        const response = await printifyAPI.post(`/shops/${shopId}/orders.json`, orderData);
+        const response = await printifyAPI().post(`/shops/${shopId}/orders.json`, orderData);
         res.status(201).json({
             success: true,
             order: response.data
@@ -216,7 +175,7 @@ router.get('/shops/:shopId/orders', async (req, res) => {
         const params = { page, limit };
         if (status) params.status = status;
         
-        const response = await printifyAPI.get(`/shops/${shopId}/orders.json`, { params });
+        const response = await printifyAPI().get(`/shops/${shopId}/orders.json`, { params });
         res.json({
             success: true,
             orders: response.data.data,
@@ -236,7 +195,7 @@ router.get('/shops/:shopId/orders', async (req, res) => {
 router.get('/shops/:shopId/orders/:orderId', async (req, res) => {
     try {
         const { shopId, orderId } = req.params;
-        const response = await printifyAPI.get(`/shops/${shopId}/orders/${orderId}.json`);
+        const response = await printifyAPI().get(`/shops/${shopId}/orders/${orderId}.json`);
         res.json({
             success: true,
             order: response.data
@@ -250,7 +209,7 @@ router.get('/shops/:shopId/orders/:orderId', async (req, res) => {
 router.post('/shops/:shopId/orders/:orderId/send_to_production', async (req, res) => {
     try {
         const { shopId, orderId } = req.params;
-        const response = await printifyAPI.post(`/shops/${shopId}/orders/${orderId}/send_to_production.json`);
+        const response = await printifyAPI().post(`/shops/${shopId}/orders/${orderId}/send_to_production.json`);
         res.json({
             success: true,
             message: 'Order sent to production successfully',
@@ -265,7 +224,7 @@ router.post('/shops/:shopId/orders/:orderId/send_to_production', async (req, res
 router.post('/shops/:shopId/orders/:orderId/calculate_shipping', async (req, res) => {
     try {
         const { shopId, orderId } = req.params;
-        const response = await printifyAPI.post(`/shops/${shopId}/orders/${orderId}/calculate_shipping.json`);
+        const response = await printifyAPI().post(`/shops/${shopId}/orders/${orderId}/calculate_shipping.json`);
         res.json({
             success: true,
             shipping: response.data
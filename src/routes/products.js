@@ -61,6 +61,40 @@ router.get('/', async (req, res, next) => {
     }
 });
 
+// GET /api/products/search - Search active products by title or description
+router.get('/search', async (req, res, next) => {
+    try {
+        const { q = '', limit = 20 } = req.query;
+
+        if (!q.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query is required'
+            });
+        }
+
+        const products = await Product.findAll({
+            where: {
+                status: 'active',
+                [Op.or]: [
+                    { title: { [Op.like]: `%${q.trim()}%` } },
+                    { description: { [Op.like]: `%${q.trim()}%` } }
+                ]
+            },
+            limit: parseInt(limit),
+            order: [['title', 'ASC']]
+        });
+
+        res.json({
+            success: true,
+            data: products,
+            query: q
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // GET /api/products/:id - Get single product
 router.get('/:id', async (req, res, next) => {
     try {
@@ -210,8 +244,8 @@ router.post('/sync', async (req, res, next) => {
     }
 });
 
-// GET /api/products/categories - Get product categories
-router.get('/meta/categories', async (req, res, next) => {
+// GET /api/products/meta/categories - Get product categories (/categories/list for the shop frontend)
+router.get(['/meta/categories', '/categories/list'], async (req, res, next) => {
     try {
         const categories = await Product.findAll({
             attributes: ['category'],
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { getShippingQuoteService } = require('../services/shippingQuotes');
+
+// POST /api/shipping/quote - Shipping options for cart items and a destination, before ordering
+router.post('/quote', async (req, res, next) => {
+    try {
+        const { items, shipping_address } = req.body;
+
+        const quote = await getShippingQuoteService().quote(items, shipping_address);
+
+        res.json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
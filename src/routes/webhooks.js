@@ -1,47 +1,33 @@
-// routes/webhooks.js - Ask Copilot:
-// "Create webhook endpoint routes for Printify integration
-// Handle webhook validation and route to appropriate handlers
-// Include logging and error handling for webhook events"
+// Webhook endpoints of the services we integrate with, mounted on /api/webhooks
 
 const express = require('express');
-const printifyWebhookHandler = require('../webhooks/printifyWebhooks');
+const printifyWebhookHandler = require('../services/printifyWebhooks');
 const router = express.Router();
 
-// Middleware to parse raw body for webhook signature validation
-router.use('/printify', express.raw({ type: 'application/json' }));
-
-// Printify webhook endpoint
+// Printify webhook endpoint; the signature is checked against the raw body
 router.post('/printify', async (req, res) => {
     try {
-        const signature = req.get('X-Printify-Signature');
-        const eventType = req.get('X-Printify-Event-Type');
-        
-        console.log(`📦 Received Printify webhook: ${eventType}`);
-        
-        if (!eventType) {
-            return res.status(400).json({
+        const signature = req.get('X-Pfy-Signature') || req.get('X-Printify-Signature');
+
+        if (!printifyWebhookHandler.validateSignature(req.rawBody, signature)) {
+            return res.status(401).json({
                 success: false,
-                error: 'Missing event type header'
+                error: 'Invalid webhook signature'
             });
         }
 
-        // Parse JSON payload
-        let payload;
-        try {
-            payload = JSON.parse(req.body.toString());
-        } catch (error) {
+        const eventType = req.body.type || req.get('X-Printify-Event-Type');
+        console.log(`📦 Received Printify webhook: ${eventType}`);
+
+        if (!eventType) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid JSON payload'
+                error: 'Missing event type'
             });
         }
 
         // Process webhook
-        const result = await printifyWebhookHandler.handleWebhook(
-            eventType,
-            payload,
-            signature
-        );
+        const result = await printifyWebhookHandler.receive(req.body, eventType, req.rawBody);
 
         res.json(result);
 
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { sequelize, syncDatabase } = require('../models');
+const { runMigrations } = require('../migrations');
+
+// Brings the database schema up to date; the server does the same on start
+async function main() {
+    await sequelize.authenticate();
+    await syncDatabase();
+
+    const applied = await runMigrations(sequelize);
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+
+    await sequelize.close();
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Migration failed:', error);
+        process.exit(1);
+    });
+}
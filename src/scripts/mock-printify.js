@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { MockPrintifyServer } = require('../mocks/printify/server');
+
+// Serves the local Printify stand-in; point PRINTIFY_API_URL at the URL it prints
+async function main() {
+    const port = parseInt(process.env.MOCK_PRINTIFY_PORT) || 3900;
+    const server = new MockPrintifyServer({ token: process.env.MOCK_PRINTIFY_TOKEN });
+    const url = await server.listen(port, process.env.MOCK_PRINTIFY_HOST || '127.0.0.1');
+
+    console.log(`🧪 Mock Printify API running at ${url}`);
+    console.log(`   Shops: ${server.shops.map(shop => shop.id).join(', ')}`);
+    console.log(`   Set PRINTIFY_API_URL=${url} (${server.token ? 'token MOCK_PRINTIFY_TOKEN' : 'any token'})`);
+
+    const shutdown = async () => {
+        console.log('\n🛑 Stopping mock Printify API...');
+        await server.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Mock Printify API failed to start:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const config = require('../config');
+
+// Subscribes our webhook URL to the Printify topics we handle, for the configured shop:
+// npm run register-webhooks [-- https://shop.example.com/api/webhooks/printify]
+async function main() {
+    const url = process.argv[2] || config.PRINTIFY.WEBHOOK_URL;
+    if (!url) {
+        console.error('❌ Pass the public webhook URL or set PRINTIFY_WEBHOOK_URL');
+        process.exit(1);
+    }
+    if (!config.PRINTIFY.API_KEY) {
+        console.error('❌ PRINTIFY_API_KEY not configured in .env file');
+        process.exit(1);
+    }
+    if (!config.PRINTIFY.WEBHOOK_SECRET) {
+        console.warn('⚠️ PRINTIFY_WEBHOOK_SECRET not set - Printify will send unsigned webhooks, which the server rejects');
+    }
+
+    const printifyWebhookHandler = require('../services/printifyWebhooks');
+    const { created, existing } = await printifyWebhookHandler.registerWebhooks(url);
+
+    console.log(`\n✅ Printify webhooks for ${url}`);
+    console.log(`🆕 Subscribed: ${created.join(', ') || 'none'}`);
+    console.log(`⏭️ Already subscribed: ${existing.join(', ') || 'none'}`);
+}
+
+if (require.main === module) {
+    main().then(() => process.exit(0)).catch(error => {
+        console.error('❌ Webhook registration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -107,9 +107,17 @@ CORS_ORIGIN=http://localhost:3001,http://localhost:8080
     </div>
     
     <script>
+        // Admin routes need the server's ADMIN_TOKEN
+        function adminHeaders() {
+            if (!localStorage.adminToken) {
+                localStorage.adminToken = prompt('Admin token') || '';
+            }
+            return { Authorization: 'Bearer ' + localStorage.adminToken };
+        }
+
         async function syncProducts() {
             try {
-                const response = await fetch('/api/admin/sync-printify', { method: 'POST' });
+                const response = await fetch('/api/admin/sync-printify', { method: 'POST', headers: adminHeaders() });
                 const result = await response.json();
                 alert(result.message);
             } catch (error) {
@@ -119,7 +127,7 @@ CORS_ORIGIN=http://localhost:3001,http://localhost:8080
         
         async function viewDashboard() {
             try {
-                const response = await fetch('/api/admin/dashboard');
+                const response = await fetch('/api/admin/dashboard', { headers: adminHeaders() });
                 const result = await response.json();
                 console.log('Dashboard data:', result.data);
                 alert('Dashboard data logged to console');
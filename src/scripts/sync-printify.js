@@ -16,14 +16,14 @@ async function syncPrintifyProducts() {
 
         // Fetch products from Printify
         console.log('📡 Fetching products from Printify...');
-        const printifyProducts = await printifyService.getProducts();
+        const { products: printifyProducts } = await printifyService.getProducts();
 
-        if (!printifyProducts || !printifyProducts.data) {
+        if (!printifyProducts || printifyProducts.length === 0) {
             console.error('❌ No products found in Printify');
             return;
         }
 
-        console.log(`📦 Found ${printifyProducts.data.length} products in Printify\n`);
+        console.log(`📦 Found ${printifyProducts.length} products in Printify\n`);
 
         const results = {
             created: 0,
@@ -32,11 +32,11 @@ async function syncPrintifyProducts() {
         };
 
         // Process each product
-        for (let i = 0; i < printifyProducts.data.length; i++) {
-            const printifyProduct = printifyProducts.data[i];
+        for (let i = 0; i < printifyProducts.length; i++) {
+            const printifyProduct = printifyProducts[i];
             
             try {
-                console.log(`Processing ${i + 1}/${printifyProducts.data.length}: ${printifyProduct.title}`);
+                console.log(`Processing ${i + 1}/${printifyProducts.length}: ${printifyProduct.title}`);
                 
                 // Transform Printify data to our format
                 const productData = printifyService.transformProductData(printifyProduct);
@@ -0,0 +1,467 @@
+const crypto = require('crypto');
+const BigNumber = require('bignumber.js');
+const { Op } = require('sequelize');
+const {
+    sequelize,
+    Cart,
+    CartItem,
+    Coupon,
+    Customer,
+    Order,
+    OrderEvent,
+    OrderItem,
+    Product
+} = require('../models');
+const { getShippingQuoteService, ShippingQuoteError } = require('./shippingQuotes');
+const { getTaxService } = require('./taxService');
+
+const MAX_QUANTITY = 100;
+
+class CartError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CartError';
+        this.status = status;
+    }
+}
+
+/**
+ * Server-side carts, the only thing checkouts are priced from.
+ *
+ * A cart belongs to the session that created it and holds product ids and
+ * quantities, never prices. Its totals are worked out from the products'
+ * current prices, its coupon, the shipping option picked for its address and
+ * the tax due there, every time they are asked for.
+ */
+class CartService {
+    constructor(options = {}) {
+        this.shippingQuotes = options.shippingQuotes || getShippingQuoteService();
+        this.taxService = options.taxService || getTaxService();
+    }
+
+    async createCart(sessionId) {
+        const cart = await Cart.create({
+            cart_id: `cart_${crypto.randomBytes(12).toString('hex')}`,
+            session_id: sessionId
+        });
+        return this.totals(await this.load(cart.cart_id, sessionId));
+    }
+
+    /**
+     * The session's cart with its items, or a 404 error
+     */
+    async load(cartId, sessionId, { forUpdate = false } = {}) {
+        if (!cartId) {
+            throw new CartError('cartId is required');
+        }
+
+        const cart = await Cart.findOne({
+            where: { cart_id: cartId, session_id: sessionId },
+            include: [{ model: CartItem, as: 'items', include: [{ model: Product, as: 'product' }] }],
+            order: [[{ model: CartItem, as: 'items' }, 'id', 'ASC']]
+        });
+
+        if (!cart) {
+            throw new CartError('Cart not found', 404);
+        }
+        if (forUpdate && cart.status !== 'active') {
+            throw new CartError('Cart has already been checked out', 409);
+        }
+        return cart;
+    }
+
+    async getTotals(cartId, sessionId) {
+        return this.totals(await this.load(cartId, sessionId));
+    }
+
+    /**
+     * Totals of a cart a payment can be requested for: the session's, still
+     * open and not empty
+     */
+    async getPayableTotals(cartId, sessionId) {
+        if (!sessionId) {
+            throw new CartError('X-Session-Id header is required');
+        }
+
+        const cart = await this.getTotals(cartId, sessionId);
+        if (cart.status !== 'active') {
+            throw new CartError('Cart has already been checked out', 409);
+        }
+        if (!cart.items.length) {
+            throw new CartError('Cart is empty');
+        }
+        if (!(cart.total > 0)) {
+            throw new CartError('Cart has nothing to pay');
+        }
+        return cart;
+    }
+
+    /**
+     * Add `quantity` of a product; a line for the same variant grows instead
+     */
+    async addItem(cartId, sessionId, { product_id, variant_id, quantity = 1 }) {
+        const cart = await this.load(cartId, sessionId, { forUpdate: true });
+        const product = await Product.findByPk(product_id);
+
+        if (!product) {
+            throw new CartError(`Product with ID ${product_id} not found`, 404);
+        }
+        if (product.status !== 'active') {
+            throw new CartError(`${product.title} is not available`, 409);
+        }
+
+        const variants = product.variants || [];
+        if (variant_id != null && variants.length && !variants.some(variant => String(variant.id) === String(variant_id))) {
+            throw new CartError(`${product.title} has no variant ${variant_id}`);
+        }
+
+        const variantId = variant_id != null ? String(variant_id) : null;
+        const line = cart.items.find(item => item.product_id === product.id && item.variant_id === variantId);
+        const total = (line ? line.quantity : 0) + Number(quantity);
+
+        if (!Number.isInteger(Number(quantity)) || Number(quantity) < 1 || total > MAX_QUANTITY) {
+            throw new CartError(`Quantity must be a whole number from 1 to ${MAX_QUANTITY}`);
+        }
+
+        if (line) {
+            await line.update({ quantity: total });
+        } else {
+            await CartItem.create({ cart_id: cart.id, product_id: product.id, variant_id: variantId, quantity: total });
+        }
+
+        return this.getTotals(cartId, sessionId);
+    }
+
+    async removeItem(cartId, sessionId, itemId) {
+        const cart = await this.load(cartId, sessionId, { forUpdate: true });
+        const line = cart.items.find(item => item.id === Number(itemId));
+
+        if (!line) {
+            throw new CartError('Cart item not found', 404);
+        }
+
+        await line.destroy();
+        return this.getTotals(cartId, sessionId);
+    }
+
+    async applyCoupon(cartId, sessionId, code) {
+        const cart = await this.load(cartId, sessionId, { forUpdate: true });
+        const coupon = await this.findCoupon(code);
+
+        this.checkCoupon(coupon, this.subtotal(cart));
+        await cart.update({ coupon_code: coupon.code });
+
+        return this.getTotals(cartId, sessionId);
+    }
+
+    async removeCoupon(cartId, sessionId) {
+        const cart = await this.load(cartId, sessionId, { forUpdate: true });
+        await cart.update({ coupon_code: null });
+
+        return this.getTotals(cartId, sessionId);
+    }
+
+    /**
+     * Where the cart ships to and how; the method must be one the cart's
+     * shipping quote offers
+     */
+    async setShipping(cartId, sessionId, { shipping_address, shipping_method }) {
+        const cart = await this.load(cartId, sessionId, { forUpdate: true });
+
+        if (!shipping_address || !shipping_address.country) {
+            throw new CartError('A shipping address with a country is required');
+        }
+
+        // Totals fall back to the default method, so an unavailable one is refused here
+        if (shipping_method && cart.items.length) {
+            await this.shippingQuotes.selectOption(
+                cart.items.map(item => ({ product_id: item.product_id, variant_id: item.variant_id, quantity: item.quantity })),
+                shipping_address,
+                shipping_method
+            );
+        }
+
+        await cart.update({ shipping_address, shipping_method: shipping_method || null });
+        return this.getTotals(cartId, sessionId);
+    }
+
+    /**
+     * Turn the cart into a pending order for its current totals. Checking out
+     * a cart again returns the order it became.
+     */
+    async checkout(cartId, sessionId, { customer_email } = {}) {
+        const cart = await this.load(cartId, sessionId);
+        if (cart.order_id) {
+            return Order.findByPk(cart.order_id, { include: [{ model: OrderItem, as: 'items' }] });
+        }
+
+        if (!customer_email) {
+            throw new CartError('Customer email is required');
+        }
+        if (!cart.shipping_address) {
+            throw new CartError('Set a shipping address before checking out');
+        }
+
+        const totals = await this.totals(cart);
+        if (!totals.items.length) {
+            throw new CartError('Cart is empty');
+        }
+        if (totals.coupon && totals.coupon.error) {
+            throw new CartError(totals.coupon.error, 409);
+        }
+
+        const address = cart.shipping_address;
+        const order = await sequelize.transaction(async transaction => {
+            await Customer.findOrCreate({
+                where: { email: customer_email },
+                defaults: {
+                    first_name: address.firstName || address.first_name || 'Guest',
+                    last_name: address.lastName || address.last_name || 'Customer',
+                    shipping_address: address
+                },
+                transaction
+            });
+
+            const order = await Order.create({
+                order_number: `SSPAY-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
+                customer_email,
+                payment_method: 'solana',
+                subtotal: totals.subtotal,
+                discount_amount: totals.discount,
+                shipping_cost: totals.shipping ? totals.shipping.cost : 0,
+                tax_amount: totals.tax.amount,
+                total_amount: totals.total,
+                balance_due: totals.total,
+                shipping_address: address,
+                billing_address: address,
+                status: 'pending',
+                payment_status: 'pending',
+                metadata: {
+                    source: 'cart',
+                    cart_id: cart.cart_id,
+                    ...(totals.coupon && { coupon: totals.coupon }),
+                    ...(totals.shipping && { shipping: totals.shipping }),
+                    tax: { provider: totals.tax.provider, jurisdiction: totals.tax.jurisdiction, inclusive: totals.tax.inclusive }
+                }
+            }, { transaction });
+
+            await OrderItem.bulkCreate(totals.items.map(item => {
+                const product = cart.items.find(line => line.id === item.id).product;
+                return {
+                    order_id: order.id,
+                    product_id: item.product_id,
+                    printify_product_id: product.printify_product_id,
+                    variant_id: item.variant_id,
+                    quantity: item.quantity,
+                    unit_price: item.unit_price,
+                    total_price: item.total_price,
+                    tax_rate: item.tax_rate,
+                    tax_amount: item.tax_amount,
+                    product_title: item.title,
+                    product_image: item.image
+                };
+            }), { transaction });
+
+            await OrderEvent.create({
+                order_id: order.id,
+                to_status: order.status,
+                actor: 'shop',
+                reason: `Checked out cart ${cart.cart_id}`
+            }, { transaction });
+
+            if (totals.coupon) {
+                const [updated] = await Coupon.update(
+                    { times_used: sequelize.literal('times_used + 1') },
+                    {
+                        where: {
+                            code: totals.coupon.code,
+                            [Op.or]: [
+                                { usage_limit: null },
+                                { times_used: { [Op.lt]: sequelize.col('usage_limit') } }
+                            ]
+                        },
+                        transaction
+                    }
+                );
+                if (!updated) {
+                    throw new CartError(`Coupon ${totals.coupon.code} has been used up`, 409);
+                }
+            }
+
+            await cart.update({ status: 'checked_out', order_id: order.id }, { transaction });
+            return order;
+        });
+
+        console.log(`🛒 Cart ${cart.cart_id} checked out as order ${order.order_number}`);
+        return Order.findByPk(order.id, { include: [{ model: OrderItem, as: 'items' }] });
+    }
+
+    /**
+     * The shipping option the cart asked for. A method the quote no longer
+     * offers, e.g. after the address or items changed, falls back to the
+     * default and is cleared from the cart.
+     */
+    async selectShipping(cart, lines) {
+        const items = lines.map(line => ({ product_id: line.product_id, variant_id: line.variant_id, quantity: line.quantity }));
+
+        try {
+            return await this.shippingQuotes.selectOption(items, cart.shipping_address, cart.shipping_method || undefined);
+        } catch (error) {
+            if (!(error instanceof ShippingQuoteError) || !cart.shipping_method) {
+                throw error;
+            }
+        }
+
+        // Quote failures other than the method itself fail the default option too
+        const shipping = await this.shippingQuotes.selectOption(items, cart.shipping_address);
+        await cart.update({ shipping_method: null });
+        return shipping;
+    }
+
+    /**
+     * Everything the cart costs, priced now
+     */
+    async totals(cart) {
+        const lines = cart.items.map(item => {
+            const unitPrice = new BigNumber(item.product.base_price);
+            return {
+                id: item.id,
+                product_id: item.product_id,
+                variant_id: item.variant_id,
+                title: item.product.title,
+                image: item.product.images && item.product.images.length > 0 ? item.product.images[0].src : null,
+                tax_category: item.product.tax_category,
+                quantity: item.quantity,
+                unit_price: unitPrice,
+                total_price: unitPrice.times(item.quantity)
+            };
+        });
+        const subtotal = lines.reduce((sum, line) => sum.plus(line.total_price), new BigNumber(0));
+
+        let coupon = null;
+        let discount = new BigNumber(0);
+        if (cart.coupon_code) {
+            coupon = { code: cart.coupon_code };
+            try {
+                discount = this.checkCoupon(await this.findCoupon(cart.coupon_code), subtotal);
+                coupon.discount = discount.toNumber();
+            } catch (error) {
+                // A coupon that lapsed since it was applied stays visible, without a discount
+                coupon.discount = 0;
+                coupon.error = error.message;
+            }
+        }
+
+        const address = cart.shipping_address;
+        const shipping = address && lines.length
+            ? await this.selectShipping(cart, lines)
+            : null;
+
+        // The discount comes off each line in proportion, so tax is due on what is paid
+        let discountLeft = discount;
+        const discounted = lines.map((line, index) => {
+            const share = discount.isZero() || index === lines.length - 1
+                ? discountLeft
+                : discount.times(line.total_price).dividedBy(subtotal).decimalPlaces(2, BigNumber.ROUND_DOWN);
+            discountLeft = discountLeft.minus(share);
+            return { amount: line.total_price.minus(share).toFixed(2), category: line.tax_category };
+        });
+        const tax = await this.taxService.calculate(discounted, address);
+
+        const total = subtotal
+            .minus(discount)
+            .plus(shipping ? shipping.cost : 0)
+            .plus(tax.added_amount);
+
+        return {
+            cart_id: cart.cart_id,
+            status: cart.status,
+            order_id: cart.order_id,
+            currency: 'USD',
+            items: lines.map((line, index) => ({
+                id: line.id,
+                product_id: line.product_id,
+                variant_id: line.variant_id,
+                title: line.title,
+                image: line.image,
+                quantity: line.quantity,
+                unit_price: line.unit_price.toNumber(),
+                total_price: line.total_price.toNumber(),
+                tax_rate: tax.lines[index].tax_rate,
+                tax_amount: Number(tax.lines[index].tax_amount)
+            })),
+            coupon,
+            shipping_address: address || null,
+            shipping: shipping && {
+                method: shipping.method,
+                cost: shipping.cost,
+                estimated_delivery: shipping.estimated_delivery,
+                quote_id: shipping.quote_id,
+                printify_method: shipping.printify_method
+            },
+            subtotal: subtotal.toNumber(),
+            discount: discount.toNumber(),
+            tax: {
+                amount: Number(tax.tax_amount),
+                inclusive: tax.inclusive,
+                jurisdiction: tax.jurisdiction,
+                provider: tax.provider
+            },
+            total: Number(total.toFixed(2))
+        };
+    }
+
+    subtotal(cart) {
+        return cart.items.reduce(
+            (sum, item) => sum.plus(new BigNumber(item.product.base_price).times(item.quantity)),
+            new BigNumber(0)
+        );
+    }
+
+    async findCoupon(code) {
+        const coupon = code && await Coupon.findOne({ where: { code: String(code).trim().toUpperCase() } });
+        if (!coupon) {
+            throw new CartError(`Coupon ${code} does not exist`, 404);
+        }
+        return coupon;
+    }
+
+    /**
+     * Discount `coupon` gives on `subtotal`; throws when it cannot be used
+     */
+    checkCoupon(coupon, subtotal) {
+        if (!coupon.active || (coupon.expires_at && coupon.expires_at <= new Date())) {
+            throw new CartError(`Coupon ${coupon.code} has expired`);
+        }
+        if (coupon.usage_limit != null && coupon.times_used >= coupon.usage_limit) {
+            throw new CartError(`Coupon ${coupon.code} has been used up`);
+        }
+        if (subtotal.isLessThan(coupon.min_subtotal)) {
+            throw new CartError(`Coupon ${coupon.code} needs a subtotal of at least $${new BigNumber(coupon.min_subtotal).toFixed(2)}`);
+        }
+
+        const discount = coupon.discount_type === 'percent'
+            ? subtotal.times(coupon.value).dividedBy(100).decimalPlaces(2, BigNumber.ROUND_DOWN)
+            : new BigNumber(coupon.value);
+
+        return BigNumber.min(discount, subtotal);
+    }
+}
+
+let defaultService = null;
+
+/**
+ * Process-wide carts on the shared shipping quotes and tax service
+ */
+function getCartService() {
+    if (!defaultService) {
+        defaultService = new CartService();
+    }
+    return defaultService;
+}
+
+module.exports = {
+    CartService,
+    CartError,
+    getCartService
+};
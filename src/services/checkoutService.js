@@ -0,0 +1,575 @@
+const { Op } = require('sequelize');
+const BigNumber = require('bignumber.js');
+const { sequelize, Product, Customer, Order, OrderItem, Payment, Quote } = require('../models');
+const SolanaPayService = require('./solanaPayService');
+const { getQuoteService } = require('./quoteService');
+const { getPaymentEvents } = require('./paymentEvents');
+const { getCommitmentTracker } = require('./commitmentTracker');
+const { SettlementService } = require('./settlementService');
+const { PendingPaymentSource } = require('./paymentWatcher');
+const { getShippingQuoteService } = require('./shippingQuotes');
+const { getTaxService } = require('./taxService');
+const { getCartService } = require('./cartService');
+const { getOrderBalance } = require('./orderBalance');
+const { PaymentVerifier, PaymentVerificationError, findSignatureClaim } = require('./paymentVerifier');
+
+class CheckoutError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CheckoutError';
+        this.status = status;
+    }
+}
+
+/**
+ * Single-product SOL checkout behind the embeddable payment widget.
+ *
+ * A checkout creates the customer, a one-line order with the shipping option
+ * picked and the tax due, and a payment quoted against it, so widget payments
+ * are settled, tracked to their commitment and submitted to Printify like
+ * every other order. The widget knows a payment only by its Solana Pay
+ * reference.
+ */
+class CheckoutService {
+    constructor(options = {}) {
+        this.solanaPayService = options.solanaPayService || new SolanaPayService();
+        this.quoteService = options.quoteService || getQuoteService();
+        this.paymentEvents = options.paymentEvents || getPaymentEvents();
+        this.shippingQuotes = options.shippingQuotes || getShippingQuoteService();
+        this.taxService = options.taxService || getTaxService();
+        this.cartService = options.cartService || getCartService();
+        this.commitmentTracker = options.commitmentTracker || getCommitmentTracker();
+        this.settlementService = options.settlementService || new SettlementService({
+            solanaPayService: this.solanaPayService,
+            quoteService: this.quoteService,
+            commitmentTracker: this.commitmentTracker,
+            paymentEvents: this.paymentEvents
+        });
+        this.paymentSource = new PendingPaymentSource({
+            solanaPayService: this.solanaPayService,
+            quoteService: this.quoteService,
+            commitmentTracker: this.commitmentTracker,
+            settlementService: this.settlementService,
+            paymentEvents: this.paymentEvents
+        });
+        this.paymentVerifier = options.paymentVerifier || new PaymentVerifier({
+            connection: this.solanaPayService.connection,
+            findClaim: findSignatureClaim
+        });
+        this.network = this.solanaPayService.tokenRegistry.network;
+    }
+
+    /**
+     * Current SOL quote from the shared price oracle. Throws
+     * PriceUnavailableError instead of falling back to a made-up price.
+     */
+    getSolQuote() {
+        return this.quoteService.priceOracle.getPrice('SOL');
+    }
+
+    /**
+     * Active products with their price in SOL at the current rate
+     */
+    async getProductsWithCryptoPricing() {
+        const { price: solPrice } = await this.getSolQuote();
+        const products = await Product.findAll({ where: { status: 'active' } });
+
+        return {
+            products: products.map(product => {
+                const priceUsd = Number(product.base_price);
+                const priceSol = (priceUsd / solPrice).toFixed(6);
+
+                return {
+                    id: product.id,
+                    title: product.title,
+                    description: product.description,
+                    category: product.category,
+                    images: product.images || [],
+                    tags: product.tags || [],
+                    variants: product.variants || [],
+                    printify_product_id: product.printify_product_id,
+                    printify_blueprint_id: product.printify_blueprint_id,
+                    inventory_count: product.inventory_count,
+                    pricing: {
+                        usd: priceUsd,
+                        sol: Number(priceSol),
+                        sol_display: priceSol
+                    }
+                };
+            }),
+            sol_price_usd: solPrice,
+            total_count: products.length
+        };
+    }
+
+    /**
+     * Open a checkout for `quantity` of a product, shipped to `shippingAddress`
+     * by `shippingMethod` (the default method when not given)
+     */
+    async createPayment(paymentData) {
+        const {
+            productId,
+            variant,
+            quantity = 1,
+            customerEmail,
+            shippingAddress,
+            shippingMethod
+        } = paymentData;
+        const count = Number(quantity);
+
+        if (!productId || !customerEmail || !shippingAddress) {
+            throw new CheckoutError('Missing required fields: productId, customerEmail, and shippingAddress are required');
+        }
+        if (!Number.isInteger(count) || count < 1) {
+            throw new CheckoutError('Quantity must be a positive whole number');
+        }
+
+        const product = await Product.findByPk(productId);
+        if (!product) {
+            throw new CheckoutError('Product not found', 404);
+        }
+        if (product.status !== 'active') {
+            throw new CheckoutError(`${product.title} is not available`, 409);
+        }
+
+        const unitPrice = new BigNumber(product.base_price);
+        const subtotal = unitPrice.times(count).toFixed(2);
+        const shipping = await this.shippingQuotes.selectOption(
+            [{ product_id: product.id, variant_id: variant?.id, quantity: count }],
+            shippingAddress,
+            shippingMethod
+        );
+        const tax = await this.taxService.calculate(
+            [{ amount: subtotal, category: product.tax_category }],
+            shippingAddress
+        );
+        const usdAmount = new BigNumber(subtotal).plus(shipping.cost).plus(tax.added_amount).toFixed(2);
+        const reference = this.solanaPayService.generateReference();
+
+        // Lock the SOL rate until the payment expires; the oracle throws rather than guess
+        const quote = await this.quoteService.createQuote(usdAmount, 'SOL', {
+            reference,
+            tax: { usd: tax.tax_amount, inclusive: tax.inclusive },
+            metadata: { source: 'crypto_widget', product_id: product.id }
+        });
+
+        // The order, its item and its payment exist together or not at all
+        const { order, payment } = await sequelize.transaction(async transaction => {
+            // Orders belong to a customer; guest checkouts get one from their shipping details
+            await Customer.findOrCreate({
+                where: { email: customerEmail },
+                transaction,
+                defaults: {
+                    first_name: shippingAddress.firstName || 'Guest',
+                    last_name: shippingAddress.lastName || 'Customer',
+                    phone: shippingAddress.phone || null,
+                    shipping_address: shippingAddress
+                }
+            });
+
+            const order = await Order.create({
+                order_number: `CR-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
+                customer_email: customerEmail,
+                payment_method: 'sol',
+                subtotal,
+                shipping_cost: shipping.cost,
+                tax_amount: tax.tax_amount,
+                total_amount: usdAmount,
+                balance_due: usdAmount,
+                crypto_amount: quote.token_amount,
+                crypto_currency: 'SOL',
+                shipping_address: shippingAddress,
+                billing_address: shippingAddress,
+                status: 'pending',
+                payment_status: 'pending',
+                metadata: {
+                    source: 'crypto_widget',
+                    shipping,
+                    tax: { provider: tax.provider, jurisdiction: tax.jurisdiction, inclusive: tax.inclusive }
+                }
+            }, { transaction });
+
+            await OrderItem.create({
+                order_id: order.id,
+                product_id: product.id,
+                printify_product_id: product.printify_product_id,
+                variant_id: variant?.id || null,
+                variant_title: variant?.title || null,
+                quantity: count,
+                unit_price: unitPrice.toFixed(2),
+                total_price: subtotal,
+                tax_rate: tax.lines[0].tax_rate,
+                tax_amount: tax.lines[0].tax_amount,
+                product_title: product.title,
+                product_options: variant?.options || {}
+            }, { transaction });
+
+            const payment = await Payment.create({
+                payment_id: `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                order_id: order.id,
+                amount: quote.token_amount,
+                currency: 'SOL',
+                usd_amount: usdAmount,
+                exchange_rate: quote.rate,
+                price_source: quote.price_source,
+                price_timestamp: quote.price_timestamp,
+                quote_id: quote.quote_id,
+                status: 'pending',
+                reference_key: reference,
+                metadata: {
+                    created_via: 'crypto_widget',
+                    order_number: order.order_number
+                }
+            }, { transaction });
+
+            return { order, payment };
+        });
+
+        const request = this.solanaPayService.generatePaymentURL(
+            quote.token_amount,
+            'SOL',
+            `Purchase ${product.title} with crypto`,
+            reference
+        );
+        if (!request.success) {
+            throw new Error(`Could not create a payment request: ${request.error}`);
+        }
+
+        console.log(`✅ Payment created: ${reference}`);
+        console.log(`💰 Amount: ${quote.token_amount} SOL ($${usdAmount})`);
+
+        return {
+            payment_id: payment.payment_id,
+            order_id: order.id,
+            order_number: order.order_number,
+            reference,
+            payment_url: request.url,
+            qr_code: request.qrCode,
+            amount: {
+                usd: Number(usdAmount),
+                sol: Number(quote.token_amount),
+                lamports: new BigNumber(quote.token_amount).times(1e9).integerValue(BigNumber.ROUND_CEIL).toString(),
+                tax: {
+                    usd: Number(quote.metadata.tax.usd),
+                    sol: Number(quote.metadata.tax.token_amount),
+                    inclusive: quote.metadata.tax.inclusive
+                }
+            },
+            price: {
+                rate: Number(quote.rate),
+                source: quote.price_source,
+                timestamp: quote.price_timestamp
+            },
+            quote_id: quote.quote_id,
+            product: {
+                id: product.id,
+                title: product.title,
+                quantity
+            },
+            shipping: {
+                method: shipping.method,
+                cost: shipping.cost,
+                estimated_delivery: shipping.estimated_delivery
+            },
+            expires_at: quote.expires_at,
+            network: this.network
+        };
+    }
+
+    /**
+     * Check out the session's cart (see CartService#checkout) and open a
+     * payment in `token` for what its order owes. The cart can only be paid
+     * through that order: asking again while a payment is pending or after it
+     * was paid is refused.
+     */
+    async createCartPayment({ cartId, sessionId, customerEmail, token = 'SOL' }) {
+        if (!sessionId) {
+            throw new CheckoutError('X-Session-Id header is required');
+        }
+
+        const currency = String(token).toUpperCase();
+        if (!this.solanaPayService.tokenRegistry.isEnabled(currency)) {
+            throw new CheckoutError(`Unsupported token: ${token}`);
+        }
+
+        const order = await this.cartService.checkout(cartId, sessionId, { customer_email: customerEmail });
+        const balance = await getOrderBalance(order);
+        const owed = new BigNumber(balance.outstanding_usd).minus(balance.pending_usd);
+
+        if (new BigNumber(balance.outstanding_usd).isZero()) {
+            throw new CheckoutError('Cart has already been paid for', 409);
+        }
+        if (!owed.isGreaterThan(0)) {
+            throw new CheckoutError('A payment for this cart is already pending', 409);
+        }
+
+        const usdAmount = owed.toFixed(2);
+        const reference = this.solanaPayService.generateReference();
+        const taxAmount = new BigNumber(order.tax_amount);
+
+        // Lock the rate until the payment expires; the oracle throws rather than guess
+        const quote = await this.quoteService.createQuote(usdAmount, currency, {
+            reference,
+            ...(taxAmount.isGreaterThan(0) && {
+                tax: {
+                    usd: taxAmount.times(usdAmount).dividedBy(order.total_amount).toFixed(2),
+                    inclusive: Boolean(order.metadata?.tax?.inclusive)
+                }
+            }),
+            metadata: { source: 'cart', cart_id: cartId, order_id: order.id }
+        });
+
+        const payment = await Payment.create({
+            payment_id: `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            order_id: order.id,
+            amount: quote.token_amount,
+            currency,
+            usd_amount: usdAmount,
+            exchange_rate: quote.rate,
+            price_source: quote.price_source,
+            price_timestamp: quote.price_timestamp,
+            quote_id: quote.quote_id,
+            status: 'pending',
+            reference_key: reference,
+            metadata: {
+                created_via: 'cart',
+                cart_id: cartId,
+                order_number: order.order_number
+            }
+        });
+
+        const request = this.solanaPayService.generatePaymentURL(
+            quote.token_amount,
+            currency,
+            `SSPAY Order #${order.order_number}`,
+            reference
+        );
+        if (!request.success) {
+            throw new Error(`Could not create a payment request: ${request.error}`);
+        }
+
+        console.log(`✅ Cart ${cartId} payment created: ${reference} (${quote.token_amount} ${currency}, $${usdAmount})`);
+
+        return {
+            payment_id: payment.payment_id,
+            order_id: order.id,
+            order_number: order.order_number,
+            reference,
+            payment_url: request.url,
+            qr_code: request.qrCode,
+            amount: {
+                usd: Number(usdAmount),
+                token: Number(quote.token_amount),
+                currency
+            },
+            price: {
+                rate: Number(quote.rate),
+                source: quote.price_source,
+                timestamp: quote.price_timestamp
+            },
+            quote_id: quote.quote_id,
+            expires_at: quote.expires_at,
+            network: this.network
+        };
+    }
+
+    /**
+     * Check the chain for a payment and move it and its order along: settle
+     * new transfers, follow a paid transaction to the commitment that releases
+     * the order, or expire a payment nothing was sent for in time
+     */
+    async verifyPayment(reference) {
+        const payment = await Payment.findOne({ where: { reference_key: reference } });
+
+        if (!payment) {
+            throw new CheckoutError('Payment not found', 404);
+        }
+
+        if (['confirmed', 'on_hold'].includes(payment.status)) {
+            const outcome = await this.commitmentTracker.trackPayment(payment);
+            return this.describePayment(payment, { outcome });
+        }
+
+        if (!['pending', 'partially_paid'].includes(payment.status)) {
+            return this.describePayment(payment);
+        }
+
+        // Every transfer on the reference counts, so top-ups add to the first payment
+        const found = await this.solanaPayService.findPayments(reference, 0, payment.currency);
+
+        if (!found.success) {
+            await this.paymentSource.expire(payment);
+            return this.describePayment(payment);
+        }
+
+        const result = await this.settlementService.settle(payment, found.transfers, {
+            metadata: { verified_by: 'crypto_widget' }
+        });
+
+        return this.describePayment(payment, {
+            ...(result.outcome && { outcome: result.outcome }),
+            ...(result.overpayment && { overpayment: result.overpayment })
+        });
+    }
+
+    /**
+     * Bind a transaction the buyer submits to payment `paymentId` and settle
+     * it. The transfer must be unused, reference the payment and pay the
+     * merchant in the payment's token, or a PaymentVerificationError is thrown.
+     */
+    async verifyTransaction(paymentId, signature, { baseUrl } = {}) {
+        const payment = await Payment.findOne({ where: { payment_id: paymentId } });
+
+        if (!payment) {
+            throw new CheckoutError('Payment not found', 404);
+        }
+
+        // A partially paid payment takes top-ups on its reference
+        if (payment.transaction_signature && payment.transaction_signature !== signature &&
+            payment.status !== 'partially_paid') {
+            throw new PaymentVerificationError('PAYMENT_ALREADY_PAID', 'Payment is already bound to another transaction');
+        }
+
+        const mint = payment.currency === 'SOL'
+            ? null
+            : this.solanaPayService.getMintAddress(payment.currency, { includeDisabled: true });
+        const verification = await this.paymentVerifier.verify(signature, {
+            paymentId: payment.payment_id,
+            reference: payment.reference_key,
+            recipient: this.solanaPayService.merchantWallet,
+            splToken: mint
+        });
+
+        let result;
+        try {
+            // Settlement records the signature and releases the order once it is paid
+            result = await this.settlementService.settle(payment, [{
+                signature,
+                receivedAmount: verification.receivedAmount,
+                payer: verification.payer,
+                slot: verification.slot,
+                blockTime: verification.blockTime
+            }], { baseUrl });
+        } catch (error) {
+            // Another request bound the same signature first
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw new PaymentVerificationError('SIGNATURE_ALREADY_USED', 'Transaction already used for another payment');
+            }
+            throw error;
+        }
+
+        return this.describePayment(payment, {
+            payer: verification.payer,
+            ...(result.outcome && { outcome: result.outcome }),
+            ...(result.overpayment && { overpayment: result.overpayment })
+        });
+    }
+
+    /**
+     * Cancel a cart payment nothing was sent for yet. Only the session the
+     * cart belongs to may cancel it.
+     */
+    async cancelCartPayment(paymentId, sessionId) {
+        const payment = await Payment.findOne({ where: { payment_id: paymentId } });
+
+        if (!payment || !payment.metadata?.cart_id) {
+            throw new CheckoutError('Payment not found', 404);
+        }
+
+        await this.cartService.load(payment.metadata.cart_id, sessionId);
+
+        if (payment.status !== 'pending') {
+            throw new CheckoutError(`Payment is ${payment.status} and can no longer be cancelled`, 409);
+        }
+
+        await payment.update({
+            status: 'cancelled',
+            metadata: { ...payment.metadata, cancelled_at: new Date().toISOString() }
+        });
+        this.paymentEvents.publish(payment.reference_key, 'failed', { reason: 'cancelled' });
+
+        return this.describePayment(payment);
+    }
+
+    /**
+     * Where a payment stands, without checking the chain
+     */
+    async getPaymentStatus(reference) {
+        const payment = await Payment.findOne({ where: { reference_key: reference } });
+
+        return payment ? this.describePayment(payment) : { status: 'not_found' };
+    }
+
+    async describePayment(payment, extra = {}) {
+        const metadata = payment.metadata || {};
+        const order = await Order.findByPk(payment.order_id);
+        const quote = payment.quote_id ? await Quote.findOne({ where: { quote_id: payment.quote_id } }) : null;
+        // Settlement keeps late short payments as `processing` until refunded
+        const flagged = payment.status === 'processing' && metadata.payment_flag;
+
+        return {
+            status: flagged ? 'flagged' : payment.status,
+            ...extra,
+            ...(flagged && { flag: metadata.payment_flag, settlement: metadata.settlement }),
+            amount_usd: payment.usd_amount,
+            amount_sol: payment.amount,
+            amount_received: metadata.received_amount || '0',
+            balance_due: order ? order.balance_due : null,
+            top_up: payment.status === 'partially_paid' ? metadata.top_up : null,
+            overpayment: order?.metadata?.overpayment || null,
+            transaction_signature: payment.transaction_signature,
+            commitment: metadata.commitment || null,
+            required_commitment: metadata.required_commitment || null,
+            expires_at: quote ? quote.expires_at : null,
+            order_id: order ? order.id : null,
+            printify_order_id: order ? order.printify_order_id : null,
+            order: order ? {
+                id: order.id,
+                order_number: order.order_number,
+                status: order.status,
+                printify_order_id: order.printify_order_id
+            } : null
+        };
+    }
+
+    /**
+     * Today's SOL payments by status
+     */
+    async getPaymentStats() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        return Payment.findAll({
+            attributes: [
+                'status',
+                [Payment.sequelize.fn('COUNT', Payment.sequelize.col('id')), 'count'],
+                [Payment.sequelize.fn('SUM', Payment.sequelize.col('usd_amount')), 'total_usd'],
+                [Payment.sequelize.fn('SUM', Payment.sequelize.col('amount')), 'total_sol']
+            ],
+            where: {
+                currency: 'SOL',
+                created_at: { [Op.gte]: today }
+            },
+            group: ['status'],
+            raw: true
+        });
+    }
+}
+
+let defaultService = null;
+
+/**
+ * Process-wide checkout on the configured cluster
+ */
+function getCheckoutService() {
+    if (!defaultService) {
+        defaultService = new CheckoutService();
+    }
+    return defaultService;
+}
+
+module.exports = {
+    CheckoutService,
+    CheckoutError,
+    getCheckoutService
+};
@@ -0,0 +1,264 @@
+const { Connection } = require('@solana/web3.js');
+const config = require('../config');
+const { sequelize, Order, Payment } = require('../models');
+const { getPaymentEvents } = require('./paymentEvents');
+const { summarizeBalance } = require('./orderBalance');
+const { getFulfillmentService } = require('./fulfillmentService');
+const { OrderStateMachine } = require('./orderStateMachine');
+
+const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+
+// RPC stops counting at `null` once a block is rooted; report it as the full lockout
+const MAX_CONFIRMATIONS = 32;
+
+/**
+ * Follows paid transactions from `confirmed` to `finalized`.
+ *
+ * A `confirmed` block can still be dropped by a fork, so the commitment that
+ * releases an order depends on its size (`COMMITMENT_TIERS`). Payments are
+ * re-checked until finalized; one whose transaction disappears or turns out
+ * to have failed is put on hold together with its order. An order split over
+ * several payments is released once they cover its total at the commitment
+ * the whole order needs, and queued with `fulfillment` when one is set,
+ * which retries failed Printify submissions itself.
+ */
+class CommitmentTracker {
+    constructor(options = {}) {
+        const commitment = options.commitment || config.COMMITMENT;
+
+        this.connection = options.connection || new Connection(config.SOLANA.RPC_URL, 'confirmed');
+        this.paymentEvents = options.paymentEvents || getPaymentEvents();
+        this.fulfillment = options.fulfillment || null;
+        // Releasing an order submits it to `fulfillment` as a side effect
+        this.stateMachine = options.stateMachine || new OrderStateMachine({ fulfillment: this.fulfillment });
+        this.defaultCommitment = commitment.DEFAULT;
+        // Largest threshold first, so the first match is the strictest tier that applies
+        this.tiers = [...commitment.TIERS].sort((a, b) => b.min_usd - a.min_usd);
+
+        [this.defaultCommitment, ...this.tiers.map(tier => tier.commitment)].forEach(level => {
+            if (!COMMITMENT_LEVELS.includes(level)) {
+                throw new Error(`Unknown commitment level: ${level}`);
+            }
+        });
+    }
+
+    /**
+     * Commitment a payment of `usdAmount` needs before fulfillment
+     */
+    requiredCommitment(usdAmount) {
+        const tier = this.tiers.find(tier => Number(usdAmount) >= tier.min_usd);
+        return tier ? tier.commitment : this.defaultCommitment;
+    }
+
+    meets(commitment, required) {
+        return COMMITMENT_LEVELS.indexOf(commitment) >= COMMITMENT_LEVELS.indexOf(required);
+    }
+
+    /**
+     * Current commitment of a transaction. `missing` means the cluster no
+     * longer knows the signature, e.g. after its block was dropped.
+     */
+    async getCommitment(signature) {
+        const { value } = await this.connection.getSignatureStatuses([signature], {
+            searchTransactionHistory: true
+        });
+        const status = value[0];
+
+        if (!status) {
+            return { commitment: null, missing: true, failed: false, confirmations: 0, slot: null };
+        }
+
+        return {
+            commitment: status.confirmationStatus || (status.confirmations === null ? 'finalized' : 'confirmed'),
+            missing: false,
+            failed: Boolean(status.err),
+            error: status.err || null,
+            confirmations: status.confirmations === null ? MAX_CONFIRMATIONS : status.confirmations,
+            slot: status.slot
+        };
+    }
+
+    /**
+     * Commitment of a payment's transaction against what its amount requires
+     */
+    async assess(signature, usdAmount) {
+        const status = await this.getCommitment(signature);
+        const required = this.requiredCommitment(usdAmount);
+
+        return {
+            ...status,
+            required,
+            releasable: !status.missing && !status.failed && this.meets(status.commitment, required)
+        };
+    }
+
+    /**
+     * Commitment of every transfer a payment received, reported as the
+     * weakest of them. A dropped or failed top-up holds the payment like its
+     * first transfer would.
+     */
+    async assessPayment(payment, usdAmount) {
+        const transfers = (payment.metadata && payment.metadata.transfers) || [];
+        const signatures = [...new Set([
+            payment.transaction_signature,
+            ...transfers.map(transfer => transfer.signature)
+        ].filter(Boolean))];
+        const assessments = [];
+
+        for (const signature of signatures.length ? signatures : [payment.transaction_signature]) {
+            assessments.push({ signature, ...await this.assess(signature, usdAmount) });
+        }
+
+        const rank = assessment => COMMITMENT_LEVELS.indexOf(assessment.commitment);
+
+        return assessments.find(assessment => assessment.missing || assessment.failed) ||
+            assessments.reduce((weakest, assessment) =>
+                rank(assessment) < rank(weakest) ||
+                (rank(assessment) === rank(weakest) && assessment.confirmations < weakest.confirmations)
+                    ? assessment
+                    : weakest
+            );
+    }
+
+    /**
+     * Re-check a paid `payments` row of this server and move it and its order
+     * along. Resolves to 'finalized', 'released', 'held' or 'pending' when
+     * nothing changed.
+     */
+    async trackPayment(payment) {
+        const order = await Order.findByPk(payment.order_id);
+        // Splitting an order must not lower the commitment it needs
+        const assessment = await this.assessPayment(
+            payment,
+            order ? order.total_amount : payment.usd_amount
+        );
+        const reference = payment.reference_key || payment.payment_id;
+
+        if (assessment.missing || assessment.failed) {
+            return this.holdPayment(payment, order, assessment);
+        }
+
+        const finalized = assessment.commitment === 'finalized';
+        const newlyFinalized = finalized && payment.status !== 'finalized';
+        const { hold, ...metadata } = payment.metadata || {};
+
+        await payment.update({
+            status: finalized ? 'finalized' : 'confirmed',
+            confirmation_count: assessment.confirmations,
+            block_height: assessment.slot,
+            metadata: {
+                ...metadata,
+                commitment: assessment.commitment,
+                required_commitment: assessment.required,
+                ...(newlyFinalized && { finalized_at: new Date().toISOString() }),
+                // The transaction came back after a hold
+                ...(hold && { hold_cleared_at: new Date().toISOString() })
+            }
+        });
+
+        if (hold && order && order.metadata?.payment_hold?.payment_id === payment.payment_id) {
+            const { payment_hold, ...orderMetadata } = order.metadata;
+            await order.update({ metadata: orderMetadata });
+        }
+
+        let released = false;
+        if (order) {
+            const unreleased = ['pending', 'processing', 'partially_paid'].includes(order.payment_status) ||
+                order.status === 'on_hold';
+            const payments = await Payment.findAll({ where: { order_id: order.id } });
+            const paid = summarizeBalance(order, payments);
+            const committed = summarizeBalance(order, payments.filter(other =>
+                this.meets(other.metadata?.commitment || null, assessment.required)
+            ));
+
+            if (assessment.releasable && unreleased && Number(committed.outstanding_usd) === 0) {
+                await this.stateMachine.transition(order, 'processing', {
+                    actor: 'payments',
+                    reason: `Payment ${payment.payment_id} reached ${assessment.commitment} commitment`,
+                    changes: {
+                        payment_status: 'completed',
+                        transaction_signature: payment.transaction_signature
+                    }
+                });
+                released = true;
+            } else if (Number(paid.outstanding_usd) === 0 && ['pending', 'partially_paid'].includes(order.payment_status)) {
+                // Paid, but not yet at the commitment its tier needs
+                await order.update({
+                    payment_status: 'processing',
+                    transaction_signature: payment.transaction_signature
+                });
+            }
+        }
+
+        if (newlyFinalized) {
+            this.paymentEvents.publish(reference, 'finalized', {
+                transaction_signature: payment.transaction_signature,
+                slot: assessment.slot
+            });
+            return 'finalized';
+        }
+
+        return released ? 'released' : 'pending';
+    }
+
+    async holdPayment(payment, order, assessment) {
+        if (payment.status === 'on_hold') {
+            return 'pending';
+        }
+
+        const reason = assessment.failed ? 'transaction_failed' : 'transaction_missing';
+        const hold = {
+            reason,
+            error: assessment.error || null,
+            transaction_signature: assessment.signature,
+            at: new Date().toISOString()
+        };
+
+        // An order that can no longer be held, e.g. one already shipped, is
+        // flagged for review together with the payment instead
+        if (order && order.status !== 'on_hold' && !this.stateMachine.canTransition(order.status, 'on_hold')) {
+            await sequelize.transaction(async transaction => {
+                await payment.update({ status: 'on_hold', metadata: { ...payment.metadata, hold } }, { transaction });
+                await order.update({
+                    metadata: { ...order.metadata, payment_hold: { payment_id: payment.payment_id, ...hold } }
+                }, { transaction });
+            });
+        } else {
+            if (order) {
+                await this.stateMachine.transition(order, 'on_hold', {
+                    actor: 'payments',
+                    reason: `Payment ${payment.payment_id} ${reason.replace('_', ' ')}`,
+                    changes: { payment_status: 'processing' }
+                });
+            }
+
+            await payment.update({ status: 'on_hold', metadata: { ...payment.metadata, hold } });
+        }
+
+        console.log(`⚠️ Payment ${payment.payment_id} on hold: ${reason}`);
+        this.paymentEvents.publish(payment.reference_key || payment.payment_id, 'flagged', {
+            reason,
+            transaction_signature: assessment.signature
+        });
+
+        return 'held';
+    }
+}
+
+let defaultTracker = null;
+
+/**
+ * Process-wide tracker on the configured RPC, submitting released orders to Printify
+ */
+function getCommitmentTracker() {
+    if (!defaultTracker) {
+        defaultTracker = new CommitmentTracker({ fulfillment: getFulfillmentService() });
+    }
+    return defaultTracker;
+}
+
+module.exports = {
+    CommitmentTracker,
+    COMMITMENT_LEVELS,
+    getCommitmentTracker
+};
@@ -1,7 +1,5 @@
-// services/emailService.js - Ask Copilot:
-// "Create email notification service using NodeMailer
-// Send order confirmations, shipping updates, and admin alerts
-// Template-based emails with customer and order information"
+// Order confirmations, shipping updates and admin alerts over SMTP.
+// Without SMTP_USER and SMTP_PASS every send is skipped and logged.
 
 const nodemailer = require('nodemailer');
 const path = require('path');
@@ -31,7 +29,7 @@ class EmailService {
 
             // Create transporter if credentials are available
             if (process.env.SMTP_USER && process.env.SMTP_PASS) {
-                this.transporter = nodemailer.createTransporter(emailConfig);
+                this.transporter = nodemailer.createTransport(emailConfig);
                 this.isConfigured = true;
                 console.log('✅ Email service configured successfully');
                 
@@ -225,7 +223,7 @@ class EmailService {
                         <h3>Order Details</h3>
                         <p><strong>Order Number:</strong> <span class="order-number">${order.order_number}</span></p>
                         <p><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
-                        <p><strong>Total Amount:</strong> <span class="amount">${order.total_amount} ${order.currency}</span></p>
+                        <p><strong>Total Amount:</strong> <span class="amount">${order.total_amount} USD</span></p>
                         <p><strong>Status:</strong> ${this.formatStatus(order.status)}</p>
                         ${order.tracking_number ? `<p><strong>Tracking:</strong> ${order.tracking_number}</p>` : ''}
                     </div>
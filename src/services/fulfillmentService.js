@@ -0,0 +1,453 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { FulfillmentJob, Order, OrderItem, Payment, Product } = require('../models');
+const { getPaymentEvents } = require('./paymentEvents');
+const emailService = require('./emailService');
+
+/**
+ * Whether a failed attempt is worth repeating: Printify throttling us or
+ * having an outage, or no answer at all. Anything else Printify refused
+ * will be refused again.
+ */
+function isRetryable(error) {
+    if (error.retryable !== undefined) {
+        return error.retryable;
+    }
+    return !error.printifyStatus || error.printifyStatus === 429 || error.printifyStatus >= 500;
+}
+
+/**
+ * Hands released orders to Printify through a durable queue.
+ *
+ * Every order gets one `fulfillment_jobs` row. An attempt creates the
+ * Printify order with our order number as its `external_id` and, when the
+ * job asks for it, sends it to production. Throttling, outages and network
+ * errors are retried with exponential backoff; anything else, or running
+ * out of attempts, fails the job and tells the admins, who can retry it.
+ * Orders with no Printify line items have nothing to submit.
+ */
+class FulfillmentService {
+    constructor(options = {}) {
+        const queue = options.queue || config.FULFILLMENT;
+
+        this.printifyService = options.printifyService || null;
+        this.paymentEvents = options.paymentEvents || getPaymentEvents();
+        this.emailService = options.emailService || emailService;
+        this.sendToProduction = queue.SEND_TO_PRODUCTION;
+        this.maxAttempts = queue.MAX_ATTEMPTS;
+        this.retryBaseMs = queue.RETRY_BASE_MS;
+        this.retryMaxMs = queue.RETRY_MAX_MS;
+        this.intervalMs = queue.INTERVAL_MS;
+
+        this.running = false;
+        this.working = null;
+        this.timer = null;
+        this.lastRun = null;
+    }
+
+    /**
+     * Shared Printify client, or null while no Printify token is configured
+     */
+    getPrintify() {
+        if (!this.printifyService) {
+            try {
+                this.printifyService = require('./printifyService');
+            } catch (error) {
+                return null;
+            }
+        }
+        return this.printifyService;
+    }
+
+    /**
+     * Queue a released order and try it right away. Resolves to the order
+     * once Printify has it, or null when there is nothing to submit or the
+     * attempt failed and the job waits for a retry or an admin.
+     */
+    async submitOrder(order) {
+        if (order.printify_order_id) {
+            return order;
+        }
+
+        const items = await this.printifyItems(order);
+        if (!items.length) {
+            return null;
+        }
+
+        const job = await this.enqueue(order);
+        await this.process(job);
+        await order.reload();
+
+        return order.printify_order_id ? order : null;
+    }
+
+    /**
+     * The order's fulfillment job, created due now if it has none
+     */
+    async enqueue(order) {
+        const [job] = await FulfillmentJob.findOrCreate({
+            where: { order_id: order.id },
+            defaults: {
+                send_to_production: this.sendToProduction,
+                next_attempt_at: new Date()
+            }
+        });
+        return job;
+    }
+
+    /**
+     * One attempt at a job. Never throws: a failed attempt is recorded on
+     * the job and the order's `metadata.fulfillment`.
+     *
+     * `submitOrder`, the queue timer and admin retries can reach the same
+     * job at once, so an attempt first claims it by moving it from
+     * `pending` to `processing`; whoever loses the claim leaves it alone.
+     */
+    async process(job) {
+        if (job.status !== 'pending' || !await this.claim(job)) {
+            return job;
+        }
+
+        const order = await Order.findByPk(job.order_id);
+        const printify = this.getPrintify();
+        if (!printify) {
+            console.log(`⚠️ Printify not configured, order ${order.order_number} waits in the fulfillment queue`);
+            await job.update({ status: 'pending', next_attempt_at: new Date(Date.now() + this.intervalMs) });
+            return job;
+        }
+
+        const payments = await Payment.findAll({ where: { order_id: order.id } });
+        await job.update({ attempts: job.attempts + 1, last_attempt_at: new Date() });
+
+        try {
+            if (!order.printify_order_id) {
+                await this.createPrintifyOrder(printify, order, job, payments);
+            }
+
+            if (job.send_to_production && !job.sent_to_production_at) {
+                await printify.submitOrder(order.printify_order_id);
+                await job.update({ sent_to_production_at: new Date() });
+                console.log(`🏭 Printify order ${order.printify_order_id} sent to production`);
+            }
+
+            await job.update({
+                status: 'completed',
+                printify_order_id: order.printify_order_id,
+                next_attempt_at: null,
+                completed_at: new Date()
+            });
+        } catch (error) {
+            await this.recordFailure(job, order, payments, error);
+        }
+
+        return job;
+    }
+
+    /**
+     * Take a pending job for one attempt. Resolves to false, with the job
+     * reloaded, when another attempt got to it first.
+     */
+    async claim(job) {
+        const [claimed] = await FulfillmentJob.update(
+            { status: 'processing' },
+            { where: { id: job.id, status: 'pending' } }
+        );
+
+        if (claimed !== 1) {
+            await job.reload();
+            return false;
+        }
+
+        job.status = 'processing';
+        return true;
+    }
+
+    async createPrintifyOrder(printify, order, job, payments) {
+        const items = await this.printifyItems(order);
+        const lineItems = items.map(toLineItem);
+
+        // An earlier attempt, also one before an admin retry reset the
+        // count, may have reached Printify without us hearing back
+        const retried = job.attempts > 1 || job.last_error;
+        const existing = retried ? await this.findPrintifyOrder(printify, order.order_number) : null;
+        const printifyOrder = existing || await printify.createOrder({
+            external_id: order.order_number,
+            items: lineItems,
+            shipping_method: order.metadata?.shipping?.printify_method,
+            shipping_address: toPrintifyAddress(order.shipping_address, order.customer_email)
+        });
+
+        const { error, ...fulfillment } = order.metadata?.fulfillment || {};
+        await order.update({
+            printify_order_id: printifyOrder.id,
+            metadata: {
+                ...order.metadata,
+                fulfillment: { ...fulfillment, submitted_at: new Date().toISOString() }
+            }
+        });
+
+        const paid = payments.find(payment => payment.transaction_signature) || {};
+        console.log(`📦 Order ${order.order_number} submitted to Printify as ${printifyOrder.id}`);
+        this.publish(payments, 'order_created', {
+            transaction_signature: paid.transaction_signature,
+            order_id: order.id,
+            printify_order_id: printifyOrder.id
+        });
+    }
+
+    /**
+     * Printify's order with our order number as `external_id`, if any
+     */
+    async findPrintifyOrder(printify, externalId) {
+        for (let page = 1; ; page++) {
+            const { data = [], last_page: lastPage = 1 } = await printify.getOrders(page);
+            const match = data.find(printifyOrder => printifyOrder.external_id === externalId);
+
+            if (match || page >= lastPage) {
+                return match || null;
+            }
+        }
+    }
+
+    async recordFailure(job, order, payments, error) {
+        const retry = isRetryable(error) && job.attempts < this.maxAttempts;
+        const nextAttemptAt = retry ? new Date(Date.now() + this.backoff(job.attempts, error)) : null;
+
+        await job.update({
+            status: retry ? 'pending' : 'failed',
+            last_error: error.message,
+            last_error_status: error.printifyStatus || null,
+            next_attempt_at: nextAttemptAt,
+            failed_at: retry ? null : new Date()
+        });
+        await order.update({
+            metadata: {
+                ...order.metadata,
+                fulfillment: {
+                    ...order.metadata?.fulfillment,
+                    error: error.message,
+                    attempts: job.attempts,
+                    failed_at: new Date().toISOString(),
+                    next_attempt_at: nextAttemptAt && nextAttemptAt.toISOString()
+                }
+            }
+        });
+
+        const paid = payments.find(payment => payment.transaction_signature) || {};
+        this.publish(payments, 'failed', {
+            stage: 'order',
+            error: error.message,
+            transaction_signature: paid.transaction_signature
+        });
+
+        if (retry) {
+            console.warn(`⚠️ Could not submit order ${order.order_number} to Printify (attempt ${job.attempts}), retrying at ${nextAttemptAt.toISOString()}:`, error.message);
+            return;
+        }
+
+        console.error(`❌ Gave up submitting order ${order.order_number} to Printify after ${job.attempts} attempt(s):`, error.message);
+        try {
+            await this.emailService.sendAdminNotification(
+                `Printify submission failed for order ${order.order_number}`,
+                'The order is paid but Printify does not have it. Fix the cause and retry it from the admin fulfillment queue.',
+                {
+                    order_number: order.order_number,
+                    attempts: job.attempts,
+                    printify_status: error.printifyStatus || null,
+                    error: error.message
+                }
+            );
+        } catch (notifyError) {
+            console.error('❌ Could not notify admins of the fulfillment failure:', notifyError.message);
+        }
+    }
+
+    /**
+     * Milliseconds until the next attempt: doubling from `retryBaseMs` up
+     * to `retryMaxMs`, never sooner than Printify's Retry-After
+     */
+    backoff(attempts, error) {
+        const delay = Math.min(this.retryBaseMs * 2 ** (attempts - 1), this.retryMaxMs);
+        return Math.max(delay, (error.retryAfter || 0) * 1000);
+    }
+
+    /**
+     * Queue an order, or put its failed job back with a fresh set of
+     * attempts, and try it right away
+     */
+    async resubmit(order) {
+        const job = await this.enqueue(order);
+
+        if (job.status === 'failed') {
+            await job.update({ status: 'pending', attempts: 0, next_attempt_at: new Date(), failed_at: null });
+        }
+        return this.process(job);
+    }
+
+    /**
+     * Order items of Printify products, with their product
+     */
+    async printifyItems(order) {
+        const items = await OrderItem.findAll({
+            where: { order_id: order.id },
+            include: [{ model: Product, as: 'product' }],
+            order: [['id', 'ASC']]
+        });
+        return items.filter(item => item.printify_product_id || item.product?.printify_product_id);
+    }
+
+    /**
+     * Attempt every job that is due. Overlapping calls share one run.
+     */
+    runOnce() {
+        if (!this.working) {
+            this.working = this.work().finally(() => {
+                this.working = null;
+            });
+        }
+        return this.working;
+    }
+
+    async work() {
+        const run = { started_at: new Date(), attempted: 0, completed: 0 };
+
+        // An attempt cut off by a restart leaves its job claimed. Put it back
+        // once it has been claimed longer than any attempt takes; its error
+        // makes the next attempt look for the order at Printify first.
+        await FulfillmentJob.update({
+            status: 'pending',
+            last_error: 'Attempt interrupted',
+            next_attempt_at: new Date()
+        }, {
+            where: {
+                status: 'processing',
+                updatedAt: { [Op.lt]: new Date(Date.now() - this.retryMaxMs) }
+            }
+        });
+
+        const jobs = await FulfillmentJob.findAll({
+            where: {
+                status: 'pending',
+                next_attempt_at: { [Op.lte]: new Date() }
+            },
+            order: [['next_attempt_at', 'ASC']]
+        });
+
+        for (const job of jobs) {
+            await this.process(job);
+            run.attempted += 1;
+            if (job.status === 'completed') run.completed += 1;
+        }
+
+        run.finished_at = new Date();
+        this.lastRun = run;
+        return run;
+    }
+
+    /**
+     * Work the queue right away, then every `intervalMs`
+     */
+    start() {
+        if (this.running) return this;
+
+        this.running = true;
+        console.log(`📦 Fulfillment queue started, checking every ${this.intervalMs}ms`);
+        this.schedule(0);
+        return this;
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        return this.working || Promise.resolve(this.lastRun);
+    }
+
+    schedule(delay) {
+        if (!this.running) return;
+
+        this.timer = setTimeout(async () => {
+            try {
+                await this.runOnce();
+            } catch (error) {
+                console.error('❌ Fulfillment queue run failed:', error.message);
+            }
+            this.schedule(this.intervalMs);
+        }, delay);
+
+        // Never keep the process alive just to work the queue
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    publish(payments, status, data) {
+        payments.forEach(payment => {
+            this.paymentEvents.publish(payment.reference_key || payment.payment_id, status, data);
+        });
+    }
+}
+
+/**
+ * Printify line item of an order item: the variant the customer picked, or
+ * the product's only enabled variant for items stored without one
+ */
+function toLineItem(item) {
+    let variantId = item.variant_id;
+
+    if (!variantId) {
+        const enabled = (item.product?.variants || []).filter(variant => variant.is_enabled !== false);
+        if (enabled.length === 1) {
+            variantId = enabled[0].id;
+        }
+    }
+
+    if (!variantId) {
+        const error = new Error(`Order item "${item.product_title}" has no Printify variant`);
+        error.retryable = false;
+        throw error;
+    }
+
+    return {
+        printify_id: item.printify_product_id || item.product.printify_product_id,
+        variant_id: Number(variantId),
+        quantity: item.quantity
+    };
+}
+
+/**
+ * Printify `address_to` from a stored shipping address, which checkout forms
+ * send either in Printify's snake_case or in camelCase
+ */
+function toPrintifyAddress(address = {}, email) {
+    return {
+        first_name: address.first_name || address.firstName,
+        last_name: address.last_name || address.lastName,
+        email: address.email || email,
+        phone: address.phone || '',
+        country: address.country,
+        region: address.region || address.state || '',
+        address1: address.address1,
+        address2: address.address2 || '',
+        city: address.city,
+        zip: address.zip || address.zipCode
+    };
+}
+
+let defaultService = null;
+
+/**
+ * Process-wide fulfillment on the shared Printify client
+ */
+function getFulfillmentService() {
+    if (!defaultService) {
+        defaultService = new FulfillmentService();
+    }
+    return defaultService;
+}
+
+module.exports = {
+    FulfillmentService,
+    isRetryable,
+    toLineItem,
+    toPrintifyAddress,
+    getFulfillmentService
+};
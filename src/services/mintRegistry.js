@@ -0,0 +1,294 @@
+const { PublicKey } = require('@solana/web3.js');
+const { getMint } = require('@solana/spl-token');
+const config = require('../config');
+const { PaymentMint } = require('../models');
+
+const CLUSTERS = ['devnet', 'testnet', 'mainnet-beta', 'localnet'];
+
+const CLUSTER_ALIASES = {
+    mainnet: 'mainnet-beta',
+    localhost: 'localnet'
+};
+
+/**
+ * Tokens every store can accept. A token only exists on the clusters it has
+ * a mint for; SOL is native everywhere. There are no canonical testnet or
+ * localnet stablecoins, so those are added per store as custom mints.
+ */
+const BUILTIN_TOKENS = [
+    {
+        symbol: 'SOL',
+        name: 'Solana',
+        decimals: 9,
+        icon: '⚡',
+        native: true,
+        mints: {}
+    },
+    {
+        symbol: 'USDC',
+        name: 'USD Coin',
+        decimals: 6,
+        icon: '💵',
+        native: false,
+        mints: {
+            devnet: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+            'mainnet-beta': 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+        }
+    },
+    {
+        symbol: 'USDT',
+        name: 'Tether USD',
+        decimals: 6,
+        icon: '💰',
+        native: false,
+        mints: {
+            'mainnet-beta': 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+        }
+    }
+];
+
+/**
+ * Map `SOLANA_NETWORK` style names onto the four clusters
+ */
+function normalizeCluster(network) {
+    const name = String(network || '').trim().toLowerCase();
+    const cluster = CLUSTER_ALIASES[name] || name;
+
+    if (!CLUSTERS.includes(cluster)) {
+        throw badRequest(`Unknown Solana cluster: ${network}`);
+    }
+    return cluster;
+}
+
+/**
+ * Payment tokens per cluster.
+ *
+ * Built-in tokens are always known; rows in `payment_mints` switch them off
+ * or on and add custom SPL mints (e.g. a store token). Lookups are synchronous
+ * against the in-memory copy, which `load()` refreshes from the database.
+ */
+class MintRegistry {
+    constructor(options = {}) {
+        this.network = normalizeCluster(options.network || config.SOLANA.NETWORK);
+        this.overrides = new Map();
+    }
+
+    /**
+     * Read store overrides from the database. Backends that can't reach the
+     * table keep serving the built-in tokens.
+     */
+    async load() {
+        try {
+            const rows = await PaymentMint.findAll();
+            this.overrides = new Map(rows.map(row => [overrideKey(row.symbol, row.network), row.get({ plain: true })]));
+        } catch (error) {
+            console.warn('⚠️ Payment token overrides unavailable, using built-in tokens:', error.message);
+        }
+        return this;
+    }
+
+    /**
+     * All tokens known on a cluster, enabled or not
+     */
+    list(network = this.network, options = {}) {
+        const cluster = normalizeCluster(network);
+        const tokens = new Map();
+
+        BUILTIN_TOKENS.forEach(token => {
+            if (token.native || token.mints[cluster]) {
+                tokens.set(token.symbol, {
+                    symbol: token.symbol,
+                    name: token.name,
+                    decimals: token.decimals,
+                    icon: token.icon,
+                    native: token.native,
+                    mint: token.native ? null : token.mints[cluster],
+                    network: cluster,
+                    custom: false,
+                    enabled: true
+                });
+            }
+        });
+
+        this.overrides.forEach(row => {
+            if (row.network !== cluster) return;
+
+            const builtin = tokens.get(row.symbol);
+            if (builtin && !row.is_custom) {
+                builtin.enabled = row.enabled;
+                return;
+            }
+
+            tokens.set(row.symbol, {
+                symbol: row.symbol,
+                name: row.name || row.symbol,
+                decimals: row.decimals,
+                icon: row.icon,
+                native: false,
+                mint: row.mint,
+                network: cluster,
+                custom: true,
+                enabled: row.enabled
+            });
+        });
+
+        const all = Array.from(tokens.values());
+        return options.includeDisabled ? all : all.filter(token => token.enabled);
+    }
+
+    /**
+     * Look up an enabled token, or `null` if the store doesn't accept it.
+     * Pass `includeDisabled` to still resolve tokens that were switched off,
+     * e.g. when verifying a payment created before that.
+     */
+    get(symbol, network = this.network, options = {}) {
+        const wanted = String(symbol || '').toUpperCase();
+        return this.list(network, options).find(token => token.symbol === wanted) || null;
+    }
+
+    /**
+     * Like `get`, but throws a 400 for tokens the store doesn't accept
+     */
+    require(symbol, network = this.network) {
+        const token = this.get(symbol, network);
+        if (!token) {
+            const error = new Error(`Payment token ${symbol} is not enabled on ${normalizeCluster(network)}`);
+            error.status = 400;
+            throw error;
+        }
+        return token;
+    }
+
+    isEnabled(symbol, network = this.network) {
+        return Boolean(this.get(symbol, network));
+    }
+
+    /**
+     * Mint address for an SPL token, `null` for SOL
+     */
+    getMint(symbol, network = this.network) {
+        return this.require(symbol, network).mint;
+    }
+
+    /**
+     * Enable or disable a token on a cluster
+     */
+    async setEnabled(symbol, enabled, network = this.network) {
+        const cluster = normalizeCluster(network);
+        const token = this.list(cluster, { includeDisabled: true })
+            .find(entry => entry.symbol === String(symbol).toUpperCase());
+
+        if (!token) {
+            const error = new Error(`Unknown payment token ${symbol} on ${cluster}`);
+            error.status = 404;
+            throw error;
+        }
+
+        const [row] = await PaymentMint.findOrCreate({
+            where: { symbol: token.symbol, network: cluster },
+            defaults: { is_custom: false, enabled }
+        });
+        await row.update({ enabled: Boolean(enabled) });
+
+        this.overrides.set(overrideKey(token.symbol, cluster), row.get({ plain: true }));
+        return this.list(cluster, { includeDisabled: true }).find(entry => entry.symbol === token.symbol);
+    }
+
+    /**
+     * Register a custom SPL mint. When a connection is given the mint must
+     * exist on that cluster and its decimals are taken from chain.
+     */
+    async addCustomMint({ symbol, name, mint, decimals, icon, network = this.network }, connection = null) {
+        const cluster = normalizeCluster(network);
+        const wanted = String(symbol || '').trim().toUpperCase();
+
+        if (!/^[A-Z0-9]{2,10}$/.test(wanted)) {
+            throw badRequest('Symbol must be 2-10 letters or digits');
+        }
+        if (BUILTIN_TOKENS.some(token => token.symbol === wanted)) {
+            throw badRequest(`${wanted} is a built-in token; enable or disable it instead`);
+        }
+
+        let mintKey;
+        try {
+            mintKey = new PublicKey(mint);
+        } catch (error) {
+            throw badRequest('Invalid mint address');
+        }
+
+        if (connection) {
+            try {
+                const mintInfo = await getMint(connection, mintKey);
+                decimals = mintInfo.decimals;
+            } catch (error) {
+                throw badRequest(`Mint ${mintKey.toBase58()} not found on ${cluster}`);
+            }
+        }
+
+        if (!Number.isInteger(Number(decimals)) || decimals < 0 || decimals > 18) {
+            throw badRequest('Decimals must be an integer between 0 and 18');
+        }
+
+        const [row] = await PaymentMint.upsert({
+            symbol: wanted,
+            network: cluster,
+            name: name || wanted,
+            mint: mintKey.toBase58(),
+            decimals: Number(decimals),
+            icon: icon || null,
+            is_custom: true,
+            enabled: true
+        });
+
+        this.overrides.set(overrideKey(wanted, cluster), row.get({ plain: true }));
+        return this.get(wanted, cluster);
+    }
+
+    /**
+     * Remove a custom mint. Built-in tokens can only be disabled.
+     */
+    async removeCustomMint(symbol, network = this.network) {
+        const cluster = normalizeCluster(network);
+        const key = overrideKey(String(symbol).toUpperCase(), cluster);
+        const row = this.overrides.get(key);
+
+        if (!row || !row.is_custom) {
+            const error = new Error(`No custom payment token ${symbol} on ${cluster}`);
+            error.status = 404;
+            throw error;
+        }
+
+        await PaymentMint.destroy({ where: { symbol: row.symbol, network: cluster } });
+        this.overrides.delete(key);
+    }
+}
+
+function overrideKey(symbol, network) {
+    return `${network}:${symbol}`;
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+let defaultRegistry = null;
+
+/**
+ * Process-wide registry for `config.SOLANA.NETWORK`
+ */
+function getMintRegistry() {
+    if (!defaultRegistry) {
+        defaultRegistry = new MintRegistry();
+    }
+    return defaultRegistry;
+}
+
+module.exports = {
+    MintRegistry,
+    BUILTIN_TOKENS,
+    CLUSTERS,
+    normalizeCluster,
+    getMintRegistry
+};
@@ -0,0 +1,65 @@
+const BigNumber = require('bignumber.js');
+const { Payment } = require('../models');
+
+// Payments whose share of the order is paid in full
+const PAID_STATUSES = ['confirmed', 'finalized'];
+
+/**
+ * USD a payment contributes to its order. An accepted payment covers its
+ * whole share (`usd_amount`); one waiting for a top-up covers what it has
+ * received so far. Flagged, held and unpaid payments cover nothing.
+ */
+function creditedUsd(payment) {
+    if (PAID_STATUSES.includes(payment.status)) {
+        return new BigNumber(payment.usd_amount);
+    }
+    if (payment.status === 'partially_paid') {
+        return new BigNumber(payment.metadata?.settlement?.received_usd || 0);
+    }
+    return new BigNumber(0);
+}
+
+/**
+ * What `payments` of an order have paid against its total, in USD
+ */
+function summarizeBalance(order, payments) {
+    const paid = payments.reduce((total, payment) => total.plus(creditedUsd(payment)), new BigNumber(0));
+    const pending = payments
+        .filter(payment => payment.status === 'pending')
+        .reduce((total, payment) => total.plus(payment.usd_amount), new BigNumber(0));
+
+    return {
+        total_usd: new BigNumber(order.total_amount).toFixed(2),
+        paid_usd: paid.toFixed(2),
+        pending_usd: pending.toFixed(2),
+        outstanding_usd: BigNumber.max(new BigNumber(order.total_amount).minus(paid), 0).toFixed(2),
+        payments: payments.map(payment => ({
+            payment_id: payment.payment_id,
+            currency: payment.currency,
+            amount: payment.amount,
+            usd_amount: payment.usd_amount,
+            status: payment.status,
+            credited_usd: creditedUsd(payment).toFixed(2)
+        }))
+    };
+}
+
+/**
+ * Balance of an order across every payment made towards it. An order can be
+ * split over several payments, each its own row in its own token.
+ */
+async function getOrderBalance(order) {
+    const payments = await Payment.findAll({
+        where: { order_id: order.id },
+        order: [['created_at', 'ASC']]
+    });
+
+    return summarizeBalance(order, payments);
+}
+
+module.exports = {
+    PAID_STATUSES,
+    creditedUsd,
+    summarizeBalance,
+    getOrderBalance
+};
@@ -0,0 +1,265 @@
+const { sequelize, Customer, Order, OrderEvent, OrderItem, Product } = require('../models');
+const emailService = require('./emailService');
+const { getFulfillmentService } = require('./fulfillmentService');
+
+class OrderTransitionError extends Error {
+    constructor(message, code, details) {
+        super(message);
+        this.name = 'OrderTransitionError';
+        this.status = 409;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Statuses an order can move to from each status
+const TRANSITIONS = {
+    pending: ['payment_pending', 'paid', 'processing', 'on_hold', 'cancelled', 'refunded'],
+    payment_pending: ['pending', 'paid', 'processing', 'on_hold', 'cancelled', 'refunded'],
+    paid: ['processing', 'on_hold', 'cancelled', 'refunded'],
+    processing: ['on_hold', 'shipped', 'cancelled', 'refunded'],
+    on_hold: ['pending', 'processing', 'cancelled', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+// Payment states in which an order counts as paid
+const PAID = ['completed', 'partially_refunded'];
+
+const isPaid = order => PAID.includes(order.payment_status);
+
+// What an order, with the transition's changes applied, must satisfy to enter a status
+const GUARDS = {
+    paid: { test: isPaid, message: 'Order has not been paid' },
+    processing: { test: isPaid, message: 'Unpaid orders cannot be processed' },
+    shipped: { test: isPaid, message: 'Unpaid orders cannot ship' },
+    refunded: { test: order => order.payment_status === 'refunded', message: 'Order has not been refunded in full' }
+};
+
+// Run, in order, once the change is committed
+const EFFECTS = {
+    processing: ['reserveInventory', 'submitToPrintify', 'notifyCustomer'],
+    shipped: ['notifyCustomer'],
+    delivered: ['notifyCustomer'],
+    cancelled: ['releaseInventory', 'cancelAtPrintify', 'notifyCustomer'],
+    refunded: ['releaseInventory', 'notifyCustomer']
+};
+
+// Statuses after which stock has left the building and is not put back
+const SHIPPED = ['shipped', 'delivered'];
+
+/**
+ * The only way an order's status changes.
+ *
+ * A transition must be listed in `TRANSITIONS` and pass the target status's
+ * guard, or it is refused with an `OrderTransitionError`. The new status, the
+ * caller's field changes and an `order_events` row saying who moved the order
+ * and why are written in one transaction. Emails, stock and Printify follow
+ * from `EFFECTS` afterwards; one that fails is logged and does not undo the
+ * change.
+ */
+class OrderStateMachine {
+    constructor(options = {}) {
+        this.emailService = options.emailService || emailService;
+        this.fulfillment = options.fulfillment === undefined ? getFulfillmentService() : options.fulfillment;
+    }
+
+    canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Throws unless an order in `order`'s state may move to `to`
+     */
+    assertTransition(order, to) {
+        if (!TRANSITIONS[to]) {
+            throw new OrderTransitionError(`Unknown order status: ${to}`, 'UNKNOWN_STATUS', { to });
+        }
+        if (!this.canTransition(order.status, to)) {
+            throw new OrderTransitionError(
+                `Order cannot move from ${order.status} to ${to}`,
+                'INVALID_TRANSITION',
+                { from: order.status, to, allowed: TRANSITIONS[order.status] || [] }
+            );
+        }
+
+        const guard = GUARDS[to];
+        if (guard && !guard.test(order)) {
+            throw new OrderTransitionError(guard.message, 'TRANSITION_GUARD', {
+                from: order.status,
+                to,
+                payment_status: order.payment_status
+            });
+        }
+    }
+
+    /**
+     * Move an order (or order id) to `to`, applying `changes` (fields, or a
+     * function of the current order returning them) with it. Moving an order
+     * to the status it is in only applies the changes. Resolves to the order.
+     */
+    async transition(orderOrId, to, { actor = 'system', reason = null, changes = {}, metadata = null } = {}) {
+        const id = orderOrId instanceof Order ? orderOrId.id : orderOrId;
+
+        const { order, from } = await sequelize.transaction(async transaction => {
+            const order = await Order.findByPk(id, { transaction });
+            if (!order) {
+                const error = new Error('Order not found');
+                error.status = 404;
+                throw error;
+            }
+
+            const from = order.status;
+            const fields = typeof changes === 'function' ? changes(order) : changes;
+
+            if (from !== to) {
+                this.assertTransition({ ...order.get(), ...fields }, to);
+            }
+
+            await order.update({ ...fields, status: to }, { transaction });
+            if (from !== to) {
+                await OrderEvent.create({
+                    order_id: order.id,
+                    from_status: from,
+                    to_status: to,
+                    actor,
+                    reason,
+                    metadata
+                }, { transaction });
+            }
+
+            return { order, from };
+        });
+
+        if (from !== to) {
+            console.log(`📋 Order ${order.order_number} ${from} → ${to} (${actor})`);
+            await this.runEffects(order, from, to);
+        }
+
+        // Callers holding the order see what the transition and its effects wrote
+        if (orderOrId instanceof Order) {
+            return orderOrId.reload();
+        }
+        return order;
+    }
+
+    async runEffects(order, from, to) {
+        for (const effect of EFFECTS[to] || []) {
+            try {
+                await this[effect](order, from, to);
+            } catch (error) {
+                console.error(`❌ Order ${order.order_number} ${effect} after ${to} failed:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Take the order's quantities off stock, as far as there is stock; the
+     * amounts taken are kept so a cancellation puts back exactly those
+     */
+    async reserveInventory(order) {
+        if (order.metadata?.inventory) {
+            return;
+        }
+
+        const items = await OrderItem.findAll({ where: { order_id: order.id } });
+        const reserved = {};
+
+        for (const item of items) {
+            const product = await Product.findByPk(item.product_id);
+            const taken = product ? Math.min(item.quantity, product.inventory_count) : 0;
+            if (taken > 0) {
+                await product.decrementInventory(taken);
+                reserved[product.id] = (reserved[product.id] || 0) + taken;
+            }
+        }
+
+        await order.update({
+            metadata: {
+                ...order.metadata,
+                inventory: { reserved, reserved_at: new Date().toISOString() }
+            }
+        });
+    }
+
+    async releaseInventory(order, from) {
+        const inventory = order.metadata?.inventory;
+        if (!inventory || inventory.released_at || SHIPPED.includes(from)) {
+            return;
+        }
+
+        for (const [productId, quantity] of Object.entries(inventory.reserved)) {
+            await Product.increment('inventory_count', { by: quantity, where: { id: productId } });
+        }
+
+        await order.update({
+            metadata: {
+                ...order.metadata,
+                inventory: { ...inventory, released_at: new Date().toISOString() }
+            }
+        });
+    }
+
+    async submitToPrintify(order) {
+        if (this.fulfillment) {
+            await this.fulfillment.submitOrder(order);
+        }
+    }
+
+    /**
+     * Cancel the order's Printify order, unless Printify cancelled it itself
+     */
+    async cancelAtPrintify(order) {
+        const printify = this.fulfillment && this.fulfillment.getPrintify();
+        if (!order.printify_order_id || !printify || order.metadata?.printify?.status === 'canceled') {
+            return;
+        }
+
+        await printify.cancelOrder(order.printify_order_id);
+        await order.update({
+            metadata: {
+                ...order.metadata,
+                fulfillment: { ...order.metadata?.fulfillment, cancelled_at: new Date().toISOString() }
+            }
+        });
+        console.log(`📦 Printify order ${order.printify_order_id} cancelled`);
+    }
+
+    async notifyCustomer(order, from, to) {
+        const customer = await Customer.findOne({ where: { email: order.customer_email } });
+        if (!customer) {
+            return;
+        }
+
+        if (to === 'shipped') {
+            const shipping = order.metadata?.printify?.shipping || {};
+            await this.emailService.sendShippingNotification(order, customer, {
+                ...shipping,
+                tracking_number: shipping.tracking_number || order.tracking_number
+            });
+        } else {
+            await this.emailService.sendOrderStatusUpdate(order, customer, from, to);
+        }
+    }
+}
+
+let defaultMachine = null;
+
+/**
+ * Process-wide state machine, submitting to Printify through the shared fulfillment
+ */
+function getOrderStateMachine() {
+    if (!defaultMachine) {
+        defaultMachine = new OrderStateMachine();
+    }
+    return defaultMachine;
+}
+
+module.exports = {
+    OrderStateMachine,
+    OrderTransitionError,
+    TRANSITIONS,
+    getOrderStateMachine
+};
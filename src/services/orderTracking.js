@@ -0,0 +1,307 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { Order, OrderEvent, OrderItem } = require('../models');
+const { getOrderStateMachine, OrderTransitionError } = require('./orderStateMachine');
+
+// Our line item status for each Printify line item status
+const ITEM_STATUSES = {
+    'on-hold': 'pending',
+    'payment-not-received': 'pending',
+    'sending-to-production': 'processing',
+    'in-production': 'processing',
+    'has-issues': 'processing',
+    fulfilled: 'shipped',
+    canceled: 'cancelled'
+};
+
+/**
+ * Shipments `incoming` adds to `existing`, one per tracking number; later
+ * reports fill in what earlier ones left out
+ */
+function mergeShipments(existing = [], incoming = []) {
+    const shipments = existing.map(shipment => ({ ...shipment }));
+
+    for (const shipment of incoming) {
+        const known = shipments.find(other => other.tracking_number === shipment.tracking_number);
+        const reported = Object.fromEntries(Object.entries(shipment).filter(([, value]) => value != null));
+
+        if (known) {
+            Object.assign(known, reported);
+        } else {
+            shipments.push({
+                carrier: null,
+                tracking_number: null,
+                tracking_url: null,
+                shipped_at: null,
+                delivered_at: null,
+                ...reported
+            });
+        }
+    }
+
+    return shipments;
+}
+
+/**
+ * Where an order is: its status changes from `order_events`, the Printify
+ * shipments and the status of each line item.
+ *
+ * Shipments are stored on the order's `metadata.printify.shipments` by the
+ * `order:shipped` webhook and by a poll of Printify's copy of every order in
+ * processing or shipped, which also catches webhooks that never arrived and
+ * moves the order on when Printify shipped, delivered or cancelled it.
+ */
+class OrderTrackingService {
+    constructor(options = {}) {
+        const tracking = options.tracking || config.PRINTIFY_TRACKING;
+
+        this.printifyService = options.printifyService || null;
+        this.stateMachine = options.stateMachine || getOrderStateMachine();
+        this.intervalMs = tracking.INTERVAL_MS;
+
+        this.running = false;
+        this.polling = null;
+        this.timer = null;
+        this.lastRun = null;
+    }
+
+    /**
+     * Shared Printify client, or null while no Printify token is configured
+     */
+    getPrintify() {
+        if (!this.printifyService) {
+            try {
+                this.printifyService = require('./printifyService');
+            } catch (error) {
+                return null;
+            }
+        }
+        return this.printifyService;
+    }
+
+    /**
+     * Tracking of an order by id or order number, or a 404 error
+     */
+    async getTracking(orderId) {
+        const order = await Order.findOne({
+            where: /^\d+$/.test(String(orderId)) ? { id: orderId } : { order_number: orderId },
+            include: [
+                { model: OrderItem, as: 'items' },
+                { model: OrderEvent, as: 'events' }
+            ],
+            order: [
+                [{ model: OrderEvent, as: 'events' }, 'id', 'ASC'],
+                [{ model: OrderItem, as: 'items' }, 'id', 'ASC']
+            ]
+        });
+
+        if (!order) {
+            const error = new Error('Order not found');
+            error.status = 404;
+            throw error;
+        }
+
+        const printify = order.metadata?.printify || {};
+        const shipments = printify.shipments || [];
+        const [latest] = shipments.slice(-1);
+
+        return {
+            orderId: order.id,
+            orderNumber: order.order_number,
+            status: order.status,
+            paymentStatus: order.payment_status,
+            statusHistory: order.events.map(event => ({
+                status: event.to_status,
+                previousStatus: event.from_status,
+                actor: event.actor,
+                message: event.reason,
+                timestamp: event.createdAt.toISOString()
+            })),
+            shipments: shipments.map(shipment => ({
+                carrier: shipment.carrier,
+                trackingNumber: shipment.tracking_number,
+                trackingUrl: shipment.tracking_url,
+                shippedAt: shipment.shipped_at,
+                deliveredAt: shipment.delivered_at,
+                estimatedDelivery: shipment.estimated_delivery || null
+            })),
+            items: order.items.map(item => ({
+                id: item.id,
+                productId: item.product_id,
+                title: item.product_title,
+                variantId: item.variant_id,
+                quantity: item.quantity,
+                status: item.status
+            })),
+            trackingNumber: order.tracking_number || null,
+            carrier: latest ? latest.carrier : null,
+            estimatedDelivery: latest ? latest.estimated_delivery || null : null,
+            fulfillment: {
+                provider: 'printify',
+                printifyOrderId: order.printify_order_id || null,
+                printifyStatus: printify.status || null,
+                updatedAt: printify.synced_at || printify.updated_at || null
+            }
+        };
+    }
+
+    /**
+     * Bring an order's shipments and line items in line with Printify's copy,
+     * moving the order along when Printify shipped, delivered or cancelled it
+     */
+    async syncOrder(order) {
+        const printify = this.getPrintify();
+        if (!printify || !order.printify_order_id) {
+            return order;
+        }
+
+        const remote = await printify.getOrder(order.printify_order_id);
+        const shipments = mergeShipments(order.metadata?.printify?.shipments, (remote.shipments || []).map(shipment => ({
+            carrier: shipment.carrier,
+            tracking_number: shipment.number,
+            tracking_url: shipment.url,
+            shipped_at: remote.fulfilled_at,
+            delivered_at: shipment.delivered_at
+        })));
+        const delivered = shipments.length > 0 && shipments.every(shipment => shipment.delivered_at);
+
+        for (const lineItem of remote.line_items || []) {
+            const status = ITEM_STATUSES[lineItem.status];
+            if (status) {
+                await OrderItem.update(
+                    { status: status === 'shipped' && delivered ? 'delivered' : status },
+                    { where: { order_id: order.id, variant_id: String(lineItem.variant_id) } }
+                );
+            }
+        }
+
+        const [latest] = shipments.slice(-1);
+        const changes = current => ({
+            ...(latest && !current.tracking_number && { tracking_number: latest.tracking_number }),
+            metadata: {
+                ...current.metadata,
+                printify: {
+                    ...current.metadata?.printify,
+                    ...(latest && { shipping: latest }),
+                    status: remote.status,
+                    shipments,
+                    synced_at: new Date().toISOString()
+                }
+            }
+        });
+
+        const steps = [];
+        if (remote.status === 'canceled') {
+            steps.push('cancelled');
+        } else {
+            if (shipments.length && order.status === 'processing') steps.push('shipped');
+            if (delivered) steps.push('delivered');
+        }
+
+        let moved = false;
+        for (const step of steps) {
+            try {
+                order = await this.stateMachine.transition(order, step, {
+                    actor: 'printify',
+                    reason: `Printify order is ${remote.status}`,
+                    changes
+                });
+                moved = true;
+            } catch (error) {
+                if (!(error instanceof OrderTransitionError)) {
+                    throw error;
+                }
+                console.warn(`⚠️  Order ${order.order_number} stays ${order.status}: ${error.message}`);
+                break;
+            }
+        }
+
+        return moved ? order : order.update(changes(order));
+    }
+
+    /**
+     * Sync every order Printify is still working on. Overlapping calls share one poll.
+     */
+    runOnce() {
+        if (!this.polling) {
+            this.polling = this.poll().finally(() => {
+                this.polling = null;
+            });
+        }
+        return this.polling;
+    }
+
+    async poll() {
+        const run = { started_at: new Date(), checked: 0, failed: 0 };
+        const orders = await Order.findAll({
+            where: {
+                printify_order_id: { [Op.ne]: null },
+                status: ['processing', 'shipped']
+            },
+            order: [['id', 'ASC']]
+        });
+
+        for (const order of orders) {
+            try {
+                await this.syncOrder(order);
+                run.checked += 1;
+            } catch (error) {
+                run.failed += 1;
+                console.error(`❌ Could not sync order ${order.order_number} from Printify:`, error.message);
+            }
+        }
+
+        run.finished_at = new Date();
+        this.lastRun = run;
+        return run;
+    }
+
+    /**
+     * Poll right away, then every `intervalMs`
+     */
+    start() {
+        if (this.running) return this;
+
+        this.running = true;
+        console.log(`🚚 Printify order tracking started, polling every ${this.intervalMs}ms`);
+        this.schedule(0);
+        return this;
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        return this.polling || Promise.resolve(this.lastRun);
+    }
+
+    schedule(delay) {
+        if (!this.running) return;
+
+        this.timer = setTimeout(async () => {
+            await this.runOnce();
+            this.schedule(this.intervalMs);
+        }, delay);
+
+        // Never keep the process alive just to poll
+        if (this.timer.unref) this.timer.unref();
+    }
+}
+
+let defaultTracking = null;
+
+/**
+ * Process-wide tracking on the shared Printify client
+ */
+function getOrderTracking() {
+    if (!defaultTracking) {
+        defaultTracking = new OrderTrackingService();
+    }
+    return defaultTracking;
+}
+
+module.exports = {
+    OrderTrackingService,
+    mergeShipments,
+    getOrderTracking
+};
@@ -0,0 +1,169 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Stages a payment moves through. `partially_paid` waits for a top-up on the
+ * same reference; `flagged` covers payments held for a refund or review;
+ * `order_created`, `flagged`, `failed` and `expired` end the stream.
+ */
+const PAYMENT_STAGES = ['pending', 'detected', 'partially_paid', 'confirmed', 'finalized', 'order_created', 'flagged', 'failed', 'expired'];
+const TERMINAL_STAGES = ['order_created', 'flagged', 'failed', 'expired'];
+
+// Latest events kept for late subscribers; the oldest are dropped first
+const MAX_TRACKED = 10000;
+const HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * In-process pub/sub for payment status, keyed by payment reference.
+ *
+ * Whatever confirms a payment (a verify route, the payment watcher) publishes
+ * here, and Server-Sent Events streams push it to the browser. Subscribers
+ * always get the latest event first, so connecting late misses nothing.
+ */
+class PaymentEventHub {
+    constructor(options = {}) {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+        this.events = new Map();
+        this.maxTracked = options.maxTracked || MAX_TRACKED;
+        this.heartbeatMs = options.heartbeatMs || HEARTBEAT_MS;
+    }
+
+    /**
+     * Record a payment stage. Repeating the current stage is a no-op, so
+     * pollers can publish on every check.
+     */
+    publish(reference, status, data = {}) {
+        if (!PAYMENT_STAGES.includes(status)) {
+            throw new Error(`Unknown payment stage: ${status}`);
+        }
+
+        const current = this.events.get(reference);
+        if (current && current.status === status) {
+            return current;
+        }
+
+        const event = {
+            reference,
+            status,
+            data,
+            at: new Date().toISOString()
+        };
+
+        this.events.delete(reference);
+        this.events.set(reference, event);
+        if (this.events.size > this.maxTracked) {
+            this.events.delete(this.events.keys().next().value);
+        }
+
+        this.emitter.emit(reference, event);
+        return event;
+    }
+
+    latest(reference) {
+        return this.events.get(reference) || null;
+    }
+
+    /**
+     * Call `listener` with the latest event, if any, and every event after it.
+     * Returns the unsubscribe function.
+     */
+    subscribe(reference, listener) {
+        const current = this.latest(reference);
+        if (current) {
+            listener(current);
+        }
+
+        this.emitter.on(reference, listener);
+        return () => this.emitter.off(reference, listener);
+    }
+
+    /**
+     * Serve one reference as a Server-Sent Events stream.
+     *
+     * `initial` is sent when nothing has been published yet (e.g. a payment
+     * created before a restart). `refresh` is run every `refreshMs` while the
+     * client is connected, so the stream doesn't wait on the background watcher.
+     * The stream closes after a terminal stage.
+     */
+    stream(req, res, reference, options = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${options.retryMs || 3000}\n\n`);
+
+        let closed = false;
+        let refreshing = false;
+        let unsubscribe = () => {};
+        const timers = [];
+
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            unsubscribe();
+            timers.forEach(clearInterval);
+            res.end();
+        };
+
+        const send = (event) => {
+            if (closed) return;
+            res.write(`id: ${event.at}\ndata: ${JSON.stringify(event)}\n\n`);
+            if (TERMINAL_STAGES.includes(event.status)) {
+                close();
+            }
+        };
+
+        if (!this.latest(reference) && options.initial) {
+            send({ reference, at: new Date().toISOString(), data: {}, ...options.initial });
+        }
+        if (closed) return;
+
+        unsubscribe = this.subscribe(reference, send);
+        if (closed) {
+            unsubscribe();
+            return;
+        }
+
+        timers.push(setInterval(() => res.write(': ping\n\n'), this.heartbeatMs));
+
+        if (options.refresh) {
+            const refresh = async () => {
+                if (refreshing || closed) return;
+                refreshing = true;
+                try {
+                    await options.refresh();
+                } catch (error) {
+                    console.error(`❌ Payment event refresh failed for ${reference}:`, error.message);
+                } finally {
+                    refreshing = false;
+                }
+            };
+
+            timers.push(setInterval(refresh, options.refreshMs || 3000));
+            refresh();
+        }
+
+        req.on('close', close);
+    }
+}
+
+let defaultHub = null;
+
+/**
+ * Process-wide hub shared by every backend in this process
+ */
+function getPaymentEvents() {
+    if (!defaultHub) {
+        defaultHub = new PaymentEventHub();
+    }
+    return defaultHub;
+}
+
+module.exports = {
+    PaymentEventHub,
+    PAYMENT_STAGES,
+    TERMINAL_STAGES,
+    getPaymentEvents
+};
@@ -0,0 +1,182 @@
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const BigNumber = require('bignumber.js');
+const { Payment, PaymentTransfer, Refund } = require('../models');
+
+/**
+ * Error codes returned when a submitted signature can't confirm a payment,
+ * with their HTTP status
+ */
+const VERIFICATION_ERRORS = {
+    SIGNATURE_REQUIRED: 400,
+    TRANSACTION_NOT_FOUND: 404,
+    TRANSACTION_FAILED: 400,
+    SIGNATURE_ALREADY_USED: 409,
+    PAYMENT_ALREADY_PAID: 409,
+    REFERENCE_MISMATCH: 400,
+    RECIPIENT_MISMATCH: 400
+};
+
+class PaymentVerificationError extends Error {
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'PaymentVerificationError';
+        this.code = code;
+        this.status = VERIFICATION_ERRORS[code];
+        this.details = details;
+    }
+}
+
+/**
+ * Checks a caller-supplied signature before it may confirm a payment.
+ *
+ * One on-chain transfer confirms at most one payment: the signature must not
+ * be claimed by any other payment or refund, the payment's reference must be
+ * among the transaction's accounts and the recipient must have been paid.
+ * Backends plug in `findClaim(signature)`, resolving to
+ * `{ type: 'payment' | 'refund', id }` for whatever already holds it.
+ */
+class PaymentVerifier {
+    constructor(options = {}) {
+        this.connection = options.connection;
+        this.findClaim = options.findClaim || (() => null);
+    }
+
+    /**
+     * Resolves to `{ signature, transaction, slot, blockTime, payer, receivedAmount }`
+     * or throws a PaymentVerificationError.
+     *
+     * `paymentId` is the payment being confirmed (re-submitting its own
+     * signature is fine). `reference` is skipped for older payments whose
+     * reference is not a public key.
+     */
+    async verify(signature, { paymentId = null, reference = null, recipient = null, splToken = null } = {}) {
+        if (!signature) {
+            throw new PaymentVerificationError('SIGNATURE_REQUIRED', 'Transaction signature is required');
+        }
+
+        const claim = await this.findClaim(signature);
+        if (claim && !(claim.type === 'payment' && String(claim.id) === String(paymentId))) {
+            throw new PaymentVerificationError(
+                'SIGNATURE_ALREADY_USED',
+                `Transaction already used for ${claim.type} ${claim.id}`
+            );
+        }
+
+        const transaction = await this.connection.getTransaction(signature, {
+            commitment: 'confirmed'
+        });
+
+        if (!transaction) {
+            throw new PaymentVerificationError('TRANSACTION_NOT_FOUND', 'Transaction not found on-chain');
+        }
+        if (transaction.meta?.err) {
+            throw new PaymentVerificationError('TRANSACTION_FAILED', 'Transaction failed on-chain', transaction.meta.err);
+        }
+
+        const accountKeys = transaction.transaction.message.accountKeys;
+
+        if (reference && isPublicKey(reference)) {
+            const referenceKey = new PublicKey(reference);
+            if (!accountKeys.some(key => key.equals(referenceKey))) {
+                throw new PaymentVerificationError(
+                    'REFERENCE_MISMATCH',
+                    'Transaction does not reference this payment'
+                );
+            }
+        }
+
+        let receivedAmount = null;
+        if (recipient) {
+            receivedAmount = getReceivedAmount(transaction, new PublicKey(recipient), splToken && new PublicKey(splToken));
+            if (!new BigNumber(receivedAmount).isGreaterThan(0)) {
+                throw new PaymentVerificationError(
+                    'RECIPIENT_MISMATCH',
+                    'Transaction did not pay the merchant wallet'
+                );
+            }
+        }
+
+        return {
+            signature,
+            transaction,
+            slot: transaction.slot,
+            blockTime: transaction.blockTime,
+            payer: accountKeys[0].toBase58(),
+            receivedAmount
+        };
+    }
+}
+
+/**
+ * Amount the recipient gained in a transaction, in whole tokens. Mirrors the
+ * balance comparison `@solana/pay` validateTransfer performs.
+ */
+function getReceivedAmount(response, recipient, splToken) {
+    const { message } = response.transaction;
+    const { meta } = response;
+
+    if (!splToken) {
+        const index = message.accountKeys.findIndex(key => key.equals(recipient));
+        if (index === -1) return '0';
+
+        return new BigNumber(meta.postBalances[index] - meta.preBalances[index])
+            .dividedBy(LAMPORTS_PER_SOL)
+            .toString();
+    }
+
+    const recipientATA = getAssociatedTokenAddressSync(splToken, recipient);
+    const index = message.accountKeys.findIndex(key => key.equals(recipientATA));
+    if (index === -1) return '0';
+
+    const pre = (meta.preTokenBalances || []).find(balance => balance.accountIndex === index);
+    const post = (meta.postTokenBalances || []).find(balance => balance.accountIndex === index);
+
+    return new BigNumber(post?.uiTokenAmount.uiAmountString || 0)
+        .minus(pre?.uiTokenAmount.uiAmountString || 0)
+        .toString();
+}
+
+function isPublicKey(value) {
+    try {
+        new PublicKey(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Signature claims of this server: payments by `payment_id`, refunds by
+ * `refund_id`
+ */
+async function findSignatureClaim(signature) {
+    const payment = await Payment.findOne({ where: { transaction_signature: signature } });
+    if (payment) {
+        return { type: 'payment', id: payment.payment_id };
+    }
+
+    // Top-ups of a partially paid payment only have their transfer row
+    const transfer = await PaymentTransfer.findOne({
+        where: { signature },
+        include: [{ model: Payment, as: 'payment', attributes: ['payment_id'] }]
+    });
+    if (transfer) {
+        return { type: 'payment', id: transfer.payment.payment_id };
+    }
+
+    const refund = await Refund.findOne({ where: { transaction_signature: signature } });
+    if (refund) {
+        return { type: 'refund', id: refund.refund_id };
+    }
+
+    return null;
+}
+
+module.exports = {
+    PaymentVerifier,
+    PaymentVerificationError,
+    VERIFICATION_ERRORS,
+    getReceivedAmount,
+    findSignatureClaim
+};
@@ -0,0 +1,279 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { Payment, Quote } = require('../models');
+const SolanaPayService = require('./solanaPayService');
+const { getQuoteService } = require('./quoteService');
+const { getCommitmentTracker } = require('./commitmentTracker');
+const { SettlementService } = require('./settlementService');
+const { getPaymentEvents } = require('./paymentEvents');
+
+// Per-payment failures kept for the admin view
+const MAX_FAILURES = 50;
+
+/**
+ * Confirms pending payments server-side so orders get paid even when the
+ * buyer closes the tab.
+ *
+ * The watcher keeps no state of its own beyond counters: every scan reads
+ * pending payments from the database, so a restart simply resumes where the
+ * last process stopped. Backends plug in a `source` with
+ *
+ *   findPending({ after, limit })  unsettled payments with `id > after`, by id
+ *   check(payment)                 resolves to 'confirmed', 'finalized',
+ *                                  'partially_paid', 'flagged', 'held',
+ *                                  'expired' or 'pending'
+ */
+class PaymentWatcher {
+    constructor(options = {}) {
+        const watcher = options.watcher || config.PAYMENT_WATCHER;
+
+        this.name = options.name || 'payments';
+        this.source = options.source;
+        this.intervalMs = watcher.INTERVAL_MS;
+        this.batchSize = watcher.BATCH_SIZE;
+
+        this.running = false;
+        this.scanning = null;
+        this.timer = null;
+        this.nextRunAt = null;
+        this.lastRun = null;
+        this.totals = {
+            scans: 0,
+            checked: 0,
+            confirmed: 0,
+            finalized: 0,
+            partially_paid: 0,
+            flagged: 0,
+            held: 0,
+            expired: 0,
+            errors: 0
+        };
+        this.failures = [];
+    }
+
+    /**
+     * Scan right away, then every `intervalMs`
+     */
+    start() {
+        if (this.running) return this;
+
+        this.running = true;
+        console.log(`👀 Payment watcher (${this.name}) started, scanning every ${this.intervalMs}ms`);
+        this.schedule(0);
+        return this;
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextRunAt = null;
+        return this.scanning || Promise.resolve(this.lastRun);
+    }
+
+    schedule(delay) {
+        if (!this.running) return;
+
+        this.nextRunAt = new Date(Date.now() + delay);
+        this.timer = setTimeout(async () => {
+            await this.runOnce();
+            this.schedule(this.intervalMs);
+        }, delay);
+
+        // Never keep the process alive just to poll
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    /**
+     * Check every pending payment once. Overlapping calls share one scan.
+     */
+    runOnce() {
+        if (!this.scanning) {
+            this.scanning = this.scan().finally(() => {
+                this.scanning = null;
+            });
+        }
+        return this.scanning;
+    }
+
+    async scan() {
+        const run = {
+            started_at: new Date(),
+            finished_at: null,
+            checked: 0,
+            confirmed: 0,
+            finalized: 0,
+            partially_paid: 0,
+            flagged: 0,
+            held: 0,
+            expired: 0,
+            pending: 0,
+            errors: 0
+        };
+
+        try {
+            let after = 0;
+            let batch;
+
+            do {
+                batch = await this.source.findPending({ after, limit: this.batchSize });
+
+                for (const payment of batch) {
+                    after = payment.id;
+                    run.checked++;
+
+                    try {
+                        const status = await this.source.check(payment);
+                        if (status in run) run[status]++;
+                    } catch (error) {
+                        run.errors++;
+                        this.recordFailure(payment, error);
+                    }
+                }
+            } while (batch.length === this.batchSize);
+        } catch (error) {
+            run.errors++;
+            run.error = error.message;
+            console.error(`❌ Payment watcher (${this.name}) scan failed:`, error.message);
+        }
+
+        run.finished_at = new Date();
+        this.lastRun = run;
+
+        this.totals.scans++;
+        Object.keys(this.totals).filter(key => key !== 'scans').forEach(key => {
+            this.totals[key] += run[key];
+        });
+
+        if (run.confirmed || run.finalized || run.partially_paid || run.flagged || run.held || run.expired) {
+            console.log(`👀 Payment watcher (${this.name}): ${run.confirmed} confirmed, ${run.finalized} finalized, ${run.partially_paid} partially paid, ${run.flagged} flagged, ${run.held} held, ${run.expired} expired`);
+        }
+
+        return run;
+    }
+
+    recordFailure(payment, error) {
+        console.error(`❌ Payment watcher (${this.name}) could not check payment ${payment.id}:`, error.message);
+
+        this.failures.unshift({
+            payment_id: payment.id,
+            error: error.message,
+            at: new Date()
+        });
+        this.failures.length = Math.min(this.failures.length, MAX_FAILURES);
+    }
+
+    getState() {
+        return {
+            name: this.name,
+            running: this.running,
+            scanning: Boolean(this.scanning),
+            interval_ms: this.intervalMs,
+            batch_size: this.batchSize,
+            next_run_at: this.nextRunAt,
+            last_run: this.lastRun,
+            totals: this.totals,
+            recent_failures: this.failures
+        };
+    }
+}
+
+// Outcomes of re-checking a paid payment, as counted by the watcher
+const COMMITMENT_OUTCOMES = { finalized: 'finalized', released: 'confirmed', held: 'held', pending: 'pending' };
+
+// Outcomes of settling the transfers found for a payment
+const SETTLEMENT_OUTCOMES = { confirmed: 'confirmed', partially_paid: 'partially_paid', flagged: 'flagged', unchanged: 'pending' };
+
+/**
+ * Pending `payments` rows of this server, found on-chain by `reference_key`
+ * and settled against their quote. Partially paid rows stay here until a
+ * top-up covers them, paid rows until their transaction is finalized.
+ */
+class PendingPaymentSource {
+    constructor(options = {}) {
+        this.solanaPayService = options.solanaPayService || new SolanaPayService();
+        this.quoteService = options.quoteService || getQuoteService();
+        this.commitmentTracker = options.commitmentTracker || getCommitmentTracker();
+        this.paymentEvents = options.paymentEvents || getPaymentEvents();
+        this.settlementService = options.settlementService || new SettlementService({
+            solanaPayService: this.solanaPayService,
+            quoteService: this.quoteService,
+            commitmentTracker: this.commitmentTracker
+        });
+    }
+
+    findPending({ after, limit }) {
+        return Payment.findAll({
+            where: {
+                id: { [Op.gt]: after },
+                [Op.or]: [
+                    { status: ['pending', 'partially_paid'], reference_key: { [Op.ne]: null } },
+                    { status: ['confirmed', 'on_hold'], transaction_signature: { [Op.ne]: null } }
+                ]
+            },
+            order: [['id', 'ASC']],
+            limit
+        });
+    }
+
+    async check(payment) {
+        if (!['pending', 'partially_paid'].includes(payment.status)) {
+            return COMMITMENT_OUTCOMES[await this.commitmentTracker.trackPayment(payment)];
+        }
+
+        // Every transfer on the reference counts, so top-ups add to the first payment
+        const result = await this.solanaPayService.findPayments(payment.reference_key, 0, payment.currency);
+
+        if (!result.success) {
+            return await this.expire(payment) ? 'expired' : 'pending';
+        }
+
+        const { status } = await this.settlementService.settle(payment, result.transfers, {
+            metadata: { verified_by: 'payment_watcher' }
+        });
+
+        return SETTLEMENT_OUTCOMES[status];
+    }
+
+    /**
+     * Expire a payment nothing was sent for once its quote lapses. Resolves
+     * to whether it expired.
+     */
+    async expire(payment) {
+        const quote = payment.status === 'pending' && payment.quote_id
+            ? await Quote.findOne({ where: { quote_id: payment.quote_id } })
+            : null;
+
+        if (!quote || !quote.isExpired()) {
+            return false;
+        }
+
+        await payment.update({
+            status: 'expired',
+            metadata: { ...payment.metadata, expired_at: new Date().toISOString() }
+        });
+        await quote.update({ status: 'expired' });
+        this.paymentEvents.publish(payment.reference_key || payment.payment_id, 'expired', {
+            expires_at: quote.expires_at
+        });
+        return true;
+    }
+}
+
+let defaultWatcher = null;
+
+/**
+ * Process-wide watcher over this server's payments
+ */
+function getPaymentWatcher() {
+    if (!defaultWatcher) {
+        defaultWatcher = new PaymentWatcher({ name: 'sspay', source: new PendingPaymentSource() });
+    }
+    return defaultWatcher;
+}
+
+module.exports = {
+    PaymentWatcher,
+    PendingPaymentSource,
+    getPaymentWatcher
+};
@@ -0,0 +1,342 @@
+const axios = require('axios');
+const BigNumber = require('bignumber.js');
+const config = require('../config');
+
+/**
+ * Thrown when no provider returned a fresh enough price. Callers must refuse
+ * to quote rather than fall back to a made-up rate.
+ */
+class PriceUnavailableError extends Error {
+    constructor(symbol, details = []) {
+        super(`No fresh ${symbol} price available`);
+        this.name = 'PriceUnavailableError';
+        this.status = 503;
+        this.symbol = symbol;
+        this.details = details;
+    }
+}
+
+// Mainnet mints are used as price identifiers regardless of the payment cluster
+const JUPITER_MINTS = {
+    SOL: 'So11111111111111111111111111111111111111112',
+    USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+};
+
+const COINGECKO_IDS = {
+    SOL: 'solana',
+    USDC: 'usd-coin',
+    USDT: 'tether'
+};
+
+const PYTH_FEEDS = {
+    SOL: 'ef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d',
+    USDC: 'eaa020c61cc479712813461ce153894a96a6c00b21ed0cfc2798d1f9a9e9c94a',
+    USDT: '2b89b9dc8fdf9f34709a5b106b472f0f39bb6ca9ce04b0fd7f2e971688e2e53b'
+};
+
+/**
+ * Price providers share one shape: `name` plus `getPrices(symbols)` resolving
+ * to `[{ symbol, price, timestamp }]` with `timestamp` in milliseconds.
+ * Symbols a provider doesn't know are simply left out of the result.
+ */
+class CoinGeckoProvider {
+    constructor(options = {}) {
+        this.name = 'coingecko';
+        this.http = options.httpClient || axios.create({
+            baseURL: options.baseURL || 'https://api.coingecko.com/api/v3',
+            timeout: 5000
+        });
+    }
+
+    async getPrices(symbols) {
+        const known = symbols.filter(symbol => COINGECKO_IDS[symbol]);
+        if (!known.length) return [];
+
+        const response = await this.http.get('/simple/price', {
+            params: {
+                ids: known.map(symbol => COINGECKO_IDS[symbol]).join(','),
+                vs_currencies: 'usd',
+                include_last_updated_at: true
+            }
+        });
+
+        return known
+            .filter(symbol => response.data[COINGECKO_IDS[symbol]]?.usd)
+            .map(symbol => {
+                const entry = response.data[COINGECKO_IDS[symbol]];
+                return {
+                    symbol,
+                    price: Number(entry.usd),
+                    timestamp: entry.last_updated_at ? entry.last_updated_at * 1000 : Date.now()
+                };
+            });
+    }
+}
+
+class JupiterProvider {
+    constructor(options = {}) {
+        this.name = 'jupiter';
+        this.http = options.httpClient || axios.create({
+            baseURL: options.baseURL || 'https://lite-api.jup.ag/price/v3',
+            timeout: 5000
+        });
+    }
+
+    async getPrices(symbols) {
+        const known = symbols.filter(symbol => JUPITER_MINTS[symbol]);
+        if (!known.length) return [];
+
+        const response = await this.http.get('', {
+            params: { ids: known.map(symbol => JUPITER_MINTS[symbol]).join(',') }
+        });
+
+        // Jupiter quotes are live aggregates and carry no timestamp of their own
+        const fetchedAt = Date.now();
+
+        return known
+            .filter(symbol => response.data[JUPITER_MINTS[symbol]]?.usdPrice)
+            .map(symbol => ({
+                symbol,
+                price: Number(response.data[JUPITER_MINTS[symbol]].usdPrice),
+                timestamp: fetchedAt
+            }));
+    }
+}
+
+class PythProvider {
+    constructor(options = {}) {
+        this.name = 'pyth';
+        this.http = options.httpClient || axios.create({
+            baseURL: options.baseURL || 'https://hermes.pyth.network/v2',
+            timeout: 5000
+        });
+    }
+
+    async getPrices(symbols) {
+        const known = symbols.filter(symbol => PYTH_FEEDS[symbol]);
+        if (!known.length) return [];
+
+        const response = await this.http.get('/updates/price/latest', {
+            params: { 'ids[]': known.map(symbol => PYTH_FEEDS[symbol]), parsed: true }
+        });
+
+        const feeds = response.data.parsed || [];
+
+        return known
+            .map(symbol => {
+                const feed = feeds.find(entry => entry.id.replace(/^0x/, '') === PYTH_FEEDS[symbol]);
+                if (!feed) return null;
+
+                return {
+                    symbol,
+                    price: new BigNumber(feed.price.price).shiftedBy(feed.price.expo).toNumber(),
+                    timestamp: feed.price.publish_time * 1000
+                };
+            })
+            .filter(Boolean);
+    }
+}
+
+/**
+ * Fixed prices for tests and local development, e.g. `{ SOL: 150, USDC: 1 }`
+ */
+class FixedPriceProvider {
+    constructor(prices = {}) {
+        this.name = 'fixed';
+        this.prices = prices;
+    }
+
+    async getPrices(symbols) {
+        return symbols
+            .filter(symbol => this.prices[symbol] !== undefined)
+            .map(symbol => ({
+                symbol,
+                price: Number(this.prices[symbol]),
+                timestamp: Date.now()
+            }));
+    }
+}
+
+const PROVIDERS = {
+    coingecko: CoinGeckoProvider,
+    jupiter: JupiterProvider,
+    pyth: PythProvider
+};
+
+/**
+ * Aggregates USD prices from several providers.
+ *
+ * Every provider is asked in parallel; quotes older than `maxStalenessMs`
+ * are discarded and the median of what remains is returned. Results are
+ * cached for `ttlMs`, which should stay well below the staleness limit.
+ */
+class PriceOracle {
+    constructor(options = {}) {
+        this.providers = options.providers || [];
+        this.ttlMs = options.ttlMs ?? 30000;
+        this.maxStalenessMs = options.maxStalenessMs ?? 120000;
+        this.minSources = options.minSources || 1;
+        this.cache = new Map();
+        this.inflight = new Map();
+    }
+
+    /**
+     * Get the aggregated USD price of a token
+     */
+    async getPrice(symbol) {
+        symbol = symbol.toUpperCase();
+
+        const cached = this.cache.get(symbol);
+        if (cached && cached.expiresAt > Date.now() && !this.isStale(cached.quote.timestamp)) {
+            return cached.quote;
+        }
+
+        // Share one upstream round-trip between concurrent callers
+        if (!this.inflight.has(symbol)) {
+            const request = this.fetchPrice(symbol).finally(() => this.inflight.delete(symbol));
+            this.inflight.set(symbol, request);
+        }
+
+        return this.inflight.get(symbol);
+    }
+
+    /**
+     * Get prices for several tokens, keyed by symbol. Tokens without a fresh
+     * price are left out instead of failing the whole lookup.
+     */
+    async getPrices(symbols) {
+        const results = await Promise.allSettled(symbols.map(symbol => this.getPrice(symbol)));
+        const prices = {};
+
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                prices[symbols[index].toUpperCase()] = result.value;
+            }
+        });
+
+        return prices;
+    }
+
+    /**
+     * Convert a USD amount to token units at the current price
+     */
+    async convertFromUSD(usdAmount, symbol) {
+        const quote = await this.getPrice(symbol);
+
+        return {
+            amount: new BigNumber(usdAmount).dividedBy(quote.price),
+            quote
+        };
+    }
+
+    async fetchPrice(symbol) {
+        const responses = await Promise.allSettled(
+            this.providers.map(provider => provider.getPrices([symbol]))
+        );
+
+        const fresh = [];
+        const rejected = [];
+
+        responses.forEach((response, index) => {
+            const source = this.providers[index].name;
+
+            if (response.status === 'rejected') {
+                rejected.push({ source, reason: response.reason?.message || 'request failed' });
+                return;
+            }
+
+            const quote = response.value.find(entry => entry.symbol === symbol);
+            if (!quote || !(quote.price > 0)) {
+                rejected.push({ source, reason: 'no price' });
+            } else if (this.isStale(quote.timestamp)) {
+                rejected.push({ source, reason: 'stale', timestamp: new Date(quote.timestamp).toISOString() });
+            } else {
+                fresh.push({ source, price: quote.price, timestamp: quote.timestamp });
+            }
+        });
+
+        if (fresh.length < this.minSources) {
+            console.error(`❌ Refusing to quote ${symbol}:`, rejected);
+            throw new PriceUnavailableError(symbol, rejected);
+        }
+
+        const quote = {
+            symbol,
+            price: median(fresh.map(entry => entry.price)),
+            source: fresh.length === 1 ? fresh[0].source : `median:${fresh.map(entry => entry.source).join('+')}`,
+            // A median is only as fresh as the oldest quote behind it
+            timestamp: new Date(Math.min(...fresh.map(entry => entry.timestamp))),
+            sources: fresh.map(entry => ({ ...entry, timestamp: new Date(entry.timestamp) }))
+        };
+
+        this.cache.set(symbol, { quote, expiresAt: Date.now() + this.ttlMs });
+        return quote;
+    }
+
+    isStale(timestamp) {
+        return Date.now() - new Date(timestamp).getTime() > this.maxStalenessMs;
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return sorted.length % 2
+        ? sorted[middle]
+        : new BigNumber(sorted[middle - 1]).plus(sorted[middle]).dividedBy(2).toNumber();
+}
+
+/**
+ * Build an oracle from `config.PRICING`
+ */
+function createPriceOracle(pricing = config.PRICING) {
+    const providers = pricing.PROVIDERS
+        .map(name => name.trim().toLowerCase())
+        .filter(name => name && name !== 'fixed')
+        .map(name => {
+            if (!PROVIDERS[name]) {
+                throw new Error(`Unknown price provider: ${name}`);
+            }
+            return new PROVIDERS[name]();
+        });
+
+    if (Object.keys(pricing.FIXED_PRICES).length) {
+        providers.push(new FixedPriceProvider(pricing.FIXED_PRICES));
+    }
+
+    return new PriceOracle({
+        providers,
+        ttlMs: pricing.CACHE_TTL_MS,
+        maxStalenessMs: pricing.MAX_STALENESS_MS,
+        minSources: pricing.MIN_SOURCES
+    });
+}
+
+let defaultOracle = null;
+
+/**
+ * Process-wide oracle so every service shares one cache
+ */
+function getPriceOracle() {
+    if (!defaultOracle) {
+        defaultOracle = createPriceOracle();
+    }
+    return defaultOracle;
+}
+
+module.exports = {
+    PriceOracle,
+    PriceUnavailableError,
+    CoinGeckoProvider,
+    JupiterProvider,
+    PythProvider,
+    FixedPriceProvider,
+    createPriceOracle,
+    getPriceOracle
+};
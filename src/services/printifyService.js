@@ -1,10 +1,11 @@
 const axios = require('axios');
+const config = require('../config');
 
 class PrintifyService {
-  constructor() {
-    this.apiToken = process.env.PRINTIFY_API_TOKEN || process.env.PRINTIFY_API_KEY;
-    this.shopId = process.env.PRINTIFY_SHOP_ID;
-    this.baseURL = 'https://api.printify.com/v1';
+  constructor(options = {}) {
+    this.apiToken = options.apiToken || process.env.PRINTIFY_API_TOKEN || process.env.PRINTIFY_API_KEY;
+    this.shopId = options.shopId || process.env.PRINTIFY_SHOP_ID;
+    this.baseURL = options.baseURL || config.PRINTIFY.BASE_URL;
     
     if (!this.apiToken) {
       throw new Error('PRINTIFY_API_TOKEN or PRINTIFY_API_KEY is required');
@@ -190,7 +191,9 @@ class PrintifyService {
           variant_id: item.variant_id,
           quantity: item.quantity
         })),
-        shipping_address: orderData.shipping_address,
+        external_id: orderData.external_id,
+        ...(orderData.shipping_method && { shipping_method: orderData.shipping_method }),
+        address_to: orderData.shipping_address,
         send_shipping_notification: true
       };
 
@@ -201,7 +204,7 @@ class PrintifyService {
 
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to create Printify order: ${error.message}`);
+      throw printifyError('Failed to create Printify order', error);
     }
   }
 
@@ -213,7 +216,19 @@ class PrintifyService {
       );
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to submit order to production: ${error.message}`);
+      throw printifyError('Failed to submit order to production', error);
+    }
+  }
+
+  // Cancel an order; Printify refuses once it is in production
+  async cancelOrder(orderId) {
+    try {
+      const response = await this.client.post(
+        `/shops/${this.shopId}/orders/${orderId}/cancel.json`
+      );
+      return response.data;
+    } catch (error) {
+      throw printifyError('Failed to cancel Printify order', error);
     }
   }
 
@@ -223,7 +238,7 @@ class PrintifyService {
       const response = await this.client.get(`/shops/${this.shopId}/orders/${orderId}.json`);
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to get order status: ${error.message}`);
+      throw printifyError('Failed to get order status', error);
     }
   }
 
@@ -244,7 +259,7 @@ class PrintifyService {
 
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to calculate shipping: ${error.message}`);
+      throw printifyError('Failed to calculate shipping', error);
     }
   }
 
@@ -287,7 +302,7 @@ class PrintifyService {
       });
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to fetch orders: ${error.message}`);
+      throw printifyError('Failed to fetch orders', error);
     }
   }
 
@@ -295,6 +310,30 @@ class PrintifyService {
     return this.getOrderStatus(orderId);
   }
 
+  // Webhooks the shop is subscribed to
+  async getWebhooks() {
+    try {
+      const response = await this.client.get(`/shops/${this.shopId}/webhooks.json`);
+      return response.data;
+    } catch (error) {
+      throw printifyError('Failed to fetch webhooks', error);
+    }
+  }
+
+  // Subscribe `url` to a topic; Printify signs deliveries with `secret` when given
+  async createWebhook(topic, url, secret) {
+    try {
+      const response = await this.client.post(`/shops/${this.shopId}/webhooks.json`, {
+        topic,
+        url,
+        ...(secret && { secret })
+      });
+      return response.data;
+    } catch (error) {
+      throw printifyError(`Failed to create ${topic} webhook`, error);
+    }
+  }
+
   // Legacy transform method for backward compatibility
   transformProductData(printifyProduct) {
     return this.transformProduct(printifyProduct);
@@ -310,4 +349,14 @@ class PrintifyService {
   }
 }
 
+// Printify's HTTP status and Retry-After stay on the error, so callers can
+// tell throttling and outages from requests Printify will never accept
+function printifyError(message, error) {
+  const wrapped = new Error(`${message}: ${error.message}`);
+  wrapped.printifyStatus = error.response?.status || null;
+  wrapped.retryAfter = parseInt(error.response?.headers?.['retry-after']) || null;
+  return wrapped;
+}
+
 module.exports = new PrintifyService();
+module.exports.PrintifyService = PrintifyService;
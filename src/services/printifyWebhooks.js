@@ -0,0 +1,500 @@
+// Printify webhook events: order progress moves our orders and their line
+// items along through the order state machine, which emails the customer;
+// stock changes toggle products. Every event is stored in `webhook_events`
+// once, by Printify's event id, with the outcome of processing it.
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { Order, OrderItem, Customer, Product, WebhookEvent } = require('../models');
+const emailService = require('./emailService');
+const { getOrderStateMachine, OrderTransitionError } = require('./orderStateMachine');
+const { mergeShipments } = require('./orderTracking');
+
+// Printify's webhook topics we subscribe to, each read as the event type and
+// resource the handlers below take
+const TOPICS = {
+    'order:sent-to-production': data => ['order:sent-to-production', data],
+    'order:shipment:created': data => ['order:shipped', {
+        tracking_number: data.carrier?.tracking_number,
+        tracking_url: data.carrier?.tracking_url || null,
+        carrier: data.carrier?.code,
+        estimated_delivery_date: data.estimated_delivery_date
+    }],
+    'order:shipment:delivered': data => ['order:delivered', data],
+    'order:updated': data => [data.status === 'canceled' ? 'order:canceled' : 'order:updated', data]
+};
+
+class PrintifyWebhookHandler {
+    constructor(options = {}) {
+        this.webhookSecret = options.webhookSecret !== undefined ? options.webhookSecret : config.PRINTIFY.WEBHOOK_SECRET;
+        this.allowUnsigned = options.allowUnsigned !== undefined ? options.allowUnsigned : config.PRINTIFY.WEBHOOK_ALLOW_UNSIGNED;
+        this.stateMachine = options.stateMachine || getOrderStateMachine();
+        this.queue = Promise.resolve();
+    }
+
+    // Check `X-Pfy-Signature: sha256=<hmac>` against the body exactly as it arrived
+    validateSignature(rawBody, signature) {
+        if (!this.webhookSecret) {
+            if (this.allowUnsigned) {
+                console.warn('⚠️  Printify webhook secret not configured - accepting unsigned webhook');
+                return true;
+            }
+            console.error('❌ Printify webhook secret not configured - rejecting webhook');
+            return false;
+        }
+
+        if (!rawBody || !signature) {
+            return false;
+        }
+
+        const expected = crypto
+            .createHmac('sha256', this.webhookSecret)
+            .update(rawBody)
+            .digest();
+        const received = Buffer.from(signature.replace('sha256=', ''), 'hex');
+
+        return received.length === expected.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    // Store and process a verified event. Printify redelivering an event it
+    // already got through changes nothing.
+    receive(body, eventType, rawBody) {
+        return this.serialize(async () => {
+            const { event, duplicate } = await this.recordEvent(body, eventType, rawBody);
+            if (duplicate) {
+                return { success: true, message: 'Event already processed' };
+            }
+            return this.processEvent(event);
+        });
+    }
+
+    // Events are handled one at a time in arrival order: Printify sends the
+    // events of an order together, and they must not race each other
+    serialize(task) {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Store a verified event, once per event id. Printify's events carry their
+    // own id; older senders that name the type in a header are keyed by body.
+    async recordEvent(body, eventType, rawBody) {
+        const eventId = body.type && body.resource
+            ? String(body.id)
+            : crypto.createHash('sha256').update(rawBody || JSON.stringify(body)).digest('hex');
+
+        const [event, created] = await WebhookEvent.findOrCreate({
+            where: { provider: 'printify', event_id: eventId },
+            defaults: { type: body.type || eventType, payload: body }
+        });
+
+        return { event, duplicate: !created && event.status === 'processed' };
+    }
+
+    // Run a stored event through its handler and record the outcome. Failures
+    // are kept on the event for a replay and rethrown.
+    async processEvent(event) {
+        await event.update({ attempts: event.attempts + 1 });
+
+        try {
+            const result = await this.handleWebhook(...this.toHandlerEvent(event.type, event.payload));
+
+            await event.update({
+                status: result.success === false ? 'failed' : 'processed',
+                error: result.success === false ? result.message : null,
+                processed_at: new Date()
+            });
+            return result;
+        } catch (error) {
+            await event.update({ status: 'failed', error: error.message });
+            throw error;
+        }
+    }
+
+    // Process a stored event again, from its stored payload
+    async replayEvent(id) {
+        const event = await WebhookEvent.findByPk(id);
+        if (!event) {
+            return null;
+        }
+
+        console.log(`🔁 Replaying Printify webhook ${event.type} (${event.event_id})`);
+        try {
+            await this.serialize(() => this.processEvent(event));
+        } catch (error) {
+            // Recorded on the event
+        }
+        return event;
+    }
+
+    // Event type and payload of a stored event as the handlers take them:
+    // `{ id: <Printify order or product id>, resource }`
+    toHandlerEvent(type, payload) {
+        if (!payload.resource || !payload.type) {
+            return [type, payload];
+        }
+
+        const read = TOPICS[type] || (data => [type, data]);
+        const [eventType, resource] = read(payload.resource.data || {});
+        return [eventType, { id: payload.resource.id, resource: { id: payload.resource.id, ...resource } }];
+    }
+
+    // Subscribe `url` to every topic we handle that it is not subscribed to yet
+    async registerWebhooks(url, printifyService = require('./printifyService')) {
+        const existing = await printifyService.getWebhooks();
+        const result = { url, created: [], existing: [] };
+
+        for (const topic of Object.keys(TOPICS)) {
+            if (existing.some(webhook => webhook.topic === topic && webhook.url === url)) {
+                result.existing.push(topic);
+                continue;
+            }
+
+            await printifyService.createWebhook(topic, url, this.webhookSecret);
+            result.created.push(topic);
+            console.log(`🔔 Subscribed ${url} to Printify ${topic}`);
+        }
+
+        return result;
+    }
+
+    // Dispatch an event to its handler
+    async handleWebhook(eventType, payload) {
+        console.log(`📦 Processing Printify webhook: ${eventType}`);
+
+        try {
+            switch (eventType) {
+                case 'order:sent-to-production':
+                    return await this.handleOrderSentToProduction(payload);
+                
+                case 'order:shipped':
+                    return await this.handleOrderShipped(payload);
+                
+                case 'order:delivered':
+                    return await this.handleOrderDelivered(payload);
+                
+                case 'order:canceled':
+                    return await this.handleOrderCanceled(payload);
+                
+                case 'product:out-of-stock':
+                    return await this.handleProductOutOfStock(payload);
+                
+                case 'product:back-in-stock':
+                    return await this.handleProductBackInStock(payload);
+                
+                default:
+                    console.log(`⚠️  Unhandled webhook event: ${eventType}`);
+                    return { success: true, message: 'Event not handled' };
+            }
+        } catch (error) {
+            console.error(`❌ Error processing webhook ${eventType}:`, error.message);
+            throw error;
+        }
+    }
+
+    // Handle order sent to production
+    async handleOrderSentToProduction(payload) {
+        const { id: printifyOrderId, resource } = payload;
+        
+        // Find order in database
+        const order = await Order.findOne({
+            where: { printify_order_id: printifyOrderId },
+            include: [{ model: Customer, as: 'customer' }]
+        });
+
+        if (!order) {
+            console.log(`⚠️  Order not found for Printify ID: ${printifyOrderId}`);
+            return { success: false, message: 'Order not found' };
+        }
+
+        // In production the order stays `processing`; Printify's status is kept alongside
+        const previousStatus = order.status;
+        await this.updateOrder(order, null, 'sent-to-production', resource);
+
+        // Update order items production status
+        if (resource.line_items) {
+            for (const lineItem of resource.line_items) {
+                await OrderItem.update(
+                    { 
+                        status: 'processing',
+                        printify_line_item_id: lineItem.id 
+                    },
+                    { 
+                        where: { 
+                            order_id: order.id,
+                            variant_id: String(lineItem.variant_id)
+                        }
+                    }
+                );
+            }
+        }
+
+        // Send email notification
+        if (order.customer) {
+            await emailService.sendOrderStatusUpdate(
+                order, 
+                order.customer, 
+                previousStatus, 
+                'production'
+            );
+        }
+
+        console.log(`✅ Order ${order.order_number} sent to production`);
+        return { success: true, message: 'Order production status updated' };
+    }
+
+    // Handle order shipped
+    async handleOrderShipped(payload) {
+        const { id: printifyOrderId, resource } = payload;
+        
+        const order = await Order.findOne({
+            where: { printify_order_id: printifyOrderId }
+        });
+
+        if (!order) {
+            console.log(`⚠️  Order not found for Printify ID: ${printifyOrderId}`);
+            return { success: false, message: 'Order not found' };
+        }
+
+        // Extract shipping information
+        const trackingInfo = {
+            tracking_number: resource.tracking_number,
+            tracking_url: resource.tracking_url,
+            carrier: resource.carrier,
+            estimated_delivery: resource.estimated_delivery_date
+        };
+
+        // Update order status; tracking lists every shipment of the order
+        await this.updateOrder(order, 'shipped', 'shipped', resource, {
+            tracking_number: trackingInfo.tracking_number,
+            shipping: trackingInfo,
+            shipments: mergeShipments(order.metadata?.printify?.shipments, [{
+                ...trackingInfo,
+                shipped_at: new Date().toISOString()
+            }])
+        });
+
+        // Update order items
+        if (resource.line_items) {
+            for (const lineItem of resource.line_items) {
+                await OrderItem.update(
+                    { status: 'shipped' },
+                    { 
+                        where: { 
+                            order_id: order.id,
+                            printify_line_item_id: lineItem.id 
+                        }
+                    }
+                );
+            }
+        }
+
+        console.log(`✅ Order ${order.order_number} shipped with tracking: ${trackingInfo.tracking_number}`);
+        return { success: true, message: 'Order shipping status updated' };
+    }
+
+    // Handle order delivered
+    async handleOrderDelivered(payload) {
+        const { id: printifyOrderId, resource } = payload;
+        
+        const order = await Order.findOne({
+            where: { printify_order_id: printifyOrderId }
+        });
+
+        if (!order) {
+            console.log(`⚠️  Order not found for Printify ID: ${printifyOrderId}`);
+            return { success: false, message: 'Order not found' };
+        }
+
+        // Update order status
+        const deliveredAt = new Date().toISOString();
+        await this.updateOrder(order, 'delivered', 'delivered', resource, {
+            delivered_at: deliveredAt,
+            shipments: (order.metadata?.printify?.shipments || []).map(shipment => ({
+                ...shipment,
+                delivered_at: shipment.delivered_at || deliveredAt
+            }))
+        });
+
+        // Update order items
+        await OrderItem.update(
+            { status: 'delivered' },
+            { where: { order_id: order.id } }
+        );
+
+        console.log(`✅ Order ${order.order_number} delivered`);
+        return { success: true, message: 'Order delivery status updated' };
+    }
+
+    // Handle order canceled
+    async handleOrderCanceled(payload) {
+        const { id: printifyOrderId, resource } = payload;
+        
+        const order = await Order.findOne({
+            where: { printify_order_id: printifyOrderId }
+        });
+
+        if (!order) {
+            console.log(`⚠️  Order not found for Printify ID: ${printifyOrderId}`);
+            return { success: false, message: 'Order not found' };
+        }
+
+        // Update order status
+        await this.updateOrder(order, 'cancelled', 'canceled', resource, {
+            cancellation_reason: resource.reason || 'Canceled by supplier'
+        });
+
+        // Update order items
+        await OrderItem.update(
+            { status: 'cancelled' },
+            { where: { order_id: order.id } }
+        );
+
+        // Send admin notification for manual refund handling
+        await emailService.sendAdminNotification(
+            'Order Canceled - Refund Required',
+            `Order ${order.order_number} has been canceled by Printify. Manual refund may be required.`,
+            {
+                order_number: order.order_number,
+                customer_email: order.customer_email,
+                total_amount: order.total_amount,
+                reason: resource.reason
+            }
+        );
+
+        console.log(`✅ Order ${order.order_number} canceled`);
+        return { success: true, message: 'Order cancellation processed' };
+    }
+
+    // Handle product out of stock
+    async handleProductOutOfStock(payload) {
+        const { resource } = payload;
+
+        // Find product by Printify ID
+        const product = await Product.findOne({
+            where: { printify_product_id: resource.id }
+        });
+
+        if (product) {
+            // Update product availability
+            await product.update({
+                status: 'inactive',
+                metadata: { ...product.metadata, printify_status: 'out-of-stock' },
+                last_synced: new Date()
+            });
+
+            // Send admin notification
+            await emailService.sendAdminNotification(
+                'Product Out of Stock',
+                `Product "${product.title}" is now out of stock on Printify.`,
+                {
+                    product_id: product.id,
+                    printify_product_id: resource.id,
+                    product_title: product.title
+                }
+            );
+
+            console.log(`⚠️  Product ${product.title} marked as out of stock`);
+        }
+
+        return { success: true, message: 'Product stock status updated' };
+    }
+
+    // Handle product back in stock
+    async handleProductBackInStock(payload) {
+        const { resource } = payload;
+
+        // Find product by Printify ID
+        const product = await Product.findOne({
+            where: { printify_product_id: resource.id }
+        });
+
+        if (product) {
+            // Update product availability
+            await product.update({
+                status: 'active',
+                metadata: { ...product.metadata, printify_status: 'in-stock' },
+                last_synced: new Date()
+            });
+
+            // Send admin notification
+            await emailService.sendAdminNotification(
+                'Product Back in Stock',
+                `Product "${product.title}" is now back in stock on Printify.`,
+                {
+                    product_id: product.id,
+                    printify_product_id: resource.id,
+                    product_title: product.title
+                }
+            );
+
+            console.log(`✅ Product ${product.title} marked as back in stock`);
+        }
+
+        return { success: true, message: 'Product stock status updated' };
+    }
+
+    // Move an order to `status` (null keeps it) and record what Printify reported.
+    // A status the order cannot move to is only recorded.
+    async updateOrder(order, status, printifyStatus, resource, details = {}) {
+        const changes = current => ({
+            ...(details.tracking_number && { tracking_number: details.tracking_number }),
+            metadata: {
+                ...current.metadata,
+                printify: {
+                    ...current.metadata?.printify,
+                    ...details,
+                    status: printifyStatus,
+                    data: resource,
+                    updated_at: new Date().toISOString()
+                }
+            }
+        });
+
+        if (status) {
+            try {
+                return await this.stateMachine.transition(order, status, {
+                    actor: 'printify',
+                    reason: `Printify reported the order ${printifyStatus}`,
+                    changes
+                });
+            } catch (error) {
+                if (!(error instanceof OrderTransitionError)) {
+                    throw error;
+                }
+                console.warn(`⚠️  Order ${order.order_number} stays ${order.status}: ${error.message}`);
+            }
+        }
+
+        return order.update(changes(order));
+    }
+
+    // Get webhook events summary for admin
+    async getWebhookEventsSummary(days = 7) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const events = await WebhookEvent.findAll({
+            where: { createdAt: { [Op.gte]: since } },
+            order: [['id', 'DESC']]
+        });
+
+        const count = key => events.reduce((counts, event) => {
+            counts[event[key]] = (counts[event[key]] || 0) + 1;
+            return counts;
+        }, {});
+
+        return {
+            total_events: events.length,
+            events_by_type: count('type'),
+            events_by_status: count('status'),
+            recent_events: events.slice(0, 10).map(({ id, event_id, type, status, error, createdAt }) => ({
+                id, event_id, type, status, error, received_at: createdAt
+            })),
+            period_days: days
+        };
+    }
+}
+
+module.exports = new PrintifyWebhookHandler();
+module.exports.PrintifyWebhookHandler = PrintifyWebhookHandler;
+module.exports.TOPICS = TOPICS;
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const BigNumber = require('bignumber.js');
+const config = require('../config');
+const { Quote } = require('../models');
+const { getPriceOracle } = require('./priceOracle');
+
+// Precision amounts are quoted at; anything finer is rounded up
+const QUOTE_DECIMALS = 6;
+
+/**
+ * Locks a USD -> token rate for a limited time.
+ *
+ * A quote fixes the token amount the buyer is asked to send. Payments that
+ * land before `expires_at` are checked against that amount, allowing for
+ * `slippage_bps` of shortfall. Payments that land later are re-valued at the
+ * current price: if they still cover the order they are accepted, otherwise
+ * they are flagged for a top-up or a refund. Accepted payments more than
+ * `OVERPAYMENT_TOLERANCE_BPS` over carry the excess for the caller to credit
+ * or refund.
+ */
+class QuoteService {
+    constructor(options = {}) {
+        const quotes = options.quotes || config.QUOTES;
+
+        this.priceOracle = options.priceOracle || getPriceOracle();
+        this.ttlMs = quotes.TTL_MS;
+        this.slippageBps = quotes.SLIPPAGE_BPS;
+        this.latePaymentPolicy = quotes.LATE_PAYMENT_POLICY;
+        this.overpaymentToleranceBps = quotes.OVERPAYMENT_TOLERANCE_BPS;
+    }
+
+    /**
+     * Price a USD amount in `token` without persisting anything. The tax
+     * part of it (`options.tax`, `{ usd, inclusive }`) is priced alongside.
+     */
+    async buildQuote(usdAmount, token = 'SOL', options = {}) {
+        const symbol = token.toUpperCase();
+        const { amount, quote } = await this.priceOracle.convertFromUSD(usdAmount, symbol);
+        const now = Date.now();
+        const metadata = { ...options.metadata };
+
+        if (options.tax) {
+            metadata.tax = {
+                usd: new BigNumber(options.tax.usd).toFixed(2),
+                token_amount: new BigNumber(options.tax.usd).dividedBy(quote.price)
+                    .decimalPlaces(QUOTE_DECIMALS, BigNumber.ROUND_UP).toString(),
+                inclusive: Boolean(options.tax.inclusive)
+            };
+        }
+
+        return {
+            quote_id: `quote_${crypto.randomBytes(12).toString('hex')}`,
+            usd_amount: new BigNumber(usdAmount).toFixed(2),
+            token: symbol,
+            token_amount: amount.decimalPlaces(QUOTE_DECIMALS, BigNumber.ROUND_UP).toString(),
+            rate: quote.price.toString(),
+            price_source: quote.source,
+            price_timestamp: quote.timestamp,
+            slippage_bps: options.slippageBps ?? this.slippageBps,
+            reference_key: options.reference || null,
+            status: 'active',
+            expires_at: new Date(now + (options.ttlMs || this.ttlMs)),
+            metadata
+        };
+    }
+
+    /**
+     * Price a USD amount and store the quote
+     */
+    async createQuote(usdAmount, token = 'SOL', options = {}) {
+        return Quote.create(await this.buildQuote(usdAmount, token, options));
+    }
+
+    /**
+     * Smallest token amount accepted for a quote while it is still valid
+     */
+    minimumAmount(quote) {
+        return new BigNumber(quote.token_amount)
+            .times(10000 - quote.slippage_bps)
+            .dividedBy(10000)
+            .decimalPlaces(QUOTE_DECIMALS, BigNumber.ROUND_DOWN);
+    }
+
+    /**
+     * Decide whether a received amount settles a quote.
+     *
+     * Resolves to `{ accepted, late, flag, ... }` where `flag` is `null`,
+     * `'top_up'` or `'refund'`. Overpaid accepted payments also carry
+     * `excess_amount` and `excess_usd`. Throws `PriceUnavailableError` when a
+     * late payment can't be re-valued; callers should retry later.
+     */
+    async evaluatePayment(quote, receivedAmount, paidAt = new Date()) {
+        const received = new BigNumber(receivedAmount);
+        const late = new Date(paidAt) > new Date(quote.expires_at);
+        const result = {
+            quote_id: quote.quote_id,
+            token: quote.token,
+            quoted_amount: new BigNumber(quote.token_amount).toString(),
+            received_amount: received.toString(),
+            late
+        };
+
+        if (!late) {
+            const comparison = compareAmounts(quote.token_amount, received, {
+                slippageBps: quote.slippage_bps,
+                toleranceBps: this.overpaymentToleranceBps
+            });
+            const onTime = {
+                ...result,
+                rate: quote.rate.toString(),
+                received_usd: received.times(quote.rate).decimalPlaces(2, BigNumber.ROUND_DOWN).toString()
+            };
+
+            if (comparison.status === 'underpaid') {
+                return {
+                    ...onTime,
+                    accepted: false,
+                    flag: 'top_up',
+                    shortfall_amount: comparison.shortfall_amount,
+                    shortfall_usd: new BigNumber(comparison.shortfall_amount)
+                        .times(quote.rate).decimalPlaces(2, BigNumber.ROUND_UP).toString()
+                };
+            }
+
+            if (comparison.status === 'overpaid') {
+                return {
+                    ...onTime,
+                    accepted: true,
+                    flag: null,
+                    excess_amount: comparison.excess_amount,
+                    excess_usd: new BigNumber(comparison.excess_amount)
+                        .times(quote.rate).decimalPlaces(2, BigNumber.ROUND_DOWN).toString()
+                };
+            }
+
+            return { ...onTime, accepted: true, flag: null };
+        }
+
+        // The lock has lapsed, so the payment is worth what it's worth today
+        const current = await this.priceOracle.getPrice(quote.token);
+        const receivedUsd = received.times(current.price);
+        const minimumUsd = new BigNumber(quote.usd_amount)
+            .times(10000 - quote.slippage_bps)
+            .dividedBy(10000);
+
+        const maximumUsd = new BigNumber(quote.usd_amount)
+            .times(10000 + this.overpaymentToleranceBps)
+            .dividedBy(10000);
+
+        if (receivedUsd.isGreaterThanOrEqualTo(minimumUsd)) {
+            const excessUsd = receivedUsd.minus(quote.usd_amount);
+
+            return {
+                ...result,
+                accepted: true,
+                flag: null,
+                rate: current.price.toString(),
+                price_source: current.source,
+                received_usd: receivedUsd.decimalPlaces(2, BigNumber.ROUND_DOWN).toString(),
+                ...(receivedUsd.isGreaterThan(maximumUsd) && {
+                    excess_usd: excessUsd.decimalPlaces(2, BigNumber.ROUND_DOWN).toString(),
+                    excess_amount: excessUsd.dividedBy(current.price)
+                        .decimalPlaces(QUOTE_DECIMALS, BigNumber.ROUND_DOWN).toString()
+                })
+            };
+        }
+
+        const shortfallUsd = new BigNumber(quote.usd_amount).minus(receivedUsd);
+
+        return {
+            ...result,
+            accepted: false,
+            flag: this.latePaymentPolicy === 'refund' ? 'refund' : 'top_up',
+            rate: current.price.toString(),
+            price_source: current.source,
+            received_usd: receivedUsd.decimalPlaces(2, BigNumber.ROUND_DOWN).toString(),
+            shortfall_usd: shortfallUsd.decimalPlaces(2, BigNumber.ROUND_UP).toString(),
+            shortfall_amount: shortfallUsd.dividedBy(current.price)
+                .decimalPlaces(QUOTE_DECIMALS, BigNumber.ROUND_UP).toString()
+        };
+    }
+
+    /**
+     * Evaluate a payment against a stored quote and record the outcome on it
+     */
+    async settleQuote(quote, receivedAmount, paidAt = new Date()) {
+        const evaluation = await this.evaluatePayment(quote, receivedAmount, paidAt);
+
+        await quote.update({
+            status: evaluation.accepted ? 'accepted' : 'flagged',
+            metadata: { ...quote.metadata, settlement: evaluation }
+        });
+
+        return evaluation;
+    }
+}
+
+/**
+ * Where a received amount falls against the expected one: `underpaid` short
+ * of the slippage allowance, `overpaid` past the overpayment tolerance,
+ * otherwise `paid`
+ */
+function compareAmounts(expectedAmount, receivedAmount, { slippageBps = 0, toleranceBps = 0 } = {}) {
+    const expected = new BigNumber(expectedAmount);
+    const received = new BigNumber(receivedAmount);
+    const minimum = expected.times(10000 - slippageBps).dividedBy(10000)
+        .decimalPlaces(QUOTE_DECIMALS, BigNumber.ROUND_DOWN);
+    const maximum = expected.times(10000 + toleranceBps).dividedBy(10000)
+        .decimalPlaces(QUOTE_DECIMALS, BigNumber.ROUND_UP);
+
+    if (received.isLessThan(minimum)) {
+        return { status: 'underpaid', shortfall_amount: expected.minus(received).toString(), excess_amount: '0' };
+    }
+    if (received.isGreaterThan(maximum)) {
+        return { status: 'overpaid', shortfall_amount: '0', excess_amount: received.minus(expected).toString() };
+    }
+    return { status: 'paid', shortfall_amount: '0', excess_amount: '0' };
+}
+
+let defaultService = null;
+
+/**
+ * Process-wide quote service sharing the default price oracle
+ */
+function getQuoteService() {
+    if (!defaultService) {
+        defaultService = new QuoteService();
+    }
+    return defaultService;
+}
+
+module.exports = {
+    QuoteService,
+    compareAmounts,
+    getQuoteService
+};
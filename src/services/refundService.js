@@ -0,0 +1,402 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { Keypair, PublicKey, Transaction } = require('@solana/web3.js');
+const { encodeURL } = require('@solana/pay');
+const BigNumber = require('bignumber.js');
+const config = require('../config');
+const { sequelize, Order, Payment, Refund } = require('../models');
+const SolanaPayService = require('./solanaPayService');
+const { getOrderStateMachine } = require('./orderStateMachine');
+
+// Refunds that still hold part of the payment; failed and cancelled ones release it
+const OPEN_STATUSES = ['pending_signature', 'confirmed'];
+
+// Refunds being recorded, per payment id, shared by every RefundService
+const refundQueues = new Map();
+
+/**
+ * Signs refunds with a keypair the server holds and submits them itself.
+ * Meant for tests and small stores; the key file is `solana-keygen` JSON.
+ */
+class KeypairSigner {
+    constructor(keypair, connection) {
+        this.type = 'keypair';
+        this.keypair = keypair;
+        this.connection = connection;
+    }
+
+    static fromFile(path, connection) {
+        const secret = JSON.parse(fs.readFileSync(path, 'utf8'));
+        return new KeypairSigner(Keypair.fromSecretKey(Uint8Array.from(secret)), connection);
+    }
+
+    get publicKey() {
+        return this.keypair.publicKey;
+    }
+
+    async requestSignature(refund, service) {
+        const { transaction, lastValidBlockHeight } = await service.buildRefundTransaction(refund, this.publicKey);
+        transaction.sign(this.keypair);
+
+        const signature = await this.connection.sendRawTransaction(transaction.serialize());
+
+        try {
+            const confirmation = await this.connection.confirmTransaction({
+                signature,
+                blockhash: transaction.recentBlockhash,
+                lastValidBlockHeight
+            }, 'confirmed');
+
+            if (confirmation.value && confirmation.value.err) {
+                throw new Error(`Refund transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+            }
+        } catch (error) {
+            // Once sent the transfer may still land, so the refund must stay open
+            error.signature = signature;
+            throw error;
+        }
+
+        return { signature };
+    }
+}
+
+/**
+ * Leaves signing to the merchant's wallet: the refund is exposed as a Solana
+ * Pay transaction request, which the merchant scans and approves.
+ */
+class TransactionRequestSigner {
+    constructor(options = {}) {
+        this.type = 'transaction_request';
+        this.baseUrl = options.baseUrl || process.env.PUBLIC_URL || null;
+    }
+
+    async requestSignature(refund, service, options = {}) {
+        const baseUrl = options.baseUrl || this.baseUrl;
+        if (!baseUrl) {
+            throw new Error('PUBLIC_URL is required to sign refunds through a transaction request');
+        }
+
+        const link = new URL(`/api/payments/refunds/${refund.refund_id}/transaction-request`, baseUrl);
+        return { url: encodeURL({ link }).toString() };
+    }
+}
+
+/**
+ * Signer for `config.REFUNDS.SIGNER`
+ */
+function createSigner(connection, refunds = config.REFUNDS) {
+    if (refunds.SIGNER === 'keypair') {
+        if (!refunds.KEYPAIR_PATH) {
+            throw new Error('REFUND_KEYPAIR_PATH is required when REFUND_SIGNER=keypair');
+        }
+        return KeypairSigner.fromFile(refunds.KEYPAIR_PATH, connection);
+    }
+
+    return new TransactionRequestSigner();
+}
+
+/**
+ * Sends confirmed payments, in full or in part, back to the wallet that paid.
+ *
+ * Every refund is its own `refunds` row with a fresh reference key, so the
+ * refund transfer can be found on-chain the same way a payment is. Totals on
+ * the payment and order only move once a refund is confirmed. Overpayment
+ * refunds return what was paid beyond the quote and never touch those totals.
+ */
+class RefundService {
+    constructor(options = {}) {
+        this.solanaPayService = options.solanaPayService || new SolanaPayService();
+        this.signer = options.signer || createSigner(this.solanaPayService.connection);
+        this.stateMachine = options.stateMachine || getOrderStateMachine();
+    }
+
+    /**
+     * Token amount of a payment not yet confirmed or awaiting a refund
+     */
+    async getRefundableAmount(payment) {
+        const refunds = await Refund.findAll({
+            where: { payment_id: payment.id, status: OPEN_STATUSES, kind: 'refund' }
+        });
+
+        return new BigNumber(payment.amount).minus(sum(refunds, 'amount'));
+    }
+
+    /**
+     * Record a refund and hand it to the signer.
+     *
+     * `amount` is in the payment's token and defaults to everything still
+     * refundable. Resolves to `{ refund, url }` for signers the merchant has
+     * to approve, or `{ refund }` already confirmed for the keypair signer.
+     */
+    async createRefund(payment, options = {}) {
+        if (!['confirmed', 'finalized', 'partially_refunded'].includes(payment.status)) {
+            throw badRequest('Can only refund confirmed payments');
+        }
+        if (!payment.wallet_address) {
+            throw badRequest('Payment has no payer wallet to refund');
+        }
+
+        // What is left to refund is read and claimed as one step, so concurrent
+        // requests cannot both refund the same amount
+        const refund = await serializeRefunds(payment.id, () => sequelize.transaction(async transaction => {
+            await Payment.findByPk(payment.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+            const open = await Refund.findAll({
+                where: { payment_id: payment.id, status: OPEN_STATUSES, kind: 'refund' },
+                transaction
+            });
+            const refundable = new BigNumber(payment.amount).minus(sum(open, 'amount'));
+            const amount = new BigNumber(options.amount ?? refundable);
+
+            if (!amount.isFinite() || amount.isLessThanOrEqualTo(0)) {
+                throw badRequest('Refund amount must be a positive number');
+            }
+            if (amount.isGreaterThan(refundable)) {
+                throw badRequest(`Refund amount exceeds the refundable ${refundable.toString()} ${payment.currency}`);
+            }
+
+            return Refund.create({
+                refund_id: `refund_${crypto.randomBytes(12).toString('hex')}`,
+                payment_id: payment.id,
+                order_id: payment.order_id,
+                amount: amount.toString(),
+                currency: payment.currency,
+                usd_amount: amount.isEqualTo(refundable)
+                    // The last refund takes whatever USD is left so rounding never strands cents
+                    ? new BigNumber(payment.usd_amount).minus(sum(open, 'usd_amount')).toFixed(2)
+                    : amount.dividedBy(payment.amount).times(payment.usd_amount).toFixed(2, BigNumber.ROUND_HALF_UP),
+                recipient_wallet: payment.wallet_address,
+                signer: this.signer.type,
+                reference_key: this.solanaPayService.generateReference(),
+                reason: options.reason || null
+            }, { transaction });
+        }));
+
+        return this.requestSignature(refund, options);
+    }
+
+    /**
+     * Send the excess of an overpaid payment back to the payer. `amount` is
+     * in the payment's token, `usdAmount` what it was worth when paid.
+     */
+    async refundOverpayment(payment, { amount, usdAmount, ...options }) {
+        if (!payment.wallet_address) {
+            throw badRequest('Payment has no payer wallet to refund');
+        }
+
+        const refund = await Refund.create({
+            refund_id: `refund_${crypto.randomBytes(12).toString('hex')}`,
+            payment_id: payment.id,
+            order_id: payment.order_id,
+            amount: new BigNumber(amount).toString(),
+            currency: payment.currency,
+            usd_amount: new BigNumber(usdAmount).toFixed(2),
+            recipient_wallet: payment.wallet_address,
+            signer: this.signer.type,
+            reference_key: this.solanaPayService.generateReference(),
+            reason: 'overpayment',
+            kind: 'overpayment'
+        });
+
+        return this.requestSignature(refund, options);
+    }
+
+    async requestSignature(refund, options = {}) {
+        let result;
+        try {
+            result = await this.signer.requestSignature(refund, this, options);
+        } catch (error) {
+            await refund.update({
+                status: error.signature ? refund.status : 'failed',
+                metadata: { ...refund.metadata, error: error.message, signature: error.signature }
+            });
+            throw error;
+        }
+
+        if (result.signature) {
+            await this.confirmRefund(refund, { signature: result.signature });
+        }
+
+        return { refund, url: result.url || null };
+    }
+
+    /**
+     * Refund transaction for the merchant wallet that scanned a transaction
+     * request. Only refunds left to the merchant to sign, and only the
+     * merchant wallet, can fetch one.
+     */
+    async buildTransactionRequest(refund, account) {
+        if (refund.signer !== 'transaction_request') {
+            const error = new Error('Refund is signed by the server');
+            error.status = 409;
+            throw error;
+        }
+        if (new PublicKey(account).toBase58() !== new PublicKey(this.solanaPayService.merchantWallet).toBase58()) {
+            const error = new Error('Only the merchant wallet can sign refunds');
+            error.status = 403;
+            throw error;
+        }
+
+        return this.buildRefundTransaction(refund, account);
+    }
+
+    /**
+     * Unsigned transfer of the refund from `sender` to the original payer
+     */
+    async buildRefundTransaction(refund, sender) {
+        if (refund.status !== 'pending_signature') {
+            const error = new Error(`Refund is already ${refund.status}`);
+            error.status = 409;
+            throw error;
+        }
+
+        const result = await this.solanaPayService.createTransaction(
+            sender,
+            refund.recipient_wallet,
+            new BigNumber(refund.amount).toString(),
+            refund.currency,
+            `Refund ${refund.refund_id}`,
+            refund.reference_key,
+            { includeDisabled: true }
+        );
+
+        if (!result.success) {
+            throw badRequest(result.error);
+        }
+
+        await refund.update({ sender_wallet: new PublicKey(sender).toBase58() });
+
+        return {
+            transaction: Transaction.from(result.transaction),
+            serialized: result.transaction,
+            lastValidBlockHeight: result.lastValidBlockHeight
+        };
+    }
+
+    /**
+     * Look for a pending refund on-chain and confirm it once it has landed
+     */
+    async checkRefund(refund) {
+        if (refund.status !== 'pending_signature') {
+            return refund;
+        }
+
+        const result = await this.solanaPayService.findPayment(
+            refund.reference_key,
+            new BigNumber(refund.amount).toString(),
+            refund.currency,
+            { recipient: refund.recipient_wallet }
+        );
+
+        if (result.success) {
+            await this.confirmRefund(refund, result);
+        }
+
+        return refund;
+    }
+
+    /**
+     * Cancel a refund that was never signed, releasing its amount
+     */
+    async cancelRefund(refund) {
+        await this.checkRefund(refund);
+
+        if (refund.status !== 'pending_signature') {
+            const error = new Error(`Refund is already ${refund.status}`);
+            error.status = 409;
+            throw error;
+        }
+
+        return refund.update({ status: 'cancelled' });
+    }
+
+    async confirmRefund(refund, { signature }) {
+        await refund.update({
+            status: 'confirmed',
+            transaction_signature: signature,
+            confirmed_at: new Date()
+        });
+
+        await this.reconcile(refund.payment_id);
+        return refund;
+    }
+
+    /**
+     * Bring payment and order refund totals in line with confirmed refunds
+     */
+    async reconcile(paymentId) {
+        const payment = await Payment.findByPk(paymentId);
+        const order = await Order.findByPk(payment.order_id);
+
+        const paymentRefunds = await Refund.findAll({
+            where: { payment_id: payment.id, status: 'confirmed', kind: 'refund' }
+        });
+        const refunded = sum(paymentRefunds, 'amount');
+
+        if (refunded.isGreaterThan(0)) {
+            await payment.update({
+                status: refunded.isGreaterThanOrEqualTo(payment.amount) ? 'refunded' : 'partially_refunded',
+                metadata: {
+                    ...payment.metadata,
+                    refunded_amount: refunded.toString(),
+                    refunded_at: new Date().toISOString()
+                }
+            });
+        }
+
+        const orderRefunds = await Refund.findAll({
+            where: { order_id: order.id, status: 'confirmed', kind: 'refund' }
+        });
+        const refundedUsd = sum(orderRefunds, 'usd_amount');
+
+        if (refundedUsd.isGreaterThan(0)) {
+            const full = refundedUsd.isGreaterThanOrEqualTo(order.total_amount);
+            const changes = {
+                refunded_amount: refundedUsd.toFixed(2),
+                payment_status: full ? 'refunded' : 'partially_refunded'
+            };
+
+            if (full) {
+                await this.stateMachine.transition(order, 'refunded', {
+                    actor: 'refunds',
+                    reason: `Refunded ${refundedUsd.toFixed(2)} USD`,
+                    changes
+                });
+            } else {
+                await order.update(changes);
+            }
+        }
+
+        return { payment, order };
+    }
+}
+
+// Run `task` after the refunds of the payment already being recorded
+function serializeRefunds(paymentId, task) {
+    const run = (refundQueues.get(paymentId) || Promise.resolve()).then(task, task);
+    const queued = run.catch(() => {});
+    refundQueues.set(paymentId, queued);
+    queued.then(() => {
+        if (refundQueues.get(paymentId) === queued) {
+            refundQueues.delete(paymentId);
+        }
+    });
+    return run;
+}
+
+function sum(rows, field) {
+    return rows.reduce((total, row) => total.plus(row[field]), new BigNumber(0));
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+module.exports = {
+    RefundService,
+    KeypairSigner,
+    TransactionRequestSigner,
+    createSigner
+};
@@ -0,0 +1,357 @@
+const BigNumber = require('bignumber.js');
+const config = require('../config');
+const { sequelize, Order, Quote, Customer, PaymentTransfer } = require('../models');
+const SolanaPayService = require('./solanaPayService');
+const { getQuoteService } = require('./quoteService');
+const { RefundService } = require('./refundService');
+const { getCommitmentTracker } = require('./commitmentTracker');
+const { getPaymentEvents } = require('./paymentEvents');
+const { getOrderBalance } = require('./orderBalance');
+
+const OVERPAYMENT_POLICIES = ['store_credit', 'refund'];
+
+/**
+ * Settles a payment against its quote from every transfer sent to its
+ * reference.
+ *
+ * A short payment leaves the order `partially_paid` with a Solana Pay link
+ * for the balance on the same reference, so the top-up lands on the same
+ * payment and adds to what was already received. The quote is honored from
+ * the first transfer: a top-up settles at the rate the buyer started paying
+ * at. The excess of an overpayment is credited to the customer or refunded,
+ * per `OVERPAYMENT_POLICY`. Each payment settles its own share of the order;
+ * the order's `amount_paid` and `balance_due` add up all of its payments.
+ */
+class SettlementService {
+    constructor(options = {}) {
+        const quotes = options.quotes || config.QUOTES;
+
+        this.solanaPayService = options.solanaPayService || new SolanaPayService();
+        this.quoteService = options.quoteService || getQuoteService();
+        this.refundService = options.refundService || new RefundService({ solanaPayService: this.solanaPayService });
+        this.commitmentTracker = options.commitmentTracker || getCommitmentTracker();
+        this.paymentEvents = options.paymentEvents || getPaymentEvents();
+        this.overpaymentPolicy = quotes.OVERPAYMENT_POLICY;
+
+        if (!OVERPAYMENT_POLICIES.includes(this.overpaymentPolicy)) {
+            throw new Error(`Unknown overpayment policy: ${this.overpaymentPolicy}`);
+        }
+    }
+
+    /**
+     * Add `transfers` (`{ signature, receivedAmount, payer, slot, blockTime }`)
+     * to what a `payments` row has received and settle it.
+     *
+     * Resolves to `{ status, settlement, ... }` where `status` is
+     * 'partially_paid' with a `top_up`, 'flagged', 'confirmed' with the
+     * commitment `outcome` and any `overpayment`, or 'unchanged' when every
+     * transfer was already counted. Settled results carry the order `balance`.
+     * A transfer already counted toward another payment rejects with the
+     * unique constraint error of `payment_transfers`.
+     */
+    async settle(payment, transfers, options = {}) {
+        const known = (payment.metadata && payment.metadata.transfers) || [];
+        const found = transfers
+            .filter(transfer => !known.some(entry => entry.signature === transfer.signature))
+            .filter(transfer => new BigNumber(transfer.receivedAmount).isGreaterThan(0))
+            .map(transfer => ({
+                signature: transfer.signature,
+                amount: new BigNumber(transfer.receivedAmount).toString(),
+                payer: transfer.payer,
+                slot: transfer.slot,
+                block_time: transfer.blockTime || null
+            }));
+
+        // A concurrent settle of this payment, e.g. the watcher and /verify
+        // seeing the same transfer, counts what it claimed first
+        const added = await this.claimTransfers(payment, found);
+
+        if (!added.length) {
+            await payment.reload();
+            return { status: 'unchanged', settlement: payment.metadata?.settlement || null };
+        }
+
+        try {
+            return await this.apply(payment, known, added, options);
+        } catch (error) {
+            // Give up the transfers this settle didn't get to record, so a retry can count them
+            await payment.reload();
+            const recorded = ((payment.metadata && payment.metadata.transfers) || []).map(transfer => transfer.signature);
+            await PaymentTransfer.destroy({
+                where: {
+                    payment_id: payment.id,
+                    signature: added.map(transfer => transfer.signature).filter(signature => !recorded.includes(signature))
+                }
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Record `transfers` in `payment_transfers` for `payment` and resolve to
+     * the ones this call recorded. A signature recorded for another payment
+     * fails the unique index; one recorded for this payment is skipped.
+     */
+    async claimTransfers(payment, transfers) {
+        if (!transfers.length) {
+            return [];
+        }
+
+        try {
+            await PaymentTransfer.bulkCreate(transfers.map(transfer => ({
+                payment_id: payment.id,
+                signature: transfer.signature,
+                amount: transfer.amount,
+                payer: transfer.payer,
+                slot: transfer.slot
+            })));
+            return transfers;
+        } catch (error) {
+            if (error.name !== 'SequelizeUniqueConstraintError') {
+                throw error;
+            }
+
+            const claimed = await PaymentTransfer.findAll({
+                where: { signature: transfers.map(transfer => transfer.signature) }
+            });
+            if (claimed.some(transfer => transfer.payment_id !== payment.id)) {
+                throw error;
+            }
+
+            const signatures = claimed.map(transfer => transfer.signature);
+            return this.claimTransfers(payment, transfers.filter(transfer => !signatures.includes(transfer.signature)));
+        }
+    }
+
+    /**
+     * Settle `payment` on its `known` transfers and the newly claimed `added` ones
+     */
+    async apply(payment, known, added, options) {
+        const reference = payment.reference_key || payment.payment_id;
+        added.forEach(transfer => {
+            this.paymentEvents.publish(reference, 'detected', { transaction_signature: transfer.signature });
+        });
+
+        const received = [...known, ...added].sort((a, b) => a.slot - b.slot);
+        const receivedAmount = received.reduce((total, transfer) => total.plus(transfer.amount), new BigNumber(0));
+        const [first] = received;
+        const paidAt = first.block_time ? new Date(first.block_time * 1000) : new Date();
+
+        const quote = payment.quote_id
+            ? await Quote.findOne({ where: { quote_id: payment.quote_id } })
+            : null;
+        const settlement = quote
+            ? await this.quoteService.settleQuote(quote, receivedAmount.toString(), paidAt)
+            : null;
+        const order = await Order.findByPk(payment.order_id);
+
+        // Flags and top-up requests are re-decided below from the new total
+        const metadata = { ...payment.metadata };
+        const previousTopUp = metadata.top_up;
+        delete metadata.payment_flag;
+        delete metadata.top_up;
+
+        const fields = {
+            transaction_signature: payment.transaction_signature || first.signature,
+            wallet_address: first.payer,
+            block_height: first.slot,
+            metadata: {
+                ...metadata,
+                ...options.metadata,
+                transfers: received,
+                received_amount: receivedAmount.toString(),
+                block_time: first.block_time,
+                ...(settlement && { settlement })
+            }
+        };
+
+        if (settlement && !settlement.accepted && settlement.flag === 'top_up') {
+            const topUp = this.requestTopUp(payment, order, settlement);
+
+            await payment.update({
+                ...fields,
+                status: 'partially_paid',
+                metadata: { ...fields.metadata, payment_flag: 'top_up', top_up: topUp }
+            });
+            const balance = await this.updateOrderBalance(order);
+
+            console.log(`⚠️ Payment ${payment.payment_id} is ${topUp.amount} ${payment.currency} short, waiting for a top-up`);
+            this.paymentEvents.publish(reference, 'partially_paid', {
+                received_amount: receivedAmount.toString(),
+                top_up: topUp
+            });
+
+            return { status: 'partially_paid', settlement, top_up: topUp, balance };
+        }
+
+        if (settlement && !settlement.accepted) {
+            // Keep the funds on record but hold the order until refunded
+            await payment.update({
+                ...fields,
+                status: 'processing',
+                metadata: { ...fields.metadata, payment_flag: settlement.flag }
+            });
+            const balance = await this.updateOrderBalance(order);
+
+            this.paymentEvents.publish(reference, 'flagged', {
+                flag: settlement.flag,
+                settlement,
+                transaction_signature: fields.transaction_signature
+            });
+
+            return { status: 'flagged', settlement, balance };
+        }
+
+        await payment.update({
+            ...fields,
+            status: 'confirmed',
+            metadata: {
+                ...fields.metadata,
+                verified_at: new Date().toISOString(),
+                ...(previousTopUp && { top_up: { ...previousTopUp, paid_at: new Date().toISOString() } })
+            }
+        });
+        // Other payments of a split order may still be owed
+        const balance = await this.updateOrderBalance(order);
+
+        this.paymentEvents.publish(reference, 'confirmed', {
+            transaction_signature: fields.transaction_signature,
+            received_amount: receivedAmount.toString()
+        });
+
+        // Releases the order once its payments cover the total at the commitment it needs
+        const outcome = await this.commitmentTracker.trackPayment(payment);
+
+        const overpayment = settlement && settlement.excess_amount && order
+            ? await this.resolveOverpayment(payment, order, settlement, options)
+            : null;
+
+        return { status: 'confirmed', outcome, settlement, overpayment, balance };
+    }
+
+    /**
+     * Recompute what an order has paid from all of its payments. An unpaid
+     * order that has received part of its total waits as `partially_paid`.
+     */
+    async updateOrderBalance(order) {
+        if (!order) {
+            return null;
+        }
+
+        const balance = await getOrderBalance(order);
+        const fields = { amount_paid: balance.paid_usd, balance_due: balance.outstanding_usd };
+
+        if (Number(balance.outstanding_usd) > 0 && ['pending', 'partially_paid'].includes(order.payment_status)) {
+            fields.payment_status = Number(balance.paid_usd) > 0 ? 'partially_paid' : 'pending';
+        }
+
+        await order.update(fields);
+        return balance;
+    }
+
+    /**
+     * Solana Pay link for the balance of a short payment, on its own reference
+     */
+    requestTopUp(payment, order, settlement) {
+        const request = this.solanaPayService.generatePaymentURL(
+            settlement.shortfall_amount,
+            payment.currency,
+            `Top-up for order ${order ? order.order_number : payment.payment_id}`,
+            payment.reference_key,
+            { includeDisabled: true }
+        );
+
+        if (!request.success) {
+            throw new Error(`Could not create a top-up request: ${request.error}`);
+        }
+
+        return {
+            amount: settlement.shortfall_amount,
+            usd_amount: settlement.shortfall_usd,
+            currency: payment.currency,
+            url: request.url,
+            qr_code: request.qrCode,
+            requested_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Credit or refund what an accepted payment paid beyond its quote. A
+     * refund that can't be requested stays on the order for the merchant, as
+     * does a credit with no customer account to go to. Resolving the same
+     * payment again returns what it was resolved to.
+     */
+    async resolveOverpayment(payment, order, settlement, options = {}) {
+        await order.reload();
+        if (order.metadata?.overpayment?.payment_id === payment.payment_id) {
+            return order.metadata.overpayment;
+        }
+
+        const overpayment = {
+            payment_id: payment.payment_id,
+            policy: this.overpaymentPolicy,
+            amount: settlement.excess_amount,
+            usd_amount: settlement.excess_usd,
+            currency: payment.currency,
+            at: new Date().toISOString()
+        };
+
+        if (this.overpaymentPolicy === 'refund') {
+            try {
+                const { refund, url } = await this.refundService.refundOverpayment(payment, {
+                    amount: settlement.excess_amount,
+                    usdAmount: settlement.excess_usd,
+                    baseUrl: options.baseUrl
+                });
+
+                overpayment.refund_id = refund.refund_id;
+                overpayment.status = refund.status === 'confirmed' ? 'refunded' : 'refund_pending';
+                overpayment.signing_url = url;
+            } catch (error) {
+                console.error(`❌ Could not refund overpayment of ${payment.payment_id}:`, error.message);
+                overpayment.status = 'refund_failed';
+                overpayment.error = error.message;
+            }
+        } else {
+            const [credited] = await Customer.update({
+                store_credit: sequelize.literal(`store_credit + ${Number(settlement.excess_usd)}`)
+            }, {
+                where: { email: order.customer_email }
+            });
+
+            if (credited) {
+                overpayment.status = 'credited';
+            } else {
+                console.error(`❌ Could not credit overpayment of ${payment.payment_id}: no customer ${order.customer_email}`);
+                overpayment.status = 'credit_failed';
+                overpayment.error = `No customer account for ${order.customer_email}`;
+            }
+        }
+
+        await order.update({
+            overpaid_amount: settlement.excess_usd,
+            metadata: { ...order.metadata, overpayment }
+        });
+
+        console.log(`💰 Order ${order.order_number} overpaid by $${settlement.excess_usd}: ${overpayment.status}`);
+        return overpayment;
+    }
+}
+
+let defaultService = null;
+
+/**
+ * Process-wide settlement service on the default quote service and tracker
+ */
+function getSettlementService() {
+    if (!defaultService) {
+        defaultService = new SettlementService();
+    }
+    return defaultService;
+}
+
+module.exports = {
+    SettlementService,
+    OVERPAYMENT_POLICIES,
+    getSettlementService
+};
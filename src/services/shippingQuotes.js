@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const BigNumber = require('bignumber.js');
+const config = require('../config');
+const { Product } = require('../models');
+const { toLineItem, toPrintifyAddress } = require('./fulfillmentService');
+
+// Printify's `shipping_method` id of each option
+const SHIPPING_METHODS = { standard: 1, priority: 2, express: 3 };
+
+// calculate_shipping only prices the methods; their delivery windows in business days
+const DELIVERY_ESTIMATES = {
+    standard: { min_days: 4, max_days: 8 },
+    priority: { min_days: 3, max_days: 5 },
+    express: { min_days: 2, max_days: 3 }
+};
+
+class ShippingQuoteError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ShippingQuoteError';
+        this.status = status;
+    }
+}
+
+/**
+ * Shipping options for a cart, priced by Printify's calculate_shipping.
+ *
+ * A cart is its Printify line items and destination. Its quote is kept for
+ * `QUOTE_TTL_MS`, so showing the options and then placing the order asks
+ * Printify once and charges the price the buyer was shown. Items that are
+ * not Printify products ship free.
+ */
+class ShippingQuoteService {
+    constructor(options = {}) {
+        const shipping = options.shipping || config.SHIPPING;
+
+        this.printifyService = options.printifyService || null;
+        this.ttlMs = shipping.QUOTE_TTL_MS;
+        this.defaultMethod = shipping.DEFAULT_METHOD;
+        this.quotes = new Map();
+    }
+
+    /**
+     * Shared Printify client, or null while no Printify token is configured
+     */
+    getPrintify() {
+        if (!this.printifyService) {
+            try {
+                this.printifyService = require('./printifyService');
+            } catch (error) {
+                return null;
+            }
+        }
+        return this.printifyService;
+    }
+
+    /**
+     * Options for shipping `items` (`[{ product_id, variant_id, quantity }]`)
+     * to `address`, cheapest first
+     */
+    async quote(items, address) {
+        if (!Array.isArray(items) || !items.length) {
+            throw new ShippingQuoteError('Cart items are required');
+        }
+        if (!address || !address.country) {
+            throw new ShippingQuoteError('A shipping address with a country is required');
+        }
+
+        const lineItems = await this.toLineItems(items);
+        const addressTo = toPrintifyAddress(address);
+        const cartKey = crypto.createHash('sha256')
+            .update(JSON.stringify([lineItems, addressTo.country, addressTo.region, addressTo.zip]))
+            .digest('hex');
+
+        const cached = this.quotes.get(cartKey);
+        if (cached && cached.expires_at > new Date()) {
+            return cached;
+        }
+
+        const rates = lineItems.length ? await this.fetchRates(lineItems, addressTo) : { standard: 0 };
+        const quote = {
+            quote_id: `ship_${cartKey.slice(0, 24)}`,
+            currency: 'USD',
+            options: Object.entries(rates)
+                .filter(([method, cents]) => SHIPPING_METHODS[method] && Number.isFinite(cents))
+                .map(([method, cents]) => ({
+                    method,
+                    cost: Number(new BigNumber(cents).dividedBy(100).toFixed(2)),
+                    estimated_delivery: DELIVERY_ESTIMATES[method]
+                }))
+                .sort((a, b) => a.cost - b.cost),
+            expires_at: new Date(Date.now() + this.ttlMs)
+        };
+
+        this.prune();
+        this.quotes.set(cartKey, quote);
+        return quote;
+    }
+
+    /**
+     * The option of the cart's quote the buyer picked, with its quote id;
+     * the default method when none was picked
+     */
+    async selectOption(items, address, method = this.defaultMethod) {
+        const quote = await this.quote(items, address);
+        const option = quote.options.find(candidate => candidate.method === method);
+
+        if (!option) {
+            throw new ShippingQuoteError(`Shipping method ${method} is not available for this cart`);
+        }
+
+        return {
+            ...option,
+            quote_id: quote.quote_id,
+            printify_method: SHIPPING_METHODS[method]
+        };
+    }
+
+    async toLineItems(items) {
+        const products = await Product.findAll({ where: { id: items.map(item => item.product_id) } });
+        const lineItems = [];
+
+        for (const item of items) {
+            const product = products.find(candidate => candidate.id === Number(item.product_id));
+            if (!product) {
+                throw new ShippingQuoteError(`Product with ID ${item.product_id} not found`);
+            }
+            if (!product.printify_product_id) {
+                continue;
+            }
+
+            try {
+                lineItems.push(toLineItem({
+                    product,
+                    printify_product_id: product.printify_product_id,
+                    product_title: product.title,
+                    variant_id: item.variant_id,
+                    quantity: parseInt(item.quantity) || 1
+                }));
+            } catch (error) {
+                throw new ShippingQuoteError(error.message);
+            }
+        }
+
+        return lineItems;
+    }
+
+    async fetchRates(lineItems, addressTo) {
+        const printify = this.getPrintify();
+        if (!printify) {
+            throw new ShippingQuoteError('Shipping rates are unavailable', 503);
+        }
+
+        try {
+            return await printify.calculateShipping({ items: lineItems, shipping_address: addressTo });
+        } catch (error) {
+            // Printify refusing the cart, e.g. a variant it does not ship there, is the buyer's to fix
+            if (error.printifyStatus && error.printifyStatus < 500 && error.printifyStatus !== 429) {
+                throw new ShippingQuoteError(error.message, 422);
+            }
+            throw new ShippingQuoteError('Shipping rates are unavailable', 503);
+        }
+    }
+
+    prune() {
+        const now = new Date();
+        for (const [key, quote] of this.quotes) {
+            if (quote.expires_at <= now) {
+                this.quotes.delete(key);
+            }
+        }
+    }
+}
+
+let defaultService = null;
+
+/**
+ * Process-wide shipping quotes on the shared Printify client
+ */
+function getShippingQuoteService() {
+    if (!defaultService) {
+        defaultService = new ShippingQuoteService();
+    }
+    return defaultService;
+}
+
+module.exports = {
+    ShippingQuoteService,
+    ShippingQuoteError,
+    SHIPPING_METHODS,
+    getShippingQuoteService
+};
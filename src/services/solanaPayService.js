@@ -1,34 +1,61 @@
-const { Connection, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
-const { Token, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
-const crypto = require('crypto');
+const { Connection, Keypair, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const {
+    getMint,
+    getAccount,
+    getAssociatedTokenAddress,
+    createAssociatedTokenAccountIdempotentInstruction,
+    createTransferCheckedInstruction,
+    TokenAccountNotFoundError
+} = require('@solana/spl-token');
+const { encodeURL, validateTransfer } = require('@solana/pay');
+const BigNumber = require('bignumber.js');
+const config = require('../config');
+const { getPriceOracle } = require('./priceOracle');
+const { getMintRegistry } = require('./mintRegistry');
+const { getReceivedAmount } = require('./paymentVerifier');
+const { compareAmounts } = require('./quoteService');
 
 class SolanaPayService {
-    constructor() {
-        this.connection = new Connection(
+    constructor(options = {}) {
+        this.connection = options.connection || new Connection(
             process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
             'confirmed'
         );
         
-        this.merchantWallet = process.env.SOLANA_MERCHANT_WALLET || 'Your_Merchant_Wallet_Address';
-        this.tokenMints = {
-            'SOL': null, // Native SOL
-            'USDC': 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC mainnet
-            'USDT': 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'  // USDT mainnet
-        };
+        this.merchantWallet = options.merchantWallet || process.env.SOLANA_MERCHANT_WALLET || 'Your_Merchant_Wallet_Address';
+        this.label = process.env.SOLANA_PAY_LABEL || 'SSPAY Store';
+        this.icon = process.env.SOLANA_PAY_ICON_URL || null;
+        
+        this.priceOracle = options.priceOracle || getPriceOracle();
+        
+        // Optional keypair that pays network fees for transaction requests
+        this.feePayer = options.feePayer || this.loadFeePayer(process.env.SOLANA_FEE_PAYER_SECRET);
+        
+        // Mints follow the configured cluster, so devnet never quotes mainnet tokens
+        this.tokenRegistry = options.tokenRegistry || getMintRegistry();
     }
 
     /**
-     * Generate a Solana Pay URL for payment request
+     * Mint address of an enabled SPL token, or null if the store doesn't accept it
      */
-    generatePaymentURL(amount, currency = 'SOL', memo = '', reference = null) {
+    getMintAddress(currency, options = {}) {
+        const token = this.tokenRegistry.get(currency, undefined, options);
+        return token && !token.native ? token.mint : null;
+    }
+
+    /**
+     * Generate a Solana Pay URL for payment request. Pass `includeDisabled`
+     * to ask for a top-up in a token that has since been disabled.
+     */
+    generatePaymentURL(amount, currency = 'SOL', memo = '', reference = null, options = {}) {
         try {
             const recipient = this.merchantWallet;
-            const label = 'SSPAY Store';
+            const label = this.label;
             const message = memo || 'Purchase from SSPAY';
             
             // Generate reference if not provided
             if (!reference) {
-                reference = crypto.randomBytes(32).toString('hex');
+                reference = this.generateReference();
             }
             
             let url;
@@ -38,7 +65,7 @@ class SolanaPayService {
                 url = `solana:${recipient}?amount=${amount}&label=${encodeURIComponent(label)}&message=${encodeURIComponent(message)}&memo=${encodeURIComponent(memo)}`;
             } else {
                 // SPL Token payment
-                const mint = this.tokenMints[currency];
+                const mint = this.getMintAddress(currency, options);
                 if (!mint) {
                     throw new Error(`Unsupported currency: ${currency}`);
                 }
@@ -66,34 +93,107 @@ class SolanaPayService {
         }
     }
 
+    /**
+     * Generate a Solana Pay transaction request URL pointing at our merchant API
+     */
+    generateTransactionRequestURL(link) {
+        const url = encodeURL({ link: new URL(link) }).toString();
+        
+        return {
+            success: true,
+            url,
+            qrCode: this.generateQRCodeURL(url)
+        };
+    }
+
+    /**
+     * Parse a JSON array secret key (the `solana-keygen` file format)
+     */
+    loadFeePayer(secret) {
+        if (!secret) {
+            return null;
+        }
+        
+        try {
+            return Keypair.fromSecretKey(Uint8Array.from(JSON.parse(secret)));
+        } catch (error) {
+            console.error('❌ Invalid SOLANA_FEE_PAYER_SECRET, fee sponsorship disabled:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Create a transaction for programmatic payment
+     *
+     * Instructions follow the Solana Pay transfer layout: optional token
+     * account setup, then the memo, then the transfer as the last instruction
+     * with the reference key appended so `validateTransfer` can find it.
+     *
+     * Pass `options.feePayer` (a Keypair) to sponsor network fees; the
+     * transaction is then partially signed by that keypair and the payer
+     * only has to add their own signature. `options.includeDisabled` allows
+     * tokens the store has since switched off, e.g. for refunds.
      */
-    async createTransaction(fromPubkey, toPubkey, amount, currency = 'SOL', memo = '') {
+    async createTransaction(fromPubkey, toPubkey, amount, currency = 'SOL', memo = '', reference = null, options = {}) {
         try {
+            const payer = new PublicKey(fromPubkey);
+            const recipient = new PublicKey(toPubkey);
             const transaction = new Transaction();
+            let transferInstruction;
             
             if (currency === 'SOL') {
                 // Native SOL transfer
-                const lamports = Math.round(amount * LAMPORTS_PER_SOL);
+                const lamports = this.toBaseUnits(amount, 9);
                 
-                const transferInstruction = SystemProgram.transfer({
-                    fromPubkey: new PublicKey(fromPubkey),
-                    toPubkey: new PublicKey(toPubkey),
+                transferInstruction = SystemProgram.transfer({
+                    fromPubkey: payer,
+                    toPubkey: recipient,
                     lamports
                 });
-                
-                transaction.add(transferInstruction);
             } else {
                 // SPL Token transfer
-                const mint = this.tokenMints[currency];
-                if (!mint) {
+                const mintAddress = this.getMintAddress(currency, { includeDisabled: options.includeDisabled });
+                if (!mintAddress) {
                     throw new Error(`Unsupported currency: ${currency}`);
                 }
                 
-                // Note: This is a simplified example
-                // In production, you'd need to handle token account creation and decimals properly
-                console.log(`Creating SPL token transfer for ${currency} (${mint})`);
+                const mint = await getMint(this.connection, new PublicKey(mintAddress));
+                const tokens = this.toBaseUnits(amount, mint.decimals);
+                
+                const payerATA = await getAssociatedTokenAddress(mint.address, payer);
+                const payerAccount = await this.getTokenAccount(payerATA);
+                if (!payerAccount) {
+                    throw new Error(`Payer has no ${currency} token account`);
+                }
+                if (payerAccount.isFrozen) {
+                    throw new Error(`Payer ${currency} token account is frozen`);
+                }
+                if (payerAccount.amount < tokens) {
+                    throw new Error(`Insufficient ${currency} balance`);
+                }
+                
+                // Whoever pays fees also funds the merchant's token account if it doesn't exist yet
+                const merchantATA = await getAssociatedTokenAddress(mint.address, recipient);
+                const merchantAccount = await this.getTokenAccount(merchantATA);
+                if (!merchantAccount) {
+                    transaction.add(createAssociatedTokenAccountIdempotentInstruction(
+                        options.feePayer ? options.feePayer.publicKey : payer,
+                        merchantATA,
+                        recipient,
+                        mint.address
+                    ));
+                } else if (merchantAccount.isFrozen) {
+                    throw new Error(`Merchant ${currency} token account is frozen`);
+                }
+                
+                transferInstruction = createTransferCheckedInstruction(
+                    payerATA,
+                    mint.address,
+                    merchantATA,
+                    payer,
+                    tokens,
+                    mint.decimals
+                );
             }
             
             // Add memo if provided
@@ -107,14 +207,29 @@ class SolanaPayService {
                 transaction.add(memoInstruction);
             }
             
-            // Get recent blockhash
-            const { blockhash } = await this.connection.getRecentBlockhash();
+            // Attach the reference as a read-only key so the payment can be found on-chain
+            if (reference) {
+                transferInstruction.keys.push({
+                    pubkey: new PublicKey(reference),
+                    isWritable: false,
+                    isSigner: false
+                });
+            }
+            
+            transaction.add(transferInstruction);
+            
+            const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
             transaction.recentBlockhash = blockhash;
-            transaction.feePayer = new PublicKey(fromPubkey);
+            transaction.feePayer = options.feePayer ? options.feePayer.publicKey : payer;
+            
+            if (options.feePayer) {
+                transaction.partialSign(options.feePayer);
+            }
             
             return {
                 success: true,
-                transaction: transaction.serialize({ requireAllSignatures: false }),
+                transaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }),
+                lastValidBlockHeight,
                 message: 'Transaction created successfully'
             };
             
@@ -127,6 +242,36 @@ class SolanaPayService {
         }
     }
 
+    /**
+     * Convert a decimal amount into integer base units, refusing extra precision
+     */
+    toBaseUnits(amount, decimals) {
+        const value = new BigNumber(amount);
+        
+        if (!value.isFinite() || value.isLessThanOrEqualTo(0)) {
+            throw new Error(`Invalid amount: ${amount}`);
+        }
+        if (value.decimalPlaces() > decimals) {
+            throw new Error(`Amount ${amount} has more than ${decimals} decimals`);
+        }
+        
+        return BigInt(value.times(new BigNumber(10).pow(decimals)).toFixed(0));
+    }
+
+    /**
+     * Fetch a token account, returning null when it hasn't been created
+     */
+    async getTokenAccount(address) {
+        try {
+            return await getAccount(this.connection, address);
+        } catch (error) {
+            if (error instanceof TokenAccountNotFoundError) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
     /**
      * Verify a transaction signature on the blockchain
      */
@@ -184,29 +329,183 @@ class SolanaPayService {
         }
     }
 
+    /**
+     * Generate a unique reference public key for a payment request
+     */
+    generateReference() {
+        return Keypair.generate().publicKey.toBase58();
+    }
+
+    /**
+     * Look up transactions referencing a payment and validate them once.
+     *
+     * Signatures are checked oldest first, the same order `findReference`
+     * uses, but every candidate is validated so that an unrelated transaction
+     * touching the reference cannot hide the real payment.
+     */
+    async findPayment(reference, expectedAmount, currency = 'SOL', options = {}) {
+        const result = await this.findPayments(reference, expectedAmount, currency, { ...options, limit: 1 });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            status: 'confirmed',
+            ...result.transfers[0],
+            amount: expectedAmount,
+            currency,
+            reference,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Every valid transfer referencing a payment, oldest first - the first
+     * payment and any top-ups sent to the same reference. Stops after
+     * `options.limit` transfers. Resolves to `{ success, status, transfers,
+     * receivedAmount, rejected }` with `receivedAmount` summed over them.
+     */
+    async findPayments(reference, expectedAmount, currency = 'SOL', options = {}) {
+        let referenceKey;
+        let recipient;
+
+        try {
+            referenceKey = new PublicKey(reference);
+            recipient = new PublicKey(options.recipient || this.merchantWallet);
+        } catch (error) {
+            return {
+                success: false,
+                status: 'invalid',
+                error: `Invalid reference or recipient: ${error.message}`
+            };
+        }
+
+        let splToken;
+        if (currency !== 'SOL') {
+            // Payments created before a token was disabled must still verify
+            const mint = this.getMintAddress(currency, { includeDisabled: true });
+            if (!mint) {
+                return {
+                    success: false,
+                    status: 'invalid',
+                    error: `Unsupported currency: ${currency}`
+                };
+            }
+            splToken = new PublicKey(mint);
+        }
+
+        const signatures = await this.connection.getSignaturesForAddress(
+            referenceKey,
+            { limit: 1000 },
+            'confirmed'
+        );
+
+        if (!signatures.length) {
+            return {
+                success: false,
+                status: 'pending',
+                reference
+            };
+        }
+
+        const fields = {
+            recipient,
+            amount: new BigNumber(expectedAmount),
+            splToken,
+            reference: referenceKey,
+            memo: options.memo || undefined
+        };
+
+        const rejected = [];
+        const transfers = [];
+
+        for (const signatureInfo of [...signatures].reverse()) {
+            if (signatureInfo.err) {
+                rejected.push({ signature: signatureInfo.signature, reason: 'transaction failed' });
+                continue;
+            }
+
+            try {
+                const response = await validateTransfer(
+                    this.connection,
+                    signatureInfo.signature,
+                    fields,
+                    { commitment: 'confirmed' }
+                );
+
+                transfers.push({
+                    signature: signatureInfo.signature,
+                    slot: response.slot,
+                    blockTime: response.blockTime,
+                    payer: response.transaction.message.accountKeys[0].toBase58(),
+                    receivedAmount: await this.getReceivedAmount(response, recipient, splToken)
+                });
+
+                if (transfers.length === options.limit) break;
+            } catch (error) {
+                // `validateTransfer` rethrows `meta.err` verbatim for failed transactions
+                rejected.push({
+                    signature: signatureInfo.signature,
+                    reason: error instanceof Error ? error.message : 'transaction failed'
+                });
+            }
+        }
+
+        if (transfers.length) {
+            return {
+                success: true,
+                status: 'confirmed',
+                reference,
+                currency,
+                transfers,
+                receivedAmount: transfers
+                    .reduce((total, transfer) => total.plus(transfer.receivedAmount), new BigNumber(0))
+                    .toString(),
+                rejected
+            };
+        }
+
+        return {
+            success: false,
+            status: 'invalid',
+            reference,
+            error: 'No valid payment found for reference',
+            rejected
+        };
+    }
+
+    /**
+     * Amount the recipient actually gained in a transaction, in whole tokens
+     */
+    async getReceivedAmount(response, recipient, splToken) {
+        return getReceivedAmount(response, recipient, splToken);
+    }
+
     /**
      * Monitor payment status by reference
      */
-    async monitorPayment(reference, expectedAmount, currency = 'SOL', timeoutMs = 300000) {
+    async monitorPayment(reference, expectedAmount, currency = 'SOL', timeoutMs = 300000, options = {}) {
+        const pollIntervalMs = options.pollIntervalMs || 5000;
+
         return new Promise((resolve) => {
             const startTime = Date.now();
             
             const checkPayment = async () => {
                 try {
-                    // In a real implementation, you would check for transactions
-                    // containing the reference in memo or as a reference account
                     console.log(`🔍 Monitoring payment with reference: ${reference}`);
                     
-                    // For demo purposes, simulate payment detection after 30 seconds
-                    if (Date.now() - startTime > 30000) {
-                        resolve({
-                            success: true,
-                            status: 'confirmed',
-                            signature: 'demo_signature_' + crypto.randomBytes(32).toString('hex'),
-                            amount: expectedAmount,
-                            currency,
-                            timestamp: new Date().toISOString()
-                        });
+                    const result = await this.findPayment(reference, expectedAmount, currency, options);
+                    
+                    if (result.success) {
+                        resolve(result);
+                        return;
+                    }
+                    
+                    // A malformed request will never succeed, so stop right away
+                    if (result.status === 'invalid' && !result.rejected) {
+                        resolve(result);
                         return;
                     }
                     
@@ -215,13 +514,14 @@ class SolanaPayService {
                         resolve({
                             success: false,
                             status: 'timeout',
-                            message: 'Payment monitoring timed out'
+                            message: 'Payment monitoring timed out',
+                            ...(result.rejected && { rejected: result.rejected })
                         });
                         return;
                     }
                     
                     // Continue monitoring
-                    setTimeout(checkPayment, 5000); // Check every 5 seconds
+                    setTimeout(checkPayment, pollIntervalMs);
                     
                 } catch (error) {
                     resolve({
@@ -241,13 +541,13 @@ class SolanaPayService {
      */
     async getSOLPrice() {
         try {
-            // In production, use a price API like CoinGecko or Jupiter
-            // For demo, return a mock price
+            const quote = await this.priceOracle.getPrice('SOL');
+            
             return {
                 success: true,
-                price: 23.45, // USD per SOL
-                timestamp: new Date().toISOString(),
-                source: 'demo'
+                price: quote.price, // USD per SOL
+                timestamp: quote.timestamp.toISOString(),
+                source: quote.source
             };
         } catch (error) {
             return {
@@ -275,6 +575,8 @@ class SolanaPayService {
                 usdAmount,
                 solAmount: Number(solAmount.toFixed(6)),
                 rate: priceData.price,
+                source: priceData.source,
+                priceTimestamp: priceData.timestamp,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -294,50 +596,36 @@ class SolanaPayService {
     }
 
     /**
-     * Verify transaction details match expected values
+     * Compare what a transaction paid the recipient with the expected amount.
+     * `status` is 'paid', 'underpaid' or 'overpaid'; only underpayments are
+     * invalid, the excess of an overpayment is left to the caller.
      */
-    verifyTransactionDetails(transaction, expectedAmount, expectedRecipient, currency) {
+    verifyTransactionDetails(transaction, expectedAmount, expectedRecipient, currency, options = {}) {
         try {
-            let valid = false;
-            let actualAmount = 0;
-            let actualRecipient = '';
-            
-            if (currency === 'SOL') {
-                // Check SOL transfer
-                const instructions = transaction.transaction.message.instructions;
-                
-                for (const instruction of instructions) {
-                    if (instruction.programId.equals(SystemProgram.programId)) {
-                        // Parse system transfer instruction
-                        const data = instruction.data;
-                        if (data.length >= 4 && data.readUInt32LE(0) === 2) {
-                            // Transfer instruction
-                            const lamports = data.readBigUInt64LE(4);
-                            actualAmount = Number(lamports) / LAMPORTS_PER_SOL;
-                            
-                            // Get recipient from accounts
-                            const accounts = instruction.accounts;
-                            if (accounts.length >= 2) {
-                                actualRecipient = transaction.transaction.message.accountKeys[accounts[1]].toBase58();
-                            }
-                            
-                            valid = (
-                                Math.abs(actualAmount - expectedAmount) < 0.001 &&
-                                actualRecipient === expectedRecipient
-                            );
-                            break;
-                        }
-                    }
+            let splToken = null;
+            if (currency !== 'SOL') {
+                const mint = this.getMintAddress(currency, { includeDisabled: true });
+                if (!mint) {
+                    throw new Error(`Unsupported currency: ${currency}`);
                 }
+                splToken = new PublicKey(mint);
             }
-            
+
+            const actualAmount = getReceivedAmount(transaction, new PublicKey(expectedRecipient), splToken);
+            const comparison = compareAmounts(expectedAmount, actualAmount, {
+                slippageBps: options.slippageBps ?? config.QUOTES.SLIPPAGE_BPS,
+                toleranceBps: options.toleranceBps ?? config.QUOTES.OVERPAYMENT_TOLERANCE_BPS
+            });
+
             return {
-                valid,
+                valid: comparison.status !== 'underpaid',
+                status: comparison.status,
                 expectedAmount,
                 actualAmount,
                 expectedRecipient,
-                actualRecipient,
-                currency
+                currency,
+                shortfallAmount: comparison.shortfall_amount,
+                excessAmount: comparison.excess_amount
             };
         } catch (error) {
             console.error('❌ Error verifying transaction details:', error);
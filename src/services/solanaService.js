@@ -2,11 +2,12 @@ const { Connection, PublicKey, Transaction } = require('@solana/web3.js');
 const { createTransfer, parseURL, validateTransfer } = require('@solana/pay');
 const BigNumber = require('bignumber.js');
 const config = require('../config');
+const { getReceivedAmount } = require('./paymentVerifier');
 
 class SolanaService {
-    constructor() {
-        this.connection = new Connection(config.SOLANA.RPC_URL, 'confirmed');
-        this.merchantWallet = new PublicKey(config.SOLANA.MERCHANT_WALLET);
+    constructor(options = {}) {
+        this.connection = options.connection || new Connection(config.SOLANA.RPC_URL, 'confirmed');
+        this.merchantWallet = new PublicKey(options.merchantWallet || config.SOLANA.MERCHANT_WALLET);
     }
 
     async getBalance(walletAddress) {
@@ -137,10 +138,8 @@ class SolanaService {
                 return { valid: false, error: 'Reference not found' };
             }
 
-            // Extract transfer amount (simplified - in production, parse the instruction data)
-            const preBalance = transaction.meta.preBalances[1] || 0;
-            const postBalance = transaction.meta.postBalances[1] || 0;
-            const transferAmount = (preBalance - postBalance) / 1e9; // Convert to SOL
+            // SOL the recipient gained; a transfer to anyone else counts as nothing
+            const transferAmount = getReceivedAmount(transaction, new PublicKey(expectedRecipient), null);
 
             const expectedAmountBN = new BigNumber(expectedAmount);
             const actualAmountBN = new BigNumber(transferAmount);
@@ -154,7 +153,7 @@ class SolanaService {
 
             return {
                 valid: true,
-                amount: transferAmount,
+                amount: Number(transferAmount),
                 signature: transaction.transaction.signatures[0]
             };
         } catch (error) {
@@ -228,3 +227,4 @@ class SolanaService {
 }
 
 module.exports = new SolanaService();
+module.exports.SolanaService = SolanaService;
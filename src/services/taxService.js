@@ -0,0 +1,139 @@
+const fs = require('fs');
+const BigNumber = require('bignumber.js');
+const config = require('../config');
+
+const TAX_CATEGORIES = ['physical', 'digital'];
+
+/**
+ * Tax providers share one shape: `name` plus `getRate(address, category)`
+ * resolving to `{ rate, jurisdiction, inclusive }`, where `address` is
+ * `{ country, region }` in upper case and `inclusive` says whether shop
+ * prices there already include the tax.
+ */
+class RulesTaxProvider {
+    /**
+     * `rules` is `{ inclusive, countries: { US: { regions: { CA: ... } }, DE: { inclusive, rate } } }`.
+     * A rate is a number for every category or `{ physical, digital }`; a
+     * region's rate replaces its country's.
+     */
+    constructor(options = {}) {
+        this.name = 'rules';
+        this.rules = options.rules || JSON.parse(fs.readFileSync(options.path, 'utf8'));
+    }
+
+    async getRate(address, category) {
+        const country = this.rules.countries?.[address.country];
+        const region = address.region && country?.regions?.[address.region];
+        const rates = region ?? country?.rates ?? country?.rate ?? 0;
+
+        return {
+            rate: Number(typeof rates === 'object' ? rates[category] || 0 : rates),
+            jurisdiction: region ? `${address.country}-${address.region}` : address.country,
+            inclusive: Boolean(country?.inclusive ?? this.rules.inclusive)
+        };
+    }
+}
+
+const PROVIDERS = {
+    rules: RulesTaxProvider
+};
+
+/**
+ * Tax of a cart shipped to an address, line by line.
+ *
+ * Lines are `{ amount, category }` with `amount` the line total in USD. Where
+ * prices include tax (`inclusive`), the tax is the share of each amount that
+ * is tax and nothing is added; elsewhere it is added on top. Without a
+ * destination country there is nothing to tax yet.
+ */
+class TaxService {
+    constructor(options = {}) {
+        this.provider = options.provider;
+    }
+
+    async calculate(lines, address) {
+        const destination = normalizeAddress(address);
+        const taxed = [];
+        let jurisdiction = null;
+        let inclusive = false;
+
+        for (const line of lines) {
+            const category = line.category || 'physical';
+            if (!TAX_CATEGORIES.includes(category)) {
+                throw new Error(`Unknown tax category: ${category}`);
+            }
+
+            const amount = new BigNumber(line.amount);
+            let rate = 0;
+            let tax = new BigNumber(0);
+
+            if (destination) {
+                ({ rate, jurisdiction, inclusive } = await this.provider.getRate(destination, category));
+                tax = inclusive
+                    ? amount.minus(amount.dividedBy(1 + rate))
+                    : amount.times(rate);
+            }
+
+            taxed.push({ ...line, tax_rate: rate, tax_amount: tax.toFixed(2, BigNumber.ROUND_HALF_UP) });
+        }
+
+        const taxAmount = taxed.reduce((sum, line) => sum.plus(line.tax_amount), new BigNumber(0)).toFixed(2);
+
+        return {
+            provider: this.provider.name,
+            jurisdiction,
+            inclusive,
+            tax_amount: taxAmount,
+            // What the buyer pays on top of the prices
+            added_amount: inclusive ? '0.00' : taxAmount,
+            lines: taxed
+        };
+    }
+}
+
+function normalizeAddress(address) {
+    const country = address?.country;
+    if (!country) {
+        return null;
+    }
+
+    const region = address.region || address.state || address.province || null;
+    return {
+        country: String(country).trim().toUpperCase(),
+        region: region ? String(region).trim().toUpperCase() : null
+    };
+}
+
+/**
+ * Build a tax service from `config.TAX`
+ */
+function createTaxService(tax = config.TAX) {
+    const Provider = PROVIDERS[tax.PROVIDER];
+    if (!Provider) {
+        throw new Error(`Unknown tax provider: ${tax.PROVIDER}`);
+    }
+
+    return new TaxService({
+        provider: new Provider({ path: tax.RULES_PATH })
+    });
+}
+
+let defaultService = null;
+
+/**
+ * Process-wide tax service so the rules file is read once
+ */
+function getTaxService() {
+    if (!defaultService) {
+        defaultService = createTaxService();
+    }
+    return defaultService;
+}
+
+module.exports = {
+    TaxService,
+    RulesTaxProvider,
+    TAX_CATEGORIES,
+    createTaxService,
+    getTaxService
+};
@@ -9,7 +9,8 @@ const options = {
   method: 'POST',
   headers: {
     'Content-Type': 'application/json',
-    'Content-Length': Buffer.byteLength(postData)
+    'Content-Length': Buffer.byteLength(postData),
+    'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`
   }
 };
 
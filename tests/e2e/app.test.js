@@ -0,0 +1,311 @@
+process.env.DB_PATH = ':memory:';
+process.env.PRINTIFY_API_KEY = 'test-token';
+process.env.PRINTIFY_API_URL = 'http://127.0.0.1:9/v1';
+process.env.PRINTIFY_WEBHOOK_SECRET = 'webhook-secret';
+process.env.ADMIN_TOKEN = 'admin-token';
+process.env.PRICE_PROVIDERS = 'fixed';
+process.env.FIXED_PRICES = 'SOL=150,USDC=1';
+process.env.MERCHANT_WALLET = '89znXatBP5yXeA3JowynCwXTYqGSB833A9p96kfLcGkZ';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { sequelize, Customer, Order, OrderItem, Product, WebhookEvent } = require('../../src/models');
+const { createApp } = require('../../src/app');
+const { getMintRegistry } = require('../../src/services/mintRegistry');
+
+describe('Unified server', () => {
+    let server;
+    let api;
+    let admin;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        await Customer.create({ email: 'buyer@example.com', first_name: 'Ada', last_name: 'Buyer' });
+        server = await new Promise(resolve => {
+            const listening = createApp().listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        api = axios.create({
+            baseURL: `http://127.0.0.1:${server.address().port}`,
+            validateStatus: () => true
+        });
+        admin = axios.create({
+            baseURL: api.defaults.baseURL,
+            headers: { Authorization: 'Bearer admin-token' },
+            validateStatus: () => true
+        });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('lists its modules and their legacy aliases', async () => {
+        const { data } = await api.get('/');
+
+        expect(Object.keys(data.endpoints.api)).toEqual(['catalog', 'checkout', 'payments', 'fulfillment', 'admin', 'analytics']);
+        expect(data.endpoints.legacy).toEqual(expect.arrayContaining(['/api/payment', '/api/orders']));
+    });
+
+    test('keeps admin routes behind the admin token', async () => {
+        expect((await api.get('/api/admin/dashboard')).status).toBe(401);
+        expect((await api.post('/api/admin/fulfillment/1/retry')).status).toBe(401);
+        expect((await api.post('/api/payments/1/refund', { amount: '1' })).status).toBe(401);
+        expect((await admin.post('/api/payments/9999/refund', { amount: '1' })).status).toBe(404);
+        // Shoppers cannot mint their own discounts
+        expect((await api.post('/api/admin/coupons', { code: 'FREE', discount_type: 'percent', value: 100 })).status).toBe(401);
+        const wrong = await api.get('/api/admin/dashboard', { headers: { Authorization: 'Bearer guess' } });
+        expect(wrong.status).toBe(401);
+
+        expect((await admin.get('/api/admin/dashboard')).status).toBe(200);
+    });
+
+    test('serves order processing routes next to order ids', async () => {
+        const order = await Order.create({
+            order_number: 'ORD-APP-1',
+            customer_email: 'buyer@example.com',
+            payment_method: 'sol',
+            subtotal: 10,
+            total_amount: 10
+        });
+
+        const analytics = await api.get('/api/orders/analytics');
+        expect(analytics.status).toBe(200);
+        expect(analytics.data.data).toHaveProperty('orders');
+
+        // Orders take whole positive quantities of products on sale
+        const mug = await Product.create({ title: 'Order Mug', base_price: 15, status: 'active' });
+        const retired = await Product.create({ title: 'Retired Mug', base_price: 15, status: 'inactive' });
+        const place = item => api.post('/api/orders', { customer_email: 'buyer@example.com', items: [item] });
+        expect((await place({ product_id: mug.id, quantity: -2 })).status).toBe(400);
+        expect((await place({ product_id: mug.id, quantity: 1.5 })).status).toBe(400);
+        const unavailable = await place({ product_id: retired.id, quantity: 1 });
+        expect(unavailable.status).toBe(409);
+        expect(unavailable.data.message).toBe('Retired Mug is not available');
+        const placed = await place({ product_id: mug.id, quantity: 2 });
+        expect(placed.status).toBe(201);
+        expect(placed.data.data).toMatchObject({ subtotal: 30 });
+
+        const byId = await api.get(`/api/orders/${order.id}`);
+        expect(byId.data).toMatchObject({ success: true, data: { order_number: 'ORD-APP-1' } });
+
+        expect((await api.post('/api/orders/process', { order_id: order.id })).status).toBe(401);
+        const unpaid = await admin.post('/api/orders/process', { order_id: order.id });
+        expect(unpaid.status).toBe(409);
+        await order.update({ status: 'cancelled', payment_status: 'completed' });
+        expect((await admin.post('/api/orders/process', { order_id: order.id })).status).toBe(409);
+        expect((await admin.post('/api/orders/process', { order_id: 9999 })).status).toBe(404);
+        expect((await admin.post('/api/admin/fulfillment/9999/retry')).status).toBe(404);
+    });
+
+    test('falls through to legacy routers for paths no module serves', async () => {
+        const dashboard = await api.get('/api/analytics/dashboard');
+        expect(dashboard.status).toBe(200);
+        expect(dashboard.data).toMatchObject({ success: true, dashboard: expect.any(Object) });
+
+        const tokens = await api.get('/api/payment/tokens');
+        expect(tokens.status).toBe(200);
+
+        expect((await api.get('/api/nowhere')).status).toBe(404);
+    });
+
+    test('answers the former crypto-dropship payments API from payment rows', async () => {
+        expect((await api.get('/api/payments/pending')).status).toBe(401);
+        expect((await admin.get('/api/payments/pending')).data).toMatchObject({ success: true, count: 0 });
+        expect((await api.get('/api/payments/analytics')).status).toBe(401);
+        expect((await admin.get('/api/payments/analytics')).data.analytics).toMatchObject({ totalValue: 0 });
+        expect((await api.post('/api/payments/cleanup-expired')).status).toBe(401);
+
+        expect((await api.get('/api/payments/ref_missing/status')).status).toBe(404);
+        expect((await api.post('/api/payments/ref_missing/confirm', {})).status).toBe(400);
+        expect((await api.post('/api/payments/ref_missing/confirm', { signature: 'sig_missing' })).status).toBe(404);
+        expect((await api.post('/api/payments/webhook', { reference: 'ref_missing' })).status).toBe(400);
+    });
+
+    test('searches the catalog', async () => {
+        await Product.create({ title: 'Solana Logo Tee', base_price: 24.99, status: 'active' });
+        await Product.create({ title: 'Hidden Tee', base_price: 9.99, status: 'inactive' });
+
+        const { data } = await api.get('/api/products/search', { params: { q: 'tee' } });
+
+        expect(data.data.map(product => product.title)).toEqual(['Solana Logo Tee']);
+    });
+
+    test('prices payments from server-side carts only', async () => {
+        const product = await Product.create({ title: 'Cart Tee', base_price: 20, status: 'active' });
+        const session = { headers: { 'X-Session-Id': 'sess_app' } };
+
+        expect((await api.post('/api/cart')).status).toBe(400);
+        const { data: { data: cart } } = await api.post('/api/cart', {}, session);
+        const added = await api.post(`/api/cart/${cart.cart_id}/items`, { product_id: product.id, quantity: 2 }, session);
+        expect(added.status).toBe(201);
+        expect(added.data.data).toMatchObject({ subtotal: 40, total: 40 });
+        expect((await api.get(`/api/cart/${cart.cart_id}`, { headers: { 'X-Session-Id': 'sess_other' } })).status).toBe(404);
+
+        // Client totals are not accepted in place of a cart
+        const legacy = await api.post('/api/payment/create-payment', { items: [{ id: product.id, price: 0.01, quantity: 1 }], total: 0.01 }, session);
+        expect(legacy.status).toBe(400);
+        const widget = await api.post('/api/crypto/create-payment', { amount: 0.01 }, session);
+        expect(widget.status).toBe(400);
+        expect(widget.data.error).toBe('cartId is required');
+        const stranger = await api.post('/api/crypto/create-payment', { cartId: cart.cart_id });
+        expect(stranger.status).toBe(400);
+
+        // Signatures are only checked against a payment the shop created
+        expect((await api.post('/api/crypto/transaction/verify', { signature: 'sig_app', reference: 'ref_app' })).status).toBe(400);
+        expect((await api.post('/api/crypto/transaction/verify', { signature: 'sig_app', paymentId: 'pay_missing' })).status).toBe(404);
+        expect((await api.get('/api/crypto/payment-status/ref_app')).status).toBe(404);
+        const request = await api.post('/api/crypto/transaction-request/pay_missing', { account: '11111111111111111111111111111111' });
+        expect(request.status).toBe(404);
+    });
+
+    test('prices legacy shop payment requests through the price oracle', async () => {
+        const product = await Product.create({ title: 'Oracle Tee', base_price: 30, status: 'active' });
+        const session = { headers: { 'X-Session-Id': 'sess_oracle' } };
+        const { data: { data: cart } } = await api.post('/api/cart', {}, session);
+        await api.post(`/api/cart/${cart.cart_id}/items`, { product_id: product.id, quantity: 1 }, session);
+        await api.put(`/api/cart/${cart.cart_id}/shipping`, {
+            shipping_address: { firstName: 'Ada', lastName: 'Buyer', country: 'US', state: 'OR', city: 'Portland', address1: '1 Main St', zip: '97201' }
+        }, session);
+
+        const { status, data } = await api.post('/api/payment/create', { cartId: cart.cart_id, customerEmail: 'buyer@example.com' }, session);
+
+        // $30 at $150 per SOL, for the order the cart was checked out as
+        expect(status).toBe(200);
+        expect(data).toMatchObject({ amount: 0.2, currency: 'SOL', status: 'pending', orderId: expect.any(Number) });
+        expect(data.url).toContain('amount=0.2');
+        expect(data.url).toContain(`reference=${data.reference}`);
+        expect(await Order.findByPk(data.orderId)).toMatchObject({ customer_email: 'buyer@example.com' });
+
+        const order = await api.get(`/api/payment/order-status/${data.paymentId}`);
+        expect(order.data).toMatchObject({ orderId: data.orderId, paymentStatus: 'pending', items: [{ name: 'Oracle Tee', quantity: 1 }] });
+
+        // The cart is paid once, and only its session cancels the payment
+        expect((await api.post('/api/payment/create', { cartId: cart.cart_id, customerEmail: 'buyer@example.com' }, session)).status).toBe(409);
+        expect((await api.post(`/api/payment/cancel/${data.paymentId}`, {}, { headers: { 'X-Session-Id': 'sess_other' } })).status).toBe(404);
+        expect((await api.post(`/api/payment/cancel/${data.paymentId}`, {}, session)).data.status).toBe('cancelled');
+        expect((await api.post('/api/payment/verify-payment', { paymentId: 'pay_missing', signature: 'x'.repeat(88) })).status).toBe(404);
+        expect((await api.get('/api/payment/all')).status).toBe(401);
+    });
+
+    test('asks for SPL token payments in the token', async () => {
+        const order = await Order.create({
+            order_number: 'ORD-APP-USDC',
+            customer_email: 'buyer@example.com',
+            payment_method: 'usdc',
+            subtotal: 30,
+            total_amount: 30,
+            metadata: { source: 'cart' }
+        });
+        const placed = await Order.create({
+            order_number: 'ORD-APP-PLACED',
+            customer_email: 'buyer@example.com',
+            payment_method: 'usdc',
+            subtotal: 0.01,
+            total_amount: 0.01
+        });
+
+        // Orders priced outside a cart checkout can't be charged here
+        expect((await api.post('/api/payments/create', { order_id: placed.id, currency: 'USDC' })).status).toBe(409);
+
+        const { data } = await api.post('/api/payments/create', { order_id: order.id, currency: 'USDC' });
+
+        expect(data.data.payment).toMatchObject({ currency: 'USDC', amount: '30' });
+        expect(data.data.payment_url).toContain(`spl-token=${getMintRegistry().get('USDC').mint}`);
+        expect(data.data.payment_url).toContain('amount=30');
+        expect(data.data.payment_url).toContain(`reference=${data.data.reference}`);
+    });
+
+    test('moves orders along on Printify webhooks', async () => {
+        const order = await Order.create({
+            order_number: 'ORD-APP-2',
+            customer_email: 'buyer@example.com',
+            payment_method: 'sol',
+            subtotal: 10,
+            total_amount: 10,
+            status: 'processing',
+            payment_status: 'completed',
+            printify_order_id: 'pfy-2'
+        });
+        const product = await Product.create({ title: 'Mug', base_price: 10, status: 'active' });
+        await OrderItem.create({
+            order_id: order.id,
+            product_id: product.id,
+            product_title: product.title,
+            quantity: 1,
+            unit_price: 10,
+            total_price: 10,
+            printify_line_item_id: 'line-1'
+        });
+
+        const body = JSON.stringify({
+            id: 'pfy-2',
+            resource: { tracking_number: '1Z999', carrier: 'ups', line_items: [{ id: 'line-1' }] }
+        });
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Printify-Event-Type': 'order:shipped',
+            'X-Pfy-Signature': `sha256=${crypto.createHmac('sha256', 'webhook-secret').update(body).digest('hex')}`
+        };
+
+        const unsigned = await api.post('/api/webhooks/printify', body, { headers: { ...headers, 'X-Pfy-Signature': 'sha256=00' } });
+        expect(unsigned.status).toBe(401);
+
+        const { data } = await api.post('/api/webhooks/printify', body, { headers });
+
+        expect(data.success).toBe(true);
+        // Printify redelivering the event changes nothing
+        expect((await api.post('/api/webhooks/printify', body, { headers })).data.message).toBe('Event already processed');
+        expect(await WebhookEvent.count()).toBe(1);
+        await order.reload();
+        expect(order).toMatchObject({ status: 'shipped', tracking_number: '1Z999' });
+        expect(order.metadata.printify).toMatchObject({ status: 'shipped', shipping: { carrier: 'ups' } });
+        expect((await OrderItem.findOne({ where: { order_id: order.id } })).status).toBe('shipped');
+
+        const tracking = await api.get(`/api/orders/tracking/${order.id}`);
+        expect(tracking.data.data).toMatchObject({
+            status: 'shipped',
+            trackingNumber: '1Z999',
+            shipments: [{ carrier: 'ups', trackingNumber: '1Z999', shippedAt: expect.any(String) }],
+            items: [{ title: 'Mug', status: 'shipped' }]
+        });
+        expect((await api.get('/api/orders/tracking/ORD-MISSING')).status).toBe(404);
+    });
+
+    test('changes order status only as the state machine allows', async () => {
+        const order = await Order.create({
+            order_number: 'ORD-APP-3',
+            customer_email: 'buyer@example.com',
+            payment_method: 'sol',
+            subtotal: 10,
+            total_amount: 10
+        });
+
+        const unpaid = await admin.patch(`/api/admin/orders/${order.id}/status`, { status: 'shipped' });
+        expect(unpaid.status).toBe(409);
+        expect(unpaid.data).toMatchObject({ code: 'INVALID_TRANSITION', details: { from: 'pending', to: 'shipped' } });
+
+        expect((await api.put(`/api/orders/${order.id}/status`, { status: 'processing' })).status).toBe(401);
+        expect((await api.put(`/api/orders/${order.order_number}/status`, { status: 'cancelled' })).status).toBe(401);
+        const guarded = await admin.put(`/api/orders/${order.id}/status`, { status: 'processing' });
+        expect(guarded.status).toBe(409);
+        expect(guarded.data).toMatchObject({ error: 'Unpaid orders cannot be processed', code: 'TRANSITION_GUARD' });
+
+        const cancelled = await admin.patch(`/api/admin/orders/${order.id}/status`, { status: 'cancelled', reason: 'Customer asked' });
+        expect(cancelled.data).toMatchObject({ success: true, data: { status: 'cancelled' } });
+
+        const { data } = await admin.get(`/api/admin/orders/${order.id}/events`);
+        expect(data.data).toEqual([
+            expect.objectContaining({ from_status: 'pending', to_status: 'cancelled', actor: 'admin', reason: 'Customer asked' })
+        ]);
+    });
+});
@@ -0,0 +1,223 @@
+process.env.DB_PATH = ':memory:';
+
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { sequelize, Product, Payment, Order, OrderItem, Quote } = require('../../src/models');
+const { CheckoutService } = require('../../src/services/checkoutService');
+const SolanaPayService = require('../../src/services/solanaPayService');
+const { MintRegistry } = require('../../src/services/mintRegistry');
+const { QuoteService } = require('../../src/services/quoteService');
+const { CommitmentTracker } = require('../../src/services/commitmentTracker');
+const { FulfillmentService } = require('../../src/services/fulfillmentService');
+const { ShippingQuoteService } = require('../../src/services/shippingQuotes');
+const { CartService } = require('../../src/services/cartService');
+const { PriceOracle, FixedPriceProvider } = require('../../src/services/priceOracle');
+const { PaymentEventHub } = require('../../src/services/paymentEvents');
+const { createHarness } = require('../helpers/solanaHarness');
+
+// Runs offline by default; set SOLANA_TEST_VALIDATOR_URL to run against solana-test-validator
+jest.setTimeout(process.env.SOLANA_TEST_VALIDATOR_URL ? 60000 : 5000);
+
+describe('CheckoutService end to end', () => {
+    let harness;
+    let merchant;
+    let payer;
+    let product;
+    let printifyService;
+    let carts;
+    let service;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        product = await Product.create({
+            title: 'Tee',
+            printify_product_id: 'printify-tee',
+            base_price: 10,
+            status: 'active'
+        });
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        harness = createHarness();
+        merchant = Keypair.generate().publicKey;
+        payer = await harness.wallet();
+        printifyService = {
+            createOrder: jest.fn(async order => ({ id: `printify-${order.external_id}` })),
+            calculateShipping: jest.fn(async () => ({ standard: 500, priority: 750, express: 1000 }))
+        };
+
+        const paymentEvents = new PaymentEventHub();
+        const solanaPayService = new SolanaPayService({
+            connection: harness.connection,
+            tokenRegistry: new MintRegistry({ network: 'localnet' })
+        });
+        solanaPayService.merchantWallet = merchant.toBase58();
+        const shippingQuotes = new ShippingQuoteService({ printifyService });
+        carts = new CartService({ shippingQuotes });
+
+        service = new CheckoutService({
+            solanaPayService,
+            quoteService: new QuoteService({
+                priceOracle: new PriceOracle({ providers: [new FixedPriceProvider({ SOL: 150 })], ttlMs: 0 })
+            }),
+            commitmentTracker: new CommitmentTracker({
+                connection: harness.connection,
+                paymentEvents,
+                fulfillment: new FulfillmentService({ printifyService, paymentEvents })
+            }),
+            shippingQuotes,
+            cartService: carts,
+            paymentEvents
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // A $10 tee with $5 standard shipping, quoted at 0.1 SOL
+    function createPayment(fields = {}) {
+        return service.createPayment({
+            productId: product.id,
+            variant: { id: '12101', title: 'M' },
+            customerEmail: 'buyer@example.com',
+            shippingAddress: { firstName: 'Ada', lastName: 'Buyer', country: 'US', address1: '1 Main St', city: 'Austin', zip: '73301' },
+            ...fields
+        });
+    }
+
+    function pay(payment, sol, to = merchant) {
+        return harness.sendSol({ from: payer, to, sol, reference: new PublicKey(payment.reference) });
+    }
+
+    test('confirms a payment, releases its order and submits it to Printify', async () => {
+        const payment = await createPayment();
+        expect(payment.amount).toMatchObject({ usd: 15, sol: 0.1 });
+        expect(payment.shipping).toMatchObject({ method: 'standard', cost: 5 });
+        expect(payment.amount.tax).toEqual({ usd: 0, sol: 0, inclusive: false });
+        const signature = await pay(payment, 0.1);
+
+        const result = await service.verifyPayment(payment.reference);
+
+        expect(result).toMatchObject({
+            status: 'confirmed',
+            outcome: 'released',
+            transaction_signature: signature,
+            printify_order_id: `printify-${payment.order_number}`
+        });
+        expect(printifyService.createOrder).toHaveBeenCalledWith(expect.objectContaining({
+            external_id: payment.order_number,
+            items: [{ printify_id: 'printify-tee', variant_id: 12101, quantity: 1 }],
+            shipping_method: 1,
+            shipping_address: expect.objectContaining({ first_name: 'Ada', zip: '73301', email: 'buyer@example.com' })
+        }));
+
+        const order = await Order.findByPk(payment.order_id);
+        expect(order).toMatchObject({ status: 'processing', payment_status: 'completed' });
+        expect(Number(order.subtotal)).toBe(10);
+        expect(Number(order.shipping_cost)).toBe(5);
+    });
+
+    test('settles a transaction the buyer submits for its own payment only', async () => {
+        const payment = await createPayment();
+        const other = await createPayment();
+        const signature = await pay(payment, 0.1);
+
+        await expect(service.verifyTransaction(other.payment_id, signature)).rejects.toMatchObject({ code: 'REFERENCE_MISMATCH' });
+        await expect(service.verifyTransaction('pay_missing', signature)).rejects.toMatchObject({ name: 'CheckoutError', status: 404 });
+
+        const result = await service.verifyTransaction(payment.payment_id, signature);
+
+        expect(result).toMatchObject({
+            status: 'confirmed',
+            outcome: 'released',
+            payer: payer.publicKey.toBase58(),
+            transaction_signature: signature
+        });
+        expect(await Order.findByPk(payment.order_id)).toMatchObject({ status: 'processing', payment_status: 'completed' });
+    });
+
+    test('pays a cart once, through the order it is checked out as', async () => {
+        const { cart_id } = await carts.createCart('sess_e2e');
+        await carts.addItem(cart_id, 'sess_e2e', { product_id: product.id, variant_id: 12101, quantity: 1 });
+        await carts.setShipping(cart_id, 'sess_e2e', {
+            shipping_address: { firstName: 'Ada', lastName: 'Buyer', country: 'US', address1: '1 Main St', city: 'Austin', zip: '73301' }
+        });
+        const request = { cartId: cart_id, sessionId: 'sess_e2e', customerEmail: 'buyer@example.com' };
+
+        const payment = await service.createCartPayment(request);
+        expect(payment.amount).toEqual({ usd: 15, token: 0.1, currency: 'SOL' });
+        expect(payment.payment_url).toContain(`reference=${payment.reference}`);
+        await expect(service.createCartPayment(request)).rejects.toThrow('already pending');
+        await expect(carts.addItem(cart_id, 'sess_e2e', { product_id: product.id })).rejects.toMatchObject({ status: 409 });
+
+        await pay(payment, 0.1);
+        expect(await service.verifyPayment(payment.reference)).toMatchObject({ status: 'confirmed', outcome: 'released' });
+
+        await expect(service.createCartPayment(request)).rejects.toMatchObject({ status: 409, message: 'Cart has already been paid for' });
+        expect(await Payment.count({ where: { order_id: payment.order_id } })).toBe(1);
+        expect((await Order.findByPk(payment.order_id)).metadata).toMatchObject({ source: 'cart', cart_id });
+    });
+
+    test('waits for a top-up on an underpayment', async () => {
+        const payment = await createPayment();
+        await pay(payment, 0.04);
+
+        const short = await service.verifyPayment(payment.reference);
+
+        expect(short.status).toBe('partially_paid');
+        expect(Number(short.balance_due)).toBe(9);
+        expect(short.top_up).toMatchObject({ amount: '0.06', usd_amount: '9' });
+        expect(short.top_up.url).toContain(`reference=${payment.reference}`);
+        expect(printifyService.createOrder).not.toHaveBeenCalled();
+
+        await pay(payment, 0.06);
+        const topped = await service.verifyPayment(payment.reference);
+
+        expect(topped).toMatchObject({ status: 'confirmed', outcome: 'released', amount_received: '0.1' });
+        expect(printifyService.createOrder).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores transfers to another wallet', async () => {
+        const payment = await createPayment();
+        await pay(payment, 0.1, Keypair.generate().publicKey);
+
+        const result = await service.verifyPayment(payment.reference);
+
+        expect(result.status).toBe('pending');
+        expect(printifyService.createOrder).not.toHaveBeenCalled();
+    });
+
+    test('opens checkouts only for whole quantities of active products, all or nothing', async () => {
+        await expect(createPayment({ quantity: 0 })).rejects.toMatchObject({ name: 'CheckoutError', status: 400 });
+        await expect(createPayment({ quantity: 1.5 })).rejects.toThrow('positive whole number');
+        await expect(createPayment({ quantity: 'two' })).rejects.toMatchObject({ status: 400 });
+
+        const draft = await Product.create({ title: 'Draft Tee', base_price: 10, status: 'draft' });
+        await expect(createPayment({ productId: draft.id })).rejects.toMatchObject({ status: 409 });
+
+        const orders = await Order.count();
+        const items = await OrderItem.count();
+        jest.spyOn(Payment, 'create').mockRejectedValueOnce(new Error('database is locked'));
+
+        await expect(createPayment()).rejects.toThrow('database is locked');
+        expect(await Order.count()).toBe(orders);
+        expect(await OrderItem.count()).toBe(items);
+    });
+
+    test('expires a payment nothing was sent for in time', async () => {
+        const payment = await createPayment();
+        await Quote.update(
+            { expires_at: new Date(Date.now() - 1000) },
+            { where: { quote_id: payment.quote_id } }
+        );
+
+        const result = await service.verifyPayment(payment.reference);
+
+        expect(result.status).toBe('expired');
+        const row = await Payment.findOne({ where: { reference_key: payment.reference } });
+        expect(row.status).toBe('expired');
+    });
+});
@@ -0,0 +1,166 @@
+process.env.DB_PATH = ':memory:';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const { MockPrintifyServer } = require('../../src/mocks/printify/server');
+
+const SHOP_ID = 15002088;
+const ADDRESS = {
+    first_name: 'Ada',
+    last_name: 'Buyer',
+    email: 'buyer@example.com',
+    country: 'US',
+    region: 'TX',
+    address1: '1 Main St',
+    city: 'Austin',
+    zip: '73301'
+};
+
+describe('Printify against the mock API', () => {
+    let mock;
+    let baseURL;
+    let printify;
+
+    beforeAll(async () => {
+        mock = new MockPrintifyServer({ token: 'test-token' });
+        baseURL = await mock.listen();
+
+        // Modules reading Printify settings at load time see the mock
+        process.env.PRINTIFY_API_URL = baseURL;
+        process.env.PRINTIFY_API_KEY = 'test-token';
+        process.env.PRINTIFY_SHOP_ID = String(SHOP_ID);
+
+        const { PrintifyService } = require('../../src/services/printifyService');
+        printify = new PrintifyService();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await mock.close();
+    });
+
+    test('serves the fixture shop, products and catalog', async () => {
+        expect(printify.baseURL).toBe(baseURL);
+        expect(await printify.getShopInfo()).toMatchObject({ id: SHOP_ID, title: 'SSPAY Test Shop' });
+
+        const { products, pagination } = await printify.getProducts();
+        expect(pagination.total).toBe(2);
+        const tee = printify.transformProduct(products.find(product => product.title === 'Solana Logo Tee'));
+        expect(tee).toMatchObject({ base_price: 24.99, category: 'apparel', status: 'active' });
+
+        const blueprints = await printify.getCatalog();
+        expect(blueprints.map(blueprint => blueprint.id)).toEqual([6, 68]);
+        expect(await printify.getPrintProviders(6)).toEqual([expect.objectContaining({ id: 29, title: 'Monster Digital' })]);
+
+        const { data: variants } = await axios.get(`${baseURL}/catalog/blueprints/6/print_providers/29/variants.json`, {
+            headers: { Authorization: 'Bearer test-token' }
+        });
+        expect(variants.variants).toHaveLength(4);
+    });
+
+    test('rejects requests without the expected token', async () => {
+        const stranger = new (printify.constructor)({ apiToken: 'wrong-token' });
+
+        expect((await stranger.testConnection()).success).toBe(false);
+    });
+
+    test('quotes shipping and takes an order through production', async () => {
+        const orderData = {
+            external_id: 'ORD-1001',
+            items: [
+                { printify_id: '5d39b159e7c48c000728c89f', variant_id: 12101, quantity: 2 },
+                { printify_id: '5d39b159e7c48c000728c8a0', variant_id: 33719, quantity: 1 }
+            ],
+            shipping_address: ADDRESS
+        };
+
+        // One first item per print provider, the second tee at the additional rate
+        expect(await printify.calculateShipping(orderData)).toEqual({ standard: 1414, priority: 2121, express: 2828 });
+
+        const { id } = await printify.createOrder(orderData);
+        const order = await printify.getOrderStatus(id);
+        expect(order).toMatchObject({ status: 'on-hold', external_id: 'ORD-1001', total_price: 2550, total_shipping: 1414 });
+
+        await expect(printify.createOrder(orderData)).rejects.toThrow('Failed to create Printify order');
+
+        expect(await printify.submitOrder(id)).toMatchObject({ status: 'in-production' });
+        await expect(printify.submitOrder(id)).rejects.toThrow('400');
+
+        const { data: shipped } = await axios.post(`${baseURL.replace('/v1', '/__mock')}/shops/${SHOP_ID}/orders/${id}/ship`, {
+            carrier: 'USPS',
+            tracking_number: '9400111899223197428490'
+        });
+        expect(shipped.status).toBe('fulfilled');
+        expect(shipped.shipments).toEqual([expect.objectContaining({
+            carrier: 'usps',
+            number: '9400111899223197428490',
+            url: expect.stringContaining('9400111899223197428490')
+        })]);
+    });
+
+    test('delivers signed webhooks for subscribed topics', async () => {
+        const received = [];
+        const receiver = express();
+        receiver.post('/webhooks/printify', express.raw({ type: 'application/json' }), (req, res) => {
+            received.push({ signature: req.get('X-Pfy-Signature'), body: req.body.toString() });
+            res.json({ success: true });
+        });
+        const server = await new Promise(resolve => {
+            const listening = receiver.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+
+        try {
+            const url = `http://127.0.0.1:${server.address().port}/webhooks/printify`;
+            for (const topic of ['order:sent-to-production', 'order:shipment:created']) {
+                await printify.client.post(`/shops/${SHOP_ID}/webhooks.json`, { topic, url, secret: 'whsec' });
+            }
+
+            const { id } = await printify.createOrder({
+                items: [{ printify_id: '5d39b159e7c48c000728c8a0', variant_id: 33719, quantity: 1 }],
+                shipping_address: ADDRESS
+            });
+            await printify.submitOrder(id);
+            await axios.post(`${baseURL.replace('/v1', '/__mock')}/shops/${SHOP_ID}/orders/${id}/ship`, {});
+            await mock.drain();
+
+            expect(received.map(delivery => JSON.parse(delivery.body).type).sort()).toEqual([
+                'order:sent-to-production',
+                'order:shipment:created'
+            ]);
+            for (const delivery of received) {
+                const expected = crypto.createHmac('sha256', 'whsec').update(delivery.body).digest('hex');
+                expect(delivery.signature).toBe(`sha256=${expected}`);
+                expect(JSON.parse(delivery.body).resource).toMatchObject({ id, type: 'order' });
+            }
+            expect(mock.deliveries.every(delivery => delivery.status === 200)).toBe(true);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    test('syncs the mock catalog into the product table', async () => {
+        const { sequelize, Product } = require('../../src/models');
+        const { syncPrintifyProducts } = require('../../src/scripts/sync-printify');
+        await sequelize.sync({ force: true });
+
+        await syncPrintifyProducts();
+
+        const products = await Product.findAll({ order: [['title', 'ASC']] });
+        expect(products.map(product => product.printify_product_id)).toEqual([
+            '5d39b159e7c48c000728c8a0',
+            '5d39b159e7c48c000728c89f'
+        ]);
+        expect(Number(products[0].base_price)).toBe(14.99);
+    });
+});
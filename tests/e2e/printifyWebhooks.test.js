@@ -0,0 +1,152 @@
+process.env.DB_PATH = ':memory:';
+process.env.PRINTIFY_API_KEY = 'test-token';
+process.env.PRINTIFY_WEBHOOK_SECRET = 'webhook-secret';
+process.env.ADMIN_TOKEN = 'admin-token';
+
+const axios = require('axios');
+const { MockPrintifyServer } = require('../../src/mocks/printify/server');
+const { sequelize, Customer, Order, WebhookEvent } = require('../../src/models');
+const { PrintifyService } = require('../../src/services/printifyService');
+const printifyWebhookHandler = require('../../src/services/printifyWebhooks');
+const { PrintifyWebhookHandler } = require('../../src/services/printifyWebhooks');
+const { createApp } = require('../../src/app');
+
+const SHOP_ID = 15002088;
+const TEE = '5d39b159e7c48c000728c89f';
+const ADDRESS = {
+    first_name: 'Ada',
+    last_name: 'Buyer',
+    email: 'buyer@example.com',
+    country: 'US',
+    region: 'TX',
+    address1: '1 Main St',
+    city: 'Austin',
+    zip: '73301'
+};
+
+describe('Printify webhooks', () => {
+    let mock;
+    let control;
+    let printify;
+    let server;
+    let api;
+    let admin;
+    let webhookUrl;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        await Customer.create({ email: 'buyer@example.com', first_name: 'Ada', last_name: 'Buyer' });
+
+        mock = new MockPrintifyServer({ token: 'test-token' });
+        const baseURL = await mock.listen();
+        control = `${baseURL.replace('/v1', '/__mock')}/shops/${SHOP_ID}/orders`;
+        printify = new PrintifyService({ apiToken: 'test-token', shopId: SHOP_ID, baseURL });
+
+        server = await new Promise(resolve => {
+            const listening = createApp().listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        const appURL = `http://127.0.0.1:${server.address().port}`;
+        webhookUrl = `${appURL}/api/webhooks/printify`;
+        api = axios.create({ baseURL: appURL, validateStatus: () => true });
+        admin = axios.create({ baseURL: appURL, headers: { Authorization: 'Bearer admin-token' }, validateStatus: () => true });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await mock.close();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    // A paid order Printify has on hold
+    async function createSubmittedOrder(fields = {}) {
+        const orderNumber = `ORD-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+        const remote = await printify.createOrder({
+            external_id: orderNumber,
+            items: [{ printify_id: TEE, variant_id: 12101, quantity: 1 }],
+            shipping_address: ADDRESS
+        });
+
+        const order = await Order.create({
+            order_number: orderNumber,
+            customer_email: 'buyer@example.com',
+            payment_method: 'sol',
+            subtotal: 24.99,
+            total_amount: 24.99,
+            status: 'processing',
+            payment_status: 'completed',
+            printify_order_id: remote.id,
+            ...fields
+        });
+        return { order, remote };
+    }
+
+    test('accepts unsigned webhooks only when allowed', () => {
+        const body = Buffer.from('{"type":"order:updated"}');
+
+        expect(new PrintifyWebhookHandler({ webhookSecret: null, allowUnsigned: false }).validateSignature(body)).toBe(false);
+        expect(new PrintifyWebhookHandler({ webhookSecret: null, allowUnsigned: true }).validateSignature(body)).toBe(true);
+        expect(printifyWebhookHandler.validateSignature(body, 'sha256=not-hex')).toBe(false);
+    });
+
+    test('registers its topics and follows the signed events Printify sends', async () => {
+        // Without a URL configured the admin action asks for one
+        expect((await admin.post('/api/admin/webhooks/register')).status).toBe(400);
+
+        expect((await printifyWebhookHandler.registerWebhooks(webhookUrl, printify)).created).toEqual([
+            'order:sent-to-production',
+            'order:shipment:created',
+            'order:shipment:delivered',
+            'order:updated'
+        ]);
+        // Registering again subscribes nothing twice
+        expect(await printifyWebhookHandler.registerWebhooks(webhookUrl, printify))
+            .toMatchObject({ created: [], existing: expect.arrayContaining(['order:updated']) });
+
+        const { order, remote } = await createSubmittedOrder();
+        await printify.submitOrder(remote.id);
+        await axios.post(`${control}/${remote.id}/ship`, { carrier: 'UPS', tracking_number: '1Z999' });
+        await mock.drain();
+        await axios.post(`${control}/${remote.id}/deliver`);
+        await mock.drain();
+
+        await order.reload();
+        expect(order).toMatchObject({ status: 'delivered', tracking_number: '1Z999' });
+        expect(order.metadata.printify.shipments).toEqual([
+            expect.objectContaining({ carrier: 'ups', tracking_number: '1Z999', delivered_at: expect.any(String) })
+        ]);
+
+        expect(mock.deliveries.every(delivery => delivery.status === 200)).toBe(true);
+        const events = await WebhookEvent.findAll({ order: [['id', 'ASC']] });
+        expect(events.map(event => event.event_id)).toEqual(mock.deliveries.map(delivery => delivery.event.id));
+        expect(events.every(event => event.status === 'processed')).toBe(true);
+    });
+
+    test('keeps failed events for an admin replay', async () => {
+        await printifyWebhookHandler.registerWebhooks(webhookUrl, printify);
+        // Printify ships it before we stored its Printify id
+        const { order, remote } = await createSubmittedOrder({ printify_order_id: null });
+        await printify.submitOrder(remote.id);
+        await axios.post(`${control}/${remote.id}/ship`, { carrier: 'USPS', tracking_number: '9400' });
+        await mock.drain();
+
+        const failed = await admin.get('/api/admin/webhooks/events', { params: { status: 'failed' } });
+        const shipped = failed.data.data.find(event => event.type === 'order:shipment:created');
+        expect(shipped).toMatchObject({ status: 'failed', error: 'Order not found', attempts: 1 });
+
+        await order.update({ printify_order_id: remote.id });
+        const replayed = await admin.post(`/api/admin/webhooks/events/${shipped.id}/replay`);
+
+        expect(replayed.data).toMatchObject({ success: true, data: { status: 'processed', attempts: 2, error: null } });
+        expect(await order.reload()).toMatchObject({ status: 'shipped', tracking_number: '9400' });
+        expect((await admin.post('/api/admin/webhooks/events/9999/replay')).status).toBe(404);
+    });
+});
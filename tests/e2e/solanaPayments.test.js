@@ -0,0 +1,150 @@
+process.env.DB_PATH = ':memory:';
+
+const { Keypair } = require('@solana/web3.js');
+const { sequelize } = require('../../src/models');
+const { SolanaService } = require('../../src/services/solanaService');
+const SolanaPayService = require('../../src/services/solanaPayService');
+const { MintRegistry } = require('../../src/services/mintRegistry');
+const { createHarness } = require('../helpers/solanaHarness');
+
+// Runs offline by default; set SOLANA_TEST_VALIDATOR_URL to run against solana-test-validator
+jest.setTimeout(process.env.SOLANA_TEST_VALIDATOR_URL ? 60000 : 5000);
+
+describe('Solana payments end to end', () => {
+    let harness;
+    let merchant;
+    let payer;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        harness = createHarness();
+
+        merchant = Keypair.generate().publicKey;
+        payer = await harness.wallet();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    describe('SolanaService', () => {
+        let service;
+
+        beforeEach(() => {
+            service = new SolanaService({ connection: harness.connection, merchantWallet: merchant.toBase58() });
+        });
+
+        test('confirms a transfer to the merchant carrying the reference', async () => {
+            const reference = Keypair.generate().publicKey;
+            const signature = await harness.sendSol({ from: payer, to: merchant, sol: 0.2, reference });
+
+            const result = await service.monitorPayment(reference.toBase58(), 0.2, 1000);
+
+            expect(result).toMatchObject({ signature, amount: 0.2 });
+        });
+
+        test('rejects underpayments and transfers to another wallet', async () => {
+            const reference = Keypair.generate().publicKey;
+            const short = await harness.sendSol({ from: payer, to: merchant, sol: 0.1, reference });
+            const elsewhere = await harness.sendSol({
+                from: payer,
+                to: Keypair.generate().publicKey,
+                sol: 0.2,
+                reference
+            });
+
+            for (const signature of [short, elsewhere]) {
+                const transaction = await harness.connection.getTransaction(signature, { commitment: 'confirmed' });
+                const result = await service.validatePayment(transaction, merchant, 0.2, reference);
+
+                expect(result.valid).toBe(false);
+                expect(result.error).toMatch(/^Insufficient amount/);
+            }
+        });
+
+        test('gives up once the payment window passes', async () => {
+            jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+            const reference = Keypair.generate().publicKey.toBase58();
+
+            const monitoring = service.monitorPayment(reference, 0.2, 1000);
+            const outcome = expect(monitoring).rejects.toThrow('Payment timeout');
+            await jest.advanceTimersByTimeAsync(2000);
+
+            await outcome;
+        });
+    });
+
+    describe('SolanaPayService', () => {
+        let service;
+
+        beforeEach(() => {
+            service = new SolanaPayService({
+                connection: harness.connection,
+                tokenRegistry: new MintRegistry({ network: 'localnet' })
+            });
+            service.merchantWallet = merchant.toBase58();
+        });
+
+        test('confirms SOL payments and adds up top-ups', async () => {
+            const reference = Keypair.generate().publicKey;
+            await harness.sendSol({ from: payer, to: merchant, sol: 0.15, reference });
+            await harness.sendSol({ from: payer, to: merchant, sol: 0.05, reference });
+
+            const result = await service.findPayments(reference.toBase58(), 0, 'SOL');
+
+            expect(result.success).toBe(true);
+            expect(result.transfers).toHaveLength(2);
+            expect(result.receivedAmount).toBe('0.2');
+        });
+
+        test('confirms SPL payments in a store mint and flags short ones', async () => {
+            const mint = await harness.createMint(6);
+            await service.tokenRegistry.addCustomMint({ symbol: 'TEST', mint: mint.toBase58() }, harness.connection);
+            await harness.mintTo(payer.publicKey, mint, 100, 6);
+
+            const reference = Keypair.generate().publicKey;
+            const signature = await harness.sendToken({ from: payer, to: merchant, mint, amount: 20, decimals: 6, reference });
+
+            const paid = await service.findPayment(reference.toBase58(), 20, 'TEST');
+            expect(paid).toMatchObject({ success: true, signature, receivedAmount: '20' });
+
+            const short = await service.verifyTransaction(signature, 25, merchant.toBase58(), 'TEST');
+            expect(short.success).toBe(false);
+            expect(short.verification).toMatchObject({ status: 'underpaid', shortfallAmount: '5' });
+        });
+
+        test('rejects underpayments', async () => {
+            const reference = Keypair.generate().publicKey;
+            await harness.sendSol({ from: payer, to: merchant, sol: 0.1, reference });
+
+            const result = await service.findPayment(reference.toBase58(), 0.2, 'SOL');
+
+            expect(result).toMatchObject({ success: false, status: 'invalid' });
+            expect(result.rejected).toHaveLength(1);
+        });
+
+        test('rejects transfers to another wallet', async () => {
+            const reference = Keypair.generate().publicKey;
+            await harness.sendSol({ from: payer, to: Keypair.generate().publicKey, sol: 0.2, reference });
+
+            const result = await service.findPayment(reference.toBase58(), 0.2, 'SOL');
+
+            expect(result).toMatchObject({ success: false, status: 'invalid' });
+        });
+
+        test('stops monitoring once the payment window passes', async () => {
+            const reference = Keypair.generate().publicKey.toBase58();
+
+            const result = await service.monitorPayment(reference, 0.2, 'SOL', 0, { pollIntervalMs: 10 });
+
+            expect(result).toMatchObject({ success: false, status: 'timeout' });
+        });
+    });
+});
@@ -0,0 +1,355 @@
+const { Keypair, PublicKey, SystemInstruction, SystemProgram, Transaction, TransactionInstruction } = require('@solana/web3.js');
+const {
+    getAssociatedTokenAddressSync,
+    createTransferCheckedInstruction,
+    decodeTransferCheckedInstruction,
+    AccountLayout,
+    MintLayout,
+    ACCOUNT_SIZE,
+    MINT_SIZE,
+    TOKEN_PROGRAM_ID
+} = require('@solana/spl-token');
+const { MEMO_PROGRAM_ID } = require('@solana/pay');
+const BigNumber = require('bignumber.js');
+
+/**
+ * In-memory stand-in for `@solana/web3.js` Connection.
+ *
+ * Only the RPC methods the payment services call are implemented. Transactions
+ * are built with the real web3 instruction builders, so anything that decodes
+ * them (e.g. `@solana/pay` validateTransfer) sees the same shape as on-chain.
+ */
+class MockConnection {
+    constructor() {
+        this.transactions = new Map();
+        this.accounts = new Map();
+        this.slot = 1000;
+        this.calls = [];
+    }
+
+    /**
+     * Record a transaction built from `instructions` and return its signature
+     */
+    addTransaction({ payer, instructions, meta = {} }) {
+        const transaction = new Transaction({
+            feePayer: payer,
+            recentBlockhash: Keypair.generate().publicKey.toBase58()
+        });
+        transaction.add(...instructions);
+
+        const message = transaction.compileMessage();
+        const signature = randomSignature();
+        const accountCount = message.accountKeys.length;
+
+        this.slot += 1;
+        this.transactions.set(signature, {
+            slot: this.slot,
+            blockTime: Math.floor(Date.now() / 1000),
+            transaction: {
+                message,
+                signatures: [signature]
+            },
+            meta: {
+                err: null,
+                fee: 5000,
+                preBalances: new Array(accountCount).fill(0),
+                postBalances: new Array(accountCount).fill(0),
+                preTokenBalances: [],
+                postTokenBalances: [],
+                ...meta
+            }
+        });
+
+        return signature;
+    }
+
+    /**
+     * Record a native SOL transfer laid out the way `createTransfer` builds it
+     */
+    sendSolTransfer({ from, to, lamports, reference, memo, err = null }) {
+        const instructions = [];
+
+        if (memo !== undefined) {
+            instructions.push(memoInstruction(memo));
+        }
+
+        const transfer = SystemProgram.transfer({
+            fromPubkey: from,
+            toPubkey: to,
+            lamports
+        });
+        if (reference) {
+            transfer.keys.push({ pubkey: reference, isWritable: false, isSigner: false });
+        }
+        instructions.push(transfer);
+
+        const signature = this.addTransaction({ payer: from, instructions, meta: { err } });
+        const { message, meta } = this.getStored(signature);
+        const recipientIndex = message.accountKeys.findIndex((key) => key.equals(to));
+        meta.postBalances[recipientIndex] = Number(lamports);
+
+        return signature;
+    }
+
+    /**
+     * Record an SPL `transferChecked` between the associated token accounts
+     * of `from` and `to`
+     */
+    sendTokenTransfer({ from, to, mint, amount, decimals, reference, memo, err = null }) {
+        const instructions = [];
+
+        if (memo !== undefined) {
+            instructions.push(memoInstruction(memo));
+        }
+
+        const source = getAssociatedTokenAddressSync(mint, from);
+        const destination = getAssociatedTokenAddressSync(mint, to);
+        const baseUnits = BigInt(new BigNumber(amount).times(new BigNumber(10).pow(decimals)).toFixed(0));
+        const transfer = createTransferCheckedInstruction(source, mint, destination, from, baseUnits, decimals);
+        if (reference) {
+            transfer.keys.push({ pubkey: reference, isWritable: false, isSigner: false });
+        }
+        instructions.push(transfer);
+
+        const signature = this.addTransaction({ payer: from, instructions, meta: { err } });
+        const { message, meta } = this.getStored(signature);
+        const accountIndex = message.accountKeys.findIndex((key) => key.equals(destination));
+        meta.postTokenBalances.push({
+            accountIndex,
+            mint: mint.toBase58(),
+            uiTokenAmount: {
+                amount: baseUnits.toString(),
+                decimals,
+                uiAmountString: new BigNumber(amount).toString()
+            }
+        });
+
+        return signature;
+    }
+
+    /**
+     * Accept a signed transaction, as a wallet or server signer would send it.
+     * Balance changes are recorded for SOL transfers and SPL `transferChecked`.
+     */
+    async sendRawTransaction(raw) {
+        const transaction = Transaction.from(raw);
+        if (!transaction.verifySignatures()) {
+            throw new Error('Signature verification failed');
+        }
+
+        const signature = randomSignature();
+        const message = transaction.compileMessage();
+        const accountCount = message.accountKeys.length;
+        const meta = {
+            err: null,
+            fee: 5000,
+            preBalances: new Array(accountCount).fill(0),
+            postBalances: new Array(accountCount).fill(0),
+            preTokenBalances: [],
+            postTokenBalances: []
+        };
+        const indexOf = (key) => message.accountKeys.findIndex((account) => account.equals(key));
+
+        transaction.instructions.forEach((instruction) => {
+            if (instruction.programId.equals(SystemProgram.programId)) {
+                const { toPubkey, lamports } = SystemInstruction.decodeTransfer(instruction);
+                meta.postBalances[indexOf(toPubkey)] += Number(lamports);
+            } else if (instruction.programId.equals(TOKEN_PROGRAM_ID)) {
+                const { keys, data } = decodeTransferCheckedInstruction(instruction);
+                meta.postTokenBalances.push({
+                    accountIndex: indexOf(keys.destination.pubkey),
+                    mint: keys.mint.pubkey.toBase58(),
+                    uiTokenAmount: {
+                        amount: data.amount.toString(),
+                        decimals: data.decimals,
+                        uiAmountString: new BigNumber(data.amount.toString()).shiftedBy(-data.decimals).toString()
+                    }
+                });
+            }
+        });
+
+        this.calls.push(['sendRawTransaction', signature]);
+        this.slot += 1;
+        this.transactions.set(signature, {
+            slot: this.slot,
+            blockTime: Math.floor(Date.now() / 1000),
+            transaction: { message, signatures: [signature] },
+            meta
+        });
+
+        return signature;
+    }
+
+    async confirmTransaction(strategy) {
+        const signature = typeof strategy === 'string' ? strategy : strategy.signature;
+        const stored = this.transactions.get(signature);
+
+        return {
+            context: { slot: this.slot },
+            value: { err: stored ? stored.meta.err : 'not found' }
+        };
+    }
+
+    /**
+     * Register an initialized SPL mint
+     */
+    createMint(mint, decimals) {
+        const data = Buffer.alloc(MINT_SIZE);
+        MintLayout.encode({
+            mintAuthorityOption: 0,
+            mintAuthority: PublicKey.default,
+            supply: 0n,
+            decimals,
+            isInitialized: true,
+            freezeAuthorityOption: 0,
+            freezeAuthority: PublicKey.default
+        }, data);
+
+        this.setAccount(mint, { data, owner: TOKEN_PROGRAM_ID });
+        return mint;
+    }
+
+    /**
+     * Register the associated token account of `owner` holding `amount` base units
+     */
+    createTokenAccount(owner, mint, amount = 0n, { frozen = false } = {}) {
+        const address = getAssociatedTokenAddressSync(mint, owner);
+        const data = Buffer.alloc(ACCOUNT_SIZE);
+        AccountLayout.encode({
+            mint,
+            owner,
+            amount: BigInt(amount),
+            delegateOption: 0,
+            delegate: PublicKey.default,
+            state: frozen ? 2 : 1,
+            isNativeOption: 0,
+            isNative: 0n,
+            delegatedAmount: 0n,
+            closeAuthorityOption: 0,
+            closeAuthority: PublicKey.default
+        }, data);
+
+        this.setAccount(address, { data, owner: TOKEN_PROGRAM_ID });
+        return address;
+    }
+
+    setAccount(address, { data = Buffer.alloc(0), owner = SystemProgram.programId, lamports = 1 }) {
+        this.accounts.set(address.toBase58(), {
+            data,
+            owner,
+            lamports,
+            executable: false,
+            rentEpoch: 0
+        });
+    }
+
+    getStored(signature) {
+        const stored = this.transactions.get(signature);
+        return { message: stored.transaction.message, meta: stored.meta };
+    }
+
+    /**
+     * Move a transaction to `finalized`; everything starts out `confirmed`
+     */
+    finalize(signature) {
+        this.transactions.get(signature).confirmationStatus = 'finalized';
+    }
+
+    /**
+     * Forget a transaction, as when its block is dropped by a fork
+     */
+    dropTransaction(signature) {
+        this.transactions.delete(signature);
+    }
+
+    async getSignatureStatuses(signatures) {
+        this.calls.push(['getSignatureStatuses', ...signatures]);
+
+        return {
+            context: { slot: this.slot },
+            value: signatures.map((signature) => {
+                const stored = this.transactions.get(signature);
+                if (!stored) return null;
+
+                const finalized = stored.confirmationStatus === 'finalized';
+                return {
+                    slot: stored.slot,
+                    confirmations: finalized ? null : this.slot - stored.slot + 1,
+                    err: stored.meta.err,
+                    confirmationStatus: stored.confirmationStatus || 'confirmed'
+                };
+            })
+        };
+    }
+
+    async getSignaturesForAddress(address, options = {}) {
+        this.calls.push(['getSignaturesForAddress', address.toBase58()]);
+
+        const matches = [];
+        for (const [signature, stored] of this.transactions) {
+            if (stored.transaction.message.accountKeys.some((key) => key.equals(address))) {
+                matches.push({
+                    signature,
+                    slot: stored.slot,
+                    err: stored.meta.err,
+                    memo: null,
+                    blockTime: stored.blockTime,
+                    confirmationStatus: stored.confirmationStatus || 'confirmed'
+                });
+            }
+        }
+
+        // RPC returns newest first
+        return matches.reverse().slice(0, options.limit || 1000);
+    }
+
+    async getTransaction(signature) {
+        this.calls.push(['getTransaction', signature]);
+        return this.transactions.get(signature) || null;
+    }
+
+    async getAccountInfo(address) {
+        this.calls.push(['getAccountInfo', address.toBase58()]);
+        return this.accounts.get(address.toBase58()) || null;
+    }
+
+    async getLatestBlockhash() {
+        return {
+            blockhash: Keypair.generate().publicKey.toBase58(),
+            lastValidBlockHeight: this.slot + 150
+        };
+    }
+
+    async getSlot() {
+        return this.slot;
+    }
+}
+
+function memoInstruction(memo) {
+    return new TransactionInstruction({
+        programId: MEMO_PROGRAM_ID,
+        keys: [],
+        data: Buffer.from(memo, 'utf8')
+    });
+}
+
+/**
+ * Random base58 string as long as a real transaction signature (64 bytes).
+ * Nothing checks the bytes, but models validate the length.
+ */
+function randomSignature() {
+    return randomKey().toBase58() + randomKey().toBase58();
+}
+
+/**
+ * Random base58 public key, handy for references and wallets
+ */
+function randomKey() {
+    return Keypair.generate().publicKey;
+}
+
+module.exports = {
+    MockConnection,
+    randomKey,
+    randomSignature
+};
@@ -0,0 +1,144 @@
+const {
+    Connection,
+    Keypair,
+    LAMPORTS_PER_SOL,
+    SystemProgram,
+    Transaction,
+    sendAndConfirmTransaction
+} = require('@solana/web3.js');
+const {
+    createMint,
+    createTransferCheckedInstruction,
+    getAssociatedTokenAddressSync,
+    getOrCreateAssociatedTokenAccount,
+    mintTo
+} = require('@solana/spl-token');
+const BigNumber = require('bignumber.js');
+const { MockConnection } = require('./mockConnection');
+
+/**
+ * One way for tests to move funds, whatever is behind the connection.
+ *
+ * `MockHarness` records transactions in a MockConnection, so suites run
+ * offline. Setting `SOLANA_TEST_VALIDATOR_URL` (e.g. http://127.0.0.1:8899
+ * for a running `solana-test-validator`) swaps in `ValidatorHarness`, which
+ * airdrops, mints and sends real transactions. Both resolve transfers to
+ * their signature; wallets are Keypairs in both.
+ */
+class MockHarness {
+    constructor() {
+        this.connection = new MockConnection();
+        this.live = false;
+    }
+
+    async wallet() {
+        return Keypair.generate();
+    }
+
+    async createMint(decimals) {
+        return this.connection.createMint(Keypair.generate().publicKey, decimals);
+    }
+
+    /**
+     * Give `owner` `amount` whole tokens in its associated token account
+     */
+    async mintTo(owner, mint, amount, decimals) {
+        return this.connection.createTokenAccount(owner, mint, toBaseUnits(amount, decimals));
+    }
+
+    async sendSol({ from, to, sol, reference }) {
+        return this.connection.sendSolTransfer({
+            from: from.publicKey,
+            to,
+            lamports: toBaseUnits(sol, 9),
+            reference
+        });
+    }
+
+    async sendToken({ from, to, mint, amount, decimals, reference }) {
+        return this.connection.sendTokenTransfer({ from: from.publicKey, to, mint, amount, decimals, reference });
+    }
+}
+
+class ValidatorHarness {
+    constructor(url) {
+        this.connection = new Connection(url, 'confirmed');
+        this.live = true;
+        this.mintAuthority = null;
+    }
+
+    /**
+     * Fresh wallet funded by airdrop
+     */
+    async wallet(sol = 10) {
+        const wallet = Keypair.generate();
+        const signature = await this.connection.requestAirdrop(wallet.publicKey, sol * LAMPORTS_PER_SOL);
+        const latest = await this.connection.getLatestBlockhash();
+        await this.connection.confirmTransaction({ signature, ...latest }, 'confirmed');
+        return wallet;
+    }
+
+    async createMint(decimals) {
+        this.mintAuthority = this.mintAuthority || await this.wallet();
+        return createMint(this.connection, this.mintAuthority, this.mintAuthority.publicKey, null, decimals);
+    }
+
+    async mintTo(owner, mint, amount, decimals) {
+        const account = await getOrCreateAssociatedTokenAccount(this.connection, this.mintAuthority, mint, owner);
+        await mintTo(this.connection, this.mintAuthority, mint, account.address, this.mintAuthority, toBaseUnits(amount, decimals));
+        return account.address;
+    }
+
+    async sendSol({ from, to, sol, reference }) {
+        const transfer = SystemProgram.transfer({
+            fromPubkey: from.publicKey,
+            toPubkey: to,
+            lamports: toBaseUnits(sol, 9)
+        });
+        if (reference) {
+            transfer.keys.push({ pubkey: reference, isWritable: false, isSigner: false });
+        }
+
+        return sendAndConfirmTransaction(this.connection, new Transaction().add(transfer), [from], {
+            commitment: 'confirmed'
+        });
+    }
+
+    async sendToken({ from, to, mint, amount, decimals, reference }) {
+        // The recipient may not hold the token yet
+        const destination = await getOrCreateAssociatedTokenAccount(this.connection, from, mint, to);
+        const transfer = createTransferCheckedInstruction(
+            getAssociatedTokenAddressSync(mint, from.publicKey),
+            mint,
+            destination.address,
+            from.publicKey,
+            toBaseUnits(amount, decimals),
+            decimals
+        );
+        if (reference) {
+            transfer.keys.push({ pubkey: reference, isWritable: false, isSigner: false });
+        }
+
+        return sendAndConfirmTransaction(this.connection, new Transaction().add(transfer), [from], {
+            commitment: 'confirmed'
+        });
+    }
+}
+
+function toBaseUnits(amount, decimals) {
+    return BigInt(new BigNumber(amount).shiftedBy(decimals).toFixed(0));
+}
+
+/**
+ * Harness for the current environment
+ */
+function createHarness() {
+    const url = process.env.SOLANA_TEST_VALIDATOR_URL;
+    return url ? new ValidatorHarness(url) : new MockHarness();
+}
+
+module.exports = {
+    MockHarness,
+    ValidatorHarness,
+    createHarness
+};
@@ -0,0 +1,190 @@
+process.env.DB_PATH = ':memory:';
+
+const { sequelize, Product, Cart, Coupon, Order, OrderItem, OrderEvent } = require('../../src/models');
+const { CartService } = require('../../src/services/cartService');
+const { TaxService, RulesTaxProvider } = require('../../src/services/taxService');
+const { ShippingQuoteError } = require('../../src/services/shippingQuotes');
+
+const SESSION = 'sess_test';
+const ADDRESS = { firstName: 'Ada', lastName: 'Buyer', country: 'US', state: 'TX', address1: '1 Main St', city: 'Austin', zipCode: '73301' };
+
+describe('CartService', () => {
+    let carts;
+    let shippingQuotes;
+    let tee;
+    let sticker;
+
+    beforeEach(async () => {
+        await sequelize.sync({ force: true });
+        tee = await Product.create({
+            title: 'Solana Logo Tee',
+            base_price: 25,
+            variants: [{ id: 12101, title: 'M' }, { id: 12102, title: 'L' }]
+        });
+        sticker = await Product.create({ title: 'Sticker', base_price: 3 });
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        shippingQuotes = {
+            selectOption: jest.fn(async () => ({
+                method: 'standard',
+                cost: 5,
+                estimated_delivery: { min_days: 5, max_days: 8 },
+                quote_id: 'ship_test',
+                printify_method: 1
+            }))
+        };
+        carts = new CartService({
+            shippingQuotes,
+            taxService: new TaxService({
+                provider: new RulesTaxProvider({ rules: { countries: { US: { regions: { TX: { physical: 0.0625, digital: 0.0625 } } } } } })
+            })
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('prices lines from the catalog and merges repeat adds', async () => {
+        const { cart_id } = await carts.createCart(SESSION);
+
+        await carts.addItem(cart_id, SESSION, { product_id: tee.id, variant_id: 12101, quantity: 1, price: 0.01 });
+        await carts.addItem(cart_id, SESSION, { product_id: tee.id, variant_id: 12101, quantity: 2 });
+        const cart = await carts.addItem(cart_id, SESSION, { product_id: sticker.id, quantity: 2 });
+
+        expect(cart.items).toHaveLength(2);
+        expect(cart.items[0]).toMatchObject({ product_id: tee.id, variant_id: '12101', quantity: 3, unit_price: 25, total_price: 75 });
+        expect(cart).toMatchObject({ subtotal: 81, discount: 0, shipping: null, total: 81 });
+
+        // The catalog price at the time of asking, not the one the line was added at
+        await tee.update({ base_price: 30 });
+        expect((await carts.getTotals(cart_id, SESSION)).subtotal).toBe(96);
+
+        await expect(carts.addItem(cart_id, SESSION, { product_id: tee.id, variant_id: 999 })).rejects.toMatchObject({ status: 400 });
+        await expect(carts.addItem(cart_id, SESSION, { product_id: 9999 })).rejects.toMatchObject({ status: 404 });
+        await expect(carts.addItem(cart_id, SESSION, { product_id: sticker.id, quantity: 99 })).rejects.toMatchObject({ status: 400 });
+
+        const { items } = await carts.removeItem(cart_id, SESSION, cart.items[1].id);
+        expect(items).toHaveLength(1);
+    });
+
+    test('keeps carts to the session that created them', async () => {
+        const { cart_id } = await carts.createCart(SESSION);
+
+        await expect(carts.getTotals(cart_id, 'sess_other')).rejects.toMatchObject({ name: 'CartError', status: 404 });
+        await expect(carts.getPayableTotals(cart_id, undefined)).rejects.toMatchObject({ status: 400 });
+        await expect(carts.getPayableTotals(cart_id, SESSION)).rejects.toThrow('Cart is empty');
+    });
+
+    test('applies percent and fixed coupons within their limits', async () => {
+        await Coupon.bulkCreate([
+            { code: 'tenoff', discount_type: 'percent', value: 10 },
+            { code: 'FIVE', discount_type: 'fixed', value: 5, min_subtotal: 100 },
+            { code: 'OLD', discount_type: 'fixed', value: 5, expires_at: new Date(Date.now() - 1000) },
+            { code: 'GONE', discount_type: 'fixed', value: 5, usage_limit: 1, times_used: 1 }
+        ]);
+        const { cart_id } = await carts.createCart(SESSION);
+        await carts.addItem(cart_id, SESSION, { product_id: tee.id, quantity: 2 });
+        await carts.addItem(cart_id, SESSION, { product_id: sticker.id, quantity: 1 });
+
+        const cart = await carts.applyCoupon(cart_id, SESSION, 'TenOff');
+        expect(cart).toMatchObject({ coupon: { code: 'TENOFF', discount: 5.3 }, subtotal: 53, discount: 5.3, total: 47.7 });
+
+        await expect(carts.applyCoupon(cart_id, SESSION, 'FIVE')).rejects.toThrow('at least $100.00');
+        await expect(carts.applyCoupon(cart_id, SESSION, 'OLD')).rejects.toThrow('expired');
+        await expect(carts.applyCoupon(cart_id, SESSION, 'GONE')).rejects.toThrow('used up');
+        await expect(carts.applyCoupon(cart_id, SESSION, 'NOPE')).rejects.toMatchObject({ status: 404 });
+
+        // A coupon switched off after it was applied no longer discounts
+        await Coupon.update({ active: false }, { where: { code: 'TENOFF' } });
+        const lapsed = await carts.getTotals(cart_id, SESSION);
+        expect(lapsed).toMatchObject({ coupon: { code: 'TENOFF', discount: 0, error: expect.stringContaining('expired') }, total: 53 });
+
+        expect((await carts.removeCoupon(cart_id, SESSION)).coupon).toBeNull();
+    });
+
+    test('adds shipping and tax on the discounted lines', async () => {
+        await Coupon.create({ code: 'FIVE', discount_type: 'fixed', value: 5 });
+        const { cart_id } = await carts.createCart(SESSION);
+        await carts.addItem(cart_id, SESSION, { product_id: tee.id, variant_id: 12102, quantity: 2 });
+        await carts.applyCoupon(cart_id, SESSION, 'FIVE');
+
+        await expect(carts.setShipping(cart_id, SESSION, { shipping_address: { city: 'Austin' } })).rejects.toMatchObject({ status: 400 });
+        const cart = await carts.setShipping(cart_id, SESSION, { shipping_address: ADDRESS, shipping_method: 'standard' });
+
+        expect(shippingQuotes.selectOption).toHaveBeenLastCalledWith(
+            [{ product_id: tee.id, variant_id: '12102', quantity: 2 }],
+            ADDRESS,
+            'standard'
+        );
+        // (50 - 5) * 6.25% = 2.81
+        expect(cart).toMatchObject({
+            subtotal: 50,
+            discount: 5,
+            shipping: { method: 'standard', cost: 5 },
+            tax: { amount: 2.81, inclusive: false, jurisdiction: 'US-TX' },
+            total: 52.81
+        });
+        expect(cart.items[0]).toMatchObject({ tax_rate: 0.0625, tax_amount: 2.81 });
+    });
+
+    test('falls back to the default shipping method once the chosen one is no longer offered', async () => {
+        const { cart_id } = await carts.createCart(SESSION);
+        await carts.addItem(cart_id, SESSION, { product_id: tee.id, variant_id: 12101, quantity: 1 });
+        await carts.setShipping(cart_id, SESSION, { shipping_address: ADDRESS, shipping_method: 'express' });
+
+        // Express stops being offered, e.g. after the items change
+        shippingQuotes.selectOption.mockImplementation(async (items, address, method = 'standard') => {
+            if (method !== 'standard') {
+                throw new ShippingQuoteError(`Shipping method ${method} is not available for this cart`);
+            }
+            return { method: 'standard', cost: 5, quote_id: 'ship_test', printify_method: 1 };
+        });
+
+        const cart = await carts.getTotals(cart_id, SESSION);
+        expect(cart.shipping).toMatchObject({ method: 'standard', cost: 5 });
+        expect(cart.total).toBe(31.56);
+        expect((await Cart.findOne({ where: { cart_id } })).shipping_method).toBeNull();
+
+        // Choosing a method that is not offered is still refused
+        await expect(carts.setShipping(cart_id, SESSION, { shipping_address: ADDRESS, shipping_method: 'express' }))
+            .rejects.toMatchObject({ name: 'ShippingQuoteError', status: 400 });
+    });
+
+    test('checks out once into an order priced from the cart', async () => {
+        await Coupon.create({ code: 'ONCE', discount_type: 'percent', value: 20, usage_limit: 1 });
+        const { cart_id } = await carts.createCart(SESSION);
+        await carts.addItem(cart_id, SESSION, { product_id: tee.id, variant_id: 12101, quantity: 2 });
+
+        await expect(carts.checkout(cart_id, SESSION, { customer_email: 'ada@example.com' })).rejects.toThrow('shipping address');
+        await carts.applyCoupon(cart_id, SESSION, 'ONCE');
+        await carts.setShipping(cart_id, SESSION, { shipping_address: ADDRESS });
+
+        const order = await carts.checkout(cart_id, SESSION, { customer_email: 'ada@example.com' });
+
+        expect(order).toMatchObject({
+            status: 'pending',
+            payment_status: 'pending',
+            customer_email: 'ada@example.com',
+            metadata: expect.objectContaining({ source: 'cart', cart_id, coupon: { code: 'ONCE', discount: 10 } })
+        });
+        expect(Number(order.subtotal)).toBe(50);
+        expect(Number(order.discount_amount)).toBe(10);
+        expect(Number(order.shipping_cost)).toBe(5);
+        expect(Number(order.tax_amount)).toBe(2.5);
+        expect(Number(order.total_amount)).toBe(47.5);
+        expect(order.items).toHaveLength(1);
+        expect(order.items[0]).toMatchObject({ product_id: tee.id, variant_id: '12101', quantity: 2 });
+        expect(Number(order.items[0].tax_amount)).toBe(2.5);
+        expect(await OrderEvent.count({ where: { order_id: order.id, actor: 'shop' } })).toBe(1);
+        expect((await Coupon.findOne({ where: { code: 'ONCE' } })).times_used).toBe(1);
+
+        // Checking out again is the same order, and the cart is closed
+        const again = await carts.checkout(cart_id, SESSION, { customer_email: 'ada@example.com' });
+        expect(again.id).toBe(order.id);
+        expect(await Order.count()).toBe(1);
+        expect(await OrderItem.count()).toBe(1);
+        await expect(carts.addItem(cart_id, SESSION, { product_id: sticker.id })).rejects.toMatchObject({ status: 409 });
+        await expect(carts.getPayableTotals(cart_id, SESSION)).rejects.toMatchObject({ status: 409 });
+    });
+});
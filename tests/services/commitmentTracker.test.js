@@ -0,0 +1,208 @@
+process.env.DB_PATH = ':memory:';
+
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { sequelize, Customer, Order, Payment } = require('../../src/models');
+const { CommitmentTracker } = require('../../src/services/commitmentTracker');
+const { PaymentEventHub } = require('../../src/services/paymentEvents');
+const { MockConnection, randomKey } = require('../helpers/mockConnection');
+
+const COMMITMENT = {
+    DEFAULT: 'confirmed',
+    TIERS: [
+        { min_usd: 100, commitment: 'confirmed' },
+        { min_usd: 500, commitment: 'finalized' }
+    ]
+};
+
+describe('CommitmentTracker', () => {
+    let connection;
+    let paymentEvents;
+    let tracker;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        await Customer.create({ email: 'buyer@example.com', first_name: 'Ada', last_name: 'Buyer' });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        connection = new MockConnection();
+        paymentEvents = new PaymentEventHub();
+        tracker = new CommitmentTracker({ connection, paymentEvents, commitment: COMMITMENT });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // A paid order as the verify route leaves it, before the tracker runs
+    async function createPaidPayment(usdAmount, options = {}) {
+        const signature = connection.sendSolTransfer({
+            from: randomKey(),
+            to: randomKey(),
+            lamports: LAMPORTS_PER_SOL,
+            err: options.err
+        });
+        const reference = randomKey().toBase58();
+        const order = await Order.create({
+            order_number: `ORD-${reference}`,
+            customer_email: 'buyer@example.com',
+            payment_method: 'sol',
+            subtotal: usdAmount,
+            total_amount: usdAmount
+        });
+
+        return Payment.create({
+            payment_id: `pay_${reference}`,
+            order_id: order.id,
+            amount: '1',
+            currency: 'SOL',
+            usd_amount: usdAmount,
+            status: 'confirmed',
+            reference_key: reference,
+            transaction_signature: signature
+        });
+    }
+
+    test('picks the strictest tier the amount reaches', () => {
+        expect(tracker.requiredCommitment(20)).toBe('confirmed');
+        expect(tracker.requiredCommitment('499.99')).toBe('confirmed');
+        expect(tracker.requiredCommitment(500)).toBe('finalized');
+        expect(tracker.requiredCommitment(2500)).toBe('finalized');
+
+        expect(() => new CommitmentTracker({
+            connection,
+            commitment: { DEFAULT: 'confirmed', TIERS: [{ min_usd: 10, commitment: 'rooted' }] }
+        })).toThrow('Unknown commitment level: rooted');
+    });
+
+    test('releases small orders at confirmed and finalizes later', async () => {
+        const payment = await createPaidPayment(30);
+
+        expect(await tracker.trackPayment(payment)).toBe('released');
+        let order = await Order.findByPk(payment.order_id);
+        expect(order.payment_status).toBe('completed');
+        expect(order.status).toBe('processing');
+        expect(payment.status).toBe('confirmed');
+        expect(payment.confirmation_count).toBe(1);
+        expect(payment.metadata).toMatchObject({ commitment: 'confirmed', required_commitment: 'confirmed' });
+
+        // Nothing new until the block is rooted
+        expect(await tracker.trackPayment(payment)).toBe('pending');
+
+        connection.finalize(payment.transaction_signature);
+        expect(await tracker.trackPayment(payment)).toBe('finalized');
+        expect(payment.status).toBe('finalized');
+        expect(payment.confirmation_count).toBe(32);
+        expect(paymentEvents.latest(payment.reference_key)).toMatchObject({ status: 'finalized' });
+
+        order = await Order.findByPk(payment.order_id);
+        expect(order.status).toBe('processing');
+    });
+
+    test('holds large orders until the payment is finalized', async () => {
+        const payment = await createPaidPayment(750);
+
+        expect(await tracker.trackPayment(payment)).toBe('pending');
+        let order = await Order.findByPk(payment.order_id);
+        expect(order.payment_status).toBe('processing');
+        expect(order.status).toBe('pending');
+        expect(payment.metadata.required_commitment).toBe('finalized');
+
+        connection.finalize(payment.transaction_signature);
+        expect(await tracker.trackPayment(payment)).toBe('finalized');
+        order = await Order.findByPk(payment.order_id);
+        expect(order.payment_status).toBe('completed');
+        expect(order.status).toBe('processing');
+    });
+
+    test('puts the order on hold when the transaction disappears', async () => {
+        const payment = await createPaidPayment(30);
+        await tracker.trackPayment(payment);
+
+        const stored = connection.transactions.get(payment.transaction_signature);
+        connection.dropTransaction(payment.transaction_signature);
+
+        expect(await tracker.trackPayment(payment)).toBe('held');
+        let order = await Order.findByPk(payment.order_id);
+        expect(payment.status).toBe('on_hold');
+        expect(payment.metadata.hold.reason).toBe('transaction_missing');
+        expect(order.status).toBe('on_hold');
+        expect(order.payment_status).toBe('processing');
+        expect(paymentEvents.latest(payment.reference_key)).toMatchObject({
+            status: 'flagged',
+            data: { reason: 'transaction_missing' }
+        });
+
+        // Held once; later checks don't repeat it
+        expect(await tracker.trackPayment(payment)).toBe('pending');
+
+        // The transaction lands again on the surviving fork
+        connection.transactions.set(payment.transaction_signature, stored);
+        expect(await tracker.trackPayment(payment)).toBe('released');
+        order = await Order.findByPk(payment.order_id);
+        expect(payment.status).toBe('confirmed');
+        expect(payment.metadata.hold).toBeUndefined();
+        expect(payment.metadata.hold_cleared_at).toBeDefined();
+        expect(order.status).toBe('processing');
+        expect(order.payment_status).toBe('completed');
+    });
+
+    test('follows every transfer of a topped-up payment', async () => {
+        const payment = await createPaidPayment(750);
+        const topUp = connection.sendSolTransfer({ from: randomKey(), to: randomKey(), lamports: LAMPORTS_PER_SOL });
+        await payment.update({
+            metadata: {
+                transfers: [
+                    { signature: payment.transaction_signature, amount: '0.5', slot: 1 },
+                    { signature: topUp, amount: '0.5', slot: 2 }
+                ]
+            }
+        });
+
+        // The order needs finalized, and only the first transfer is
+        connection.finalize(payment.transaction_signature);
+        expect(await tracker.trackPayment(payment)).toBe('pending');
+        expect(payment.metadata.commitment).toBe('confirmed');
+        expect((await Order.findByPk(payment.order_id)).status).toBe('pending');
+
+        connection.dropTransaction(topUp);
+        expect(await tracker.trackPayment(payment)).toBe('held');
+        expect(payment.metadata.hold).toMatchObject({ reason: 'transaction_missing', transaction_signature: topUp });
+    });
+
+    test('flags shipped orders whose payment disappears instead of holding them', async () => {
+        const payment = await createPaidPayment(30);
+        await tracker.trackPayment(payment);
+        await Order.update({ status: 'shipped' }, { where: { id: payment.order_id } });
+
+        const stored = connection.transactions.get(payment.transaction_signature);
+        connection.dropTransaction(payment.transaction_signature);
+
+        expect(await tracker.trackPayment(payment)).toBe('held');
+        let order = await Order.findByPk(payment.order_id);
+        expect(payment.status).toBe('on_hold');
+        expect(order.status).toBe('shipped');
+        expect(order.metadata.payment_hold).toMatchObject({
+            payment_id: payment.payment_id,
+            reason: 'transaction_missing'
+        });
+
+        connection.transactions.set(payment.transaction_signature, stored);
+        expect(await tracker.trackPayment(payment)).toBe('pending');
+        order = await Order.findByPk(payment.order_id);
+        expect(payment.status).toBe('confirmed');
+        expect(order.metadata.payment_hold).toBeUndefined();
+        expect(order.status).toBe('shipped');
+    });
+
+    test('holds payments whose transaction failed', async () => {
+        const payment = await createPaidPayment(30, { err: { InstructionError: [0, 'Custom'] } });
+
+        expect(await tracker.trackPayment(payment)).toBe('held');
+        expect(payment.metadata.hold).toMatchObject({
+            reason: 'transaction_failed',
+            error: { InstructionError: [0, 'Custom'] }
+        });
+    });
+});
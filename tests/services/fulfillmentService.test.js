@@ -0,0 +1,230 @@
+process.env.DB_PATH = ':memory:';
+
+const { sequelize, Customer, FulfillmentJob, Order, OrderItem, Product } = require('../../src/models');
+const { FulfillmentService } = require('../../src/services/fulfillmentService');
+
+const QUEUE = {
+    SEND_TO_PRODUCTION: false,
+    MAX_ATTEMPTS: 3,
+    RETRY_BASE_MS: 1000,
+    RETRY_MAX_MS: 3000,
+    INTERVAL_MS: 60000
+};
+
+// An error the way printifyService reports a Printify answer
+function printifyError(status, retryAfter = null) {
+    const error = new Error(`Failed to create Printify order: Request failed with status code ${status}`);
+    error.printifyStatus = status;
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+describe('FulfillmentService', () => {
+    let printify;
+    let emailService;
+    let paymentEvents;
+    let product;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        await Customer.create({ email: 'buyer@example.com', first_name: 'Ada', last_name: 'Buyer' });
+        product = await Product.create({
+            title: 'Solana Logo Tee',
+            base_price: 24.99,
+            printify_product_id: 'printify-tee',
+            variants: [
+                { id: 12100, title: 'S', price: 24.99, is_enabled: false },
+                { id: 12101, title: 'M', price: 24.99, is_enabled: true }
+            ]
+        });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        printify = {
+            createOrder: jest.fn(async order => ({ id: `printify-${order.external_id}` })),
+            submitOrder: jest.fn().mockResolvedValue({}),
+            getOrders: jest.fn().mockResolvedValue({ data: [], last_page: 1 })
+        };
+        emailService = { sendAdminNotification: jest.fn().mockResolvedValue({ success: true }) };
+        paymentEvents = { publish: jest.fn() };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function createService(queue = {}) {
+        return new FulfillmentService({
+            printifyService: printify,
+            emailService,
+            paymentEvents,
+            queue: { ...QUEUE, ...queue }
+        });
+    }
+
+    async function createPaidOrder(item = { variant_id: '12101' }) {
+        const order = await Order.create({
+            order_number: `ORD-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            customer_email: 'buyer@example.com',
+            payment_method: 'sol',
+            subtotal: 24.99,
+            total_amount: 24.99,
+            status: 'processing',
+            payment_status: 'completed',
+            shipping_address: { firstName: 'Ada', lastName: 'Buyer', address1: '1 Main St', city: 'Austin', state: 'TX', zipCode: '73301', country: 'US' }
+        });
+        await OrderItem.create({
+            order_id: order.id,
+            product_id: product.id,
+            product_title: product.title,
+            quantity: 2,
+            unit_price: 24.99,
+            total_price: 49.98,
+            ...item
+        });
+        return order;
+    }
+
+    test('submits the order and sends it to production when asked', async () => {
+        const service = createService({ SEND_TO_PRODUCTION: true });
+        // Stored without a variant or Printify id: both come from the product
+        const order = await createPaidOrder({ variant_id: null });
+
+        expect(await service.submitOrder(order)).toBe(order);
+
+        expect(printify.createOrder).toHaveBeenCalledWith({
+            external_id: order.order_number,
+            items: [{ printify_id: 'printify-tee', variant_id: 12101, quantity: 2 }],
+            shipping_address: expect.objectContaining({ first_name: 'Ada', region: 'TX', zip: '73301', email: 'buyer@example.com' })
+        });
+        expect(printify.submitOrder).toHaveBeenCalledWith(`printify-${order.order_number}`);
+        expect(order.printify_order_id).toBe(`printify-${order.order_number}`);
+
+        const job = await FulfillmentJob.findOne({ where: { order_id: order.id } });
+        expect(job).toMatchObject({ status: 'completed', attempts: 1, printify_order_id: order.printify_order_id });
+        expect(job.sent_to_production_at).toBeInstanceOf(Date);
+
+        // Submitting again is a no-op
+        await service.submitOrder(order);
+        expect(printify.createOrder).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries throttling with backoff and finds an order that reached Printify', async () => {
+        const service = createService();
+        const order = await createPaidOrder();
+        printify.createOrder.mockRejectedValueOnce(printifyError(429, 5));
+
+        expect(await service.submitOrder(order)).toBeNull();
+
+        const job = await FulfillmentJob.findOne({ where: { order_id: order.id } });
+        expect(job).toMatchObject({ status: 'pending', attempts: 1, last_error_status: 429 });
+        // Retry-After beats the 1s first backoff
+        expect(job.next_attempt_at.getTime() - job.last_attempt_at.getTime()).toBeGreaterThanOrEqual(5000);
+        expect((await order.reload()).metadata.fulfillment.error).toContain('429');
+
+        // Not due yet
+        expect(await service.runOnce()).toMatchObject({ attempted: 0 });
+
+        await job.update({ next_attempt_at: new Date(Date.now() - 1) });
+        printify.getOrders.mockResolvedValueOnce({ data: [{ id: 'printify-existing', external_id: order.order_number }], last_page: 1 });
+
+        expect(await service.runOnce()).toMatchObject({ attempted: 1, completed: 1 });
+        expect(printify.createOrder).toHaveBeenCalledTimes(1);
+        expect((await order.reload()).printify_order_id).toBe('printify-existing');
+        expect(order.metadata.fulfillment.error).toBeUndefined();
+        expect(emailService.sendAdminNotification).not.toHaveBeenCalled();
+    });
+
+    test('fails orders Printify refuses and lets admins retry them', async () => {
+        const service = createService();
+        const order = await createPaidOrder();
+        printify.createOrder.mockRejectedValueOnce(printifyError(400));
+
+        await service.submitOrder(order);
+
+        const job = await FulfillmentJob.findOne({ where: { order_id: order.id } });
+        expect(job).toMatchObject({ status: 'failed', attempts: 1, last_error_status: 400, next_attempt_at: null });
+        expect(emailService.sendAdminNotification).toHaveBeenCalledWith(
+            expect.stringContaining(order.order_number),
+            expect.any(String),
+            expect.objectContaining({ printify_status: 400, attempts: 1 })
+        );
+        expect(paymentEvents.publish).not.toHaveBeenCalledWith(expect.anything(), 'order_created', expect.anything());
+
+        expect(await service.resubmit(order)).toMatchObject({ status: 'completed', attempts: 1 });
+        expect((await order.reload()).printify_order_id).toBe(`printify-${order.order_number}`);
+    });
+
+    test('runs a job once when several attempts reach it at the same time', async () => {
+        const service = createService();
+        const order = await createPaidOrder();
+        const job = await service.enqueue(order);
+
+        const [first, second] = await Promise.all([
+            service.process(job),
+            service.process(await FulfillmentJob.findByPk(job.id))
+        ]);
+
+        expect(printify.createOrder).toHaveBeenCalledTimes(1);
+        expect([first.status, second.status].sort()).toEqual(['completed', 'processing']);
+        expect(await job.reload()).toMatchObject({ status: 'completed', attempts: 1 });
+    });
+
+    test('puts back jobs an interrupted attempt left claimed', async () => {
+        const service = createService();
+        const order = await createPaidOrder();
+        const job = await service.enqueue(order);
+        await job.update({ status: 'processing', attempts: 1 });
+        printify.getOrders.mockResolvedValueOnce({ data: [{ id: 'printify-interrupted', external_id: order.order_number }], last_page: 1 });
+
+        // Claimed recently: still running somewhere
+        expect(await service.runOnce()).toMatchObject({ attempted: 0 });
+
+        await sequelize.query('UPDATE fulfillment_jobs SET updated_at = ? WHERE id = ?', {
+            replacements: [new Date(Date.now() - QUEUE.RETRY_MAX_MS - 1000), job.id]
+        });
+        expect(await service.runOnce()).toMatchObject({ attempted: 1, completed: 1 });
+        expect(printify.createOrder).not.toHaveBeenCalled();
+        expect((await order.reload()).printify_order_id).toBe('printify-interrupted');
+    });
+
+    test('gives up after the last attempt', async () => {
+        const service = createService();
+        const order = await createPaidOrder();
+        printify.createOrder.mockRejectedValue(printifyError(503));
+
+        await service.submitOrder(order);
+        const job = await FulfillmentJob.findOne({ where: { order_id: order.id } });
+
+        for (let attempt = 2; attempt <= QUEUE.MAX_ATTEMPTS; attempt++) {
+            await job.update({ next_attempt_at: new Date(Date.now() - 1) });
+            await service.runOnce();
+            await job.reload();
+        }
+
+        expect([1, 2, 3, 4].map(attempts => service.backoff(attempts, {}))).toEqual([1000, 2000, 3000, 3000]);
+        expect(job).toMatchObject({ status: 'failed', attempts: 3, last_error_status: 503 });
+        expect(emailService.sendAdminNotification).toHaveBeenCalledTimes(1);
+    });
+
+    test('fails items without a Printify variant right away', async () => {
+        const service = createService();
+        const mug = await Product.create({
+            title: 'Mug',
+            base_price: 12,
+            printify_product_id: 'printify-mug',
+            variants: [{ id: 1, is_enabled: true }, { id: 2, is_enabled: true }]
+        });
+        const order = await createPaidOrder({ product_id: mug.id, product_title: 'Mug', variant_id: null });
+
+        await service.submitOrder(order);
+
+        expect(printify.createOrder).not.toHaveBeenCalled();
+        expect(await FulfillmentJob.findOne({ where: { order_id: order.id } }))
+            .toMatchObject({ status: 'failed', last_error: 'Order item "Mug" has no Printify variant' });
+    });
+});
@@ -0,0 +1,90 @@
+process.env.DB_PATH = ':memory:';
+
+const { Keypair } = require('@solana/web3.js');
+const { PaymentMint } = require('../../src/models');
+const { MintRegistry, normalizeCluster } = require('../../src/services/mintRegistry');
+const { MockConnection } = require('../helpers/mockConnection');
+
+describe('MintRegistry', () => {
+    beforeAll(async () => {
+        await PaymentMint.sync();
+    });
+
+    beforeEach(async () => {
+        await PaymentMint.destroy({ where: {} });
+    });
+
+    test('normalizes cluster names', () => {
+        expect(normalizeCluster('mainnet')).toBe('mainnet-beta');
+        expect(normalizeCluster('localhost')).toBe('localnet');
+        expect(() => normalizeCluster('moonnet')).toThrow('Unknown Solana cluster');
+    });
+
+    test('quotes cluster-specific mints', () => {
+        const devnet = new MintRegistry({ network: 'devnet' });
+        const mainnet = new MintRegistry({ network: 'mainnet-beta' });
+
+        expect(devnet.getMint('USDC')).toBe('4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU');
+        expect(mainnet.getMint('USDC')).toBe('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+        expect(devnet.getMint('SOL')).toBeNull();
+    });
+
+    test('leaves out tokens without a mint on the cluster', () => {
+        const devnet = new MintRegistry({ network: 'devnet' });
+
+        expect(devnet.list().map(token => token.symbol)).toEqual(['SOL', 'USDC']);
+        expect(devnet.get('USDT')).toBeNull();
+        expect(() => devnet.require('USDT')).toThrow('not enabled on devnet');
+    });
+
+    test('disables tokens and restores the setting on load', async () => {
+        const registry = new MintRegistry({ network: 'mainnet-beta' });
+
+        await registry.setEnabled('USDT', false);
+
+        expect(registry.isEnabled('USDT')).toBe(false);
+        expect(registry.get('USDT', 'mainnet-beta', { includeDisabled: true }).mint)
+            .toBe('Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB');
+
+        const reloaded = await new MintRegistry({ network: 'mainnet-beta' }).load();
+        expect(reloaded.isEnabled('USDT')).toBe(false);
+        expect(reloaded.isEnabled('USDC')).toBe(true);
+    });
+
+    test('adds custom mints with decimals read from chain', async () => {
+        const connection = new MockConnection();
+        const mint = Keypair.generate().publicKey;
+        connection.createMint(mint, 2);
+
+        const registry = new MintRegistry({ network: 'localnet' });
+        const token = await registry.addCustomMint(
+            { symbol: 'shop', name: 'Shop Token', mint: mint.toBase58(), decimals: 9 },
+            connection
+        );
+
+        expect(token).toMatchObject({
+            symbol: 'SHOP',
+            mint: mint.toBase58(),
+            decimals: 2,
+            network: 'localnet',
+            custom: true,
+            enabled: true
+        });
+        expect(new MintRegistry({ network: 'devnet' }).get('SHOP')).toBeNull();
+
+        await registry.removeCustomMint('SHOP');
+        expect(registry.get('SHOP')).toBeNull();
+    });
+
+    test('rejects custom mints that are missing or shadow built-ins', async () => {
+        const registry = new MintRegistry({ network: 'devnet' });
+        const mint = Keypair.generate().publicKey.toBase58();
+
+        await expect(registry.addCustomMint({ symbol: 'USDC', mint, decimals: 6 }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(registry.addCustomMint({ symbol: 'SHOP', mint, decimals: 6 }, new MockConnection()))
+            .rejects.toThrow('not found on devnet');
+        await expect(registry.addCustomMint({ symbol: 'SHOP', mint: 'nope', decimals: 6 }))
+            .rejects.toThrow('Invalid mint address');
+    });
+});
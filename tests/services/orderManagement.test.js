@@ -0,0 +1,215 @@
+process.env.DB_PATH = ':memory:';
+
+const { sequelize, Order, OrderEvent, Product } = require('../../src/models');
+const { runMigrations } = require('../../src/migrations');
+const { ShippingQuoteService } = require('../../src/services/shippingQuotes');
+const OrderManagementService = require('../../solana-pay-shop/backend/services/orderManagement');
+
+// Oregon has no sales tax
+const ADDRESS = { firstName: 'Ada', lastName: 'Lovelace', country: 'US', state: 'OR', city: 'Portland', address1: '1 Main St', zip: '97201' };
+
+describe('OrderManagementService', () => {
+    let service;
+    let shippingQuotes;
+    let tee;
+    let mug;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await sequelize.sync({ force: true });
+        tee = await Product.create({ title: 'Solana Tee', base_price: 20, printify_product_id: 'pfy-tee' });
+        mug = await Product.create({ title: 'Phantom Mug', base_price: 12 });
+        shippingQuotes = {
+            selectOption: jest.fn(async () => ({ method: 'standard', cost: 0, quote_id: 'ship_test', printify_method: 1 }))
+        };
+        service = new OrderManagementService({ shippingQuotes });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function createOrder(overrides = {}) {
+        return service.createOrder({
+            customerInfo: { email: 'ada@example.com', name: 'Ada Lovelace' },
+            items: [
+                { id: 'pfy-tee', name: 'Solana Tee', price: 20, quantity: 2 },
+                { id: mug.id, name: 'Phantom Mug', price: 12, quantity: 1 }
+            ],
+            subtotal: 52,
+            total: 52,
+            shippingAddress: ADDRESS,
+            paymentToken: 'USDC',
+            ...overrides
+        });
+    }
+
+    test('stores orders with their items and first history entry', async () => {
+        const order = await createOrder();
+
+        expect(order).toMatchObject({
+            orderNumber: expect.stringMatching(/^SOL-/),
+            customerId: 'ada@example.com',
+            customerInfo: { email: 'ada@example.com', name: 'Ada Lovelace' },
+            items: [
+                { id: tee.id, name: 'Solana Tee', price: 20, quantity: 2 },
+                { id: mug.id, name: 'Phantom Mug', price: 12, quantity: 1 }
+            ],
+            total: 52,
+            paymentToken: 'USDC',
+            status: 'pending',
+            statusHistory: [{ status: 'pending', note: 'Order created' }]
+        });
+
+        // A fresh service reads the same order back from the database
+        expect(await new OrderManagementService().getOrderByNumber(order.orderNumber)).toEqual(order);
+    });
+
+    test('rejects items that are not in the catalog without storing anything', async () => {
+        await expect(createOrder({ items: [{ id: 'unknown', name: 'Ghost', price: 1, quantity: 1 }] }))
+            .rejects.toThrow('Product not found: unknown');
+
+        expect(await Order.count()).toBe(0);
+    });
+
+    test('prices lines from the catalog and shipping from its quote instead of trusting the client', async () => {
+        shippingQuotes.selectOption.mockResolvedValueOnce({ method: 'express', cost: 7, quote_id: 'ship_test', printify_method: 3 });
+
+        const order = await createOrder({
+            items: [
+                { id: 'pfy-tee', name: 'Solana Tee', price: 0.01, quantity: 2, variantId: 12101 },
+                { id: mug.id, name: 'Phantom Mug', price: 0.01, quantity: 1 }
+            ],
+            shipping: 0,
+            shippingMethod: 'express'
+        });
+
+        expect(shippingQuotes.selectOption).toHaveBeenCalledWith(
+            [{ product_id: tee.id, variant_id: 12101, quantity: 2 }, { product_id: mug.id, variant_id: null, quantity: 1 }],
+            ADDRESS,
+            'express'
+        );
+        expect(order).toMatchObject({ subtotal: 52, shipping: 7, total: 59 });
+        expect(order.items.map(item => item.price)).toEqual([20, 12]);
+
+        await expect(createOrder({ items: [{ id: mug.id, name: 'Phantom Mug', quantity: -1 }] }))
+            .rejects.toThrow('Quantity must be a positive whole number');
+
+        // Without a country there is no shipping quote, and no order
+        const quoting = new OrderManagementService({ shippingQuotes: new ShippingQuoteService() });
+        await expect(quoting.createOrder({ customerInfo: { email: 'ada@example.com' }, items: [{ id: mug.id, quantity: 1 }] }))
+            .rejects.toThrow('A shipping address with a country is required');
+        expect(await Order.count()).toBe(1);
+    });
+
+    test('works out tax from the shipping address instead of trusting the client', async () => {
+        const texas = await createOrder({
+            shippingAddress: { country: 'US', state: 'TX', city: 'Austin' },
+            tax: 0,
+            total: 1
+        });
+        shippingQuotes.selectOption.mockResolvedValueOnce({ method: 'standard', cost: 5, quote_id: 'ship_de', printify_method: 1 });
+        const berlin = await createOrder({ shippingAddress: { country: 'DE', city: 'Berlin' }, shipping: 0 });
+
+        expect(texas).toMatchObject({ subtotal: 52, tax: 3.25, total: 55.25, taxInclusive: false });
+        expect(texas.items.map(item => item.tax)).toEqual([2.5, 0.75]);
+        // German prices include VAT, so it is part of the subtotal rather than added to it
+        expect(berlin).toMatchObject({ subtotal: 52, tax: 8.31, shipping: 5, total: 57, taxInclusive: true });
+    });
+
+    test('records every status change and links payments', async () => {
+        const order = await createOrder();
+
+        await service.linkPaymentToOrder(order.id, 'pay-1');
+        const paid = await service.markOrderAsPaid(order.id, 'sig-1');
+
+        expect(paid).toMatchObject({ status: 'paid', paymentId: 'pay-1', paymentSignature: 'sig-1', paidAt: expect.any(String) });
+        expect(paid.statusHistory.map(entry => entry.status)).toEqual(['pending', 'payment_pending', 'paid']);
+        expect(paid.statusHistory[2].note).toBe('Payment confirmed with signature: sig-1');
+
+        await expect(service.updateOrderStatus(order.id, 'lost')).rejects.toThrow('Invalid order status');
+        await expect(service.updateOrderStatus(9999, 'paid')).rejects.toThrow('Order not found');
+
+        const events = await OrderEvent.findAll({ where: { order_id: order.id }, order: [['id', 'ASC']] });
+        expect(events.map(event => [event.from_status, event.to_status, event.actor])).toEqual([
+            [null, 'pending', 'shop'],
+            ['pending', 'payment_pending', 'shop'],
+            ['payment_pending', 'paid', 'shop']
+        ]);
+    });
+
+    test('refuses status changes the order cannot make', async () => {
+        const order = await createOrder();
+
+        await expect(service.updateOrderStatus(order.id, 'shipped')).rejects.toThrow('Order cannot move from pending to shipped');
+        await expect(service.updateOrderStatus(order.id, 'paid')).rejects.toThrow('Order has not been paid');
+        expect((await service.getOrder(order.id)).statusHistory).toHaveLength(1);
+    });
+
+    test('rolls a status change back with its history entry', async () => {
+        const order = await createOrder();
+        jest.spyOn(OrderEvent, 'create').mockRejectedValueOnce(new Error('disk full'));
+
+        await expect(service.updateOrderStatus(order.id, 'cancelled')).rejects.toThrow('disk full');
+
+        const current = await service.getOrder(order.id);
+        expect(current.status).toBe('pending');
+        expect(current.statusHistory).toHaveLength(1);
+    });
+
+    test('searches and pages orders', async () => {
+        const first = await createOrder();
+        await createOrder({ customerInfo: { email: 'grace@example.com', name: 'Grace Hopper' }, items: [{ id: mug.id, name: 'Phantom Mug', price: 12, quantity: 1 }] });
+
+        expect((await service.searchOrders('grace')).orders.map(order => order.customerInfo.name)).toEqual(['Grace Hopper']);
+        expect((await service.searchOrders('solana tee')).orders.map(order => order.id)).toEqual([first.id]);
+        expect((await service.searchOrders(first.orderNumber)).pagination.total).toBe(1);
+
+        const page = await service.getCustomerOrders('ada@example.com', { limit: 1 });
+        expect(page.pagination).toEqual({ total: 1, limit: 1, offset: 0, hasMore: false });
+        expect((await service.getAllOrders({ limit: 1 })).pagination.hasMore).toBe(true);
+    });
+
+    test('reports statistics over paid orders', async () => {
+        const first = await createOrder();
+        await createOrder({ paymentToken: 'SOL' });
+        await service.markOrderAsPaid(first.id, 'sig-1');
+
+        const stats = await service.getOrderStatistics('30d');
+
+        expect(stats).toMatchObject({
+            totalOrders: 2,
+            totalRevenue: 52,
+            averageOrderValue: 52,
+            paymentTokenBreakdown: { USDC: 1, SOL: 1 }
+        });
+        expect(stats.statusBreakdown).toMatchObject({ pending: 1, paid: 1 });
+        expect(stats.topProducts[tee.id]).toEqual({ name: 'Solana Tee', quantity: 4, revenue: 80 });
+    });
+
+    test('migrations move status history into order events', async () => {
+        const order = await createOrder();
+        // Placed before status changes were recorded
+        const { id } = await Order.create({
+            order_number: 'ORD-OLD',
+            customer_email: 'ada@example.com',
+            status: 'processing',
+            payment_status: 'completed',
+            payment_method: 'solana',
+            subtotal: 10,
+            total_amount: 10
+        });
+
+        expect(await runMigrations(sequelize)).toEqual(['001-order-status-history.js', '002-order-events.js', '003-payment-transfers.js']);
+        expect(await runMigrations(sequelize)).toEqual([]);
+        expect(await sequelize.getQueryInterface().showAllTables()).not.toContain('order_status_history');
+
+        const events = await OrderEvent.findAll({ where: { order_id: id } });
+        expect(events.map(event => [event.to_status, event.actor, event.reason])).toEqual([
+            ['processing', 'system', 'Status when history was first recorded']
+        ]);
+        expect(await OrderEvent.count({ where: { order_id: order.id } })).toBe(1);
+    });
+});
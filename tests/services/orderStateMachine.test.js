@@ -0,0 +1,173 @@
+process.env.DB_PATH = ':memory:';
+
+const { sequelize, Customer, Order, OrderEvent, OrderItem, Product } = require('../../src/models');
+const { OrderStateMachine, OrderTransitionError } = require('../../src/services/orderStateMachine');
+
+describe('OrderStateMachine', () => {
+    let emailService;
+    let printify;
+    let fulfillment;
+    let machine;
+    let product;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        await Customer.create({ email: 'buyer@example.com', first_name: 'Ada', last_name: 'Buyer' });
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        emailService = {
+            sendOrderStatusUpdate: jest.fn().mockResolvedValue({ success: true }),
+            sendShippingNotification: jest.fn().mockResolvedValue({ success: true })
+        };
+        printify = { cancelOrder: jest.fn().mockResolvedValue({ status: 'canceled' }) };
+        fulfillment = {
+            submitOrder: jest.fn(order => order.update({ printify_order_id: `pfy-${order.id}` })),
+            getPrintify: () => printify
+        };
+        machine = new OrderStateMachine({ emailService, fulfillment });
+        product = await Product.create({ title: 'Solana Tee', base_price: 20, inventory_count: 5 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function createOrder(fields = {}) {
+        const order = await Order.create({
+            order_number: `ORD-${Date.now()}-${Math.random()}`,
+            customer_email: 'buyer@example.com',
+            payment_method: 'sol',
+            subtotal: 40,
+            total_amount: 40,
+            ...fields
+        });
+        await OrderItem.create({
+            order_id: order.id,
+            product_id: product.id,
+            product_title: product.title,
+            quantity: 2,
+            unit_price: 20,
+            total_price: 40
+        });
+        return order;
+    }
+
+    function events(order) {
+        return OrderEvent.findAll({ where: { order_id: order.id }, order: [['id', 'ASC']] });
+    }
+
+    test('refuses transitions that are not allowed or fail their guard', async () => {
+        const order = await createOrder();
+
+        await expect(machine.transition(order, 'delivered')).rejects.toMatchObject({
+            name: 'OrderTransitionError',
+            status: 409,
+            code: 'INVALID_TRANSITION',
+            details: { from: 'pending', to: 'delivered' }
+        });
+        await expect(machine.transition(order, 'processing')).rejects.toMatchObject({ code: 'TRANSITION_GUARD' });
+        await expect(machine.transition(order, 'lost')).rejects.toBeInstanceOf(OrderTransitionError);
+
+        await order.reload();
+        expect(order.status).toBe('pending');
+        expect(await events(order)).toHaveLength(0);
+        expect(fulfillment.submitOrder).not.toHaveBeenCalled();
+    });
+
+    test('records who moved the order and why', async () => {
+        const order = await createOrder();
+
+        await machine.transition(order, 'processing', {
+            actor: 'payments',
+            reason: 'Paid',
+            changes: { payment_status: 'completed' }
+        });
+        // The status it is in: only the changes apply
+        await machine.transition(order, 'processing', { changes: { notes: 'Gift wrap' } });
+
+        expect(order).toMatchObject({ status: 'processing', payment_status: 'completed', notes: 'Gift wrap' });
+        expect((await events(order)).map(event => [event.from_status, event.to_status, event.actor, event.reason]))
+            .toEqual([['pending', 'processing', 'payments', 'Paid']]);
+    });
+
+    test('keeps order events append-only', async () => {
+        const order = await createOrder();
+        await machine.transition(order, 'cancelled');
+        const [event] = await events(order);
+
+        await expect(event.update({ reason: 'rewritten' })).rejects.toThrow('Order events are append-only');
+        await expect(event.destroy()).rejects.toThrow('Order events are append-only');
+        await expect(OrderEvent.destroy({ where: { order_id: order.id } })).rejects.toThrow('Order events are append-only');
+    });
+
+    test('reserves stock, submits to Printify and emails on processing', async () => {
+        const order = await createOrder({ payment_status: 'completed' });
+
+        await machine.transition(order, 'processing');
+
+        expect(fulfillment.submitOrder).toHaveBeenCalledTimes(1);
+        expect(order.printify_order_id).toBe(`pfy-${order.id}`);
+        expect(order.metadata.inventory.reserved).toEqual({ [product.id]: 2 });
+        expect((await product.reload()).inventory_count).toBe(3);
+        expect(emailService.sendOrderStatusUpdate).toHaveBeenCalledWith(
+            expect.objectContaining({ id: order.id }),
+            expect.objectContaining({ email: 'buyer@example.com' }),
+            'pending',
+            'processing'
+        );
+    });
+
+    test('puts stock back and cancels at Printify on cancellation', async () => {
+        const order = await createOrder({ payment_status: 'completed' });
+        await machine.transition(order, 'processing');
+
+        await machine.transition(order, 'cancelled', { actor: 'admin', reason: 'Customer asked' });
+
+        expect(printify.cancelOrder).toHaveBeenCalledWith(`pfy-${order.id}`);
+        expect(order.metadata.fulfillment.cancelled_at).toBeDefined();
+        expect((await product.reload()).inventory_count).toBe(5);
+
+        // Refunding afterwards does not put the stock back twice
+        await machine.transition(order, 'refunded', { changes: { payment_status: 'refunded' } });
+        expect((await product.reload()).inventory_count).toBe(5);
+    });
+
+    test('sends the shipping notification and keeps shipped stock', async () => {
+        const order = await createOrder({ payment_status: 'completed' });
+        await machine.transition(order, 'processing');
+
+        await machine.transition(order, 'shipped', {
+            actor: 'printify',
+            changes: {
+                tracking_number: '1Z999',
+                metadata: { ...order.metadata, printify: { shipping: { carrier: 'ups' } } }
+            }
+        });
+        await machine.transition(order, 'refunded', { changes: { payment_status: 'refunded' } });
+
+        expect(emailService.sendShippingNotification).toHaveBeenCalledWith(
+            expect.objectContaining({ id: order.id }),
+            expect.objectContaining({ email: 'buyer@example.com' }),
+            { carrier: 'ups', tracking_number: '1Z999' }
+        );
+        expect((await product.reload()).inventory_count).toBe(3);
+    });
+
+    test('logs a failing side effect without undoing the change', async () => {
+        const order = await createOrder({ payment_status: 'completed', printify_order_id: 'pfy-in-production' });
+        printify.cancelOrder.mockRejectedValueOnce(new Error('Order is in-production and can no longer be canceled'));
+
+        await machine.transition(order, 'cancelled');
+
+        expect(order.status).toBe('cancelled');
+        expect(console.error).toHaveBeenCalledWith(
+            expect.stringContaining('cancelAtPrintify'),
+            'Order is in-production and can no longer be canceled'
+        );
+        expect(emailService.sendOrderStatusUpdate).toHaveBeenCalledWith(expect.anything(), expect.anything(), 'pending', 'cancelled');
+    });
+});
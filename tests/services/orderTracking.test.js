@@ -0,0 +1,177 @@
+process.env.DB_PATH = ':memory:';
+process.env.PRINTIFY_API_KEY = 'test-token';
+
+const axios = require('axios');
+const { MockPrintifyServer } = require('../../src/mocks/printify/server');
+const { sequelize, Customer, Order, OrderEvent, OrderItem, Product } = require('../../src/models');
+const { PrintifyService } = require('../../src/services/printifyService');
+const { OrderStateMachine } = require('../../src/services/orderStateMachine');
+const { OrderTrackingService, mergeShipments } = require('../../src/services/orderTracking');
+
+const SHOP_ID = 15002088;
+const TEE = '5d39b159e7c48c000728c89f';
+const ADDRESS = {
+    first_name: 'Ada',
+    last_name: 'Buyer',
+    email: 'buyer@example.com',
+    country: 'US',
+    region: 'TX',
+    address1: '1 Main St',
+    city: 'Austin',
+    zip: '73301'
+};
+
+describe('OrderTrackingService', () => {
+    let mock;
+    let control;
+    let printify;
+    let tracking;
+    let product;
+
+    beforeAll(async () => {
+        mock = new MockPrintifyServer({ token: 'test-token' });
+        const baseURL = await mock.listen();
+        control = `${baseURL.replace('/v1', '/__mock')}/shops/${SHOP_ID}/orders`;
+        printify = new PrintifyService({ apiToken: 'test-token', shopId: SHOP_ID, baseURL });
+    });
+
+    beforeEach(async () => {
+        mock.reset();
+        await sequelize.sync({ force: true });
+        await Customer.create({ email: 'buyer@example.com', first_name: 'Ada', last_name: 'Buyer' });
+        product = await Product.create({ title: 'Solana Logo Tee', base_price: 24.99, printify_product_id: TEE });
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const stateMachine = new OrderStateMachine({
+            fulfillment: null,
+            emailService: {
+                sendOrderStatusUpdate: jest.fn(),
+                sendShippingNotification: jest.fn()
+            }
+        });
+        tracking = new OrderTrackingService({ printifyService: printify, stateMachine, tracking: { INTERVAL_MS: 60000 } });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await mock.close();
+    });
+
+    // A released order that is in production at Printify
+    async function createOrderInProduction() {
+        const orderNumber = `ORD-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+        const remote = await printify.createOrder({
+            external_id: orderNumber,
+            items: [{ printify_id: TEE, variant_id: 12101, quantity: 2 }],
+            shipping_address: ADDRESS
+        });
+        await printify.submitOrder(remote.id);
+
+        const order = await Order.create({
+            order_number: orderNumber,
+            customer_email: 'buyer@example.com',
+            payment_method: 'sol',
+            subtotal: 49.98,
+            total_amount: 49.98,
+            status: 'processing',
+            payment_status: 'completed',
+            printify_order_id: remote.id
+        });
+        await OrderItem.create({
+            order_id: order.id,
+            product_id: product.id,
+            printify_product_id: TEE,
+            variant_id: '12101',
+            product_title: product.title,
+            quantity: 2,
+            unit_price: 24.99,
+            total_price: 49.98
+        });
+        await OrderEvent.create({ order_id: order.id, to_status: 'processing', actor: 'payments', reason: 'Paid' });
+
+        return order;
+    }
+
+    test('merges shipments by tracking number', () => {
+        const first = mergeShipments([], [{ carrier: 'ups', tracking_number: '1Z1', tracking_url: null }]);
+        const merged = mergeShipments(first, [
+            { tracking_number: '1Z1', tracking_url: 'https://ups.example/1Z1', carrier: null },
+            { carrier: 'usps', tracking_number: '9400' }
+        ]);
+
+        expect(first[0].tracking_url).toBeNull();
+        expect(merged).toEqual([
+            { carrier: 'ups', tracking_number: '1Z1', tracking_url: 'https://ups.example/1Z1', shipped_at: null, delivered_at: null },
+            { carrier: 'usps', tracking_number: '9400', tracking_url: null, shipped_at: null, delivered_at: null }
+        ]);
+    });
+
+    test('reports real history, line items and no shipments before Printify ships', async () => {
+        const order = await createOrderInProduction();
+
+        await tracking.runOnce();
+        const info = await tracking.getTracking(order.id);
+
+        expect(info).toMatchObject({
+            orderNumber: order.order_number,
+            status: 'processing',
+            statusHistory: [{ status: 'processing', actor: 'payments', message: 'Paid' }],
+            shipments: [],
+            items: [{ title: 'Solana Logo Tee', variantId: '12101', quantity: 2, status: 'processing' }],
+            trackingNumber: null,
+            fulfillment: { printifyOrderId: order.printify_order_id, printifyStatus: 'in-production' }
+        });
+        expect(await tracking.getTracking(order.order_number)).toEqual(info);
+        await expect(tracking.getTracking(9999)).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('picks up shipments and delivery from the poll', async () => {
+        const order = await createOrderInProduction();
+        await axios.post(`${control}/${order.printify_order_id}/ship`, { carrier: 'USPS', tracking_number: '9400111899223197428490' });
+
+        expect(await tracking.runOnce()).toMatchObject({ checked: 1, failed: 0 });
+        let info = await tracking.getTracking(order.id);
+
+        expect(info).toMatchObject({
+            status: 'shipped',
+            trackingNumber: '9400111899223197428490',
+            carrier: 'usps',
+            shipments: [{
+                carrier: 'usps',
+                trackingNumber: '9400111899223197428490',
+                trackingUrl: expect.stringContaining('9400111899223197428490'),
+                shippedAt: expect.any(String),
+                deliveredAt: null
+            }],
+            items: [{ status: 'shipped' }]
+        });
+        expect(info.statusHistory.map(entry => [entry.status, entry.actor])).toEqual([
+            ['processing', 'payments'],
+            ['shipped', 'printify']
+        ]);
+
+        await axios.post(`${control}/${order.printify_order_id}/deliver`);
+        await tracking.runOnce();
+        info = await tracking.getTracking(order.id);
+
+        expect(info.status).toBe('delivered');
+        expect(info.shipments).toHaveLength(1);
+        expect(info.shipments[0].deliveredAt).toEqual(expect.any(String));
+        expect(info.items[0].status).toBe('delivered');
+    });
+
+    test('keeps polling other orders when one fails', async () => {
+        const order = await createOrderInProduction();
+        const missing = await createOrderInProduction();
+        await missing.update({ printify_order_id: 'gone' });
+
+        expect(await tracking.runOnce()).toMatchObject({ checked: 1, failed: 1 });
+        expect((await tracking.getTracking(order.id)).fulfillment.printifyStatus).toBe('in-production');
+    });
+});
@@ -0,0 +1,124 @@
+const { EventEmitter } = require('events');
+const { PaymentEventHub } = require('../../src/services/paymentEvents');
+
+// Just enough of an Express request/response pair for an SSE stream
+function createStream() {
+    const req = new EventEmitter();
+    const res = {
+        status: null,
+        headers: null,
+        chunks: [],
+        ended: false,
+        writeHead(status, headers) {
+            this.status = status;
+            this.headers = headers;
+        },
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        end() {
+            this.ended = true;
+        },
+        events() {
+            return this.chunks
+                .filter(chunk => chunk.includes('data: '))
+                .map(chunk => JSON.parse(chunk.split('data: ')[1]));
+        }
+    };
+    return { req, res };
+}
+
+describe('PaymentEventHub', () => {
+    let hub;
+
+    beforeEach(() => {
+        hub = new PaymentEventHub();
+    });
+
+    test('delivers the latest event and every one after it', () => {
+        hub.publish('ref1', 'pending');
+        hub.publish('ref1', 'detected', { signature: 'sig' });
+
+        const received = [];
+        const unsubscribe = hub.subscribe('ref1', event => received.push(event.status));
+        hub.publish('ref1', 'confirmed');
+        hub.publish('ref2', 'confirmed');
+        unsubscribe();
+        hub.publish('ref1', 'order_created');
+
+        expect(received).toEqual(['detected', 'confirmed']);
+        expect(hub.latest('ref1')).toMatchObject({ status: 'order_created' });
+    });
+
+    test('ignores repeated stages and rejects unknown ones', () => {
+        const listener = jest.fn();
+        hub.subscribe('ref1', listener);
+
+        const first = hub.publish('ref1', 'pending');
+        expect(hub.publish('ref1', 'pending')).toBe(first);
+        expect(listener).toHaveBeenCalledTimes(1);
+
+        expect(() => hub.publish('ref1', 'paid')).toThrow('Unknown payment stage: paid');
+    });
+
+    test('forgets the oldest references past the limit', () => {
+        hub = new PaymentEventHub({ maxTracked: 2 });
+        hub.publish('ref1', 'pending');
+        hub.publish('ref2', 'pending');
+        hub.publish('ref3', 'pending');
+
+        expect(hub.latest('ref1')).toBeNull();
+        expect(hub.latest('ref3')).not.toBeNull();
+    });
+
+    test('streams events and closes after a terminal stage', () => {
+        const { req, res } = createStream();
+
+        hub.stream(req, res, 'ref1', { initial: { status: 'pending' } });
+        hub.publish('ref1', 'confirmed', { signature: 'sig' });
+        hub.publish('ref1', 'order_created', { order_id: 7 });
+        hub.publish('ref1', 'failed');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['Content-Type']).toBe('text/event-stream');
+        expect(res.events().map(event => event.status)).toEqual(['pending', 'confirmed', 'order_created']);
+        expect(res.events()[2].data).toEqual({ order_id: 7 });
+        expect(res.ended).toBe(true);
+        expect(hub.emitter.listenerCount('ref1')).toBe(0);
+    });
+
+    test('ends right away when the payment is already settled', () => {
+        hub.publish('ref1', 'expired');
+        const { req, res } = createStream();
+        const refresh = jest.fn();
+
+        hub.stream(req, res, 'ref1', { initial: { status: 'pending' }, refresh });
+
+        expect(res.events().map(event => event.status)).toEqual(['expired']);
+        expect(res.ended).toBe(true);
+        expect(refresh).not.toHaveBeenCalled();
+    });
+
+    test('refreshes while connected and cleans up on disconnect', async () => {
+        jest.useFakeTimers();
+        try {
+            const { req, res } = createStream();
+            const refresh = jest.fn().mockResolvedValue();
+
+            hub.stream(req, res, 'ref1', { refresh, refreshMs: 1000 });
+            expect(refresh).toHaveBeenCalledTimes(1);
+
+            await jest.advanceTimersByTimeAsync(2000);
+            expect(refresh).toHaveBeenCalledTimes(3);
+
+            req.emit('close');
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(refresh).toHaveBeenCalledTimes(3);
+            expect(res.ended).toBe(true);
+            expect(hub.emitter.listenerCount('ref1')).toBe(0);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
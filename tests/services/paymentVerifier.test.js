@@ -0,0 +1,180 @@
+process.env.DB_PATH = ':memory:';
+
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { sequelize, Customer, Order, Payment, PaymentTransfer, Refund } = require('../../src/models');
+const { PaymentVerifier, findSignatureClaim } = require('../../src/services/paymentVerifier');
+const { MockConnection, randomKey } = require('../helpers/mockConnection');
+
+describe('PaymentVerifier', () => {
+    let connection;
+    let verifier;
+    let merchant;
+    let reference;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        await Customer.create({ email: 'buyer@example.com', first_name: 'Ada', last_name: 'Buyer' });
+    });
+
+    beforeEach(() => {
+        connection = new MockConnection();
+        verifier = new PaymentVerifier({ connection, findClaim: findSignatureClaim });
+        merchant = randomKey();
+        reference = randomKey();
+    });
+
+    function pay(options = {}) {
+        return connection.sendSolTransfer({
+            from: options.from || randomKey(),
+            to: options.to || merchant,
+            lamports: 0.2 * LAMPORTS_PER_SOL,
+            reference: options.reference === undefined ? reference : options.reference,
+            err: options.err
+        });
+    }
+
+    async function createPayment(fields = {}) {
+        const key = randomKey().toBase58();
+        const order = await Order.create({
+            order_number: `ORD-${key}`,
+            customer_email: 'buyer@example.com',
+            payment_method: 'sol',
+            subtotal: 30,
+            total_amount: 30
+        });
+
+        return Payment.create({
+            payment_id: `pay_${key}`,
+            order_id: order.id,
+            amount: '0.2',
+            currency: 'SOL',
+            usd_amount: 30,
+            ...fields
+        });
+    }
+
+    test('accepts a transfer to the merchant that references the payment', async () => {
+        const payer = randomKey();
+        const signature = pay({ from: payer });
+
+        const result = await verifier.verify(signature, {
+            paymentId: 'pay_1',
+            reference: reference.toBase58(),
+            recipient: merchant.toBase58()
+        });
+
+        expect(result).toMatchObject({
+            signature,
+            payer: payer.toBase58(),
+            receivedAmount: '0.2'
+        });
+    });
+
+    test('rejects a signature already bound to another payment', async () => {
+        const signature = pay();
+        const other = await createPayment({ transaction_signature: signature, status: 'confirmed' });
+
+        await expect(verifier.verify(signature, { paymentId: 'pay_someone_else' })).rejects.toMatchObject({
+            code: 'SIGNATURE_ALREADY_USED',
+            status: 409,
+            message: `Transaction already used for payment ${other.payment_id}`
+        });
+
+        // Re-checking a payment's own signature is fine
+        await expect(verifier.verify(signature, { paymentId: other.payment_id })).resolves.toMatchObject({ signature });
+    });
+
+    test('rejects top-ups already counted towards another payment', async () => {
+        const signature = pay();
+        const other = await createPayment({
+            transaction_signature: pay(),
+            status: 'partially_paid'
+        });
+        await PaymentTransfer.create({ payment_id: other.id, signature, amount: '0.1' });
+
+        await expect(verifier.verify(signature, { paymentId: 'pay_someone_else' })).rejects.toMatchObject({
+            code: 'SIGNATURE_ALREADY_USED',
+            message: `Transaction already used for payment ${other.payment_id}`
+        });
+        await expect(verifier.verify(signature, { paymentId: other.payment_id })).resolves.toMatchObject({ signature });
+    });
+
+    test('rejects signatures of refunds', async () => {
+        const signature = pay();
+        const payment = await createPayment({ status: 'refunded' });
+        await Refund.create({
+            refund_id: `ref_${signature}`,
+            payment_id: payment.id,
+            order_id: payment.order_id,
+            amount: '0.2',
+            currency: 'SOL',
+            usd_amount: 30,
+            recipient_wallet: randomKey().toBase58(),
+            status: 'confirmed',
+            signer: 'keypair',
+            reference_key: randomKey().toBase58(),
+            transaction_signature: signature
+        });
+
+        await expect(verifier.verify(signature, { paymentId: payment.payment_id }))
+            .rejects.toMatchObject({ code: 'SIGNATURE_ALREADY_USED' });
+    });
+
+    test('rejects transfers that reference another payment', async () => {
+        const signature = pay({ reference: randomKey() });
+
+        await expect(verifier.verify(signature, { reference: reference.toBase58() }))
+            .rejects.toMatchObject({ code: 'REFERENCE_MISMATCH', status: 400 });
+    });
+
+    test('rejects transfers made to someone else', async () => {
+        const signature = pay({ to: randomKey() });
+
+        await expect(verifier.verify(signature, {
+            reference: reference.toBase58(),
+            recipient: merchant.toBase58()
+        })).rejects.toMatchObject({ code: 'RECIPIENT_MISMATCH' });
+    });
+
+    test('checks SPL transfers against the merchant token account', async () => {
+        const mint = randomKey();
+        const signature = connection.sendTokenTransfer({
+            from: randomKey(),
+            to: merchant,
+            mint,
+            amount: '25',
+            decimals: 6,
+            reference
+        });
+
+        const result = await verifier.verify(signature, {
+            reference: reference.toBase58(),
+            recipient: merchant.toBase58(),
+            splToken: mint.toBase58()
+        });
+        expect(result.receivedAmount).toBe('25');
+
+        await expect(verifier.verify(signature, {
+            recipient: merchant.toBase58(),
+            splToken: randomKey().toBase58()
+        })).rejects.toMatchObject({ code: 'RECIPIENT_MISMATCH' });
+    });
+
+    test('rejects missing and failed transactions', async () => {
+        await expect(verifier.verify(undefined)).rejects.toMatchObject({ code: 'SIGNATURE_REQUIRED' });
+        await expect(verifier.verify(randomKey().toBase58()))
+            .rejects.toMatchObject({ code: 'TRANSACTION_NOT_FOUND', status: 404 });
+
+        const failed = pay({ err: { InstructionError: [0, 'Custom'] } });
+        await expect(verifier.verify(failed)).rejects.toMatchObject({ code: 'TRANSACTION_FAILED' });
+    });
+
+    test('skips the reference check for references that are not public keys', async () => {
+        const signature = pay({ reference: null });
+
+        await expect(verifier.verify(signature, {
+            reference: 'payment_1700000000000_abc123def',
+            recipient: merchant.toBase58()
+        })).resolves.toMatchObject({ signature });
+    });
+});
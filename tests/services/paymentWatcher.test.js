@@ -0,0 +1,265 @@
+process.env.DB_PATH = ':memory:';
+
+const { LAMPORTS_PER_SOL, PublicKey } = require('@solana/web3.js');
+const { sequelize, Customer, Order, Payment } = require('../../src/models');
+const { PriceOracle, FixedPriceProvider } = require('../../src/services/priceOracle');
+const { QuoteService } = require('../../src/services/quoteService');
+const SolanaPayService = require('../../src/services/solanaPayService');
+const { MintRegistry } = require('../../src/services/mintRegistry');
+const { PaymentWatcher, PendingPaymentSource } = require('../../src/services/paymentWatcher');
+const { CommitmentTracker } = require('../../src/services/commitmentTracker');
+const { MockConnection, randomKey } = require('../helpers/mockConnection');
+
+const WATCHER = { INTERVAL_MS: 1000, BATCH_SIZE: 2 };
+
+describe('PaymentWatcher', () => {
+    let connection;
+    let merchant;
+    let quoteService;
+    let watcher;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        await Customer.create({ email: 'buyer@example.com', first_name: 'Ada', last_name: 'Buyer' });
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await Payment.destroy({ where: {} });
+
+        connection = new MockConnection();
+        merchant = randomKey();
+        quoteService = new QuoteService({
+            priceOracle: new PriceOracle({ providers: [new FixedPriceProvider({ SOL: 150 })], ttlMs: 0 }),
+            quotes: {
+                TTL_MS: 15 * 60 * 1000,
+                SLIPPAGE_BPS: 100,
+                LATE_PAYMENT_POLICY: 'top_up',
+                OVERPAYMENT_TOLERANCE_BPS: 100,
+                OVERPAYMENT_POLICY: 'store_credit'
+            }
+        });
+
+        const solanaPayService = new SolanaPayService({
+            connection,
+            tokenRegistry: new MintRegistry({ network: 'localnet' })
+        });
+        solanaPayService.merchantWallet = merchant.toBase58();
+
+        watcher = new PaymentWatcher({
+            name: 'test',
+            watcher: WATCHER,
+            source: new PendingPaymentSource({
+                solanaPayService,
+                quoteService,
+                commitmentTracker: new CommitmentTracker({
+                    connection,
+                    commitment: { DEFAULT: 'confirmed', TIERS: [{ min_usd: 500, commitment: 'finalized' }] }
+                })
+            })
+        });
+    });
+
+    afterEach(async () => {
+        await watcher.stop();
+        jest.restoreAllMocks();
+    });
+
+    // A pending $30 SOL payment, as POST /api/payments/create leaves it
+    async function createPendingPayment(options = {}) {
+        const reference = randomKey().toBase58();
+        const order = await Order.create({
+            order_number: `ORD-${reference}`,
+            customer_email: 'buyer@example.com',
+            payment_method: 'sol',
+            subtotal: 30,
+            total_amount: 30
+        });
+        const quote = await quoteService.createQuote(30, 'SOL', { reference, ttlMs: options.ttlMs });
+
+        return Payment.create({
+            payment_id: `pay_${reference}`,
+            order_id: order.id,
+            amount: quote.token_amount,
+            currency: 'SOL',
+            usd_amount: 30,
+            quote_id: quote.quote_id,
+            status: 'pending',
+            reference_key: reference
+        });
+    }
+
+    function pay(payment, sol) {
+        return connection.sendSolTransfer({
+            from: randomKey(),
+            to: merchant,
+            lamports: Math.round(sol * LAMPORTS_PER_SOL),
+            reference: new PublicKey(payment.reference_key)
+        });
+    }
+
+    test('confirms paid payments and marks their orders paid', async () => {
+        const paid = await createPendingPayment();
+        const unpaid = await createPendingPayment();
+        const signature = pay(paid, 0.2);
+
+        const run = await watcher.runOnce();
+
+        expect(run).toMatchObject({ checked: 2, confirmed: 1, pending: 1, expired: 0, errors: 0 });
+
+        await paid.reload();
+        const order = await Order.findByPk(paid.order_id);
+        expect(paid.status).toBe('confirmed');
+        expect(paid.transaction_signature).toBe(signature);
+        expect(paid.metadata.verified_by).toBe('payment_watcher');
+        expect(order.payment_status).toBe('completed');
+        expect(order.status).toBe('processing');
+
+        await unpaid.reload();
+        expect(unpaid.status).toBe('pending');
+    });
+
+    test('waits for a top-up on short payments', async () => {
+        const payment = await createPendingPayment();
+        pay(payment, 0.1);
+
+        let run = await watcher.runOnce();
+
+        expect(run.partially_paid).toBe(1);
+        await payment.reload();
+        let order = await Order.findByPk(payment.order_id);
+        expect(payment.status).toBe('partially_paid');
+        expect(payment.metadata.payment_flag).toBe('top_up');
+        expect(payment.metadata.top_up).toMatchObject({ amount: '0.1', usd_amount: '15', currency: 'SOL' });
+        expect(payment.metadata.top_up.url).toContain(`reference=${payment.reference_key}`);
+        expect(order.payment_status).toBe('partially_paid');
+        expect(Number(order.balance_due)).toBe(15);
+
+        // Nothing new on the reference yet
+        expect((await watcher.runOnce()).pending).toBe(1);
+
+        // The balance lands on the same reference and adds to the first transfer
+        pay(payment, 0.1);
+        run = await watcher.runOnce();
+
+        expect(run.confirmed).toBe(1);
+        await payment.reload();
+        order = await Order.findByPk(payment.order_id);
+        expect(payment.status).toBe('confirmed');
+        expect(payment.metadata.received_amount).toBe('0.2');
+        expect(payment.metadata.transfers).toHaveLength(2);
+        expect(payment.metadata.top_up.paid_at).toBeDefined();
+        expect(order.payment_status).toBe('completed');
+        expect(Number(order.amount_paid)).toBe(30);
+        expect(Number(order.balance_due)).toBe(0);
+    });
+
+    test('expires stale payments that never landed', async () => {
+        const payment = await createPendingPayment({ ttlMs: -1000 });
+
+        const run = await watcher.runOnce();
+
+        expect(run.expired).toBe(1);
+        await payment.reload();
+        expect(payment.status).toBe('expired');
+    });
+
+    test('accepts late payments that still cover the order', async () => {
+        const payment = await createPendingPayment({ ttlMs: 60 * 1000 });
+        pay(payment, 0.2);
+        await (await payment.getQuote()).update({ expires_at: new Date(Date.now() - 1000) });
+
+        const run = await watcher.runOnce();
+
+        // Re-valued at the current price, which still covers the order
+        expect(run.confirmed).toBe(1);
+    });
+
+    test('keeps checking paid payments until they are finalized', async () => {
+        const payment = await createPendingPayment();
+        const signature = pay(payment, 0.2);
+        await watcher.runOnce();
+
+        connection.finalize(signature);
+        const run = await watcher.runOnce();
+
+        expect(run).toMatchObject({ checked: 1, finalized: 1 });
+        await payment.reload();
+        expect(payment.status).toBe('finalized');
+
+        // Finalized payments are done
+        expect((await watcher.runOnce()).checked).toBe(0);
+    });
+
+    test('holds orders whose payment vanishes before finalization', async () => {
+        const payment = await createPendingPayment();
+        const signature = pay(payment, 0.2);
+        await watcher.runOnce();
+
+        connection.dropTransaction(signature);
+        const run = await watcher.runOnce();
+
+        expect(run.held).toBe(1);
+        const order = await Order.findByPk(payment.order_id);
+        expect(order.status).toBe('on_hold');
+    });
+
+    test('pages through more pending payments than one batch', async () => {
+        const payments = [];
+        for (let i = 0; i < 5; i++) {
+            payments.push(await createPendingPayment());
+        }
+        payments.forEach(payment => pay(payment, 0.2));
+
+        const run = await watcher.runOnce();
+
+        expect(run).toMatchObject({ checked: 5, confirmed: 5 });
+        expect(await Payment.count({ where: { status: 'pending' } })).toBe(0);
+    });
+
+    test('resumes from the database after a restart', async () => {
+        const payment = await createPendingPayment();
+        await watcher.runOnce();
+        pay(payment, 0.2);
+
+        // A fresh watcher has no memory of the first one
+        const restarted = new PaymentWatcher({ name: 'restarted', watcher: WATCHER, source: watcher.source });
+        const run = await restarted.runOnce();
+
+        expect(run.confirmed).toBe(1);
+        expect(restarted.getState().totals).toMatchObject({ scans: 1, confirmed: 1 });
+    });
+
+    test('records failures and keeps scanning', async () => {
+        const broken = await createPendingPayment();
+        const paid = await createPendingPayment();
+        pay(paid, 0.2);
+
+        const check = watcher.source.check.bind(watcher.source);
+        watcher.source.check = (payment) => payment.id === broken.id
+            ? Promise.reject(new Error('RPC unavailable'))
+            : check(payment);
+
+        const run = await watcher.runOnce();
+
+        expect(run).toMatchObject({ errors: 1, confirmed: 1 });
+        expect(watcher.getState().recent_failures[0]).toMatchObject({
+            payment_id: broken.id,
+            error: 'RPC unavailable'
+        });
+    });
+
+    test('shares one scan between overlapping runs and scans on start', async () => {
+        await createPendingPayment();
+
+        const first = watcher.runOnce();
+        expect(watcher.runOnce()).toBe(first);
+        await first;
+
+        watcher.start();
+        expect(watcher.getState().running).toBe(true);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(watcher.getState().totals.scans).toBe(2);
+    });
+});
@@ -0,0 +1,184 @@
+const {
+    PriceOracle,
+    PriceUnavailableError,
+    CoinGeckoProvider,
+    JupiterProvider,
+    PythProvider,
+    FixedPriceProvider
+} = require('../../src/services/priceOracle');
+
+// Provider that returns whatever the test sets, counting calls
+const stubProvider = (name, quotes) => ({
+    name,
+    calls: 0,
+    async getPrices(symbols) {
+        this.calls += 1;
+        if (quotes instanceof Error) throw quotes;
+        return quotes.filter(quote => symbols.includes(quote.symbol));
+    }
+});
+
+const fakeHttp = (data) => ({
+    get: jest.fn(async () => ({ data }))
+});
+
+describe('PriceOracle', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('returns the median of fresh sources and names them', async () => {
+        const now = Date.now();
+        const oracle = new PriceOracle({
+            providers: [
+                stubProvider('a', [{ symbol: 'SOL', price: 150, timestamp: now }]),
+                stubProvider('b', [{ symbol: 'SOL', price: 152, timestamp: now - 1000 }]),
+                stubProvider('c', [{ symbol: 'SOL', price: 190, timestamp: now }])
+            ]
+        });
+
+        const quote = await oracle.getPrice('sol');
+
+        expect(quote.symbol).toBe('SOL');
+        expect(quote.price).toBe(152);
+        expect(quote.source).toBe('median:a+b+c');
+        expect(quote.timestamp.getTime()).toBe(now - 1000);
+        expect(quote.sources).toHaveLength(3);
+    });
+
+    test('averages the middle pair for an even number of sources', async () => {
+        const oracle = new PriceOracle({
+            providers: [
+                stubProvider('a', [{ symbol: 'SOL', price: 150.1, timestamp: Date.now() }]),
+                stubProvider('b', [{ symbol: 'SOL', price: 150.2, timestamp: Date.now() }])
+            ]
+        });
+
+        expect((await oracle.getPrice('SOL')).price).toBe(150.15);
+    });
+
+    test('ignores failing and stale providers', async () => {
+        const oracle = new PriceOracle({
+            maxStalenessMs: 60000,
+            providers: [
+                stubProvider('down', new Error('ECONNRESET')),
+                stubProvider('old', [{ symbol: 'SOL', price: 10, timestamp: Date.now() - 120000 }]),
+                stubProvider('live', [{ symbol: 'SOL', price: 151, timestamp: Date.now() }])
+            ]
+        });
+
+        const quote = await oracle.getPrice('SOL');
+
+        expect(quote.price).toBe(151);
+        expect(quote.source).toBe('live');
+    });
+
+    test('refuses to quote when every source is stale or down', async () => {
+        const oracle = new PriceOracle({
+            maxStalenessMs: 60000,
+            providers: [
+                stubProvider('down', new Error('ECONNRESET')),
+                stubProvider('old', [{ symbol: 'SOL', price: 10, timestamp: Date.now() - 120000 }])
+            ]
+        });
+
+        const error = await oracle.getPrice('SOL').catch(e => e);
+
+        expect(error).toBeInstanceOf(PriceUnavailableError);
+        expect(error.status).toBe(503);
+        expect(error.details.map(detail => detail.reason)).toEqual(['ECONNRESET', 'stale']);
+    });
+
+    test('requires the configured minimum number of sources', async () => {
+        const oracle = new PriceOracle({
+            minSources: 2,
+            providers: [stubProvider('only', [{ symbol: 'SOL', price: 150, timestamp: Date.now() }])]
+        });
+
+        await expect(oracle.getPrice('SOL')).rejects.toBeInstanceOf(PriceUnavailableError);
+    });
+
+    test('caches quotes for the TTL and shares concurrent lookups', async () => {
+        const provider = stubProvider('a', [{ symbol: 'SOL', price: 150, timestamp: Date.now() }]);
+        const oracle = new PriceOracle({ providers: [provider], ttlMs: 60000 });
+
+        await Promise.all([oracle.getPrice('SOL'), oracle.getPrice('SOL')]);
+        await oracle.getPrice('SOL');
+        expect(provider.calls).toBe(1);
+
+        oracle.clearCache();
+        await oracle.getPrice('SOL');
+        expect(provider.calls).toBe(2);
+    });
+
+    test('does not serve a cached quote that has gone stale', async () => {
+        const provider = stubProvider('a', [{ symbol: 'SOL', price: 150, timestamp: Date.now() - 50 }]);
+        const oracle = new PriceOracle({ providers: [provider], ttlMs: 60000, maxStalenessMs: 100 });
+
+        await oracle.getPrice('SOL');
+        await new Promise(resolve => setTimeout(resolve, 80));
+
+        await expect(oracle.getPrice('SOL')).rejects.toBeInstanceOf(PriceUnavailableError);
+        expect(provider.calls).toBe(2);
+    });
+
+    test('getPrices leaves out tokens without a price', async () => {
+        const oracle = new PriceOracle({ providers: [new FixedPriceProvider({ SOL: 150, USDC: 1 })] });
+
+        const prices = await oracle.getPrices(['SOL', 'USDC', 'BONK']);
+
+        expect(Object.keys(prices)).toEqual(['SOL', 'USDC']);
+        expect(prices.USDC.source).toBe('fixed');
+    });
+
+    test('convertFromUSD divides by the quoted price', async () => {
+        const oracle = new PriceOracle({ providers: [new FixedPriceProvider({ SOL: 160 })] });
+
+        const { amount, quote } = await oracle.convertFromUSD(40, 'SOL');
+
+        expect(amount.toString()).toBe('0.25');
+        expect(quote.price).toBe(160);
+    });
+});
+
+describe('price providers', () => {
+    test('CoinGecko reads usd and last_updated_at', async () => {
+        const http = fakeHttp({ solana: { usd: 151.2, last_updated_at: 1700000000 } });
+        const provider = new CoinGeckoProvider({ httpClient: http });
+
+        const quotes = await provider.getPrices(['SOL', 'BONK']);
+
+        expect(quotes).toEqual([{ symbol: 'SOL', price: 151.2, timestamp: 1700000000000 }]);
+        expect(http.get.mock.calls[0][1].params.ids).toBe('solana');
+    });
+
+    test('Jupiter reads usdPrice keyed by mint', async () => {
+        const http = fakeHttp({
+            So11111111111111111111111111111111111111112: { usdPrice: 149.9 }
+        });
+        const provider = new JupiterProvider({ httpClient: http });
+
+        const [quote] = await provider.getPrices(['SOL']);
+
+        expect(quote.symbol).toBe('SOL');
+        expect(quote.price).toBe(149.9);
+    });
+
+    test('Pyth applies the exponent and publish time', async () => {
+        const http = fakeHttp({
+            parsed: [{
+                id: 'ef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d',
+                price: { price: '15012345678', conf: '1000', expo: -8, publish_time: 1700000000 }
+            }]
+        });
+        const provider = new PythProvider({ httpClient: http });
+
+        const quotes = await provider.getPrices(['SOL']);
+
+        expect(quotes).toEqual([{ symbol: 'SOL', price: 150.12345678, timestamp: 1700000000000 }]);
+    });
+});
@@ -0,0 +1,185 @@
+const { PriceOracle, FixedPriceProvider, PriceUnavailableError } = require('../../src/services/priceOracle');
+const { QuoteService, compareAmounts } = require('../../src/services/quoteService');
+
+const QUOTES = {
+    TTL_MS: 15 * 60 * 1000,
+    SLIPPAGE_BPS: 100,
+    LATE_PAYMENT_POLICY: 'top_up',
+    OVERPAYMENT_TOLERANCE_BPS: 100,
+    OVERPAYMENT_POLICY: 'store_credit'
+};
+
+const fixedOracle = (prices) => new PriceOracle({
+    providers: [new FixedPriceProvider(prices)],
+    ttlMs: 0
+});
+
+describe('QuoteService', () => {
+    let oracle;
+    let service;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        oracle = fixedOracle({ SOL: 150, USDC: 1 });
+        service = new QuoteService({ priceOracle: oracle, quotes: QUOTES });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('buildQuote', () => {
+        test('locks the rate, amount and expiry', async () => {
+            const before = Date.now();
+            const quote = await service.buildQuote(100, 'sol', { reference: 'ref' });
+
+            expect(quote).toMatchObject({
+                usd_amount: '100.00',
+                token: 'SOL',
+                token_amount: '0.666667',
+                rate: '150',
+                price_source: 'fixed',
+                slippage_bps: 100,
+                reference_key: 'ref',
+                status: 'active'
+            });
+            expect(quote.quote_id).toMatch(/^quote_[0-9a-f]{24}$/);
+            expect(quote.expires_at.getTime()).toBeGreaterThanOrEqual(before + QUOTES.TTL_MS);
+        });
+
+        test('refuses to quote without a price', async () => {
+            await expect(service.buildQuote(100, 'BONK')).rejects.toBeInstanceOf(PriceUnavailableError);
+        });
+    });
+
+    describe('evaluatePayment', () => {
+        let quote;
+
+        beforeEach(async () => {
+            quote = await service.buildQuote(150, 'SOL');
+        });
+
+        const beforeExpiry = () => new Date(quote.expires_at.getTime() - 1000);
+        const afterExpiry = () => new Date(quote.expires_at.getTime() + 1000);
+
+        test('accepts the exact amount', async () => {
+            const result = await service.evaluatePayment(quote, '1', beforeExpiry());
+
+            expect(result).toMatchObject({ accepted: true, late: false, flag: null });
+        });
+
+        test('accepts a shortfall within the slippage tolerance', async () => {
+            const result = await service.evaluatePayment(quote, '0.99', beforeExpiry());
+
+            expect(result.accepted).toBe(true);
+        });
+
+        test('flags a shortfall beyond the tolerance for top-up', async () => {
+            const result = await service.evaluatePayment(quote, '0.9', beforeExpiry());
+
+            expect(result).toMatchObject({
+                accepted: false,
+                late: false,
+                flag: 'top_up',
+                shortfall_amount: '0.1',
+                shortfall_usd: '15'
+            });
+        });
+
+        test('reports the excess of an overpayment beyond the tolerance', async () => {
+            const withinTolerance = await service.evaluatePayment(quote, '1.01', beforeExpiry());
+            expect(withinTolerance).toMatchObject({ accepted: true, flag: null });
+            expect(withinTolerance.excess_amount).toBeUndefined();
+
+            const result = await service.evaluatePayment(quote, '1.2', beforeExpiry());
+
+            expect(result).toMatchObject({
+                accepted: true,
+                flag: null,
+                received_usd: '180',
+                excess_amount: '0.2',
+                excess_usd: '30'
+            });
+        });
+
+        test('values the excess of a late overpayment at the current price', async () => {
+            service.priceOracle = fixedOracle({ SOL: 200 });
+
+            const result = await service.evaluatePayment(quote, '1', afterExpiry());
+
+            expect(result).toMatchObject({ accepted: true, late: true, excess_usd: '50', excess_amount: '0.25' });
+        });
+
+        test('re-values late payments at the current price', async () => {
+            service.priceOracle = fixedOracle({ SOL: 160 });
+
+            const result = await service.evaluatePayment(quote, '1', afterExpiry());
+
+            expect(result).toMatchObject({ accepted: true, late: true, flag: null, rate: '160' });
+        });
+
+        test('flags late payments that no longer cover the order', async () => {
+            service.priceOracle = fixedOracle({ SOL: 120 });
+
+            const result = await service.evaluatePayment(quote, '1', afterExpiry());
+
+            expect(result).toMatchObject({
+                accepted: false,
+                late: true,
+                flag: 'top_up',
+                received_usd: '120',
+                shortfall_usd: '30',
+                shortfall_amount: '0.25'
+            });
+        });
+
+        test('follows the configured late payment policy', async () => {
+            service.priceOracle = fixedOracle({ SOL: 120 });
+            service.latePaymentPolicy = 'refund';
+
+            const result = await service.evaluatePayment(quote, '1', afterExpiry());
+
+            expect(result.flag).toBe('refund');
+        });
+
+        test('leaves late payments undecided when no price is available', async () => {
+            service.priceOracle = fixedOracle({});
+
+            await expect(service.evaluatePayment(quote, '1', afterExpiry()))
+                .rejects.toBeInstanceOf(PriceUnavailableError);
+        });
+    });
+
+    describe('configuration', () => {
+        test('takes a tolerance of 0 bps from the environment', () => {
+            const previous = { ...process.env };
+            process.env.QUOTE_SLIPPAGE_BPS = '0';
+            process.env.QUOTE_OVERPAYMENT_TOLERANCE_BPS = '0';
+
+            try {
+                jest.isolateModules(() => {
+                    expect(require('../../src/config').QUOTES).toMatchObject({ SLIPPAGE_BPS: 0, OVERPAYMENT_TOLERANCE_BPS: 0 });
+                });
+
+                process.env.QUOTE_SLIPPAGE_BPS = 'none';
+                jest.isolateModules(() => {
+                    expect(require('../../src/config').QUOTES.SLIPPAGE_BPS).toBe(100);
+                });
+            } finally {
+                process.env = previous;
+            }
+        });
+    });
+
+    describe('compareAmounts', () => {
+        test('places an amount against the slippage and overpayment tolerance', () => {
+            const tolerances = { slippageBps: 100, toleranceBps: 100 };
+
+            expect(compareAmounts('1', '0.98', tolerances)).toMatchObject({ status: 'underpaid', shortfall_amount: '0.02' });
+            expect(compareAmounts('1', '0.99', tolerances).status).toBe('paid');
+            expect(compareAmounts('1', '1.01', tolerances).status).toBe('paid');
+            expect(compareAmounts('1', '1.5', tolerances)).toMatchObject({ status: 'overpaid', excess_amount: '0.5' });
+        });
+    });
+});
@@ -0,0 +1,250 @@
+process.env.DB_PATH = ':memory:';
+
+const { Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { sequelize, Customer, Order, Payment } = require('../../src/models');
+const SolanaPayService = require('../../src/services/solanaPayService');
+const { MintRegistry } = require('../../src/services/mintRegistry');
+const {
+    RefundService,
+    KeypairSigner,
+    TransactionRequestSigner
+} = require('../../src/services/refundService');
+const { MockConnection, randomKey } = require('../helpers/mockConnection');
+
+describe('RefundService', () => {
+    let connection;
+    let solanaPayService;
+    let merchant;
+    let payer;
+    let payment;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        await Customer.create({ email: 'buyer@example.com', first_name: 'Ada', last_name: 'Buyer' });
+    });
+
+    beforeEach(async () => {
+        connection = new MockConnection();
+        merchant = Keypair.generate();
+        payer = randomKey();
+        solanaPayService = new SolanaPayService({
+            connection,
+            tokenRegistry: new MintRegistry({ network: 'localnet' })
+        });
+
+        const order = await Order.create({
+            order_number: `ORD-${Date.now()}-${Math.random()}`,
+            customer_email: 'buyer@example.com',
+            status: 'processing',
+            payment_status: 'completed',
+            payment_method: 'sol',
+            subtotal: 30,
+            total_amount: 30
+        });
+
+        payment = await Payment.create({
+            payment_id: `pay_${Date.now()}_${Math.random()}`,
+            order_id: order.id,
+            amount: '0.2',
+            currency: 'SOL',
+            usd_amount: 30,
+            status: 'confirmed',
+            wallet_address: payer.toBase58()
+        });
+    });
+
+    test('sends a partial refund with the keypair signer and reconciles totals', async () => {
+        const service = new RefundService({
+            solanaPayService,
+            signer: new KeypairSigner(merchant, connection)
+        });
+
+        const { refund, url } = await service.createRefund(payment, { amount: '0.05', reason: 'damaged' });
+
+        expect(url).toBeNull();
+        expect(refund.status).toBe('confirmed');
+        expect(refund.usd_amount).toBe('7.50');
+        expect(refund.sender_wallet).toBe(merchant.publicKey.toBase58());
+
+        // The refund is an ordinary Solana Pay transfer to the payer
+        const found = await solanaPayService.findPayment(refund.reference_key, '0.05', 'SOL', {
+            recipient: payer.toBase58()
+        });
+        expect(found.signature).toBe(refund.transaction_signature);
+        expect(found.payer).toBe(merchant.publicKey.toBase58());
+        expect(Number(found.receivedAmount)).toBe(0.05);
+
+        await payment.reload();
+        const order = await Order.findByPk(payment.order_id);
+        expect(payment.status).toBe('partially_refunded');
+        expect(order.payment_status).toBe('partially_refunded');
+        expect(order.status).toBe('processing');
+        expect(Number(order.refunded_amount)).toBe(7.5);
+    });
+
+    test('refunds the remainder and marks payment and order refunded', async () => {
+        const service = new RefundService({
+            solanaPayService,
+            signer: new KeypairSigner(merchant, connection)
+        });
+
+        await service.createRefund(payment, { amount: '0.07' });
+        await payment.reload();
+        const { refund } = await service.createRefund(payment);
+
+        expect(Number(refund.amount)).toBe(0.13);
+        expect(refund.usd_amount).toBe('19.50');
+
+        await payment.reload();
+        const order = await Order.findByPk(payment.order_id);
+        expect(payment.status).toBe('refunded');
+        expect(order.payment_status).toBe('refunded');
+        expect(order.status).toBe('refunded');
+        expect(Number(order.refunded_amount)).toBe(30);
+
+        await expect(service.createRefund(payment)).rejects.toThrow('Can only refund confirmed payments');
+    });
+
+    test('refuses refunds larger than what is left', async () => {
+        const service = new RefundService({
+            solanaPayService,
+            signer: new TransactionRequestSigner({ baseUrl: 'https://shop.example.com' })
+        });
+
+        await service.createRefund(payment, { amount: '0.15' });
+
+        // The pending refund already holds 0.15 SOL
+        await expect(service.createRefund(payment, { amount: '0.1' }))
+            .rejects.toMatchObject({ status: 400 });
+        expect((await service.getRefundableAmount(payment)).toString()).toBe('0.05');
+    });
+
+    test('hands transaction request refunds to the merchant wallet', async () => {
+        const service = new RefundService({
+            solanaPayService,
+            signer: new TransactionRequestSigner({ baseUrl: 'https://shop.example.com' })
+        });
+
+        const { refund, url } = await service.createRefund(payment, { amount: '0.2' });
+
+        expect(refund.status).toBe('pending_signature');
+        expect(url).toBe(
+            `solana:https://shop.example.com/api/payments/refunds/${refund.refund_id}/transaction-request`
+        );
+
+        // Nothing on-chain yet
+        await service.checkRefund(refund);
+        expect(refund.status).toBe('pending_signature');
+
+        // Only the merchant wallet can fetch the transaction
+        solanaPayService.merchantWallet = merchant.publicKey.toBase58();
+        await expect(service.buildTransactionRequest(refund, randomKey())).rejects.toMatchObject({ status: 403 });
+        expect(refund.sender_wallet).toBeFalsy();
+
+        // The merchant wallet fetches, signs and sends the transaction
+        const { transaction } = await service.buildTransactionRequest(refund, merchant.publicKey);
+        transaction.sign(merchant);
+        await connection.sendRawTransaction(transaction.serialize());
+
+        await service.checkRefund(refund);
+        expect(refund.status).toBe('confirmed');
+
+        await payment.reload();
+        expect(payment.status).toBe('refunded');
+        await expect(service.buildRefundTransaction(refund, merchant.publicKey))
+            .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('refunds a payment once when asked twice at the same time', async () => {
+        const service = new RefundService({
+            solanaPayService,
+            signer: new TransactionRequestSigner({ baseUrl: 'https://shop.example.com' })
+        });
+
+        const results = await Promise.allSettled([
+            service.createRefund(payment, { amount: '0.2' }),
+            service.createRefund(payment, { amount: '0.2' })
+        ]);
+
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(result => result.status === 'rejected').reason.message).toMatch(/exceeds the refundable 0/);
+        expect((await service.getRefundableAmount(payment)).toString()).toBe('0');
+    });
+
+    test('keeps server-signed refunds out of transaction requests', async () => {
+        const service = new RefundService({
+            solanaPayService,
+            signer: new KeypairSigner(merchant, connection)
+        });
+        solanaPayService.merchantWallet = merchant.publicKey.toBase58();
+        const { refund } = await service.createRefund(payment, { amount: '0.1' });
+
+        await expect(service.buildTransactionRequest(refund, merchant.publicKey)).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('cancelling an unsigned refund releases its amount', async () => {
+        const service = new RefundService({
+            solanaPayService,
+            signer: new TransactionRequestSigner({ baseUrl: 'https://shop.example.com' })
+        });
+
+        const { refund } = await service.createRefund(payment, { amount: '0.2' });
+        await service.cancelRefund(refund);
+
+        expect(refund.status).toBe('cancelled');
+        expect((await service.getRefundableAmount(payment)).toString()).toBe('0.2');
+    });
+
+    test('refunds SPL tokens to the payer token account', async () => {
+        const mint = randomKey();
+        connection.createMint(mint, 6);
+        connection.createTokenAccount(merchant.publicKey, mint, 50000000n);
+
+        const registry = new MintRegistry({ network: 'localnet' });
+        registry.overrides.set('localnet:TEST', {
+            symbol: 'TEST', network: 'localnet', mint: mint.toBase58(), decimals: 6, is_custom: true, enabled: false
+        });
+        solanaPayService.tokenRegistry = registry;
+        await payment.update({ currency: 'TEST', amount: '25' });
+
+        const service = new RefundService({
+            solanaPayService,
+            signer: new KeypairSigner(merchant, connection)
+        });
+
+        // Disabled since the payment was made, but still refundable
+        const { refund } = await service.createRefund(payment, { amount: '10' });
+
+        expect(refund.status).toBe('confirmed');
+        const found = await solanaPayService.findPayment(refund.reference_key, '10', 'TEST', {
+            recipient: payer.toBase58()
+        });
+        expect(found.success).toBe(true);
+        expect(found.receivedAmount).toBe('10');
+    });
+
+    test('marks refunds failed when the transfer cannot be built', async () => {
+        const service = new RefundService({
+            solanaPayService,
+            signer: new KeypairSigner(merchant, connection)
+        });
+        await payment.update({ currency: 'USDC' });
+
+        // USDC has no localnet mint
+        await expect(service.createRefund(payment, { amount: '0.1' })).rejects.toThrow('Unsupported currency');
+        expect((await service.getRefundableAmount(payment)).toString()).toBe('0.2');
+    });
+
+    test('keeps SOL amounts exact in lamports', async () => {
+        const service = new RefundService({
+            solanaPayService,
+            signer: new KeypairSigner(merchant, connection)
+        });
+
+        const { refund } = await service.createRefund(payment, { amount: '0.123456789' });
+        const stored = connection.transactions.get(refund.transaction_signature);
+        const index = stored.transaction.message.accountKeys.findIndex(key => key.equals(payer));
+
+        expect(stored.meta.postBalances[index]).toBe(0.123456789 * LAMPORTS_PER_SOL);
+    });
+});
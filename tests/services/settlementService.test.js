@@ -0,0 +1,279 @@
+process.env.DB_PATH = ':memory:';
+
+const { LAMPORTS_PER_SOL, PublicKey } = require('@solana/web3.js');
+const { sequelize, Customer, Order, Payment, PaymentTransfer, Refund } = require('../../src/models');
+const { PriceOracle, FixedPriceProvider } = require('../../src/services/priceOracle');
+const { QuoteService } = require('../../src/services/quoteService');
+const SolanaPayService = require('../../src/services/solanaPayService');
+const { MintRegistry } = require('../../src/services/mintRegistry');
+const { RefundService, TransactionRequestSigner } = require('../../src/services/refundService');
+const { CommitmentTracker } = require('../../src/services/commitmentTracker');
+const { PaymentEventHub } = require('../../src/services/paymentEvents');
+const { SettlementService } = require('../../src/services/settlementService');
+const { MockConnection, randomKey } = require('../helpers/mockConnection');
+
+const QUOTES = {
+    TTL_MS: 15 * 60 * 1000,
+    SLIPPAGE_BPS: 100,
+    LATE_PAYMENT_POLICY: 'top_up',
+    OVERPAYMENT_TOLERANCE_BPS: 100,
+    OVERPAYMENT_POLICY: 'store_credit'
+};
+
+describe('SettlementService', () => {
+    let connection;
+    let merchant;
+    let solanaPayService;
+    let quoteService;
+    let paymentEvents;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        await Customer.create({ email: 'buyer@example.com', first_name: 'Ada', last_name: 'Buyer' });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        connection = new MockConnection();
+        merchant = randomKey();
+        solanaPayService = new SolanaPayService({
+            connection,
+            tokenRegistry: new MintRegistry({ network: 'localnet' })
+        });
+        solanaPayService.merchantWallet = merchant.toBase58();
+        quoteService = new QuoteService({
+            priceOracle: new PriceOracle({ providers: [new FixedPriceProvider({ SOL: 150, USDC: 1 })], ttlMs: 0 }),
+            quotes: QUOTES
+        });
+        paymentEvents = new PaymentEventHub();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function createService(options = {}) {
+        return new SettlementService({
+            solanaPayService,
+            quoteService,
+            paymentEvents,
+            quotes: { ...QUOTES, OVERPAYMENT_POLICY: options.policy || 'store_credit' },
+            refundService: new RefundService({
+                solanaPayService,
+                signer: new TransactionRequestSigner({ baseUrl: options.baseUrl })
+            }),
+            commitmentTracker: new CommitmentTracker({
+                connection,
+                paymentEvents,
+                commitment: { DEFAULT: 'confirmed', TIERS: [] }
+            })
+        });
+    }
+
+    function createOrder() {
+        return Order.create({
+            order_number: `ORD-${randomKey().toBase58()}`,
+            customer_email: 'buyer@example.com',
+            payment_method: 'sol',
+            subtotal: 30,
+            total_amount: 30
+        });
+    }
+
+    // A pending $30 SOL payment quoted at 0.2 SOL, or a share of `order`
+    async function createPendingPayment({ order, usdAmount = 30, currency = 'SOL' } = {}) {
+        const reference = randomKey().toBase58();
+        order = order || await createOrder();
+        const quote = await quoteService.createQuote(usdAmount, currency, { reference });
+
+        return Payment.create({
+            payment_id: `pay_${reference}`,
+            order_id: order.id,
+            amount: quote.token_amount,
+            currency,
+            usd_amount: usdAmount,
+            quote_id: quote.quote_id,
+            status: 'pending',
+            reference_key: reference
+        });
+    }
+
+    async function pay(payment, sol) {
+        connection.sendSolTransfer({
+            from: randomKey(),
+            to: merchant,
+            lamports: Math.round(sol * LAMPORTS_PER_SOL),
+            reference: new PublicKey(payment.reference_key)
+        });
+
+        const { transfers } = await solanaPayService.findPayments(payment.reference_key, 0, 'SOL');
+        return transfers;
+    }
+
+    test('asks for the balance of a short payment on the same reference', async () => {
+        const service = createService();
+        const payment = await createPendingPayment();
+
+        const transfers = await pay(payment, 0.15);
+        const result = await service.settle(payment, transfers);
+
+        expect(result.status).toBe('partially_paid');
+        expect(result.top_up).toMatchObject({ amount: '0.05', usd_amount: '7.5' });
+        expect(result.top_up.url).toContain('amount=0.05');
+        expect(result.top_up.url).toContain(`reference=${payment.reference_key}`);
+        expect(paymentEvents.latest(payment.reference_key)).toMatchObject({ status: 'partially_paid' });
+
+        const order = await Order.findByPk(payment.order_id);
+        expect(order.payment_status).toBe('partially_paid');
+        expect(Number(order.amount_paid)).toBe(22.5);
+        expect(Number(order.balance_due)).toBe(7.5);
+
+        // Counting the same transfer again changes nothing
+        expect((await service.settle(payment, transfers)).status).toBe('unchanged');
+    });
+
+    test('records each transfer once and refuses it for another payment', async () => {
+        const service = createService();
+        const payment = await createPendingPayment();
+        const other = await createPendingPayment();
+
+        const transfers = await pay(payment, 0.15);
+        await service.settle(payment, transfers);
+
+        expect(await PaymentTransfer.findAll({ where: { payment_id: payment.id }, raw: true })).toEqual([
+            expect.objectContaining({ signature: transfers[0].signature, payer: transfers[0].payer })
+        ]);
+        await expect(service.settle(other, transfers)).rejects.toMatchObject({ name: 'SequelizeUniqueConstraintError' });
+        expect((await other.reload()).status).toBe('pending');
+    });
+
+    test('releases an order split across tokens once every share is paid', async () => {
+        const service = createService();
+        const order = await createOrder();
+        const usdc = await createPendingPayment({ order, usdAmount: 12, currency: 'USDC' });
+        const sol = await createPendingPayment({ order, usdAmount: 18 });
+
+        const signature = connection.sendTokenTransfer({
+            from: randomKey(),
+            to: merchant,
+            mint: randomKey(),
+            amount: '12',
+            decimals: 6,
+            reference: new PublicKey(usdc.reference_key)
+        });
+        const first = await service.settle(usdc, [{ signature, receivedAmount: '12', payer: randomKey().toBase58(), slot: 1 }]);
+
+        expect(first).toMatchObject({ status: 'confirmed', outcome: 'pending' });
+        expect(first.balance).toMatchObject({ paid_usd: '12.00', pending_usd: '18.00', outstanding_usd: '18.00' });
+        await order.reload();
+        expect(order.payment_status).toBe('partially_paid');
+        expect(Number(order.balance_due)).toBe(18);
+
+        const second = await service.settle(sol, await pay(sol, 0.12));
+
+        expect(second).toMatchObject({ status: 'confirmed', outcome: 'released' });
+        expect(second.balance.outstanding_usd).toBe('0.00');
+        await order.reload();
+        expect(order.payment_status).toBe('completed');
+        expect(Number(order.amount_paid)).toBe(30);
+        expect(Number(order.balance_due)).toBe(0);
+    });
+
+    test('credits the excess of an overpayment to the customer', async () => {
+        const service = createService();
+        const customer = await Customer.findOne({ where: { email: 'buyer@example.com' } });
+        const creditBefore = Number(customer.store_credit);
+        const payment = await createPendingPayment();
+
+        const result = await service.settle(payment, await pay(payment, 0.3));
+
+        expect(result).toMatchObject({
+            status: 'confirmed',
+            overpayment: { policy: 'store_credit', status: 'credited', amount: '0.1', usd_amount: '15' }
+        });
+
+        const order = await Order.findByPk(payment.order_id);
+        expect(order.payment_status).toBe('completed');
+        expect(Number(order.overpaid_amount)).toBe(15);
+        expect(order.metadata.overpayment.status).toBe('credited');
+
+        await customer.reload();
+        expect(Number(customer.store_credit)).toBe(creditBefore + 15);
+    });
+
+    test('credits an overpayment once when it is settled twice at the same time', async () => {
+        const service = createService();
+        const customer = await Customer.findOne({ where: { email: 'buyer@example.com' } });
+        const creditBefore = Number(customer.store_credit);
+        const payment = await createPendingPayment();
+        const transfers = await pay(payment, 0.3);
+
+        // The watcher and /verify each load the payment and see the same transfer
+        const results = await Promise.all([
+            service.settle(payment, transfers),
+            service.settle(await Payment.findByPk(payment.id), transfers)
+        ]);
+
+        expect(results.map(result => result.status).sort()).toEqual(['confirmed', 'unchanged']);
+        await customer.reload();
+        expect(Number(customer.store_credit)).toBe(creditBefore + 15);
+
+        // Resolving it again returns the recorded overpayment
+        const order = await Order.findByPk(payment.order_id);
+        expect(await service.resolveOverpayment(payment, order, { excess_amount: '0.1', excess_usd: '15' }))
+            .toMatchObject({ payment_id: payment.payment_id, status: 'credited' });
+        await customer.reload();
+        expect(Number(customer.store_credit)).toBe(creditBefore + 15);
+    });
+
+    test('does not report an overpayment credited when no customer row took it', async () => {
+        const service = createService();
+        const payment = await createPendingPayment();
+        jest.spyOn(Customer, 'update').mockResolvedValueOnce([0]);
+
+        const result = await service.settle(payment, await pay(payment, 0.3));
+
+        expect(result.overpayment).toMatchObject({ status: 'credit_failed', usd_amount: '15' });
+        const order = await Order.findByPk(payment.order_id);
+        expect(order.metadata.overpayment.status).toBe('credit_failed');
+    });
+
+    test('queues the excess of an overpayment for refund', async () => {
+        const service = createService({ policy: 'refund', baseUrl: 'https://shop.example' });
+        const payment = await createPendingPayment();
+
+        const result = await service.settle(payment, await pay(payment, 0.3));
+
+        expect(result.overpayment).toMatchObject({ policy: 'refund', status: 'refund_pending' });
+        expect(result.overpayment.signing_url).toMatch(/^solana:/);
+
+        const refund = await Refund.findOne({ where: { refund_id: result.overpayment.refund_id } });
+        expect(refund).toMatchObject({ kind: 'overpayment', status: 'pending_signature' });
+        expect(Number(refund.usd_amount)).toBe(15);
+
+        // The excess is not part of what the order can be refunded
+        expect((await service.refundService.getRefundableAmount(payment)).toString()).toBe('0.2');
+    });
+
+    test('keeps an overpayment on the order when its refund cannot be requested', async () => {
+        const previous = process.env.PUBLIC_URL;
+        delete process.env.PUBLIC_URL;
+
+        try {
+            const service = createService({ policy: 'refund' });
+            const payment = await createPendingPayment();
+
+            const result = await service.settle(payment, await pay(payment, 0.3));
+
+            expect(result.status).toBe('confirmed');
+            expect(result.overpayment.status).toBe('refund_failed');
+
+            const order = await Order.findByPk(payment.order_id);
+            expect(Number(order.overpaid_amount)).toBe(15);
+        } finally {
+            if (previous !== undefined) process.env.PUBLIC_URL = previous;
+        }
+    });
+});
@@ -0,0 +1,88 @@
+process.env.DB_PATH = ':memory:';
+process.env.PRINTIFY_API_KEY = 'test-token';
+
+const { MockPrintifyServer } = require('../../src/mocks/printify/server');
+const { sequelize, Product } = require('../../src/models');
+const { PrintifyService } = require('../../src/services/printifyService');
+const { ShippingQuoteService } = require('../../src/services/shippingQuotes');
+
+const SHOP_ID = 15002088;
+const TEE = '5d39b159e7c48c000728c89f';
+const ADDRESS = { firstName: 'Ada', lastName: 'Buyer', country: 'US', state: 'TX', address1: '1 Main St', city: 'Austin', zipCode: '73301' };
+
+describe('ShippingQuoteService', () => {
+    let mock;
+    let printify;
+    let quotes;
+    let tee;
+    let sticker;
+
+    beforeAll(async () => {
+        mock = new MockPrintifyServer({ token: 'test-token' });
+        const baseURL = await mock.listen();
+        printify = new PrintifyService({ apiToken: 'test-token', shopId: SHOP_ID, baseURL });
+    });
+
+    beforeEach(async () => {
+        mock.reset();
+        await sequelize.sync({ force: true });
+        tee = await Product.create({ title: 'Solana Logo Tee', base_price: 24.99, printify_product_id: TEE });
+        sticker = await Product.create({ title: 'Sticker', base_price: 3 });
+
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(printify, 'calculateShipping');
+        quotes = new ShippingQuoteService({ printifyService: printify, shipping: { QUOTE_TTL_MS: 60000, DEFAULT_METHOD: 'standard' } });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await mock.close();
+    });
+
+    test('quotes every method Printify prices, cheapest first', async () => {
+        const quote = await quotes.quote([{ product_id: tee.id, variant_id: 12101, quantity: 2 }], ADDRESS);
+
+        expect(quote).toMatchObject({ quote_id: expect.stringMatching(/^ship_/), currency: 'USD', expires_at: expect.any(Date) });
+        expect(quote.options.map(option => option.method)).toEqual(['standard', 'priority', 'express']);
+        expect(quote.options[0].cost).toBeGreaterThan(0);
+        expect(quote.options[2].cost).toBeCloseTo(quote.options[0].cost * 2, 2);
+        expect(quote.options[1].estimated_delivery).toEqual({ min_days: 3, max_days: 5 });
+        expect(printify.calculateShipping).toHaveBeenCalledWith({
+            items: [{ printify_id: TEE, variant_id: 12101, quantity: 2 }],
+            shipping_address: expect.objectContaining({ country: 'US', zip: '73301' })
+        });
+    });
+
+    test('asks Printify once per cart while the quote is fresh', async () => {
+        const items = [{ product_id: tee.id, variant_id: 12101, quantity: 1 }, { product_id: sticker.id, quantity: 3 }];
+
+        const quote = await quotes.quote(items, ADDRESS);
+        const express = await quotes.selectOption(items, { ...ADDRESS, firstName: 'Grace' }, 'express');
+        await quotes.quote([{ product_id: tee.id, variant_id: 12101, quantity: 3 }], ADDRESS);
+
+        expect(express).toMatchObject({ method: 'express', quote_id: quote.quote_id, printify_method: 3 });
+        expect(express.cost).toBe(quote.options.find(option => option.method === 'express').cost);
+        expect(printify.calculateShipping).toHaveBeenCalledTimes(2);
+    });
+
+    test('ships carts without Printify products for free', async () => {
+        const option = await quotes.selectOption([{ product_id: sticker.id, quantity: 1 }], ADDRESS);
+
+        expect(option).toMatchObject({ method: 'standard', cost: 0, printify_method: 1 });
+        expect(printify.calculateShipping).not.toHaveBeenCalled();
+    });
+
+    test('rejects carts it cannot quote', async () => {
+        const items = [{ product_id: tee.id, variant_id: 12101, quantity: 1 }];
+
+        await expect(quotes.quote([], ADDRESS)).rejects.toMatchObject({ name: 'ShippingQuoteError', status: 400 });
+        await expect(quotes.quote(items, { city: 'Austin' })).rejects.toMatchObject({ status: 400 });
+        await expect(quotes.quote([{ product_id: 9999 }], ADDRESS)).rejects.toMatchObject({ status: 400 });
+        await expect(quotes.selectOption(items, ADDRESS, 'overnight')).rejects.toMatchObject({ status: 400 });
+        await expect(quotes.quote([{ product_id: tee.id, variant_id: 1, quantity: 1 }], ADDRESS))
+            .rejects.toMatchObject({ status: 422 });
+    });
+});
@@ -0,0 +1,401 @@
+const { Keypair, LAMPORTS_PER_SOL, PublicKey, SystemInstruction, SystemProgram, Transaction, TransactionInstruction } = require('@solana/web3.js');
+const { MEMO_PROGRAM_ID } = require('@solana/pay');
+const {
+    decodeTransferCheckedInstruction,
+    getAssociatedTokenAddressSync,
+    ASSOCIATED_TOKEN_PROGRAM_ID
+} = require('@solana/spl-token');
+const SolanaPayService = require('../../src/services/solanaPayService');
+const { MockConnection, randomKey } = require('../helpers/mockConnection');
+
+const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+
+describe('SolanaPayService', () => {
+    let connection;
+    let service;
+    let merchant;
+    let payer;
+    let reference;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        connection = new MockConnection();
+        service = new SolanaPayService({ connection });
+        merchant = randomKey();
+        payer = randomKey();
+        reference = randomKey();
+        service.merchantWallet = merchant.toBase58();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('findPayment', () => {
+        test('confirms a SOL transfer carrying the reference', async () => {
+            const signature = connection.sendSolTransfer({
+                from: payer,
+                to: merchant,
+                lamports: 1.5 * LAMPORTS_PER_SOL,
+                reference
+            });
+
+            const result = await service.findPayment(reference.toBase58(), 1.5, 'SOL');
+
+            expect(result).toMatchObject({
+                success: true,
+                status: 'confirmed',
+                signature,
+                slot: connection.transactions.get(signature).slot,
+                payer: payer.toBase58(),
+                currency: 'SOL'
+            });
+        });
+
+        test('reports pending when nothing references the key yet', async () => {
+            const result = await service.findPayment(reference.toBase58(), 1, 'SOL');
+
+            expect(result).toEqual({
+                success: false,
+                status: 'pending',
+                reference: reference.toBase58()
+            });
+        });
+
+        test('rejects an underpayment', async () => {
+            connection.sendSolTransfer({
+                from: payer,
+                to: merchant,
+                lamports: 0.5 * LAMPORTS_PER_SOL,
+                reference
+            });
+
+            const result = await service.findPayment(reference.toBase58(), 1, 'SOL');
+
+            expect(result.success).toBe(false);
+            expect(result.status).toBe('invalid');
+            expect(result.rejected[0].reason).toBe('amount not transferred');
+        });
+
+        test('rejects a transfer to another wallet', async () => {
+            connection.sendSolTransfer({
+                from: payer,
+                to: randomKey(),
+                lamports: LAMPORTS_PER_SOL,
+                reference
+            });
+
+            const result = await service.findPayment(reference.toBase58(), 1, 'SOL');
+
+            expect(result.success).toBe(false);
+            expect(result.rejected[0].reason).toBe('recipient not found');
+        });
+
+        test('rejects a transfer whose reference key is not on the transfer instruction', async () => {
+            connection.addTransaction({
+                payer,
+                instructions: [
+                    new TransactionInstruction({
+                        programId: MEMO_PROGRAM_ID,
+                        keys: [{ pubkey: reference, isSigner: false, isWritable: false }],
+                        data: Buffer.from('Order 41', 'utf8')
+                    }),
+                    SystemProgram.transfer({
+                        fromPubkey: payer,
+                        toPubkey: merchant,
+                        lamports: LAMPORTS_PER_SOL
+                    })
+                ]
+            });
+
+            const result = await service.findPayment(reference.toBase58(), 1, 'SOL');
+
+            expect(result.success).toBe(false);
+            expect(result.rejected[0].reason).toBe('invalid references');
+        });
+
+        test('checks the memo when one is expected', async () => {
+            connection.sendSolTransfer({
+                from: payer,
+                to: merchant,
+                lamports: LAMPORTS_PER_SOL,
+                reference,
+                memo: 'Order 41'
+            });
+
+            const wrongMemo = await service.findPayment(reference.toBase58(), 1, 'SOL', { memo: 'Order 42' });
+            expect(wrongMemo.success).toBe(false);
+            expect(wrongMemo.rejected[0].reason).toBe('invalid memo');
+
+            const rightMemo = await service.findPayment(reference.toBase58(), 1, 'SOL', { memo: 'Order 41' });
+            expect(rightMemo.success).toBe(true);
+        });
+
+        test('skips failed and invalid transactions and finds the real payment', async () => {
+            connection.sendSolTransfer({
+                from: payer,
+                to: merchant,
+                lamports: LAMPORTS_PER_SOL,
+                reference,
+                err: { InstructionError: [0, 'Custom'] }
+            });
+            connection.sendSolTransfer({
+                from: payer,
+                to: merchant,
+                lamports: 1000,
+                reference
+            });
+            const signature = connection.sendSolTransfer({
+                from: payer,
+                to: merchant,
+                lamports: LAMPORTS_PER_SOL,
+                reference
+            });
+
+            const result = await service.findPayment(reference.toBase58(), 1, 'SOL');
+
+            expect(result.success).toBe(true);
+            expect(result.signature).toBe(signature);
+        });
+
+        test('validates SPL transfers against the currency mint', async () => {
+            const signature = connection.sendTokenTransfer({
+                from: payer,
+                to: merchant,
+                mint: USDC_MINT,
+                amount: 25,
+                decimals: 6,
+                reference
+            });
+
+            const result = await service.findPayment(reference.toBase58(), 25, 'USDC');
+
+            expect(result.success).toBe(true);
+            expect(result.signature).toBe(signature);
+            expect(result.payer).toBe(payer.toBase58());
+            expect(result.receivedAmount).toBe('25');
+        });
+
+        test('reports the amount actually received', async () => {
+            connection.sendSolTransfer({
+                from: payer,
+                to: merchant,
+                lamports: 0.75 * LAMPORTS_PER_SOL,
+                reference
+            });
+
+            const result = await service.findPayment(reference.toBase58(), 0, 'SOL');
+
+            expect(result.success).toBe(true);
+            expect(result.receivedAmount).toBe('0.75');
+        });
+
+        test('rejects SPL transfers of a different mint', async () => {
+            connection.sendTokenTransfer({
+                from: payer,
+                to: merchant,
+                mint: randomKey(),
+                amount: 25,
+                decimals: 6,
+                reference
+            });
+
+            const result = await service.findPayment(reference.toBase58(), 25, 'USDC');
+
+            expect(result.success).toBe(false);
+            expect(result.rejected[0].reason).toBe('recipient not found');
+        });
+
+        test('rejects a SOL transfer when a token payment is expected', async () => {
+            connection.sendSolTransfer({
+                from: payer,
+                to: merchant,
+                lamports: 25 * LAMPORTS_PER_SOL,
+                reference
+            });
+
+            const result = await service.findPayment(reference.toBase58(), 25, 'USDC');
+
+            expect(result.success).toBe(false);
+        });
+
+        test('refuses malformed references', async () => {
+            const result = await service.findPayment('not-a-key', 1, 'SOL');
+
+            expect(result.status).toBe('invalid');
+            expect(connection.calls).toHaveLength(0);
+        });
+    });
+
+    describe('findPayments', () => {
+        test('adds up every transfer on the reference', async () => {
+            const first = connection.sendSolTransfer({ from: payer, to: merchant, lamports: 0.6 * LAMPORTS_PER_SOL, reference });
+            const topUp = connection.sendSolTransfer({ from: payer, to: merchant, lamports: 0.4 * LAMPORTS_PER_SOL, reference });
+
+            const result = await service.findPayments(reference.toBase58(), 0, 'SOL');
+
+            expect(result).toMatchObject({ success: true, receivedAmount: '1' });
+            expect(result.transfers.map(transfer => transfer.signature)).toEqual([first, topUp]);
+        });
+    });
+
+    describe('verifyTransactionDetails', () => {
+        test('tells short, exact and excess payments apart', async () => {
+            const send = (sol) => connection.getTransaction(connection.sendSolTransfer({
+                from: payer,
+                to: merchant,
+                lamports: sol * LAMPORTS_PER_SOL,
+                reference
+            }));
+            const verify = async (sol) => service.verifyTransactionDetails(await send(sol), '1', merchant.toBase58(), 'SOL');
+
+            expect(await verify(0.5)).toMatchObject({ valid: false, status: 'underpaid', shortfallAmount: '0.5' });
+            expect(await verify(1)).toMatchObject({ valid: true, status: 'paid', actualAmount: '1' });
+            expect(await verify(1.5)).toMatchObject({ valid: true, status: 'overpaid', excessAmount: '0.5' });
+        });
+    });
+
+    describe('monitorPayment', () => {
+        test('resolves once a payment lands after monitoring started', async () => {
+            const monitoring = service.monitorPayment(reference.toBase58(), 1, 'SOL', 1000, {
+                pollIntervalMs: 10
+            });
+
+            const signature = connection.sendSolTransfer({
+                from: payer,
+                to: merchant,
+                lamports: LAMPORTS_PER_SOL,
+                reference
+            });
+
+            const result = await monitoring;
+            expect(result.success).toBe(true);
+            expect(result.signature).toBe(signature);
+            expect(result.signature).not.toMatch(/^demo_signature_/);
+        });
+
+        test('times out instead of inventing a payment', async () => {
+            connection.sendSolTransfer({
+                from: payer,
+                to: merchant,
+                lamports: 1000,
+                reference
+            });
+
+            const result = await service.monitorPayment(reference.toBase58(), 1, 'SOL', 50, {
+                pollIntervalMs: 10
+            });
+
+            expect(result.success).toBe(false);
+            expect(result.status).toBe('timeout');
+            expect(result.rejected[0].reason).toBe('amount not transferred');
+        });
+
+        test('stops immediately on unsupported currency', async () => {
+            const result = await service.monitorPayment(reference.toBase58(), 1, 'DOGE', 1000, {
+                pollIntervalMs: 10
+            });
+
+            expect(result.status).toBe('invalid');
+            expect(result.error).toMatch(/Unsupported currency/);
+        });
+    });
+
+    describe('createTransaction', () => {
+        test('builds a SOL transfer with memo first and the reference on the transfer', async () => {
+            const result = await service.createTransaction(payer, merchant, 0.25, 'SOL', 'Order 41', reference);
+
+            expect(result.success).toBe(true);
+            const transaction = Transaction.from(result.transaction);
+            const [memo, transfer] = transaction.instructions;
+
+            expect(transaction.feePayer.equals(payer)).toBe(true);
+            expect(transaction.recentBlockhash).toBeTruthy();
+            expect(memo.programId.equals(MEMO_PROGRAM_ID)).toBe(true);
+            expect(memo.data.toString('utf8')).toBe('Order 41');
+            expect(SystemInstruction.decodeTransfer(transfer)).toMatchObject({
+                fromPubkey: payer,
+                toPubkey: merchant,
+                lamports: BigInt(0.25 * LAMPORTS_PER_SOL)
+            });
+            expect(transfer.keys[2].pubkey.equals(reference)).toBe(true);
+        });
+
+        test('builds a transferChecked using the mint decimals', async () => {
+            connection.createMint(USDC_MINT, 6);
+            connection.createTokenAccount(payer, USDC_MINT, 100000000n);
+            connection.createTokenAccount(merchant, USDC_MINT);
+
+            const result = await service.createTransaction(payer, merchant, 25.5, 'USDC', 'Order 41', reference);
+
+            expect(result.success).toBe(true);
+            const transaction = Transaction.from(result.transaction);
+            expect(transaction.instructions).toHaveLength(2);
+
+            const decoded = decodeTransferCheckedInstruction(transaction.instructions[1]);
+            expect(decoded.data.amount).toBe(25500000n);
+            expect(decoded.data.decimals).toBe(6);
+            expect(decoded.keys.source.pubkey.equals(getAssociatedTokenAddressSync(USDC_MINT, payer))).toBe(true);
+            expect(decoded.keys.destination.pubkey.equals(getAssociatedTokenAddressSync(USDC_MINT, merchant))).toBe(true);
+            expect(decoded.keys.multiSigners[0].pubkey.equals(reference)).toBe(true);
+        });
+
+        test('creates the merchant token account when it does not exist', async () => {
+            connection.createMint(USDC_MINT, 6);
+            connection.createTokenAccount(payer, USDC_MINT, 100000000n);
+
+            const result = await service.createTransaction(payer, merchant, 10, 'USDC', '', reference);
+
+            expect(result.success).toBe(true);
+            const [createAccount, transfer] = Transaction.from(result.transaction).instructions;
+            expect(createAccount.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)).toBe(true);
+            expect(createAccount.keys[1].pubkey.equals(getAssociatedTokenAddressSync(USDC_MINT, merchant))).toBe(true);
+            expect(decodeTransferCheckedInstruction(transfer).data.amount).toBe(10000000n);
+        });
+
+        test('lets a sponsor pay fees and partially signs for it', async () => {
+            const sponsor = Keypair.generate();
+
+            const result = await service.createTransaction(payer, merchant, 1, 'SOL', '', reference, {
+                feePayer: sponsor
+            });
+
+            const transaction = Transaction.from(result.transaction);
+            expect(transaction.feePayer.equals(sponsor.publicKey)).toBe(true);
+            expect(transaction.signatures.find((s) => s.publicKey.equals(sponsor.publicKey)).signature).not.toBeNull();
+            expect(transaction.signatures.find((s) => s.publicKey.equals(payer)).signature).toBeNull();
+        });
+
+        test('refuses when the payer has no token account or too little balance', async () => {
+            connection.createMint(USDC_MINT, 6);
+
+            const missing = await service.createTransaction(payer, merchant, 10, 'USDC');
+            expect(missing).toEqual({ success: false, error: 'Payer has no USDC token account' });
+
+            connection.createTokenAccount(payer, USDC_MINT, 5000000n);
+            const insufficient = await service.createTransaction(payer, merchant, 10, 'USDC');
+            expect(insufficient).toEqual({ success: false, error: 'Insufficient USDC balance' });
+        });
+
+        test('refuses amounts with more precision than the token supports', async () => {
+            connection.createMint(USDC_MINT, 6);
+            connection.createTokenAccount(payer, USDC_MINT, 100000000n);
+
+            const result = await service.createTransaction(payer, merchant, 1.0000001, 'USDC');
+
+            expect(result.success).toBe(false);
+            expect(result.error).toMatch(/more than 6 decimals/);
+        });
+    });
+
+    describe('generateTransactionRequestURL', () => {
+        test('wraps the merchant link in a solana: URL', () => {
+            const result = service.generateTransactionRequestURL('https://shop.example/api/crypto/transaction-request/abc?x=1');
+
+            expect(result.success).toBe(true);
+            expect(result.url).toBe('solana:https%3A%2F%2Fshop.example%2Fapi%2Fcrypto%2Ftransaction-request%2Fabc%3Fx%3D1');
+        });
+    });
+});
@@ -0,0 +1,55 @@
+const config = require('../../src/config');
+const { TaxService, RulesTaxProvider, createTaxService } = require('../../src/services/taxService');
+
+describe('TaxService', () => {
+    const rules = {
+        inclusive: false,
+        countries: {
+            US: {
+                regions: {
+                    CA: { physical: 0.0725, digital: 0 },
+                    WA: 0.065
+                }
+            },
+            GB: { inclusive: true, rate: 0.2 }
+        }
+    };
+    const service = new TaxService({ provider: new RulesTaxProvider({ rules }) });
+
+    test('adds US state tax per line and category', async () => {
+        const tax = await service.calculate([
+            { amount: '40.00', category: 'physical' },
+            { amount: '10.00', category: 'digital' }
+        ], { country: 'us', state: 'ca' });
+
+        expect(tax).toMatchObject({
+            provider: 'rules',
+            jurisdiction: 'US-CA',
+            inclusive: false,
+            tax_amount: '2.90',
+            added_amount: '2.90',
+            lines: [{ tax_rate: 0.0725, tax_amount: '2.90' }, { tax_rate: 0, tax_amount: '0.00' }]
+        });
+        expect((await service.calculate([{ amount: 10, category: 'digital' }], { country: 'US', region: 'WA' })).tax_amount).toBe('0.65');
+    });
+
+    test('takes VAT out of tax-inclusive prices', async () => {
+        const tax = await service.calculate([{ amount: 24, category: 'digital' }], { country: 'GB' });
+
+        expect(tax).toMatchObject({ jurisdiction: 'GB', inclusive: true, tax_amount: '4.00', added_amount: '0.00' });
+    });
+
+    test('charges nothing where no rule applies or there is no destination yet', async () => {
+        expect((await service.calculate([{ amount: 10 }], { country: 'US', state: 'OR' })).tax_amount).toBe('0.00');
+        expect((await service.calculate([{ amount: 10 }], { country: 'JP' })).jurisdiction).toBe('JP');
+        expect(await service.calculate([{ amount: 10 }], undefined)).toMatchObject({ jurisdiction: null, tax_amount: '0.00' });
+        await expect(service.calculate([{ amount: 10, category: 'services' }], { country: 'GB' })).rejects.toThrow('Unknown tax category: services');
+    });
+
+    test('builds the configured provider from the rules file', async () => {
+        const tax = await createTaxService(config.TAX).calculate([{ amount: 100 }], { country: 'US', state: 'TX' });
+
+        expect(tax).toMatchObject({ jurisdiction: 'US-TX', tax_amount: '6.25' });
+        expect(() => createTaxService({ ...config.TAX, PROVIDER: 'avalara' })).toThrow('Unknown tax provider: avalara');
+    });
+});